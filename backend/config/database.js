@@ -51,10 +51,11 @@ const databaseConfig = {
     }
   },
 
-  // SQLite configuration (for future implementation)
+  // SQLite configuration (utils/sqliteDatabase.js)
   sqlite: {
     enabled: process.env.DB_TYPE === 'sqlite',
     filename: process.env.SQLITE_PATH || './database/virtualrollcall.sqlite',
+    autoSeed: process.env.AUTO_SEED !== 'false', // Seed sample data into an empty database
     options: {
       verbose: process.env.NODE_ENV === 'development'
     }
@@ -98,7 +99,8 @@ const databaseConfig = {
   // Migration settings
   migrations: {
     enabled: process.env.MIGRATIONS_ENABLED === 'true',
-    directory: './migrations',
+    autoRun: process.env.MIGRATIONS_AUTO_RUN !== 'false', // Apply pending migrations on connect
+    directory: './migrations', // Relative to backend/
     tableName: 'migrations',
     schemaName: 'public'
   },
@@ -208,10 +210,8 @@ const initializeDatabaseConnection = async () => {
         return { type: 'postgresql', status: 'ready' };
         
       case 'sqlite':
-        // SQLite connection would go here
-        // const sqlite3 = require('sqlite3');
-        // const db = new sqlite3.Database(activeConfig.config.filename);
-        console.log('✅ SQLite connection ready (not implemented yet)');
+        require('../utils/sqliteDatabase').connect();
+        console.log(`✅ SQLite connection ready: ${activeConfig.config.filename}`);
         return { type: 'sqlite', status: 'ready' };
         
       case 'mysql':
@@ -254,7 +254,7 @@ const closeDatabaseConnection = async () => {
         break;
         
       case 'sqlite':
-        // db.close();
+        require('../utils/sqliteDatabase').close();
         console.log('✅ SQLite connection closed');
         break;
         
@@ -306,13 +306,16 @@ const checkDatabaseHealth = async () => {
           timestamp: new Date().toISOString()
         };
         
-      case 'sqlite':
+      case 'sqlite': {
+        const startTime = Date.now();
+        require('../utils/sqliteDatabase').connect().prepare('SELECT 1').get();
         return {
           status: 'healthy',
           type: 'sqlite',
-          responseTime: 0,
+          responseTime: Date.now() - startTime,
           timestamp: new Date().toISOString()
         };
+      }
         
       default:
         throw new Error('Unknown database type');
@@ -456,4 +459,4 @@ module.exports = {
   backupDatabase,
   restoreDatabase,
   cleanupOldBackups
-};
\ No newline at end of file
+};
@@ -11,19 +11,55 @@ const {
   findUserById,
   getAttendanceStatistics,
   getStudentAttendanceHistory,
-  getAllSchedules
+  getStudentEnrollments,
+  summarizeStudentHistory,
+  getAllSchedules,
+  getAcademicCalendar,
+  getSettings
 } = require('../utils/database');
+const {
+  getAttendanceRules,
+  normalizeStudentStatuses,
+  getRecordStatuses,
+  summarizeRecord
+} = require('../utils/attendanceStatus');
+const { getAttendanceLock, requiresCorrectionRequest } = require('../utils/attendanceLock');
+const { isArchivedClass, classArchivedError } = require('../utils/academicYears');
+const { getVersion, setETag, isStaleVersion, versionConflictError } = require('../utils/recordVersion');
+const { hasPermission } = require('../middleware/auth');
 
 const socketService = require('../services/socketService');
+const substitutionService = require('../services/substitutionService');
+
+// The class when its academic year is archived (its attendance is read-only then)
+const findArchivedClass = (classId) => {
+  const classData = findClassById(classId);
+  return isArchivedClass(classData) ? classData : null;
+};
+
+// Who is making a change, for the audit log
+const getAuditContext = (req) => ({
+  actorId: req.user.id,
+  ip: req.ip
+});
+
+// Response sent when a teacher tries to change a locked record directly
+const sendRecordLocked = (res, record) => {
+  return res.status(403).json({
+    success: false,
+    error: 'This attendance record is locked; submit a correction request instead',
+    code: 'RECORD_LOCKED',
+    lockedAt: getAttendanceLock(record, getSettings()).lockedAt
+  });
+};
 
 /**
  * Submit new attendance record
  */
 const submitAttendance = async (req, res) => {
   try {
-    const { classId, subjectId, date, absentStudents = [], notes } = req.body;
+    const { classId, subjectId, date, absentStudents = [], studentStatuses, notes, overrideCalendar } = req.body;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Validate required fields
     if (!classId || !subjectId || !date) {
@@ -64,6 +100,10 @@ const submitAttendance = async (req, res) => {
       });
     }
 
+    if (isArchivedClass(classData)) {
+      return res.status(409).json({ success: false, ...classArchivedError(classData) });
+    }
+
     // Verify subject exists
     const subjectData = findSubjectById(subjectId);
     if (!subjectData) {
@@ -74,14 +114,32 @@ const submitAttendance = async (req, res) => {
       });
     }
 
-    // Check teacher permissions
-    if (userRole === 'teacher') {
+    // Reject non-school days (holidays, weekends, outside term) unless the user may override the calendar
+    const schoolDay = getAcademicCalendar().getDay(date, classId);
+    if (!schoolDay.isSchoolDay && !(overrideCalendar === true && hasPermission(req.user, 'attendance:override-calendar'))) {
+      return res.status(400).json({
+        success: false,
+        error: `Attendance cannot be taken on a non-school day (${schoolDay.reason})`,
+        code: 'NON_SCHOOL_DAY',
+        reason: schoolDay.reason
+      });
+    }
+
+    // Substitutes take attendance for the periods they cover on that date
+    const substitution = substitutionService.findCoverFor(userId, {
+      classId: parseInt(classId),
+      subjectId: parseInt(subjectId),
+      date
+    });
+
+    // Without attendance:submit:any, users may only take attendance for classes/subjects they teach or cover
+    if (!hasPermission(req.user, 'attendance:submit:any')) {
       const teacherSchedule = getTeacherSchedule(userId);
-      const hasPermission = teacherSchedule.some(schedule => 
+      const teachesClass = teacherSchedule.some(schedule => 
         schedule.classId === classId && schedule.subjectId === subjectId
-      ) || classData.classTeacher === userId;
+      ) || classData.classTeacher === userId || Boolean(substitution);
 
-      if (!hasPermission) {
+      if (!teachesClass) {
         return res.status(403).json({
           success: false,
           error: 'You do not have permission to take attendance for this class/subject',
@@ -90,20 +148,32 @@ const submitAttendance = async (req, res) => {
       }
     }
 
-    // Validate absent student IDs
+    // Re-submitting replaces the existing record, which may be locked
+    const existingRecord = getAttendanceRecord(classId, subjectId, date);
+    if (existingRecord && requiresCorrectionRequest(req.user, existingRecord, getSettings())) {
+      return sendRecordLocked(res, existingRecord);
+    }
+
+    // Validate student IDs and statuses
     const activeStudents = classData.students.filter(s => s.isActive);
     const activeStudentIds = activeStudents.map(s => s.id);
     
-    const invalidStudentIds = absentStudents.filter(id => 
-      !activeStudentIds.includes(parseInt(id))
-    );
+    const statusResult = normalizeStudentStatuses(activeStudentIds, { studentStatuses, absentStudents });
 
-    if (invalidStudentIds.length > 0) {
+    if (statusResult.invalidIds.length > 0) {
       return res.status(400).json({
         success: false,
         error: 'Invalid student IDs found',
         code: 'INVALID_STUDENT_IDS',
-        invalidIds: invalidStudentIds
+        invalidIds: statusResult.invalidIds
+      });
+    }
+
+    if (statusResult.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: statusResult.errors.join('; '),
+        code: 'INVALID_STUDENT_STATUS'
       });
     }
 
@@ -114,26 +184,21 @@ const submitAttendance = async (req, res) => {
       subjectId: parseInt(subjectId),
       date,
       absentStudents: absentStudents.map(id => parseInt(id)),
+      studentStatuses: statusResult.studentStatuses,
       notes: notes?.trim() || '',
-      submittedBy: userId
+      submittedBy: userId,
+      substitutionId: substitution?.id ?? null,
+      substituteFor: substitution?.originalTeacherId ?? null
     };
 
-    const attendanceRecord = addAttendanceRecord(attendanceData);
+    const attendanceRecord = addAttendanceRecord(attendanceData, getAuditContext(req));
 
     // Format response
     const formattedRecord = formatAttendanceRecord(attendanceRecord);
 
     // Emit real-time update via Socket.IO
     try {
-      socketService.emitToClass(classId, 'attendanceUpdated', {
-        record: formattedRecord,
-        action: 'created'
-      });
-      
-      socketService.emitToPrincipals('attendanceUpdated', {
-        record: formattedRecord,
-        action: 'created'
-      });
+      socketService.emitAttendanceSubmitted(formattedRecord);
     } catch (socketError) {
       console.warn('Socket.IO emit failed:', socketError);
     }
@@ -172,12 +237,13 @@ const getAttendance = async (req, res) => {
       startDate, 
       endDate,
       studentId,
+      late,
+      academicYear,
       sortBy = 'date',
       sortOrder = 'desc'
     } = req.query;
 
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Build filters
     const filters = {};
@@ -189,9 +255,11 @@ const getAttendance = async (req, res) => {
       filters.dateRange = { start: startDate, end: endDate };
     }
     if (studentId) filters.studentId = parseInt(studentId);
+    if (late !== undefined) filters.isLateSubmission = late === 'true';
+    if (academicYear) filters.academicYear = academicYear;
 
-    // For teachers, only show their own records
-    if (userRole === 'teacher') {
+    // Without attendance:view:any, only show the user's own records
+    if (!hasPermission(req.user, 'attendance:view:any')) {
       filters.teacherId = userId;
     }
 
@@ -267,7 +335,6 @@ const getClassAttendance = async (req, res) => {
     const { classId, date } = req.params;
     const { subjectId } = req.query;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Validate class ID
     const classIdNum = parseInt(classId);
@@ -299,12 +366,12 @@ const getClassAttendance = async (req, res) => {
       });
     }
 
-    // Check teacher access
-    if (userRole === 'teacher') {
+    // Without attendance:view:any, users only see classes they teach (or cover on that date)
+    if (!hasPermission(req.user, 'attendance:view:any')) {
       const teacherSchedule = getTeacherSchedule(userId);
       const hasAccess = teacherSchedule.some(schedule => 
         schedule.classId === classIdNum
-      ) || classData.classTeacher === userId;
+      ) || classData.classTeacher === userId || substitutionService.coversClass(userId, classIdNum, date);
 
       if (!hasAccess) {
         return res.status(403).json({
@@ -349,9 +416,8 @@ const getClassAttendance = async (req, res) => {
 const updateAttendance = async (req, res) => {
   try {
     const { id } = req.params;
-    const { absentStudents, notes } = req.body;
+    const { absentStudents, studentStatuses, notes } = req.body;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     const recordId = parseInt(id);
     if (isNaN(recordId)) {
@@ -372,8 +438,13 @@ const updateAttendance = async (req, res) => {
       });
     }
 
+    const archivedClass = findArchivedClass(existingRecord.classId);
+    if (archivedClass) {
+      return res.status(409).json({ success: false, ...classArchivedError(archivedClass) });
+    }
+
     // Check permissions
-    if (userRole === 'teacher' && existingRecord.teacherId !== userId) {
+    if (!hasPermission(req.user, 'attendance:edit:any') && existingRecord.teacherId !== userId) {
       return res.status(403).json({
         success: false,
         error: 'You can only update your own attendance records',
@@ -381,11 +452,24 @@ const updateAttendance = async (req, res) => {
       });
     }
 
+    // Someone else changed the record after the client loaded it (If-Match or version)
+    if (isStaleVersion(req, existingRecord)) {
+      setETag(res, existingRecord);
+      return res.status(409).json({
+        success: false,
+        ...versionConflictError(existingRecord, formatAttendanceRecord(existingRecord))
+      });
+    }
+
+    if (requiresCorrectionRequest(req.user, existingRecord, getSettings())) {
+      return sendRecordLocked(res, existingRecord);
+    }
+
     // Validate update data
     const updateData = {};
 
-    if (absentStudents !== undefined) {
-      if (!Array.isArray(absentStudents)) {
+    if (absentStudents !== undefined || studentStatuses !== undefined) {
+      if (absentStudents !== undefined && !Array.isArray(absentStudents)) {
         return res.status(400).json({
           success: false,
           error: 'Absent students must be an array',
@@ -393,26 +477,35 @@ const updateAttendance = async (req, res) => {
         });
       }
 
-      // Validate student IDs
+      // Validate student IDs and statuses
       const classData = findClassById(existingRecord.classId);
       const activeStudentIds = classData.students
         .filter(s => s.isActive)
         .map(s => s.id);
 
-      const invalidIds = absentStudents.filter(id => 
-        !activeStudentIds.includes(parseInt(id))
-      );
+      const statusResult = normalizeStudentStatuses(activeStudentIds, { studentStatuses, absentStudents });
 
-      if (invalidIds.length > 0) {
+      if (statusResult.invalidIds.length > 0) {
         return res.status(400).json({
           success: false,
           error: 'Invalid student IDs found',
           code: 'INVALID_STUDENT_IDS',
-          invalidIds
+          invalidIds: statusResult.invalidIds
+        });
+      }
+
+      if (statusResult.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: statusResult.errors.join('; '),
+          code: 'INVALID_STUDENT_STATUS'
         });
       }
 
-      updateData.absentStudents = absentStudents.map(id => parseInt(id));
+      updateData.studentStatuses = statusResult.studentStatuses;
+      if (absentStudents !== undefined) {
+        updateData.absentStudents = absentStudents.map(id => parseInt(id));
+      }
     }
 
     if (notes !== undefined) {
@@ -420,26 +513,19 @@ const updateAttendance = async (req, res) => {
     }
 
     // Update record
-    const updatedRecord = updateAttendanceRecord(recordId, updateData);
+    const updatedRecord = updateAttendanceRecord(recordId, updateData, getAuditContext(req));
     const formattedRecord = formatAttendanceRecord(updatedRecord);
 
     // Emit real-time update
     try {
-      socketService.emitToClass(updatedRecord.classId, 'attendanceUpdated', {
-        record: formattedRecord,
-        action: 'updated'
-      });
-      
-      socketService.emitToPrincipals('attendanceUpdated', {
-        record: formattedRecord,
-        action: 'updated'
-      });
+      socketService.emitAttendanceUpdated(formattedRecord);
     } catch (socketError) {
       console.warn('Socket.IO emit failed:', socketError);
     }
 
     console.log(`📋 Attendance updated: Record ${recordId} by ${req.user.name}`);
 
+    setETag(res, updatedRecord);
     res.json({
       success: true,
       message: 'Attendance record updated successfully',
@@ -463,7 +549,6 @@ const deleteAttendance = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     const recordId = parseInt(id);
     if (isNaN(recordId)) {
@@ -484,8 +569,13 @@ const deleteAttendance = async (req, res) => {
       });
     }
 
+    const archivedClass = findArchivedClass(existingRecord.classId);
+    if (archivedClass) {
+      return res.status(409).json({ success: false, ...classArchivedError(archivedClass) });
+    }
+
     // Check permissions
-    if (userRole === 'teacher' && existingRecord.teacherId !== userId) {
+    if (!hasPermission(req.user, 'attendance:delete:any') && existingRecord.teacherId !== userId) {
       return res.status(403).json({
         success: false,
         error: 'You can only delete your own attendance records',
@@ -493,24 +583,17 @@ const deleteAttendance = async (req, res) => {
       });
     }
 
+    if (requiresCorrectionRequest(req.user, existingRecord, getSettings())) {
+      return sendRecordLocked(res, existingRecord);
+    }
+
     // Delete record
-    const success = deleteAttendanceRecord(recordId);
+    const success = deleteAttendanceRecord(recordId, getAuditContext(req));
 
     if (success) {
       // Emit real-time update
       try {
-        socketService.emitToClass(existingRecord.classId, 'attendanceDeleted', {
-          recordId,
-          classId: existingRecord.classId,
-          subjectId: existingRecord.subjectId,
-          date: existingRecord.date
-        });
-        
-        socketService.emitToPrincipals('attendanceDeleted', {
-          recordId,
-          classId: existingRecord.classId,
-          date: existingRecord.date
-        });
+        socketService.emitAttendanceDeleted(existingRecord);
       } catch (socketError) {
         console.warn('Socket.IO emit failed:', socketError);
       }
@@ -546,18 +629,21 @@ const getSchedule = async (req, res) => {
   try {
     const { teacherId, date } = req.query;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Determine which teacher's schedule to fetch
     let targetTeacherId = userId;
-    if (userRole === 'principal' && teacherId) {
+    if (hasPermission(req.user, 'attendance:view:any') && teacherId) {
       targetTeacherId = parseInt(teacherId);
     }
 
-    const schedule = getTeacherSchedule(targetTeacherId);
-
     // Add attendance status
     const targetDate = date || new Date().toISOString().split('T')[0];
+
+    // Periods on that date (following the timetable cycle); ones covered for absent teachers come with their substitution
+    const schedule = [
+      ...getTeacherSchedule(targetTeacherId, { date: targetDate }),
+      ...substitutionService.getCoveredPeriods(targetTeacherId, targetDate)
+    ];
     const enrichedSchedule = schedule.map(item => {
       const attendanceRecord = getAttendanceRecord(
         item.classId,
@@ -579,8 +665,10 @@ const getSchedule = async (req, res) => {
         teacherId: targetTeacherId,
         date: targetDate,
         totalClasses: enrichedSchedule.length,
+        substitutions: enrichedSchedule.filter(s => s.substitution).length,
         attendanceTaken: enrichedSchedule.filter(s => s.attendanceTaken).length,
-        attendancePending: enrichedSchedule.filter(s => !s.attendanceTaken).length
+        attendancePending: enrichedSchedule.filter(s => !s.attendanceTaken).length,
+        lateSubmissions: enrichedSchedule.filter(s => s.attendanceRecord?.isLateSubmission).length
       }
     });
 
@@ -604,11 +692,11 @@ const getStatistics = async (req, res) => {
       subjectId, 
       teacherId, 
       startDate, 
-      endDate 
+      endDate,
+      academicYear
     } = req.query;
 
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Build filters
     const filters = {};
@@ -618,9 +706,10 @@ const getStatistics = async (req, res) => {
     if (startDate && endDate) {
       filters.dateRange = { start: startDate, end: endDate };
     }
+    if (academicYear) filters.academicYear = academicYear;
 
-    // For teachers, only show their own statistics
-    if (userRole === 'teacher') {
+    // Without attendance:view:any, only show the user's own statistics
+    if (!hasPermission(req.user, 'attendance:view:any')) {
       filters.teacherId = userId;
     }
 
@@ -669,21 +758,13 @@ const getStudentHistory = async (req, res) => {
     const history = getStudentAttendanceHistory(studentIdNum, filters);
 
     // Calculate summary statistics
-    const summary = {
-      totalClasses: history.length,
-      present: history.filter(h => h.status === 'present').length,
-      absent: history.filter(h => h.status === 'absent').length,
-      attendanceRate: 0
-    };
-
-    if (summary.totalClasses > 0) {
-      summary.attendanceRate = Math.round((summary.present / summary.totalClasses) * 100);
-    }
+    const summary = summarizeStudentHistory(history);
 
     res.json({
       success: true,
       data: history,
-      summary
+      summary,
+      enrollments: getStudentEnrollments(studentIdNum)
     });
 
   } catch (error) {
@@ -696,66 +777,7 @@ const getStudentHistory = async (req, res) => {
   }
 };
 
-/**
- * Bulk attendance submission (for multiple subjects/classes)
- */
-const bulkSubmitAttendance = async (req, res) => {
-  try {
-    const { attendanceRecords } = req.body;
-    const userId = req.user.id;
-
-    if (!Array.isArray(attendanceRecords) || attendanceRecords.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Attendance records array is required',
-        code: 'MISSING_DATA'
-      });
-    }
-
-    const results = {
-      successful: [],
-      failed: []
-    };
-
-    for (const record of attendanceRecords) {
-      try {
-        const attendanceData = {
-          teacherId: userId,
-          classId: parseInt(record.classId),
-          subjectId: parseInt(record.subjectId),
-          date: record.date,
-          absentStudents: (record.absentStudents || []).map(id => parseInt(id)),
-          notes: record.notes?.trim() || '',
-          submittedBy: userId
-        };
-
-        const savedRecord = addAttendanceRecord(attendanceData);
-        results.successful.push(formatAttendanceRecord(savedRecord));
-      } catch (error) {
-        results.failed.push({
-          record,
-          error: error.message
-        });
-      }
-    }
-
-    console.log(`📋 Bulk attendance: ${results.successful.length} successful, ${results.failed.length} failed by ${req.user.name}`);
-
-    res.status(results.failed.length > 0 ? 207 : 201).json({
-      success: results.failed.length === 0,
-      message: `Processed ${attendanceRecords.length} records`,
-      data: results
-    });
-
-  } catch (error) {
-    console.error('Bulk submit error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process bulk attendance',
-      code: 'BULK_SUBMIT_ERROR'
-    });
-  }
-};
+// Bulk submission is POST /api/attendance/bulk (routes/attendance.js)
 
 /**
  * Helper function to format attendance record
@@ -764,6 +786,9 @@ const formatAttendanceRecord = (record) => {
   const classInfo = findClassById(record.classId);
   const subjectInfo = findSubjectById(record.subjectId);
   const teacherInfo = findUserById(record.teacherId);
+  const settings = getSettings();
+  const summary = summarizeRecord(record, getAttendanceRules(settings));
+  const lock = getAttendanceLock(record, settings);
 
   return {
     id: record.id,
@@ -777,14 +802,20 @@ const formatAttendanceRecord = (record) => {
     totalStudents: record.totalStudents,
     presentStudents: record.presentStudents || [],
     absentStudents: record.absentStudents || [],
+    studentStatuses: getRecordStatuses(record),
+    statusCounts: summary.statusCounts,
     presentCount: record.presentStudents?.length || 0,
     absentCount: record.absentStudents?.length || 0,
-    attendanceRate: record.totalStudents > 0 
-      ? Math.round(((record.presentStudents?.length || 0) / record.totalStudents) * 100) 
-      : 0,
+    attendanceRate: Math.round(summary.attendanceRate),
     notes: record.notes,
     submittedAt: record.submittedAt,
     submittedBy: record.submittedBy,
+    substitutionId: record.substitutionId || null,
+    substituteFor: record.substituteFor || null,
+    isLateSubmission: !!record.isLateSubmission,
+    version: getVersion(record),
+    isLocked: lock.locked,
+    lockedAt: lock.lockedAt,
     createdAt: record.createdAt,
     updatedAt: record.updatedAt
   };
@@ -798,6 +829,5 @@ module.exports = {
   deleteAttendance,
   getSchedule,
   getStatistics,
-  getStudentHistory,
-  bulkSubmitAttendance
-};
\ No newline at end of file
+  getStudentHistory
+};
@@ -6,9 +6,115 @@ const {
   updateUser,
   updateUserLoginInfo,
   createUser,
+  findStudentById,
+  findRoleByName,
+  getSettings,
+  updateSettings,
   getDatabase
 } = require('../utils/database');
-const { generateToken } = require('../middleware/auth');
+const { getUserPermissions } = require('../middleware/auth');
+const { linksStudents } = require('../utils/permissions');
+const { getVersion, setETag, isStaleVersion, versionConflictError } = require('../utils/recordVersion');
+const { AppError } = require('../middleware/errorHandler');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const passwordResetService = require('../services/passwordResetService');
+const importService = require('../services/importService');
+
+// Guardians are linked to one or more existing students (class roster IDs), student accounts to exactly one
+const validateStudentIds = (studentIds, role = 'guardian') => {
+  const isIdList = Array.isArray(studentIds) && studentIds.length > 0 && studentIds.every(id => Number.isInteger(id));
+  if (role === 'student' && !(isIdList && new Set(studentIds).size === 1)) {
+    return ['Student accounts must be linked to exactly one student (studentIds)'];
+  }
+  if (!isIdList) {
+    return ['Guardians must be linked to at least one student (studentIds)'];
+  }
+
+  const unknownIds = studentIds.filter(id => !findStudentById(id));
+  return unknownIds.length > 0 ? [`Unknown student IDs: ${unknownIds.join(', ')}`] : [];
+};
+
+// Staff can move between staff roles; restricted roles (guardians) keep their role
+const canChangeRole = (currentRole, newRole) => {
+  const target = findRoleByName(newRole);
+  return Boolean(target) && !target.isRestricted && !findRoleByName(currentRole)?.isRestricted;
+};
+
+// Account fields an administrator edits, as sent after an update or with a version conflict
+const toEditableUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  subjects: user.subjects || [],
+  ...(linksStudents(user.role) && { studentIds: user.studentIds || [] }),
+  isActive: user.isActive,
+  version: getVersion(user)
+});
+
+// The user was changed by someone else after the client loaded it
+const sendVersionConflict = (res, user, current) => {
+  setETag(res, user);
+  return res.status(409).json({
+    success: false,
+    ...versionConflictError(user, current)
+  });
+};
+
+// Respond with an AppError thrown by a service
+const sendAppError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+};
+
+// Who made the request, for the audit log (defaults to the logged-in user)
+const getAuditContext = (req, actorId = req.user?.id) => ({
+  actorId: actorId ?? null,
+  ip: req.ip
+});
+
+// Start a session for a user who passed every login step and send it
+const completeLogin = (req, res, user, { rememberMe, ...extra }) => {
+  // Start session (access token + refresh token)
+  const session = sessionService.createSession(user, {
+    rememberMe,
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  // Update login info
+  updateUserLoginInfo(user.id);
+
+  // Prepare user data (exclude password)
+  const userData = {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    subjects: user.subjects || [],
+    permissions: getUserPermissions(user),
+    isActive: user.isActive,
+    lastLogin: new Date().toISOString()
+  };
+
+  console.log(`✅ Login: ${user.name} (${user.role}) from ${req.ip}`);
+
+  res.json({
+    success: true,
+    message: `Welcome back, ${user.name}!`,
+    ...session,
+    ...extra,
+    user: userData
+  });
+};
 
 /**
  * User login
@@ -63,35 +169,20 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const tokenExpiry = rememberMe ? '30d' : '8h';
-    const token = generateToken(user, { expiresIn: tokenExpiry });
-
-    // Update login info
-    updateUserLoginInfo(user.id);
-
-    // Prepare user data (exclude password)
-    const userData = {
-      id: user.id,
-      username: user.username,
-      role: user.role,
-      name: user.name,
-      email: user.email,
-      phone: user.phone,
-      subjects: user.subjects || [],
-      isActive: user.isActive,
-      lastLogin: new Date().toISOString()
-    };
+    // Second step: a code from the authenticator app, or enrollment when the school requires it
+    if (user.twoFactorEnabled || twoFactorService.isRequired(user)) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        setupRequired: !user.twoFactorEnabled,
+        challengeToken: sessionService.createLoginChallenge(user, { rememberMe }),
+        message: user.twoFactorEnabled
+          ? 'Enter the code from your authenticator app'
+          : 'Two-factor authentication is required for your account. Set it up to continue.'
+      });
+    }
 
-    console.log(`✅ Login: ${user.name} (${user.role}) from ${req.ip}`);
-
-    res.json({
-      success: true,
-      message: `Welcome back, ${user.name}!`,
-      token,
-      user: userData,
-      expiresIn: tokenExpiry
-    });
+    completeLogin(req, res, user, { rememberMe });
 
   } catch (error) {
     console.error('Login error:', error);
@@ -109,6 +200,8 @@ const login = async (req, res) => {
  */
 const logout = async (req, res) => {
   try {
+    sessionService.endSession(req.user, req.body?.refreshToken);
+
     console.log(`🔓 Logout: ${req.user.name} (${req.user.role})`);
 
     res.json({
@@ -126,6 +219,373 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * Log out all devices (revokes every session of the current user)
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = sessionService.revokeAllSessions(req.user.id, 'logout-all');
+
+    console.log(`🔓 Logout (all devices): ${req.user.name} (${req.user.role}) - ${revoked} session(s) revoked`);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedSessions: revoked
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed',
+      code: 'LOGOUT_ERROR'
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const session = sessionService.refreshSession(req.body?.refreshToken, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      ...session
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendAppError(res, error);
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed',
+      code: 'REFRESH_ERROR'
+    });
+  }
+};
+
+/**
+ * Second login step: verify an authenticator or recovery code for a login
+ * challenge. Users who must enroll (school policy) confirm their new
+ * authenticator here and receive their recovery codes.
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const { challenge, user, rememberMe } = sessionService.verifyLoginChallenge(challengeToken);
+
+    let recoveryCodes;
+    if (user.twoFactorEnabled) {
+      twoFactorService.verify(user, { code, recoveryCode }, getAuditContext(req, user.id));
+    } else {
+      recoveryCodes = twoFactorService.enable(user, code, getAuditContext(req, user.id));
+    }
+
+    sessionService.consumeLoginChallenge(challenge);
+
+    completeLogin(req, res, findUserById(user.id), {
+      rememberMe,
+      ...(recoveryCodes && { recoveryCodes })
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendAppError(res, error);
+    }
+
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed. Please try again.',
+      code: 'LOGIN_ERROR'
+    });
+  }
+};
+
+/**
+ * Enrollment during login, for users the school requires to use two-factor
+ */
+const loginTwoFactorSetup = async (req, res) => {
+  try {
+    const { user } = sessionService.verifyLoginChallenge(req.body.challengeToken);
+
+    res.json({
+      success: true,
+      ...twoFactorService.beginSetup(user),
+      message: 'Add the account to your authenticator app, then log in with a code from it'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendAppError(res, error);
+    }
+
+    console.error('Two-factor login setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup',
+      code: 'TWO_FACTOR_SETUP_ERROR'
+    });
+  }
+};
+
+/**
+ * Two-factor status of the current user
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = findUserById(req.user.id);
+
+    res.json({
+      success: true,
+      data: twoFactorService.getStatus(user)
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve two-factor status',
+      code: 'TWO_FACTOR_STATUS_ERROR'
+    });
+  }
+};
+
+/**
+ * Start two-factor enrollment (returns the secret and provisioning URI for a QR code)
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = findUserById(req.user.id);
+
+    res.json({
+      success: true,
+      ...twoFactorService.beginSetup(user),
+      message: 'Add the account to your authenticator app, then confirm with a code from it'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendAppError(res, error);
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup',
+      code: 'TWO_FACTOR_SETUP_ERROR'
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a first code
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = findUserById(req.user.id);
+    const recoveryCodes = twoFactorService.enable(user, req.body.code, getAuditContext(req));
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are only shown once.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendAppError(res, error);
+    }
+
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication',
+      code: 'TWO_FACTOR_ENABLE_ERROR'
+    });
+  }
+};
+
+/**
+ * Turn two-factor off (needs the password and a current code)
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = findUserById(req.user.id);
+
+    if (twoFactorService.isRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for your role',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    twoFactorService.verify(user, { code, recoveryCode }, getAuditContext(req));
+    twoFactorService.disable(user, getAuditContext(req));
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendAppError(res, error);
+    }
+
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      code: 'TWO_FACTOR_DISABLE_ERROR'
+    });
+  }
+};
+
+/**
+ * Replace the recovery codes (needs a current code)
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = findUserById(req.user.id);
+
+    twoFactorService.verify(user, { code: req.body.code }, getAuditContext(req));
+    const recoveryCodes = twoFactorService.regenerateRecoveryCodes(user);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendAppError(res, error);
+    }
+
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate recovery codes',
+      code: 'RECOVERY_CODES_ERROR'
+    });
+  }
+};
+
+/**
+ * School-wide two-factor policy: roles that must use two-factor login
+ */
+const getTwoFactorPolicy = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      requiredRoles: getSettings().twoFactorRequiredRoles || []
+    }
+  });
+};
+
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles) || !requiredRoles.every(role => typeof role === 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Required roles must be an array of role names',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const unknownRoles = requiredRoles.filter(role => !findRoleByName(role));
+    if (unknownRoles.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown roles: ${unknownRoles.join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    updateSettings({ twoFactorRequiredRoles: [...new Set(requiredRoles)] });
+
+    console.log(`🔐 Two-factor required for: ${requiredRoles.join(', ') || 'nobody'} (set by ${req.user.name})`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated',
+      data: {
+        requiredRoles: getSettings().twoFactorRequiredRoles
+      }
+    });
+
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update two-factor policy',
+      code: 'TWO_FACTOR_POLICY_ERROR'
+    });
+  }
+};
+
+/**
+ * Reset another user's two-factor (lost authenticator and recovery codes)
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID',
+        code: 'INVALID_ID'
+      });
+    }
+
+    const user = findUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    twoFactorService.disable(user, getAuditContext(req));
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication reset for ${user.name}`
+    });
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset two-factor authentication',
+      code: 'TWO_FACTOR_RESET_ERROR'
+    });
+  }
+};
+
 /**
  * Get current user profile
  */
@@ -149,13 +609,18 @@ const getProfile = async (req, res) => {
       email: user.email,
       phone: user.phone,
       subjects: user.subjects || [],
+      ...(linksStudents(user.role) && { studentIds: user.studentIds || [] }),
+      permissions: getUserPermissions(user),
+      twoFactorEnabled: Boolean(user.twoFactorEnabled),
       lastLogin: user.lastLogin,
       loginCount: user.loginCount,
       isActive: user.isActive,
+      version: getVersion(user),
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
     };
 
+    setETag(res, user);
     res.json({
       success: true,
       user: userData
@@ -199,6 +664,11 @@ const updateProfile = async (req, res) => {
       });
     }
 
+    const currentUser = findUserById(req.user.id);
+    if (currentUser && isStaleVersion(req, currentUser)) {
+      return sendVersionConflict(res, currentUser, toEditableUser(currentUser));
+    }
+
     // Check if email is already taken
     if (email) {
       const existingUser = findUser({ email: email.toLowerCase().trim() });
@@ -234,11 +704,13 @@ const updateProfile = async (req, res) => {
       name: updatedUser.name,
       email: updatedUser.email,
       phone: updatedUser.phone,
-      subjects: updatedUser.subjects || []
+      subjects: updatedUser.subjects || [],
+      version: getVersion(updatedUser)
     };
 
     console.log(`👤 Profile updated: ${updatedUser.name}`);
 
+    setETag(res, updatedUser);
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -341,6 +813,60 @@ const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Email a password reset link (same response whether or not the account exists)
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email, username } = req.body;
+
+    passwordResetService.requestReset(email || username, getAuditContext(req));
+
+    res.json({
+      success: true,
+      message: 'If an account matches, a password reset link has been sent to its email address'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendAppError(res, error);
+    }
+
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process password reset request',
+      code: 'FORGOT_PASSWORD_ERROR'
+    });
+  }
+};
+
+/**
+ * Set a new password with a reset token; logs the account out everywhere
+ */
+const resetPassword = async (req, res) => {
+  try {
+    await passwordResetService.resetPassword(req.params.token, req.body.password, getAuditContext(req));
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendAppError(res, error);
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password',
+      code: 'RESET_PASSWORD_ERROR'
+    });
+  }
+};
+
 /**
  * Verify token validity
  */
@@ -383,7 +909,7 @@ const verifyToken = async (req, res) => {
  */
 const register = async (req, res) => {
   try {
-    const { username, password, name, email, phone, role, subjects } = req.body;
+    const { username, password, name, email, phone, role, subjects, studentIds } = req.body;
 
     // Validate required fields
     const errors = [];
@@ -399,8 +925,11 @@ const register = async (req, res) => {
     if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
       errors.push('Valid email is required');
     }
-    if (!role || !['teacher', 'principal'].includes(role)) {
-      errors.push('Role must be teacher or principal');
+    if (!role || !findRoleByName(role)) {
+      errors.push('Role must be an existing role');
+    }
+    if (linksStudents(role)) {
+      errors.push(...validateStudentIds(studentIds, role));
     }
 
     if (errors.length > 0) {
@@ -439,7 +968,8 @@ const register = async (req, res) => {
       email: email.toLowerCase().trim(),
       phone: phone ? phone.trim() : null,
       role,
-      subjects: role === 'teacher' ? (subjects || []) : []
+      subjects: role === 'teacher' ? (subjects || []) : [],
+      ...(linksStudents(role) && { studentIds: [...new Set(studentIds)] })
     };
 
     const newUser = await createUser(userData);
@@ -452,6 +982,7 @@ const register = async (req, res) => {
       email: newUser.email,
       phone: newUser.phone,
       subjects: newUser.subjects || [],
+      ...(linksStudents(newUser.role) && { studentIds: newUser.studentIds }),
       isActive: newUser.isActive
     };
 
@@ -473,6 +1004,38 @@ const register = async (req, res) => {
   }
 };
 
+/**
+ * Preview a bulk user import from a CSV/XLSX upload (dry run); the accounts
+ * are created when the preview is confirmed at POST /api/imports/:id/confirm
+ */
+const bulkRegister = async (req, res) => {
+  try {
+    const report = await importService.preview('users', {
+      file: req.file,
+      mapping: req.body.mapping,
+      user: req.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Import preview ready; confirm it with POST /api/imports/:id/confirm',
+      data: report
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendAppError(res, error);
+    }
+
+    console.error('Bulk register error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read user import',
+      code: 'BULK_REGISTER_ERROR'
+    });
+  }
+};
+
 /**
  * Get all users (Principal only)
  */
@@ -513,8 +1076,10 @@ const getAllUsers = async (req, res) => {
       phone: user.phone,
       subjects: user.subjects || [],
       isActive: user.isActive,
+      twoFactorEnabled: Boolean(user.twoFactorEnabled),
       lastLogin: user.lastLogin,
       loginCount: user.loginCount,
+      version: getVersion(user),
       createdAt: user.createdAt
     }));
 
@@ -547,7 +1112,7 @@ const getAllUsers = async (req, res) => {
 const updateUserById = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, phone, role, subjects, isActive } = req.body;
+    const { name, email, phone, role, subjects, studentIds, isActive } = req.body;
 
     const userId = parseInt(id);
     if (isNaN(userId)) {
@@ -567,6 +1132,10 @@ const updateUserById = async (req, res) => {
       });
     }
 
+    if (isStaleVersion(req, user)) {
+      return sendVersionConflict(res, user, toEditableUser(user));
+    }
+
     // Prevent self-deactivation
     if (userId === req.user.id && isActive === false) {
       return res.status(400).json({
@@ -576,6 +1145,22 @@ const updateUserById = async (req, res) => {
       });
     }
 
+    // Guardian links
+    if (studentIds !== undefined) {
+      const linkErrors = linksStudents(user.role)
+        ? validateStudentIds(studentIds, user.role)
+        : ['Only guardian and student accounts can be linked to students'];
+
+      if (linkErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: linkErrors
+        });
+      }
+    }
+
     // Check email conflict
     if (email && email !== user.email) {
       const existingUser = findUser({ email: email.toLowerCase().trim() });
@@ -593,29 +1178,20 @@ const updateUserById = async (req, res) => {
     if (name !== undefined) updateData.name = name.trim();
     if (email !== undefined) updateData.email = email.toLowerCase().trim();
     if (phone !== undefined) updateData.phone = phone ? phone.trim() : null;
-    if (role !== undefined && ['teacher', 'principal'].includes(role)) updateData.role = role;
+    if (role !== undefined && canChangeRole(user.role, role)) updateData.role = role;
     if (subjects !== undefined && Array.isArray(subjects)) updateData.subjects = subjects;
+    if (studentIds !== undefined) updateData.studentIds = [...new Set(studentIds)];
     if (isActive !== undefined) updateData.isActive = Boolean(isActive);
 
     const updatedUser = updateUser(userId, updateData);
 
-    const responseUser = {
-      id: updatedUser.id,
-      username: updatedUser.username,
-      role: updatedUser.role,
-      name: updatedUser.name,
-      email: updatedUser.email,
-      phone: updatedUser.phone,
-      subjects: updatedUser.subjects || [],
-      isActive: updatedUser.isActive
-    };
-
     console.log(`👤 User updated: ${updatedUser.name} by ${req.user.name}`);
 
+    setETag(res, updatedUser);
     res.json({
       success: true,
       message: 'User updated successfully',
-      user: responseUser
+      user: toEditableUser(updatedUser)
     });
 
   } catch (error) {
@@ -661,12 +1237,13 @@ const deactivateUser = async (req, res) => {
       });
     }
 
-    // Deactivate user
+    // Deactivate user and end their sessions
     updateUser(userId, {
       isActive: false,
       deactivatedAt: new Date().toISOString(),
       deactivatedBy: req.user.id
     });
+    sessionService.revokeAllSessions(userId, 'deactivated');
 
     console.log(`🚫 User deactivated: ${user.name} by ${req.user.name}`);
 
@@ -688,12 +1265,27 @@ const deactivateUser = async (req, res) => {
 module.exports = {
   login,
   logout,
+  logoutAll,
+  refreshToken,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
   verifyToken,
   register,
+  bulkRegister,
   getAllUsers,
   updateUserById,
   deactivateUser
-};
\ No newline at end of file
+};
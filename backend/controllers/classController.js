@@ -7,25 +7,28 @@ const {
   deleteClass,
   addStudentToClass,
   removeStudentFromClass,
+  findStudent,
   findStudentById,
   searchStudents,
-  searchClasses
+  searchClasses,
+  getSettings
 } = require('../utils/database');
+const { hasPermission } = require('../middleware/auth');
+const { isArchivedClass, classArchivedError } = require('../utils/academicYears');
 
 /**
  * Get all classes
  */
 const getClasses = async (req, res) => {
   try {
-    const { page = 1, limit = 10, grade, search, includeStudents = 'true', teacherId } = req.query;
+    const { page = 1, limit = 10, grade, search, academicYear, includeStudents = 'true', teacherId } = req.query;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
-    // Get classes based on user role
-    let classes = getAllClasses();
+    // Get classes based on user permissions (an academicYear includes its archived classes)
+    let classes = getAllClasses(academicYear ? { academicYear } : {});
 
-    // For teachers, filter to only classes they teach
-    if (userRole === 'teacher') {
+    // Without classes:view:any, filter to only classes they teach
+    if (!hasPermission(req.user, 'classes:view:any')) {
       const { getTeacherSchedule } = require('../utils/database');
       const schedule = getTeacherSchedule(userId);
       const teacherClassIds = [...new Set(schedule.map(s => s.classId))];
@@ -105,7 +108,6 @@ const getClassById = async (req, res) => {
     const { id } = req.params;
     const { includeInactiveStudents = 'false' } = req.query;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     const classId = parseInt(id);
     if (isNaN(classId)) {
@@ -125,8 +127,8 @@ const getClassById = async (req, res) => {
       });
     }
 
-    // Check access for teachers
-    if (userRole === 'teacher') {
+    // Without classes:view:any, users only see classes they teach
+    if (!hasPermission(req.user, 'classes:view:any')) {
       const { getTeacherSchedule } = require('../utils/database');
       const schedule = getTeacherSchedule(userId);
       const hasAccess = schedule.some(s => s.classId === classId) ||
@@ -236,6 +238,9 @@ const addClass = async (req, res) => {
       if (student.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(student.email)) {
         studentErrors.push(`Student ${index + 1}: Invalid email format`);
       }
+      if (student.studentId && findStudent({ studentId: student.studentId.trim() })) {
+        studentErrors.push(`Student ${index + 1}: Student ID is already registered`);
+      }
 
       if (studentErrors.length > 0) {
         return res.status(400).json({
@@ -247,12 +252,11 @@ const addClass = async (req, res) => {
       }
 
       processedStudents.push({
-        ...student,
         name: student.name.trim(),
         studentId: student.studentId.trim(),
         email: student.email?.toLowerCase().trim(),
-        parentContact: student.parentContact?.trim(),
-        isActive: true
+        dateOfBirth: student.dateOfBirth,
+        parentContact: student.parentContact?.trim()
       });
     }
 
@@ -272,7 +276,7 @@ const addClass = async (req, res) => {
       section: section.trim(),
       classTeacher,
       maxStudents,
-      academicYear: new Date().getFullYear() + '-' + (new Date().getFullYear() + 1),
+      academicYear: getSettings().academicYear,
       students: processedStudents
     };
 
@@ -322,6 +326,10 @@ const updateClassById = async (req, res) => {
       });
     }
 
+    if (isArchivedClass(existingClass)) {
+      return res.status(409).json({ success: false, ...classArchivedError(existingClass) });
+    }
+
     // Validate class teacher if provided
     if (classTeacher) {
       const { findUserById } = require('../utils/database');
@@ -415,6 +423,10 @@ const deleteClassById = async (req, res) => {
       });
     }
 
+    if (isArchivedClass(classData)) {
+      return res.status(409).json({ success: false, ...classArchivedError(classData) });
+    }
+
     // Check if class has attendance records
     const { getAttendanceRecords } = require('../utils/database');
     const attendanceRecords = getAttendanceRecords({ classId });
@@ -482,6 +494,10 @@ const addStudent = async (req, res) => {
       });
     }
 
+    if (isArchivedClass(classData)) {
+      return res.status(409).json({ success: false, ...classArchivedError(classData) });
+    }
+
     // Validate student data
     const errors = [];
     if (!name || name.length < 2) {
@@ -519,6 +535,17 @@ const addStudent = async (req, res) => {
       });
     }
 
+    // Students keep one registry record: move existing ones instead of adding them again
+    const registeredStudent = findStudent({ studentId: studentId.trim() });
+    if (registeredStudent) {
+      return res.status(409).json({
+        success: false,
+        error: 'Student ID belongs to a registered student; transfer or re-enroll them instead',
+        code: 'STUDENT_REGISTERED',
+        studentId: registeredStudent.id
+      });
+    }
+
     // Check class capacity
     const activeStudents = classData.students.filter(s => s.isActive).length;
     if (activeStudents >= classData.maxStudents) {
@@ -538,7 +565,7 @@ const addStudent = async (req, res) => {
       parentContact: parentContact?.trim()
     };
 
-    const newStudent = addStudentToClass(classId, studentData);
+    const newStudent = addStudentToClass(classId, studentData, { createdBy: req.user.id });
 
     console.log(`👥 Student added: ${newStudent.name} to ${classData.name} by ${req.user.name}`);
 
@@ -585,7 +612,11 @@ const removeStudent = async (req, res) => {
       });
     }
 
-    const student = classData.students.find(s => s.id === studentIdNum);
+    if (isArchivedClass(classData)) {
+      return res.status(409).json({ success: false, ...classArchivedError(classData) });
+    }
+
+    const student = classData.students.find(s => s.id === studentIdNum && s.isActive);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -594,7 +625,7 @@ const removeStudent = async (req, res) => {
       });
     }
 
-    const success = removeStudentFromClass(classIdNum, studentIdNum);
+    const success = removeStudentFromClass(classIdNum, studentIdNum, { endedBy: req.user.id });
 
     if (success) {
       console.log(`👥 Student removed: ${student.name} from ${classData.name} by ${req.user.name}`);
@@ -628,7 +659,6 @@ const getClassStudents = async (req, res) => {
     const { id } = req.params;
     const { active = 'true' } = req.query;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     const classId = parseInt(id);
     if (isNaN(classId)) {
@@ -648,8 +678,8 @@ const getClassStudents = async (req, res) => {
       });
     }
 
-    // Check access for teachers
-    if (userRole === 'teacher') {
+    // Without classes:view:any, users only see classes they teach
+    if (!hasPermission(req.user, 'classes:view:any')) {
       const { getTeacherSchedule } = require('../utils/database');
       const schedule = getTeacherSchedule(userId);
       const hasAccess = schedule.some(s => s.classId === classId) ||
@@ -832,6 +862,10 @@ const updateStudent = async (req, res) => {
       });
     }
 
+    if (isArchivedClass(classData)) {
+      return res.status(409).json({ success: false, ...classArchivedError(classData) });
+    }
+
     const studentIndex = classData.students.findIndex(s => s.id === studentIdNum);
     if (studentIndex === -1) {
       return res.status(404).json({
@@ -895,4 +929,4 @@ module.exports = {
   searchAllStudents,
   getClassStatistics,
   updateStudent
-};
\ No newline at end of file
+};
@@ -10,6 +10,9 @@ const {
   getAttendanceStatistics,
   getAllSubjects
 } = require('../utils/database');
+const { hasPermission } = require('../middleware/auth');
+const { getRosterStudents } = require('../utils/academicYears');
+const socketService = require('../services/socketService');
 
 /**
  * Generate attendance report
@@ -20,7 +23,6 @@ const generateReport = async (req, res) => {
   try {
     const { classId, startDate, endDate, subjectId, format = 'pdf' } = req.body;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Validation
     const errors = [];
@@ -59,8 +61,8 @@ const generateReport = async (req, res) => {
       });
     }
 
-    // Check permissions for teachers
-    if (userRole === 'teacher') {
+    // Without attendance:view:any, users may only report on classes they teach
+    if (!hasPermission(req.user, 'attendance:view:any')) {
       const { getTeacherSchedule } = require('../utils/database');
       const teacherSchedule = getTeacherSchedule(userId);
       const hasAccess = teacherSchedule.some(schedule =>
@@ -159,19 +161,24 @@ const generateReport = async (req, res) => {
 
       console.log(`📊 Report generated: ${filename} by ${req.user.name}`);
 
+      const report = {
+        filename,
+        downloadUrl: `/api/reports/download/${filename}`,
+        fileSize: pdfBuffer.length,
+        fileSizeFormatted: formatBytes(pdfBuffer.length),
+        recordCount: attendanceRecords.length,
+        dateRange: { startDate, endDate },
+        className: classInfo.name,
+        generatedAt: new Date().toISOString()
+      };
+
+      // Let the requester's other sessions know the report is ready
+      socketService.emitReportCompleted(userId, report);
+
       res.json({
         success: true,
         message: 'Report generated successfully',
-        data: {
-          filename,
-          downloadUrl: `/api/reports/download/${filename}`,
-          fileSize: pdfBuffer.length,
-          fileSizeFormatted: formatBytes(pdfBuffer.length),
-          recordCount: attendanceRecords.length,
-          dateRange: { startDate, endDate },
-          className: classInfo.name,
-          generatedAt: new Date().toISOString()
-        }
+        data: report
       });
 
     } catch (pdfError) {
@@ -399,14 +406,15 @@ const previewReport = async (req, res) => {
       success: true,
       data: {
         className: classInfo.name,
-        studentCount: classInfo.students.filter(s => s.isActive).length,
+        studentCount: getRosterStudents(classInfo).length,
         dateRange: { startDate, endDate },
         recordCount: attendanceRecords.length,
         statistics: {
           totalRecords: statistics.totalRecords,
           attendanceRate: statistics.attendanceRate,
           totalPresent: statistics.totalPresent,
-          totalAbsent: statistics.totalAbsent
+          totalAbsent: statistics.totalAbsent,
+          lateSubmissions: statistics.lateSubmissions
         },
         estimatedFileSize: Math.round(attendanceRecords.length * 50) + ' KB'
       }
@@ -572,7 +580,7 @@ const getTemplates = async (req, res) => {
 
     res.json({
       success: true,
-      data: templates.filter(t => !t.status || t.status !== 'coming-soon' || req.user.role === 'principal')
+      data: templates.filter(t => !t.status || t.status !== 'coming-soon' || hasPermission(req.user, 'reports:manage'))
     });
 
   } catch (error) {
@@ -638,6 +646,12 @@ const generateAttendanceHTML = (reportData) => {
   // Create date columns
   const uniqueDates = [...new Set(attendanceRecords.map(r => r.date))].sort();
 
+  // Periods taken by a substitute are credited to them, noting the absent teacher
+  const substituteCover = attendanceRecords
+    .filter(r => r.substituteFor)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(r => `${formatDate(r.date)} ${findSubjectById(r.subjectId)?.code || ''}: ${findUserById(r.teacherId)?.name} for ${findUserById(r.substituteFor)?.name}`);
+
   return `
     <!DOCTYPE html>
     <html>
@@ -835,7 +849,7 @@ const generateAttendanceHTML = (reportData) => {
                 </div>
                 <div class="info-item">
                     <div class="info-label">Total Students</div>
-                    <div class="info-value">${classInfo.students.filter(s => s.isActive).length}</div>
+                    <div class="info-value">${getRosterStudents(classInfo).length}</div>
                 </div>
                 <div class="info-item">
                     <div class="info-label">Academic Year</div>
@@ -886,7 +900,7 @@ const generateAttendanceHTML = (reportData) => {
                 </tr>
             </thead>
             <tbody>
-                ${classInfo.students.filter(s => s.isActive).map(student => {
+                ${getRosterStudents(classInfo).map(student => {
                   let totalAbsences = 0;
                   let totalClasses = 0;
 
@@ -949,7 +963,8 @@ const generateAttendanceHTML = (reportData) => {
 
         <div class="footer">
             <p>Generated by VirtualRollCall System on ${new Date().toLocaleString()}</p>
-            <p>This report contains ${classInfo.students.filter(s => s.isActive).length} students across ${uniqueDates.length} days with ${attendanceRecords.length} attendance records</p>
+            <p>This report contains ${getRosterStudents(classInfo).length} students across ${uniqueDates.length} days with ${attendanceRecords.length} attendance records (${statistics.lateSubmissions} submitted late)</p>
+            ${substituteCover.length > 0 ? `<p>Taken by substitute teachers: ${substituteCover.join('; ')}</p>` : ''}
             <p style="margin-top: 5px;">© ${new Date().getFullYear()} VirtualRollCall - All Rights Reserved</p>
         </div>
     </body>
@@ -965,4 +980,4 @@ module.exports = {
   previewReport,
   getReportStatistics,
   getTemplates
-};
\ No newline at end of file
+};
@@ -1,8 +1,26 @@
 // backend/middleware/auth.js - Authentication Middleware
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { findUserById, updateUser } = require('../utils/database');
+const { findUserById, updateUser, isTokenRevoked, findRoleByName } = require('../utils/database');
+const { AppError } = require('./errorHandler');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// Production must configure a secret; elsewhere fall back to a per-process
+// random one (tokens then stop working when the server restarts)
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
+  console.warn('⚠️  JWT_SECRET is not set - using a random secret for this process');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const JWT_SECRET = getJwtSecret();
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const TOKEN_ISSUER = 'VirtualRollCall';
+const ACCESS_TOKEN_AUDIENCE = 'VirtualRollCall-Users';
 
 // Generate JWT token
 const generateToken = (user, options = {}) => {
@@ -13,69 +31,95 @@ const generateToken = (user, options = {}) => {
     name: user.name,
     email: user.email,
     subjects: user.subjects || [],
-    iat: Math.floor(Date.now() / 1000)
+    iat: Math.floor(Date.now() / 1000),
+    issuedAtMs: Date.now() // `iat` is in whole seconds, too coarse to compare with sessionsRevokedAt
   };
 
   const defaultOptions = {
-    expiresIn: process.env.JWT_EXPIRES_IN || '8h',
-    issuer: 'VirtualRollCall',
-    audience: 'VirtualRollCall-Users'
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    issuer: TOKEN_ISSUER,
+    audience: ACCESS_TOKEN_AUDIENCE,
+    jwtid: crypto.randomUUID() // Lets a single token be revoked (logout)
   };
 
   return jwt.sign(payload, JWT_SECRET, { ...defaultOptions, ...options });
 };
 
-// Verify JWT token middleware
-const authenticateToken = (req, res, next) => {
+// Verify a JWT and load its user (who must still exist and be active).
+// Throws an AppError carrying the same codes the HTTP middleware responds with.
+const verifyAccessToken = (token) => {
+  if (!token) {
+    throw new AppError('Access token required', 401, 'TOKEN_REQUIRED');
+  }
+
+  let decoded;
+  try {
+    // Other tokens signed with the same secret (e.g. login challenges) have another audience
+    decoded = jwt.verify(token, JWT_SECRET, { issuer: TOKEN_ISSUER, audience: ACCESS_TOKEN_AUDIENCE });
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw new AppError('Token expired', 401, 'TOKEN_EXPIRED');
+    }
+    throw new AppError('Invalid token', 401, 'TOKEN_INVALID');
+  }
+
+  const user = findUserById(decoded.id);
+  if (!user || !user.isActive) {
+    throw new AppError('User not found or inactive', 401, 'USER_INACTIVE');
+  }
+
+  // Logged out, or issued up to the moment the user's sessions were revoked ("log out all devices");
+  // tokens from before issuedAtMs count from the start of their second
+  const issuedAt = decoded.issuedAtMs ?? decoded.iat * 1000;
+  const revokedAt = user.sessionsRevokedAt ? Date.parse(user.sessionsRevokedAt) : null;
+  if ((decoded.jti && isTokenRevoked(decoded.jti)) || (revokedAt !== null && issuedAt <= revokedAt)) {
+    throw new AppError('Token has been revoked', 401, 'TOKEN_REVOKED');
+  }
+
+  return {
+    ...decoded,
+    isActive: user.isActive,
+    lastLogin: user.lastLogin
+  };
+};
+
+// Verify JWT token middleware; staff routes refuse restricted roles (e.g. guardian) unless allowed
+const createAuthenticator = ({ allowRestrictedRoles = false } = {}) => (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
-    if (!token) {
-      return res.status(401).json({
-        error: 'Access token required',
-        code: 'TOKEN_REQUIRED',
-        message: 'Please provide a valid authentication token'
+    // Add user info to request
+    req.user = verifyAccessToken(token);
+
+    const role = findRoleByName(req.user.role);
+    if (!allowRestrictedRoles && (!role || role.isRestricted)) {
+      return res.status(403).json({
+        error: 'This account cannot access this resource',
+        code: 'ROLE_NOT_ALLOWED',
+        userRole: req.user.role
       });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-      if (err) {
-        let errorResponse = {
-          error: 'Invalid token',
-          code: 'TOKEN_INVALID'
-        };
-
-        if (err.name === 'TokenExpiredError') {
-          errorResponse = {
-            error: 'Token expired',
-            code: 'TOKEN_EXPIRED',
-            message: 'Your session has expired. Please login again.'
-          };
-        }
-
-        return res.status(401).json(errorResponse);
-      }
+    next();
+  } catch (error) {
+    if (error instanceof AppError) {
+      const errorResponse = {
+        error: error.message,
+        code: error.code
+      };
 
-      // Verify user still exists and is active
-      const user = findUserById(decoded.id);
-      if (!user || !user.isActive) {
-        return res.status(401).json({
-          error: 'User not found or inactive',
-          code: 'USER_INACTIVE'
-        });
+      if (error.code === 'TOKEN_REQUIRED') {
+        errorResponse.message = 'Please provide a valid authentication token';
+      } else if (error.code === 'TOKEN_EXPIRED') {
+        errorResponse.message = 'Your session has expired. Please login again.';
+      } else if (error.code === 'TOKEN_REVOKED') {
+        errorResponse.message = 'Your session has ended. Please login again.';
       }
 
-      // Add user info to request
-      req.user = {
-        ...decoded,
-        isActive: user.isActive,
-        lastLogin: user.lastLogin
-      };
+      return res.status(error.statusCode).json(errorResponse);
+    }
 
-      next();
-    });
-  } catch (error) {
     console.error('Authentication error:', error);
     return res.status(500).json({
       error: 'Authentication service error',
@@ -84,12 +128,19 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
-const requireRole = (allowedRoles) => {
-  if (!Array.isArray(allowedRoles)) {
-    allowedRoles = [allowedRoles];
-  }
+// Staff tokens only
+const authenticateToken = createAuthenticator();
+
+// Any active account, including guardians (own account and guardian endpoints)
+const authenticateUser = createAuthenticator({ allowRestrictedRoles: true });
+
+// Permissions granted by the user's role (read fresh, so grant changes apply immediately)
+const getUserPermissions = (user) => findRoleByName(user?.role)?.permissions || [];
 
+const hasPermission = (user, permission) => getUserPermissions(user).includes(permission);
+
+// Permission-based authorization middleware: the user needs at least one of the permissions
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -98,12 +149,12 @@ const requireRole = (allowedRoles) => {
       });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
       return res.status(403).json({
         error: 'Insufficient permissions',
         code: 'INSUFFICIENT_PERMISSIONS',
         userRole: req.user.role,
-        requiredRoles: allowedRoles
+        requiredPermissions: permissions
       });
     }
 
@@ -111,12 +162,6 @@ const requireRole = (allowedRoles) => {
   };
 };
 
-// Principal-only middleware
-const requirePrincipal = requireRole(['principal']);
-
-// Teacher or Principal middleware
-const requireTeacherOrPrincipal = requireRole(['teacher', 'principal']);
-
 // Rate limiting for authentication attempts
 const createAuthRateLimit = (windowMs = 15 * 60 * 1000, maxAttempts = 5) => {
   const attempts = new Map();
@@ -170,11 +215,15 @@ const updateLastActivity = async (req, res, next) => {
 
 module.exports = {
   generateToken,
+  verifyAccessToken,
   authenticateToken,
-  requireRole,
-  requirePrincipal,
-  requireTeacherOrPrincipal,
+  authenticateUser,
+  getUserPermissions,
+  hasPermission,
+  requirePermission,
   createAuthRateLimit,
   updateLastActivity,
-  JWT_SECRET
-};
\ No newline at end of file
+  JWT_SECRET,
+  TOKEN_ISSUER,
+  ACCESS_TOKEN_EXPIRES_IN
+};
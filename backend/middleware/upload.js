@@ -0,0 +1,26 @@
+// backend/middleware/upload.js - File Upload Middleware
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+const { getFileType } = require('../utils/importFile');
+
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+
+/**
+ * One CSV or XLSX file in the "file" field, kept in memory (req.file.buffer).
+ * Size and field errors are answered by uploadErrorHandler.
+ */
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!getFileType(file)) {
+      return cb(new AppError('Only CSV and XLSX files can be imported', 400, 'UNSUPPORTED_FILE_TYPE'));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+module.exports = {
+  importUpload,
+  MAX_IMPORT_FILE_SIZE
+};
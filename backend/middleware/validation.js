@@ -1,5 +1,7 @@
 // backend/middleware/validation.js - Validation Middleware
 const { body, param, query, validationResult } = require('express-validator');
+const Attendance = require('../models/Attendance');
+const { findRoleByName } = require('../utils/database');
 
 /**
  * Handle validation errors
@@ -82,9 +84,20 @@ const customValidators = {
     return value.every(item => Number.isInteger(parseInt(item)));
   },
 
-  // Valid role
+  // Per-student status map ({ [studentId]: status } or { [studentId]: { status, reason } })
+  isValidStatusMap: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    return Object.entries(value).every(([studentId, entry]) => {
+      const { status, reason } = typeof entry === 'string' ? { status: entry } : (entry || {});
+      return Number.isInteger(parseInt(studentId)) &&
+        Attendance.STATUSES.includes(status) &&
+        (!reason || Attendance.REASON_CODES.includes(reason));
+    });
+  },
+
+  // Valid role (roles are defined in the database)
   isValidRole: (value) => {
-    return ['principal', 'teacher'].includes(value.toLowerCase());
+    return typeof value === 'string' && Boolean(findRoleByName(value));
   },
 
   // Valid grade (1-12)
@@ -155,7 +168,7 @@ const validateRegistration = [
   
   body('role')
     .custom(customValidators.isValidRole)
-    .withMessage('Role must be either principal or teacher'),
+    .withMessage('Role must be an existing role'),
   
   body('subjects')
     .optional()
@@ -164,6 +177,13 @@ const validateRegistration = [
     .custom(customValidators.isIntegerArray)
     .withMessage('Subject IDs must be integers'),
   
+  body('studentIds')
+    .if(body('role').isIn(['guardian', 'student']))
+    .isArray({ min: 1 })
+    .withMessage('Guardian and student accounts must be linked to a student')
+    .custom(customValidators.isIntegerArray)
+    .withMessage('Student IDs must be integers'),
+  
   handleValidationErrors
 ];
 
@@ -210,6 +230,22 @@ const validatePasswordChange = [
   handleValidationErrors
 ];
 
+const validatePasswordReset = [
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .custom(customValidators.isStrongPassword)
+    .withMessage('Password must contain uppercase, lowercase, number, and special character'),
+  
+  body('confirmPassword')
+    .notEmpty()
+    .withMessage('Password confirmation is required')
+    .custom((value, { req }) => value === req.body.password)
+    .withMessage('Passwords do not match'),
+  
+  handleValidationErrors
+];
+
 /**
  * Class Validations
  */
@@ -328,6 +364,11 @@ const validateAttendance = [
     .custom(customValidators.isIntegerArray)
     .withMessage('Student IDs must be integers'),
   
+  body('studentStatuses')
+    .optional()
+    .custom(customValidators.isValidStatusMap)
+    .withMessage(`Student statuses must map student IDs to one of: ${Attendance.STATUSES.join(', ')}`),
+  
   body('notes')
     .optional()
     .trim()
@@ -411,6 +452,11 @@ const validateBulkAttendance = [
     .isArray()
     .withMessage('Absent students must be an array'),
   
+  body('attendanceRecords.*.studentStatuses')
+    .optional()
+    .custom(customValidators.isValidStatusMap)
+    .withMessage(`Student statuses must map student IDs to one of: ${Attendance.STATUSES.join(', ')}`),
+  
   handleValidationErrors
 ];
 
@@ -453,28 +499,47 @@ const validateSubjectId = [
 const validateSchedule = [
   body('teacherId')
     .isInt()
-    .withMessage('Teacher ID must be a valid integer'),
+    .withMessage('Teacher ID must be a valid integer')
+    .toInt(),
   
   body('classId')
     .isInt()
-    .withMessage('Class ID must be a valid integer'),
+    .withMessage('Class ID must be a valid integer')
+    .toInt(),
   
   body('subjectId')
     .isInt()
-    .withMessage('Subject ID must be a valid integer'),
+    .withMessage('Subject ID must be a valid integer')
+    .toInt(),
   
+  // Entries on a day of a rotating cycle have a cycleDay instead (see utils/timetableCycle.js)
   body('dayOfWeek')
+    .optional({ nullable: true })
     .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
     .withMessage('Invalid day of week'),
   
+  body('cycleWeek')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Cycle week must be a positive integer')
+    .toInt(),
+  
+  body('cycleDay')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Cycle day must be a positive integer')
+    .toInt(),
+  
   body('startTime')
     .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
     .withMessage('Invalid time format (use HH:MM)'),
   
+  // Periods need an end so overlapping entries can be detected
   body('endTime')
-    .optional()
     .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
-    .withMessage('Invalid time format (use HH:MM)'),
+    .withMessage('Invalid time format (use HH:MM)')
+    .custom((endTime, { req }) => endTime > req.body.startTime)
+    .withMessage('End time must be after start time'),
   
   body('room')
     .optional()
@@ -636,6 +701,26 @@ const createValidator = (schema) => {
   ];
 };
 
+// Run a validation chain list on plain data (e.g. an imported row) instead of a request.
+// Resolves with the sanitized data and [{ field, message }] errors.
+const validateData = async (validations, data) => {
+  const req = { body: { ...data } };
+  
+  for (const validation of validations) {
+    if (typeof validation.run === 'function') {
+      await validation.run(req);
+    }
+  }
+  
+  return {
+    data: req.body,
+    errors: validationResult(req).array().map(error => ({
+      field: error.path || error.param,
+      message: error.msg
+    }))
+  };
+};
+
 module.exports = {
   // Validation middleware
   handleValidationErrors,
@@ -645,6 +730,7 @@ module.exports = {
   validateRegistration,
   validateProfileUpdate,
   validatePasswordChange,
+  validatePasswordReset,
   
   // Class validations
   validateClass,
@@ -680,5 +766,6 @@ module.exports = {
   // Utilities
   customValidators,
   sanitizeInput,
-  createValidator
-};
\ No newline at end of file
+  createValidator,
+  validateData
+};
@@ -0,0 +1,12 @@
+// backend/migrations/001_initial_schema.js - Base tables from the model schemas
+module.exports = {
+  up(db, { createTable }) {
+    const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+    TABLE_SCHEMAS.forEach(schema => createTable(schema));
+  },
+
+  down(db, { dropTable }) {
+    const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+    [...TABLE_SCHEMAS].reverse().forEach(schema => dropTable(schema.tableName));
+  }
+};
@@ -0,0 +1,25 @@
+// backend/migrations/002_student_statuses.js - Per-student attendance statuses
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn('attendance', 'student_statuses', 'TEXT');
+
+    // Backfill existing records from their present/absent lists
+    const rows = db.prepare('SELECT id, present_students, absent_students FROM attendance WHERE student_statuses IS NULL').all();
+    const update = db.prepare('UPDATE attendance SET student_statuses = ? WHERE id = ?');
+
+    for (const row of rows) {
+      const statuses = {};
+      JSON.parse(row.present_students || '[]').forEach(id => {
+        statuses[id] = { status: 'present' };
+      });
+      JSON.parse(row.absent_students || '[]').forEach(id => {
+        statuses[id] = { status: 'absent' };
+      });
+      update.run(JSON.stringify(statuses), row.id);
+    }
+  },
+
+  down(db, { dropColumn }) {
+    dropColumn('attendance', 'student_statuses');
+  }
+};
@@ -0,0 +1,15 @@
+// backend/migrations/003_audit_log.js - Hash-chained audit log table
+const getAuditLogSchema = () => {
+  const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+  return TABLE_SCHEMAS.find(schema => schema.tableName === 'audit_log');
+};
+
+module.exports = {
+  up(db, { createTable }) {
+    createTable(getAuditLogSchema());
+  },
+
+  down(db, { dropTable }) {
+    dropTable('audit_log');
+  }
+};
@@ -0,0 +1,15 @@
+// backend/migrations/004_correction_requests.js - Correction requests for locked attendance
+const getCorrectionRequestSchema = () => {
+  const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+  return TABLE_SCHEMAS.find(schema => schema.tableName === 'correction_requests');
+};
+
+module.exports = {
+  up(db, { createTable }) {
+    createTable(getCorrectionRequestSchema());
+  },
+
+  down(db, { dropTable }) {
+    dropTable('correction_requests');
+  }
+};
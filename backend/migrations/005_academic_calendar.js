@@ -0,0 +1,15 @@
+// backend/migrations/005_academic_calendar.js - Academic calendar events
+const getCalendarEventSchema = () => {
+  const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+  return TABLE_SCHEMAS.find(schema => schema.tableName === 'calendar_events');
+};
+
+module.exports = {
+  up(db, { createTable }) {
+    createTable(getCalendarEventSchema());
+  },
+
+  down(db, { dropTable }) {
+    dropTable('calendar_events');
+  }
+};
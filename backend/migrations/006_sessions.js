@@ -0,0 +1,19 @@
+// backend/migrations/006_sessions.js - Refresh tokens and access token revocation
+const getSchema = (tableName) => {
+  const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+  return TABLE_SCHEMAS.find(schema => schema.tableName === tableName);
+};
+
+module.exports = {
+  up(db, { createTable, addColumn }) {
+    addColumn('users', 'sessions_revoked_at', 'DATETIME');
+    createTable(getSchema('refresh_tokens'));
+    createTable(getSchema('revoked_tokens'));
+  },
+
+  down(db, { dropTable, dropColumn }) {
+    dropTable('revoked_tokens');
+    dropTable('refresh_tokens');
+    dropColumn('users', 'sessions_revoked_at');
+  }
+};
@@ -0,0 +1,10 @@
+// backend/migrations/007_guardians.js - Guardian accounts linked to students
+module.exports = {
+  up(db, { addColumn }) {
+    addColumn('users', 'student_ids', 'TEXT');
+  },
+
+  down(db, { dropColumn }) {
+    dropColumn('users', 'student_ids');
+  }
+};
@@ -0,0 +1,16 @@
+// backend/migrations/008_roles.js - Roles with configurable permissions
+const getRoleSchema = () => {
+  const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+  return TABLE_SCHEMAS.find(schema => schema.tableName === 'roles');
+};
+
+// Built-in roles are added by initializeDatabase() once the table exists
+module.exports = {
+  up(db, { createTable }) {
+    createTable(getRoleSchema());
+  },
+
+  down(db, { dropTable }) {
+    dropTable('roles');
+  }
+};
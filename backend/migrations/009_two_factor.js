@@ -0,0 +1,25 @@
+// backend/migrations/009_two_factor.js - TOTP two-factor login
+const TWO_FACTOR_COLUMNS = {
+  two_factor_enabled: 'BOOLEAN DEFAULT 0',
+  two_factor_secret: 'VARCHAR(64)',
+  two_factor_pending_secret: 'VARCHAR(64)',
+  two_factor_recovery_codes: 'TEXT',
+  two_factor_last_step: 'INTEGER',
+  two_factor_failed_attempts: 'INTEGER DEFAULT 0',
+  two_factor_locked_until: 'DATETIME',
+  two_factor_enabled_at: 'DATETIME'
+};
+
+module.exports = {
+  up(db, { addColumn }) {
+    for (const [column, definition] of Object.entries(TWO_FACTOR_COLUMNS)) {
+      addColumn('users', column, definition);
+    }
+  },
+
+  down(db, { dropColumn }) {
+    for (const column of Object.keys(TWO_FACTOR_COLUMNS)) {
+      dropColumn('users', column);
+    }
+  }
+};
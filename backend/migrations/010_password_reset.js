@@ -0,0 +1,20 @@
+// backend/migrations/010_password_reset.js - Forgot password / reset password tokens
+const PASSWORD_RESET_COLUMNS = {
+  password_reset_token_hash: 'VARCHAR(64)',
+  password_reset_expires_at: 'DATETIME',
+  password_reset_requests: 'TEXT'
+};
+
+module.exports = {
+  up(db, { addColumn }) {
+    for (const [column, definition] of Object.entries(PASSWORD_RESET_COLUMNS)) {
+      addColumn('users', column, definition);
+    }
+  },
+
+  down(db, { dropColumn }) {
+    for (const column of Object.keys(PASSWORD_RESET_COLUMNS)) {
+      dropColumn('users', column);
+    }
+  }
+};
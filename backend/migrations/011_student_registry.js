@@ -0,0 +1,76 @@
+// backend/migrations/011_student_registry.js - Student registry and class enrollments
+const { buildRoster, fromEmbeddedStudents } = require('../utils/enrollments');
+
+const getSchema = (tableName) => {
+  const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+  return TABLE_SCHEMAS.find(schema => schema.tableName === tableName);
+};
+
+// Students embedded in classes.students move to the registry with their IDs,
+// so attendance records and guardian links keep pointing at them
+module.exports = {
+  up(db, { createTable, hasColumn, dropColumn }) {
+    createTable(getSchema('students'));
+    createTable(getSchema('enrollments'));
+
+    if (!hasColumn('classes', 'students')) return;
+
+    const classes = db.prepare('SELECT id, students, created_at, updated_at FROM classes').all()
+      .map(row => ({
+        id: row.id,
+        students: JSON.parse(row.students || '[]'),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }));
+    const { students, enrollments } = fromEmbeddedStudents(classes);
+
+    const insertStudent = db.prepare(`INSERT INTO students
+      (id, student_id, name, email, date_of_birth, parent_contact, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+    const insertEnrollment = db.prepare(`INSERT INTO enrollments
+      (student_id, class_id, start_date, end_date, reason, end_reason, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+
+    for (const student of students) {
+      insertStudent.run(student.id, student.studentId, student.name, student.email ?? null,
+        student.dateOfBirth ?? null, student.parentContact ?? null, student.createdAt, student.updatedAt);
+    }
+    for (const enrollment of enrollments) {
+      insertEnrollment.run(enrollment.studentId, enrollment.classId, enrollment.startDate, enrollment.endDate,
+        enrollment.reason, enrollment.endReason, enrollment.createdAt, enrollment.updatedAt);
+    }
+
+    dropColumn('classes', 'students');
+  },
+
+  down(db, { addColumn, dropTable }) {
+    addColumn('classes', 'students', "TEXT NOT NULL DEFAULT '[]'");
+
+    // Put each class's roster back into classes.students
+    const students = new Map(db.prepare('SELECT * FROM students').all().map(row => [row.id, {
+      id: row.id,
+      studentId: row.student_id,
+      name: row.name,
+      email: row.email ?? undefined,
+      dateOfBirth: row.date_of_birth ?? undefined,
+      parentContact: row.parent_contact ?? undefined
+    }]));
+    const enrollments = db.prepare('SELECT id, student_id, class_id, start_date, end_date FROM enrollments').all()
+      .map(row => ({
+        id: row.id,
+        studentId: row.student_id,
+        classId: row.class_id,
+        startDate: row.start_date,
+        endDate: row.end_date
+      }));
+    const update = db.prepare('UPDATE classes SET students = ? WHERE id = ?');
+
+    for (const { id } of db.prepare('SELECT id FROM classes').all()) {
+      const roster = buildRoster(id, enrollments, studentId => students.get(studentId));
+      update.run(JSON.stringify(roster), id);
+    }
+
+    dropTable('enrollments');
+    dropTable('students');
+  }
+};
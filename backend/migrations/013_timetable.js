@@ -0,0 +1,45 @@
+// backend/migrations/013_timetable.js - Timetable permissions and subject teachers
+const GRANTS = {
+  principal: ['schedule:view', 'schedule:manage'],
+  teacher: ['schedule:view']
+};
+
+const updateRolePermissions = (db, name, update) => {
+  const role = db.prepare('SELECT id, permissions FROM roles WHERE name = ?').get(name);
+  if (!role) return;
+
+  const permissions = update(JSON.parse(role.permissions));
+  db.prepare('UPDATE roles SET permissions = ?, updated_at = ? WHERE id = ?')
+    .run(JSON.stringify(permissions), new Date().toISOString(), role.id);
+};
+
+module.exports = {
+  up(db) {
+    Object.entries(GRANTS).forEach(([name, grants]) => {
+      updateRolePermissions(db, name, permissions => [
+        ...permissions,
+        ...grants.filter(permission => !permissions.includes(permission))
+      ]);
+    });
+
+    // Timetable entries are checked against the subject's teachers; fill
+    // empty lists from the subjects each teacher is assigned
+    const teachers = db.prepare("SELECT id, subjects FROM users WHERE role = 'teacher'").all()
+      .map(user => ({ id: user.id, subjects: JSON.parse(user.subjects || '[]') }));
+    const subjects = db.prepare('SELECT id, teachers FROM subjects').all();
+    const update = db.prepare('UPDATE subjects SET teachers = ? WHERE id = ?');
+
+    subjects
+      .filter(subject => JSON.parse(subject.teachers || '[]').length === 0)
+      .forEach(subject => {
+        const teacherIds = teachers.filter(user => user.subjects.includes(subject.id)).map(user => user.id);
+        update.run(JSON.stringify(teacherIds), subject.id);
+      });
+  },
+
+  down(db) {
+    Object.entries(GRANTS).forEach(([name, grants]) => {
+      updateRolePermissions(db, name, permissions => permissions.filter(permission => !grants.includes(permission)));
+    });
+  }
+};
@@ -0,0 +1,36 @@
+// backend/migrations/014_substitutions.js - Substitute teachers and attendance taken under a substitution
+const PERMISSION = 'substitutions:manage';
+
+const getSubstitutionSchema = () => {
+  const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+  return TABLE_SCHEMAS.find(schema => schema.tableName === 'substitutions');
+};
+
+const updatePrincipalPermissions = (db, update) => {
+  const role = db.prepare("SELECT id, permissions FROM roles WHERE name = 'principal'").get();
+  if (!role) return;
+
+  const permissions = update(JSON.parse(role.permissions));
+  db.prepare('UPDATE roles SET permissions = ?, updated_at = ? WHERE id = ?')
+    .run(JSON.stringify(permissions), new Date().toISOString(), role.id);
+};
+
+module.exports = {
+  up(db, { createTable, addColumn }) {
+    createTable(getSubstitutionSchema());
+    addColumn('attendance', 'substitution_id', 'INTEGER');
+    addColumn('attendance', 'substitute_for', 'INTEGER');
+
+    updatePrincipalPermissions(db, permissions => (
+      permissions.includes(PERMISSION) ? permissions : [...permissions, PERMISSION]
+    ));
+  },
+
+  down(db, { dropTable, dropColumn }) {
+    updatePrincipalPermissions(db, permissions => permissions.filter(permission => permission !== PERMISSION));
+
+    dropColumn('attendance', 'substitute_for');
+    dropColumn('attendance', 'substitution_id');
+    dropTable('substitutions');
+  }
+};
@@ -0,0 +1,51 @@
+// backend/migrations/015_timetable_cycles.js - Rotating timetable cycles (A/B weeks, day-N schedules)
+const getScheduleSchema = () => {
+  const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+  return TABLE_SCHEMAS.find(schema => schema.tableName === 'schedules');
+};
+
+const getColumns = (db, tableName) => db.prepare(`PRAGMA table_info(${tableName})`).all();
+
+// SQLite cannot change a column's constraints, so the table is copied into a new one
+const rebuildSchedules = (db, schema, { createTable, createIndexes }) => {
+  const columns = getColumns(db, 'schedules')
+    .map(info => info.name)
+    .filter(column => schema.columns[column]);
+
+  db.exec('ALTER TABLE schedules RENAME TO schedules_previous');
+  createTable(schema);
+  db.exec(`INSERT INTO schedules (${columns.join(', ')}) SELECT ${columns.join(', ')} FROM schedules_previous`);
+  db.exec('DROP TABLE schedules_previous');
+
+  // The indexes went with the old table
+  createIndexes(schema.indexes);
+};
+
+module.exports = {
+  up(db, helpers) {
+    // Entries on a cycle day have no weekday
+    const dayColumn = getColumns(db, 'schedules').find(info => info.name === 'day_of_week');
+    if (dayColumn && dayColumn.notnull) {
+      rebuildSchedules(db, getScheduleSchema(), helpers);
+    }
+
+    helpers.addColumn('schedules', 'cycle_week', 'INTEGER');
+    helpers.addColumn('schedules', 'cycle_day', 'INTEGER');
+  },
+
+  down(db, helpers) {
+    // Cycle-day entries cannot be kept without a weekday
+    db.prepare('DELETE FROM schedules WHERE day_of_week IS NULL').run();
+    db.prepare("DELETE FROM settings WHERE key = 'timetableCycle'").run();
+
+    // Rebuilt without the cycle columns and with a required weekday again
+    const schema = getScheduleSchema();
+    const columns = Object.fromEntries(
+      Object.entries(schema.columns).filter(([column]) => !['cycle_week', 'cycle_day'].includes(column))
+    );
+    rebuildSchedules(db, {
+      ...schema,
+      columns: { ...columns, day_of_week: 'VARCHAR(10) NOT NULL' }
+    }, helpers);
+  }
+};
@@ -0,0 +1,19 @@
+// backend/migrations/016_calendar_feeds.js - Timetable feed tokens for calendar subscriptions
+const CALENDAR_FEED_COLUMNS = {
+  calendar_feed_token_hash: 'VARCHAR(64)',
+  calendar_feed_created_at: 'DATETIME'
+};
+
+module.exports = {
+  up(db, { addColumn }) {
+    for (const [column, definition] of Object.entries(CALENDAR_FEED_COLUMNS)) {
+      addColumn('users', column, definition);
+    }
+  },
+
+  down(db, { dropColumn }) {
+    for (const column of Object.keys(CALENDAR_FEED_COLUMNS)) {
+      dropColumn('users', column);
+    }
+  }
+};
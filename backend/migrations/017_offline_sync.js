@@ -0,0 +1,17 @@
+// backend/migrations/017_offline_sync.js - Attendance record versions and applied offline changes
+const getSyncMutationSchema = () => {
+  const { TABLE_SCHEMAS } = require('../utils/sqliteDatabase');
+  return TABLE_SCHEMAS.find(schema => schema.tableName === 'sync_mutations');
+};
+
+module.exports = {
+  up(db, { createTable, addColumn }) {
+    addColumn('attendance', 'version', 'INTEGER NOT NULL DEFAULT 1');
+    createTable(getSyncMutationSchema());
+  },
+
+  down(db, { dropTable, dropColumn }) {
+    dropTable('sync_mutations');
+    dropColumn('attendance', 'version');
+  }
+};
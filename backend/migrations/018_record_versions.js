@@ -0,0 +1,16 @@
+// backend/migrations/018_record_versions.js - Record versions of classes, subjects and users (ETag / If-Match)
+const VERSIONED_TABLES = ['classes', 'subjects', 'users'];
+
+module.exports = {
+  up(db, { addColumn }) {
+    for (const table of VERSIONED_TABLES) {
+      addColumn(table, 'version', 'INTEGER NOT NULL DEFAULT 1');
+    }
+  },
+
+  down(db, { dropColumn }) {
+    for (const table of VERSIONED_TABLES) {
+      dropColumn(table, 'version');
+    }
+  }
+};
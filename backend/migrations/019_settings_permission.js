@@ -0,0 +1,25 @@
+// backend/migrations/019_settings_permission.js - Permission to change the attendance settings
+const PERMISSION = 'settings:manage';
+
+const updatePrincipalPermissions = (db, update) => {
+  const role = db.prepare("SELECT id, permissions FROM roles WHERE name = 'principal'").get();
+  if (!role) return;
+
+  const permissions = update(JSON.parse(role.permissions));
+  db.prepare('UPDATE roles SET permissions = ?, updated_at = ? WHERE id = ?')
+    .run(JSON.stringify(permissions), new Date().toISOString(), role.id);
+};
+
+// Built-in roles are only created with a new database, so existing principals
+// get the new permission here (other roles can be granted it in /api/roles)
+module.exports = {
+  up(db) {
+    updatePrincipalPermissions(db, permissions => (
+      permissions.includes(PERMISSION) ? permissions : [...permissions, PERMISSION]
+    ));
+  },
+
+  down(db) {
+    updatePrincipalPermissions(db, permissions => permissions.filter(permission => permission !== PERMISSION));
+  }
+};
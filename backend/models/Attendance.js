@@ -16,10 +16,13 @@ class Attendance {
     this.date = data.date; // Date in YYYY-MM-DD format
     this.absentStudents = data.absentStudents || []; // Array of student IDs who were absent
     this.presentStudents = data.presentStudents || []; // Array of student IDs who were present
+    this.studentStatuses = data.studentStatuses || {}; // { [studentId]: { status, reason } }
     this.totalStudents = data.totalStudents || 0; // Total number of students in class
     this.notes = data.notes || ''; // Optional notes/remarks
     this.submittedAt = data.submittedAt || new Date().toISOString(); // Timestamp when submitted
     this.submittedBy = data.submittedBy || data.teacherId; // User ID who submitted
+    this.substitutionId = data.substitutionId || null; // Substitution the record was taken under
+    this.substituteFor = data.substituteFor || null; // Absent teacher the substitute covered
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
     
@@ -75,6 +78,15 @@ class Attendance {
       errors.push('Students cannot be both present and absent');
     }
 
+    // Per-student status validation
+    Object.entries(this.studentStatuses).forEach(([studentId, entry]) => {
+      if (!Attendance.STATUSES.includes(entry?.status)) {
+        errors.push(`Invalid status for student ${studentId}`);
+      } else if (entry.reason && !Attendance.REASON_CODES.includes(entry.reason)) {
+        errors.push(`Invalid reason code for student ${studentId}`);
+      }
+    });
+
     // Notes length validation
     if (this.notes && this.notes.length > 1000) {
       errors.push('Notes must be less than 1000 characters');
@@ -165,6 +177,17 @@ class Attendance {
     return this.presentStudents.includes(parseInt(studentId));
   }
 
+  /**
+   * Get a student's status (present, absent, late, excused, on-duty)
+   */
+  getStudentStatus(studentId) {
+    const id = parseInt(studentId);
+    if (this.studentStatuses[id]) return this.studentStatuses[id].status;
+    if (this.absentStudents.includes(id)) return 'absent';
+    if (this.presentStudents.includes(id)) return 'present';
+    return null;
+  }
+
   /**
    * Add note or update existing note
    */
@@ -249,11 +272,14 @@ class Attendance {
       date: this.date,
       absentStudents: this.absentStudents,
       presentStudents: this.presentStudents,
+      studentStatuses: this.studentStatuses,
       totalStudents: this.totalStudents,
       statistics: stats,
       notes: this.notes,
       submittedAt: this.submittedAt,
       submittedBy: this.submittedBy,
+      substitutionId: this.substitutionId,
+      substituteFor: this.substituteFor,
       isLateSubmission: this.isLateSubmission,
       status: this.status,
       createdAt: this.createdAt,
@@ -295,10 +321,15 @@ class Attendance {
       presentStudents: typeof row.present_students === 'string' 
         ? JSON.parse(row.present_students) 
         : row.presentStudents || [],
+      studentStatuses: typeof row.student_statuses === 'string' 
+        ? JSON.parse(row.student_statuses) 
+        : row.studentStatuses || {},
       totalStudents: row.total_students || row.totalStudents || 0,
       notes: row.notes || '',
       submittedAt: row.submitted_at || row.submittedAt,
       submittedBy: row.submitted_by || row.submittedBy,
+      substitutionId: row.substitution_id || row.substitutionId,
+      substituteFor: row.substitute_for || row.substituteFor,
       isLateSubmission: row.is_late_submission || row.isLateSubmission || false,
       editHistory: typeof row.edit_history === 'string' 
         ? JSON.parse(row.edit_history) 
@@ -321,10 +352,13 @@ class Attendance {
       date: this.date,
       absent_students: JSON.stringify(this.absentStudents),
       present_students: JSON.stringify(this.presentStudents),
+      student_statuses: JSON.stringify(this.studentStatuses),
       total_students: this.totalStudents,
       notes: this.notes,
       submitted_at: this.submittedAt,
       submitted_by: this.submittedBy,
+      substitution_id: this.substitutionId,
+      substitute_for: this.substituteFor,
       is_late_submission: this.isLateSubmission,
       edit_history: JSON.stringify(this.editHistory),
       status: this.status,
@@ -380,6 +414,14 @@ class Attendance {
       this.presentStudents = updateData.presentStudents;
     }
     
+    if (updateData.studentStatuses !== undefined) {
+      changes.studentStatuses = {
+        old: { ...this.studentStatuses },
+        new: updateData.studentStatuses
+      };
+      this.studentStatuses = updateData.studentStatuses;
+    }
+    
     if (updateData.notes !== undefined) {
       changes.notes = {
         old: this.notes,
@@ -407,6 +449,12 @@ class Attendance {
   }
 }
 
+/**
+ * Per-student statuses and the reason codes that may accompany them
+ */
+Attendance.STATUSES = ['present', 'absent', 'late', 'excused', 'on-duty'];
+Attendance.REASON_CODES = ['medical', 'family', 'school-activity', 'transport', 'religious', 'other'];
+
 /**
  * Static factory methods
  */
@@ -446,12 +494,16 @@ Attendance.getSchema = function() {
       date: 'DATE NOT NULL',
       absent_students: 'TEXT NOT NULL', // JSON array
       present_students: 'TEXT NOT NULL', // JSON array
+      student_statuses: 'TEXT', // JSON object { [studentId]: { status, reason } }
       total_students: 'INTEGER NOT NULL DEFAULT 0',
       notes: 'TEXT',
       submitted_at: 'DATETIME NOT NULL',
       submitted_by: 'INTEGER NOT NULL',
+      substitution_id: 'INTEGER',
+      substitute_for: 'INTEGER',
       is_late_submission: 'BOOLEAN DEFAULT 0',
       edit_history: 'TEXT', // JSON array
+      version: 'INTEGER NOT NULL DEFAULT 1', // Incremented by every change (offline sync and If-Match detect conflicts with it)
       status: 'VARCHAR(20) DEFAULT "active"',
       created_at: 'DATETIME NOT NULL',
       updated_at: 'DATETIME NOT NULL',
@@ -512,6 +564,12 @@ Attendance.getValidationRules = function() {
       default: [],
       itemType: 'integer'
     },
+    studentStatuses: {
+      type: 'object',
+      required: false,
+      default: {},
+      values: Attendance.STATUSES
+    },
     notes: {
       type: 'string',
       required: false,
@@ -521,4 +579,4 @@ Attendance.getValidationRules = function() {
 };
 
 // Export the model
-module.exports = Attendance;
\ No newline at end of file
+module.exports = Attendance;
@@ -599,11 +599,11 @@ Class.getSchema = function() {
       class_teacher: 'INTEGER',
       academic_year: 'VARCHAR(10) NOT NULL',
       max_students: 'INTEGER DEFAULT 35',
-      students: 'TEXT NOT NULL', // JSON array
       subjects: 'TEXT', // JSON array
       room: 'VARCHAR(50)',
       schedule: 'TEXT', // JSON object
       is_active: 'BOOLEAN DEFAULT 1',
+      version: 'INTEGER NOT NULL DEFAULT 1', // Incremented by every change (ETag / If-Match)
       metadata: 'TEXT', // JSON object
       created_at: 'DATETIME NOT NULL',
       updated_at: 'DATETIME NOT NULL',
@@ -655,4 +655,4 @@ Class.getValidationRules = function() {
 };
 
 // Export the model
-module.exports = Class;
\ No newline at end of file
+module.exports = Class;
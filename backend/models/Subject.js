@@ -557,6 +557,7 @@ Subject.getSchema = function() {
       syllabus: 'TEXT',
       resources: 'TEXT', // JSON array
       is_active: 'BOOLEAN DEFAULT 1',
+      version: 'INTEGER NOT NULL DEFAULT 1', // Incremented by every change (ETag / If-Match)
       is_practical: 'BOOLEAN DEFAULT 0',
       practical_hours: 'INTEGER DEFAULT 0',
       theory_hours: 'INTEGER DEFAULT 0',
@@ -659,4 +660,4 @@ Subject.getDepartments = function() {
 };
 
 // Export the model
-module.exports = Subject;
\ No newline at end of file
+module.exports = Subject;
@@ -26,8 +26,8 @@ const userSchema = new mongoose.Schema({
   role: {
     type: String,
     enum: {
-      values: ['principal', 'teacher', 'student'],
-      message: 'Role must be either principal, teacher, or student'
+      values: ['principal', 'teacher', 'student', 'guardian'],
+      message: 'Role must be either principal, teacher, student, or guardian'
     },
     required: [true, 'Role is required']
   },
@@ -287,4 +287,4 @@ userSchema.statics.isEmailTaken = async function(email, excludeUserId = null) {
 
 const User = mongoose.model('User', userSchema);
 
-module.exports = User;
\ No newline at end of file
+module.exports = User;
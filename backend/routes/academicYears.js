@@ -0,0 +1,186 @@
+// backend/routes/academicYears.js - Academic Years, Archives and Year-End Rollover
+const express = require('express');
+const {
+  getSettings,
+  getAcademicYears,
+  getAllClasses,
+  getAttendanceStatistics
+} = require('../utils/database');
+const { isValidAcademicYear, isArchivedClass, getRosterStudents } = require('../utils/academicYears');
+const { hasPermission, requirePermission } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const rolloverService = require('../services/rolloverService');
+
+const router = express.Router();
+
+// Without classes:view:any, users only see classes they teach
+const filterOwnClasses = (user, classes) => {
+  if (hasPermission(user, 'classes:view:any')) return classes;
+
+  return classes.filter(cls =>
+    cls.classTeacher === user.id ||
+    user.subjects?.some(subjectId => cls.subjects?.includes(subjectId))
+  );
+};
+
+// Year entry for listings: 'current' (open for changes), 'archived' (closed) or 'active' (older classes still open)
+const describeYear = (academicYear, classes) => {
+  const archivedDates = classes.filter(isArchivedClass).map(cls => cls.archivedAt).sort();
+  const isCurrent = academicYear === getSettings().academicYear;
+
+  let status = 'active';
+  if (isCurrent) status = 'current';
+  else if (classes.length > 0 && archivedDates.length === classes.length) status = 'archived';
+
+  return {
+    academicYear,
+    status,
+    isCurrent,
+    classCount: classes.length,
+    archivedAt: archivedDates.pop() || null
+  };
+};
+
+const readRolloverOptions = ({ toYear, retainedStudentIds, leavingStudentIds }) => ({
+  toYear,
+  retainedStudentIds,
+  leavingStudentIds
+});
+
+// GET /api/academic-years - List academic years, the current one and the archived ones
+router.get('/', requirePermission('classes:view:own', 'classes:view:any'), (req, res) => {
+  try {
+    const years = getAcademicYears().map(academicYear =>
+      describeYear(academicYear, getAllClasses({ academicYear }))
+    );
+    
+    res.json({
+      success: true,
+      data: years,
+      meta: {
+        currentYear: getSettings().academicYear
+      }
+    });
+
+  } catch (error) {
+    console.error('Get academic years error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve academic years',
+      code: 'ACADEMIC_YEARS_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/academic-years/rollover/preview - Dry run of closing the current year
+router.post('/rollover/preview', requirePermission('academic-years:manage'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: rolloverService.preview(readRolloverOptions(req.body))
+    });
+
+  } catch (error) {
+    console.error('Preview rollover error:', error);
+    res.status(500).json({
+      error: 'Failed to preview rollover',
+      code: 'ROLLOVER_PREVIEW_ERROR'
+    });
+  }
+});
+
+// POST /api/academic-years/rollover - Close the current year and promote students into the next one
+router.post('/rollover', requirePermission('academic-years:manage'), (req, res) => {
+  try {
+    const options = readRolloverOptions(req.body);
+    
+    const preview = rolloverService.preview(options);
+    if (!preview.canConfirm) {
+      return res.status(422).json({
+        error: 'The rollover has errors',
+        code: 'ROLLOVER_HAS_ERRORS',
+        details: preview.errors
+      });
+    }
+    
+    const result = rolloverService.rollover(options, req.user);
+    
+    console.log(`📅 Academic year closed: ${result.fromYear} -> ${result.toYear} by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: `${result.fromYear} archived; ${result.toYear} is now the current academic year`,
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    
+    console.error('Rollover error:', error);
+    res.status(500).json({
+      error: 'Failed to roll over the academic year',
+      code: 'ROLLOVER_ERROR'
+    });
+  }
+});
+
+// GET /api/academic-years/:year - Classes and attendance statistics of a year (archived or current)
+router.get('/:year', requirePermission('attendance:view:own', 'attendance:view:any'), (req, res) => {
+  try {
+    const academicYear = req.params.year;
+    const { startDate, endDate } = req.query;
+    
+    if (!isValidAcademicYear(academicYear)) {
+      return res.status(400).json({
+        error: 'Academic year must be in format YYYY-YYYY (e.g., 2024-2025)',
+        code: 'INVALID_ACADEMIC_YEAR'
+      });
+    }
+    
+    if (!getAcademicYears().includes(academicYear)) {
+      return res.status(404).json({
+        error: 'Academic year not found',
+        code: 'ACADEMIC_YEAR_NOT_FOUND'
+      });
+    }
+    
+    const allClasses = getAllClasses({ academicYear });
+    const classes = filterOwnClasses(req.user, allClasses);
+    
+    const filters = { academicYear };
+    if (startDate && endDate) {
+      filters.dateRange = { start: startDate, end: endDate };
+    }
+    
+    // Without attendance:view:any, only show the user's own statistics
+    if (!hasPermission(req.user, 'attendance:view:any')) {
+      filters.teacherId = req.user.id;
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...describeYear(academicYear, allClasses),
+        classes: classes.map(cls => ({
+          ...cls,
+          studentCount: getRosterStudents(cls).length,
+          students: undefined
+        })),
+        statistics: getAttendanceStatistics(filters)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get academic year error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve academic year',
+      code: 'ACADEMIC_YEAR_FETCH_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -10,12 +10,35 @@ const {
   findClassById,
   findSubjectById,
   getAttendanceStatistics,
-  getStudentAttendanceHistory
+  getStudentAttendanceHistory,
+  getStudentEnrollments,
+  summarizeStudentHistory,
+  getAuditEntries,
+  createCorrectionRequest,
+  findCorrectionRequestById,
+  getCorrectionRequests,
+  updateCorrectionRequest,
+  getAcademicCalendar,
+  getSettings,
+  findSyncMutation,
+  createSyncMutation,
+  runInTransaction
 } = require('../utils/database');
 const {
-  requireTeacherOrPrincipal,
-  requirePrincipal
-} = require('../middleware/auth');
+  getAttendanceRules,
+  normalizeStudentStatuses,
+  getRecordStatuses,
+  summarizeRecord
+} = require('../utils/attendanceStatus');
+const { verifyAuditChain } = require('../utils/auditLog');
+const { getLocalDateTime } = require('../utils/lateSubmission');
+const { getVersion, setETag, setListETag, isStaleVersion, versionConflictError } = require('../utils/recordVersion');
+const { getAttendanceLock, requiresCorrectionRequest } = require('../utils/attendanceLock');
+const { isArchivedClass, classArchivedError } = require('../utils/academicYears');
+const { hasPermission, requirePermission } = require('../middleware/auth');
+const socketService = require('../services/socketService');
+const missingAttendanceService = require('../services/missingAttendanceService');
+const substitutionService = require('../services/substitutionService');
 
 const router = express.Router();
 
@@ -25,9 +48,37 @@ const isValidDate = (dateString) => {
   return date instanceof Date && !isNaN(date) && dateString.match(/^\d{4}-\d{2}-\d{2}$/);
 };
 
+// Longest date range the missing-attendance lookup accepts
+const MAX_MISSING_RANGE_DAYS = 92;
+
+// Most offline changes accepted by one sync request
+const MAX_SYNC_MUTATIONS = 100;
+
+// Most records accepted by one bulk submission
+const MAX_BULK_RECORDS = 100;
+
+// Validate the date range of a missing-attendance lookup (defaults to the last 7 days)
+const getMissingRange = ({ startDate, endDate }) => {
+  const end = endDate || new Date().toISOString().split('T')[0];
+  const start = startDate || new Date(Date.parse(end) - 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  
+  const errors = [];
+  if (!isValidDate(start)) errors.push('Valid start date is required (YYYY-MM-DD)');
+  if (!isValidDate(end)) errors.push('Valid end date is required (YYYY-MM-DD)');
+  if (errors.length === 0 && start > end) errors.push('Start date must be before end date');
+  if (errors.length === 0 && (Date.parse(end) - Date.parse(start)) / (24 * 60 * 60 * 1000) >= MAX_MISSING_RANGE_DAYS) {
+    errors.push(`Date range cannot exceed ${MAX_MISSING_RANGE_DAYS} days`);
+  }
+  
+  return { startDate: start, endDate: end, errors };
+};
+
 const formatAttendanceRecord = (record) => {
   const classInfo = findClassById(record.classId);
   const subjectInfo = findSubjectById(record.subjectId);
+  const settings = getSettings();
+  const summary = summarizeRecord(record, getAttendanceRules(settings));
+  const lock = getAttendanceLock(record, settings);
   
   return {
     id: record.id,
@@ -40,129 +91,301 @@ const formatAttendanceRecord = (record) => {
     totalStudents: record.totalStudents,
     presentStudents: record.presentStudents || [],
     absentStudents: record.absentStudents || [],
+    studentStatuses: getRecordStatuses(record),
+    statusCounts: summary.statusCounts,
     presentCount: record.presentStudents?.length || 0,
     absentCount: record.absentStudents?.length || 0,
-    attendanceRate: record.totalStudents > 0 
-      ? Math.round(((record.presentStudents?.length || 0) / record.totalStudents) * 100) 
-      : 0,
+    attendanceRate: Math.round(summary.attendanceRate),
     notes: record.notes,
     submittedAt: record.submittedAt,
     submittedBy: record.submittedBy,
+    substitutionId: record.substitutionId || null,
+    substituteFor: record.substituteFor || null,
+    isLateSubmission: !!record.isLateSubmission,
+    version: getVersion(record),
+    isLocked: lock.locked,
+    lockedAt: lock.lockedAt,
     createdAt: record.createdAt,
     updatedAt: record.updatedAt
   };
 };
 
-// POST /api/attendance - Submit attendance record
-router.post('/', requireTeacherOrPrincipal, (req, res) => {
-  try {
-    const { classId, subjectId, date, absentStudents = [], notes } = req.body;
-    
-    // Validation
-    const errors = [];
-    if (!classId || !Number.isInteger(classId)) {
-      errors.push('Valid class ID is required');
-    }
-    if (!subjectId || !Number.isInteger(subjectId)) {
-      errors.push('Valid subject ID is required');
-    }
-    if (!date || !isValidDate(date)) {
-      errors.push('Valid date is required (YYYY-MM-DD format)');
-    }
-    if (!Array.isArray(absentStudents)) {
-      errors.push('Absent students must be an array');
-    }
-    
-    if (errors.length > 0) {
-      return res.status(400).json({
+// Body of the response sent when a teacher tries to change a locked record directly
+const recordLockedError = (record) => ({
+  error: 'This attendance record is locked; submit a correction request instead',
+  code: 'RECORD_LOCKED',
+  lockedAt: getAttendanceLock(record, getSettings()).lockedAt
+});
+
+const sendRecordLocked = (res, record) => {
+  return res.status(403).json(recordLockedError(record));
+};
+
+// The class when its academic year is archived (its attendance is read-only then)
+const findArchivedClass = (classId) => {
+  const classData = findClassById(classId);
+  return isArchivedClass(classData) ? classData : null;
+};
+
+// Who is making a change, for the audit log
+const getAuditContext = (req) => ({
+  actorId: req.user.id,
+  ip: req.ip
+});
+
+/**
+ * Check an attendance submission by `user`: fields, class and subject,
+ * school day, access to the class, record lock and student statuses.
+ * Returns { attendanceData, classData, subjectData, existingRecord } for a
+ * valid submission, or { status, body } to respond with.
+ */
+const prepareSubmission = (user, { classId, subjectId, date, absentStudents = [], studentStatuses, notes, overrideCalendar }) => {
+  // Validation
+  const errors = [];
+  if (!classId || !Number.isInteger(classId)) {
+    errors.push('Valid class ID is required');
+  }
+  if (!subjectId || !Number.isInteger(subjectId)) {
+    errors.push('Valid subject ID is required');
+  }
+  if (!date || !isValidDate(date)) {
+    errors.push('Valid date is required (YYYY-MM-DD format)');
+  }
+  if (!Array.isArray(absentStudents)) {
+    errors.push('Absent students must be an array');
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    errors.push('Notes must be text');
+  }
+
+  if (errors.length > 0) {
+    return {
+      status: 400,
+      body: {
         error: 'Validation failed',
         details: errors
-      });
-    }
-    
-    // Verify class exists
-    const classData = findClassById(classId);
-    if (!classData) {
-      return res.status(404).json({
+      }
+    };
+  }
+
+  // Verify class exists
+  const classData = findClassById(classId);
+  if (!classData) {
+    return {
+      status: 404,
+      body: {
         error: 'Class not found',
         code: 'CLASS_NOT_FOUND'
-      });
-    }
-    
-    // Verify subject exists
-    const subjectData = findSubjectById(subjectId);
-    if (!subjectData) {
-      return res.status(404).json({
+      }
+    };
+  }
+
+  if (isArchivedClass(classData)) {
+    return { status: 409, body: classArchivedError(classData) };
+  }
+
+  // Verify subject exists
+  const subjectData = findSubjectById(subjectId);
+  if (!subjectData) {
+    return {
+      status: 404,
+      body: {
         error: 'Subject not found',
         code: 'SUBJECT_NOT_FOUND'
-      });
-    }
-    
-    // Check if teacher has permission to take attendance for this class/subject
-    if (req.user.role === 'teacher') {
-      // Check if teacher teaches this subject to this class
-      const teacherSchedule = getTeacherSchedule(req.user.id);
-      const hasPermission = teacherSchedule.some(schedule => 
-        schedule.classId === classId && schedule.subjectId === subjectId
-      ) || classData.classTeacher === req.user.id;
-      
-      if (!hasPermission) {
-        return res.status(403).json({
+      }
+    };
+  }
+
+  // Reject non-school days (holidays, weekends, outside term) unless the user may override the calendar
+  const schoolDay = getAcademicCalendar().getDay(date, classId);
+  if (!schoolDay.isSchoolDay && !(overrideCalendar === true && hasPermission(user, 'attendance:override-calendar'))) {
+    return {
+      status: 400,
+      body: {
+        error: `Attendance cannot be taken on a non-school day (${schoolDay.reason})`,
+        code: 'NON_SCHOOL_DAY',
+        reason: schoolDay.reason
+      }
+    };
+  }
+
+  // Substitutes take attendance for the periods they cover on that date
+  const substitution = substitutionService.findCoverFor(user.id, { classId, subjectId, date });
+
+  // Without attendance:submit:any, users may only take attendance for classes/subjects they teach or cover
+  if (!hasPermission(user, 'attendance:submit:any')) {
+    // Check if teacher teaches this subject to this class
+    const teacherSchedule = getTeacherSchedule(user.id);
+    const teachesClass = teacherSchedule.some(schedule =>
+      schedule.classId === classId && schedule.subjectId === subjectId
+    ) || classData.classTeacher === user.id || Boolean(substitution);
+
+    if (!teachesClass) {
+      return {
+        status: 403,
+        body: {
           error: 'You do not have permission to take attendance for this class/subject',
           code: 'ACCESS_DENIED'
-        });
-      }
+        }
+      };
     }
-    
-    // Validate absent student IDs
-    const activeStudents = classData.students.filter(s => s.isActive);
-    const activeStudentIds = activeStudents.map(s => s.id);
-    
-    const invalidStudentIds = absentStudents.filter(id => 
-      !activeStudentIds.includes(parseInt(id))
-    );
-    
-    if (invalidStudentIds.length > 0) {
-      return res.status(400).json({
+  }
+
+  // Re-submitting replaces the existing record, which may be locked
+  const existingRecord = getAttendanceRecord(classId, subjectId, date);
+  if (existingRecord && requiresCorrectionRequest(user, existingRecord, getSettings())) {
+    return { status: 403, body: recordLockedError(existingRecord) };
+  }
+
+  // Validate student IDs and statuses
+  const activeStudents = classData.students.filter(s => s.isActive);
+  const activeStudentIds = activeStudents.map(s => s.id);
+
+  const statusResult = normalizeStudentStatuses(activeStudentIds, { studentStatuses, absentStudents });
+
+  if (statusResult.invalidIds.length > 0) {
+    return {
+      status: 400,
+      body: {
         error: 'Invalid student IDs found',
-        invalidIds: invalidStudentIds
-      });
-    }
-    
-    // Check for future dates
-    const today = new Date().toISOString().split('T')[0];
-    if (date > today) {
-      return res.status(400).json({
+        invalidIds: statusResult.invalidIds
+      }
+    };
+  }
+
+  if (statusResult.errors.length > 0) {
+    return {
+      status: 400,
+      body: {
+        error: 'Validation failed',
+        details: statusResult.errors
+      }
+    };
+  }
+
+  // Check for future dates
+  const today = new Date().toISOString().split('T')[0];
+  if (date > today) {
+    return {
+      status: 400,
+      body: {
         error: 'Cannot take attendance for future dates',
         code: 'FUTURE_DATE'
-      });
-    }
-    
-    // Create attendance record
-    const attendanceData = {
-      teacherId: req.user.id,
+      }
+    };
+  }
+
+  return {
+    attendanceData: {
+      teacherId: user.id,
       classId,
       subjectId,
       date,
       absentStudents: absentStudents.map(id => parseInt(id)),
+      studentStatuses: statusResult.studentStatuses,
       notes: notes?.trim() || '',
-      submittedBy: req.user.id
+      submittedBy: user.id,
+      substitutionId: substitution?.id ?? null,
+      substituteFor: substitution?.originalTeacherId ?? null
+    },
+    classData,
+    subjectData,
+    existingRecord
+  };
+};
+
+const rejectMutation = (clientId, error, code) => ({ clientId, status: 'rejected', error, code });
+
+/**
+ * Apply one attendance change made offline. A mutation is a submission
+ * (same fields as POST /) plus the client's `clientId`, the `baseVersion`
+ * of the record the teacher started from (null when there was none) and
+ * optionally `capturedAt`, when the attendance was taken. Returns
+ * { clientId, status: 'applied' | 'conflict' | 'rejected', ... }; a
+ * clientId that was applied before is reported again without reapplying it.
+ */
+const applySyncMutation = (req, mutation) => {
+  const { clientId, baseVersion = null, capturedAt, ...fields } = mutation || {};
+
+  if (typeof clientId !== 'string' || !/^[\w-]{1,64}$/.test(clientId)) {
+    return rejectMutation(null, 'Each mutation needs a clientId of up to 64 letters, digits, - or _', 'INVALID_CLIENT_ID');
+  }
+  if (baseVersion !== null && !(Number.isInteger(baseVersion) && baseVersion >= 1)) {
+    return rejectMutation(clientId, 'Base version must be a positive integer or null', 'INVALID_BASE_VERSION');
+  }
+
+  // The client did not get the response to an earlier sync of this change
+  const applied = findSyncMutation(req.user.id, clientId);
+  if (applied) {
+    const record = getAttendanceRecords().find(r => r.id === applied.recordId);
+    return {
+      clientId,
+      status: 'applied',
+      duplicate: true,
+      version: applied.version,
+      record: record ? formatAttendanceRecord(record) : null
+    };
+  }
+
+  const submission = prepareSubmission(req.user, fields);
+  if (submission.body) {
+    return { clientId, status: 'rejected', statusCode: submission.status, ...submission.body };
+  }
+
+  // Attendance taken offline is late or on time by when it was taken, not when it reached the server
+  const { attendanceData, existingRecord } = submission;
+  if (capturedAt !== undefined) {
+    const capturedTime = Date.parse(capturedAt);
+    if (isNaN(capturedTime) || capturedTime > Date.now() ||
+        getLocalDateTime(capturedTime, getSettings().timezone).date < attendanceData.date) {
+      return rejectMutation(clientId, 'Captured time must be between the attendance date and now', 'INVALID_CAPTURED_AT');
+    }
+    attendanceData.submittedAt = new Date(capturedTime).toISOString();
+  }
+
+  const serverVersion = existingRecord ? getVersion(existingRecord) : null;
+  if (serverVersion !== baseVersion) {
+    return {
+      clientId,
+      status: 'conflict',
+      error: 'The server copy of this record changed since the offline copy was taken',
+      code: 'VERSION_CONFLICT',
+      baseVersion,
+      server: existingRecord ? formatAttendanceRecord(existingRecord) : null
     };
+  }
+
+  // The record and the note that this clientId was applied are saved together
+  const record = runInTransaction(() => {
+    const saved = addAttendanceRecord(attendanceData, getAuditContext(req));
+    createSyncMutation({ userId: req.user.id, clientId, recordId: saved.id, version: saved.version });
+    return saved;
+  });
+  const formattedRecord = formatAttendanceRecord(record);
+
+  socketService.emitAttendanceSubmitted(formattedRecord);
+
+  return { clientId, status: 'applied', version: record.version, record: formattedRecord };
+};
+
+// POST /api/attendance - Submit attendance record
+router.post('/', requirePermission('attendance:submit:own', 'attendance:submit:any'), (req, res) => {
+  try {
+    const submission = prepareSubmission(req.user, req.body);
+    if (submission.body) {
+      return res.status(submission.status).json(submission.body);
+    }
+    
+    const { attendanceData, classData, subjectData } = submission;
     
-    const attendanceRecord = addAttendanceRecord(attendanceData);
+    // Create attendance record
+    const attendanceRecord = addAttendanceRecord(attendanceData, getAuditContext(req));
     const formattedRecord = formatAttendanceRecord(attendanceRecord);
     
-    // Emit real-time update via Socket.IO if available
-    if (req.app.get('io')) {
-      req.app.get('io').emit('attendanceUpdated', {
-        classId,
-        subjectId,
-        date,
-        record: formattedRecord
-      });
-    }
+    // Emit real-time update
+    socketService.emitAttendanceSubmitted(formattedRecord);
     
-    console.log(`📋 Attendance recorded: ${classData.name} - ${subjectData.name} (${date}) by ${req.user.name}`);
+    console.log(`📋 Attendance recorded: ${classData.name} - ${subjectData.name} (${attendanceData.date}) by ${req.user.name}`);
     
     res.status(201).json({
       success: true,
@@ -179,8 +402,199 @@ router.post('/', requireTeacherOrPrincipal, (req, res) => {
   }
 });
 
+// POST /api/attendance/sync - Apply a batch of attendance changes made offline, in order
+router.post('/sync', requirePermission('attendance:submit:own', 'attendance:submit:any'), (req, res) => {
+  try {
+    const { mutations } = req.body;
+    
+    if (!Array.isArray(mutations) || mutations.length === 0 || mutations.length > MAX_SYNC_MUTATIONS) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [`Mutations must be an array of 1 to ${MAX_SYNC_MUTATIONS} changes`]
+      });
+    }
+    
+    const results = mutations.map(mutation => applySyncMutation(req, mutation));
+    const count = (status) => results.filter(result => result.status === status && !result.duplicate).length;
+    // Replays of changes applied by an earlier sync are counted apart from the new ones
+    const summary = {
+      applied: count('applied'),
+      duplicate: results.filter(result => result.duplicate).length,
+      conflicts: count('conflict'),
+      rejected: count('rejected')
+    };
+    
+    console.log(`🔄 Attendance sync by ${req.user.name}: ${summary.applied} applied, ${summary.duplicate} duplicate, ${summary.conflicts} conflicts, ${summary.rejected} rejected`);
+    
+    res.json({
+      success: true,
+      data: { results, summary }
+    });
+
+  } catch (error) {
+    console.error('Sync attendance error:', error);
+    res.status(500).json({
+      error: 'Failed to sync attendance',
+      code: 'ATTENDANCE_SYNC_ERROR'
+    });
+  }
+});
+
+// Outcome of a bulk record that could not be saved
+const bulkSaveFailed = (result) => ({
+  ...result,
+  status: 'failed',
+  statusCode: 500,
+  error: 'Failed to save attendance record',
+  code: 'SAVE_ERROR'
+});
+
+/**
+ * POST /api/attendance/bulk - Submit attendance for several classes/subjects.
+ * Each record goes through the same checks as POST /. With `allOrNothing`,
+ * nothing is saved unless every record passes, and the records are saved in
+ * one transaction; otherwise the valid records are saved and the rest
+ * reported. The response lists the outcome of every record by its index.
+ */
+router.post('/bulk', requirePermission('attendance:submit:own', 'attendance:submit:any'), (req, res) => {
+  try {
+    const { attendanceRecords, allOrNothing = false } = req.body;
+    
+    if (!Array.isArray(attendanceRecords) || attendanceRecords.length === 0 || attendanceRecords.length > MAX_BULK_RECORDS) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [`Attendance records must be an array of 1 to ${MAX_BULK_RECORDS} records`]
+      });
+    }
+    
+    if (typeof allOrNothing !== 'boolean') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: ['allOrNothing must be true or false']
+      });
+    }
+    
+    // Check every record first; a class, subject and date may only appear once
+    const seen = new Map(); // 'classId:subjectId:date' -> index
+    const submissions = []; // index -> checked submission of a valid record
+    const results = attendanceRecords.map((record, index) => {
+      const { classId, subjectId, date } = record || {};
+      const result = { index, classId, subjectId, date };
+      const submission = prepareSubmission(req.user, record || {});
+      
+      if (submission.body) {
+        return { ...result, status: 'failed', statusCode: submission.status, ...submission.body };
+      }
+      
+      const key = `${classId}:${subjectId}:${date}`;
+      if (seen.has(key)) {
+        return {
+          ...result,
+          status: 'failed',
+          statusCode: 409,
+          error: `Same class, subject and date as record ${seen.get(key)}`,
+          code: 'DUPLICATE_RECORD'
+        };
+      }
+      seen.set(key, index);
+      submissions[index] = submission;
+      
+      return { ...result, status: 'valid' };
+    });
+    
+    const total = attendanceRecords.length;
+    const invalidCount = results.filter(result => result.status === 'failed').length;
+    
+    if (allOrNothing && invalidCount > 0) {
+      return res.status(400).json({
+        error: `${invalidCount} of ${total} records failed validation; none were saved`,
+        code: 'BULK_VALIDATION_FAILED',
+        data: {
+          allOrNothing,
+          summary: { total, saved: 0, failed: invalidCount },
+          results: results.map(result => (result.status === 'valid' ? { ...result, status: 'not-saved' } : result))
+        }
+      });
+    }
+    
+    const save = (result) => {
+      const submission = submissions[result.index];
+      const savedRecord = addAttendanceRecord(submission.attendanceData, getAuditContext(req));
+      return {
+        ...result,
+        status: submission.existingRecord ? 'replaced' : 'created',
+        record: formatAttendanceRecord(savedRecord)
+      };
+    };
+    
+    let report;
+    if (allOrNothing) {
+      // A storage failure part way rolls back the records saved before it
+      let current = null;
+      try {
+        report = runInTransaction(() => results.map(result => {
+          current = result.index;
+          return save(result);
+        }));
+      } catch (error) {
+        console.error('Bulk attendance rolled back:', error);
+        return res.status(500).json({
+          error: 'Failed to save attendance; no records were saved',
+          code: 'ATTENDANCE_BULK_ERROR',
+          data: {
+            allOrNothing,
+            summary: { total, saved: 0, failed: 1 },
+            results: results.map(result => {
+              if (result.index === current) return bulkSaveFailed(result);
+              return { ...result, status: result.index < current ? 'rolled-back' : 'not-saved' };
+            })
+          }
+        });
+      }
+    } else {
+      report = results.map(result => {
+        if (result.status === 'failed') return result;
+        
+        try {
+          return save(result);
+        } catch (error) {
+          console.error(`Bulk attendance record ${result.index} error:`, error);
+          return bulkSaveFailed(result);
+        }
+      });
+    }
+    
+    // Announce records only once they are saved for good
+    report
+      .filter(result => result.record)
+      .forEach(result => socketService.emitAttendanceSubmitted(result.record));
+    
+    const savedCount = report.filter(result => result.record).length;
+    const failedCount = total - savedCount;
+    
+    console.log(`📋 Bulk attendance by ${req.user.name}: ${savedCount} saved, ${failedCount} failed`);
+    
+    res.status(failedCount > 0 ? 207 : 201).json({
+      success: failedCount === 0,
+      message: `Processed ${total} attendance records`,
+      data: {
+        allOrNothing,
+        summary: { total, saved: savedCount, failed: failedCount },
+        results: report
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk attendance error:', error);
+    res.status(500).json({
+      error: 'Failed to submit attendance',
+      code: 'ATTENDANCE_BULK_ERROR'
+    });
+  }
+});
+
 // GET /api/attendance - Get attendance records with filters
-router.get('/', requireTeacherOrPrincipal, (req, res) => {
+router.get('/', requirePermission('attendance:view:own', 'attendance:view:any'), (req, res) => {
   try {
     const { 
       page = 1, 
@@ -191,7 +605,9 @@ router.get('/', requireTeacherOrPrincipal, (req, res) => {
       date, 
       startDate, 
       endDate,
-      studentId 
+      studentId,
+      late,
+      academicYear
     } = req.query;
     
     // Build filters
@@ -204,9 +620,11 @@ router.get('/', requireTeacherOrPrincipal, (req, res) => {
       filters.dateRange = { start: startDate, end: endDate };
     }
     if (studentId) filters.studentId = parseInt(studentId);
+    if (late !== undefined) filters.isLateSubmission = late === 'true';
+    if (academicYear) filters.academicYear = academicYear;
     
-    // For teachers, only show their own records
-    if (req.user.role === 'teacher') {
+    // Without attendance:view:any, only show the user's own records
+    if (!hasPermission(req.user, 'attendance:view:any')) {
       filters.teacherId = req.user.id;
     }
     
@@ -224,6 +642,7 @@ router.get('/', requireTeacherOrPrincipal, (req, res) => {
     const paginatedRecords = records.slice(startIndex, endIndex);
     const formattedRecords = paginatedRecords.map(formatAttendanceRecord);
     
+    setListETag(res, paginatedRecords);
     res.json({
       success: true,
       data: formattedRecords,
@@ -244,8 +663,403 @@ router.get('/', requireTeacherOrPrincipal, (req, res) => {
   }
 });
 
+// GET /api/attendance/missing - Scheduled periods with no attendance submitted
+router.get('/missing', requirePermission('attendance:view:own', 'attendance:view:any'), (req, res) => {
+  try {
+    const { teacherId, classId } = req.query;
+    const range = getMissingRange(req.query);
+    
+    if (range.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: range.errors
+      });
+    }
+    
+    const filters = { startDate: range.startDate, endDate: range.endDate };
+    if (teacherId) filters.teacherId = parseInt(teacherId);
+    if (classId) filters.classId = parseInt(classId);
+    
+    // Without attendance:view:any, users only see their own outstanding periods
+    if (!hasPermission(req.user, 'attendance:view:any')) {
+      filters.teacherId = req.user.id;
+    }
+    
+    const missing = missingAttendanceService.findMissing(filters);
+    
+    res.json({
+      success: true,
+      data: missing,
+      meta: {
+        startDate: range.startDate,
+        endDate: range.endDate,
+        totalMissing: missing.reduce((sum, teacher) => sum + teacher.missingCount, 0),
+        teachers: missing.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get missing attendance error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve missing attendance',
+      code: 'MISSING_ATTENDANCE_ERROR'
+    });
+  }
+});
+
+// POST /api/attendance/missing/remind - Push reminders for missing attendance
+router.post('/missing/remind', requirePermission('attendance:remind'), (req, res) => {
+  try {
+    const { teacherId, classId } = req.body;
+    const range = getMissingRange(req.body);
+    
+    if (range.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: range.errors
+      });
+    }
+    
+    const filters = { startDate: range.startDate, endDate: range.endDate };
+    if (teacherId) filters.teacherId = parseInt(teacherId);
+    if (classId) filters.classId = parseInt(classId);
+    
+    const notified = missingAttendanceService.sendReminders(filters);
+    
+    console.log(`⏰ Missing attendance reminders sent to ${notified} teacher(s) by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: `Reminders sent to ${notified} teacher(s)`,
+      data: {
+        teachersNotified: notified,
+        startDate: range.startDate,
+        endDate: range.endDate
+      }
+    });
+
+  } catch (error) {
+    console.error('Send missing attendance reminders error:', error);
+    res.status(500).json({
+      error: 'Failed to send reminders',
+      code: 'REMINDER_ERROR'
+    });
+  }
+});
+
+// GET /api/attendance/:id/audit - Get audit trail for an attendance record
+router.get('/:id/audit', requirePermission('attendance:audit'), (req, res) => {
+  try {
+    const recordId = parseInt(req.params.id);
+    
+    if (isNaN(recordId)) {
+      return res.status(400).json({
+        error: 'Invalid record ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    // Entries outlive deleted records, so only 404 when there is no trail at all
+    const entries = getAuditEntries({ entityType: 'attendance', entityId: recordId });
+    if (entries.length === 0) {
+      return res.status(404).json({
+        error: 'No audit trail found for this attendance record',
+        code: 'RECORD_NOT_FOUND'
+      });
+    }
+    
+    const verification = verifyAuditChain(getAuditEntries());
+    
+    res.json({
+      success: true,
+      data: entries.map(entry => ({
+        id: entry.id,
+        action: entry.action,
+        actorId: entry.actorId,
+        actorIp: entry.actorIp,
+        timestamp: entry.timestamp,
+        changes: entry.changes,
+        before: entry.beforeState || null,
+        after: entry.afterState || null,
+        hash: entry.hash
+      })),
+      meta: {
+        recordId,
+        totalEntries: entries.length,
+        chainValid: verification.valid,
+        chainBrokenAt: verification.brokenAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get attendance audit error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve audit trail',
+      code: 'AUDIT_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/attendance/:id/corrections - Request a change to an attendance record
+router.post('/:id/corrections', requirePermission('attendance:edit:own', 'attendance:edit:any'), (req, res) => {
+  try {
+    const recordId = parseInt(req.params.id);
+    const { type = 'update', absentStudents, studentStatuses, notes, reason } = req.body;
+    
+    if (isNaN(recordId)) {
+      return res.status(400).json({
+        error: 'Invalid record ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    // Validation
+    const errors = [];
+    if (!['update', 'delete'].includes(type)) {
+      errors.push('Type must be "update" or "delete"');
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      errors.push('A reason for the correction is required');
+    } else if (reason.length > 1000) {
+      errors.push('Reason must be less than 1000 characters');
+    }
+    if (type === 'update' && absentStudents === undefined && studentStatuses === undefined && notes === undefined) {
+      errors.push('An update correction must change absentStudents, studentStatuses or notes');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    // Find existing record
+    const existingRecord = getAttendanceRecords().find(r => r.id === recordId);
+    if (!existingRecord) {
+      return res.status(404).json({
+        error: 'Attendance record not found',
+        code: 'RECORD_NOT_FOUND'
+      });
+    }
+    
+    const archivedClass = findArchivedClass(existingRecord.classId);
+    if (archivedClass) {
+      return res.status(409).json(classArchivedError(archivedClass));
+    }
+    
+    // Check permissions
+    if (!hasPermission(req.user, 'attendance:edit:any') && existingRecord.teacherId !== req.user.id) {
+      return res.status(403).json({
+        error: 'You can only request corrections to your own attendance records',
+        code: 'ACCESS_DENIED'
+      });
+    }
+    
+    // One open request per record at a time
+    if (getCorrectionRequests({ attendanceId: recordId, status: 'pending' }).length > 0) {
+      return res.status(409).json({
+        error: 'A correction request for this record is already pending',
+        code: 'CORRECTION_PENDING'
+      });
+    }
+    
+    // Validate the proposed change the same way a direct update is validated
+    const changes = {};
+    if (type === 'update') {
+      if (absentStudents !== undefined || studentStatuses !== undefined) {
+        const classData = findClassById(existingRecord.classId);
+        const activeStudentIds = classData.students
+          .filter(s => s.isActive)
+          .map(s => s.id);
+        
+        const statusResult = normalizeStudentStatuses(activeStudentIds, { studentStatuses, absentStudents });
+        
+        if (statusResult.invalidIds.length > 0) {
+          return res.status(400).json({
+            error: 'Invalid student IDs found',
+            invalidIds: statusResult.invalidIds
+          });
+        }
+        
+        if (statusResult.errors.length > 0) {
+          return res.status(400).json({
+            error: 'Validation failed',
+            details: statusResult.errors
+          });
+        }
+        
+        changes.studentStatuses = statusResult.studentStatuses;
+        if (absentStudents !== undefined) {
+          changes.absentStudents = absentStudents.map(id => parseInt(id));
+        }
+      }
+      
+      if (notes !== undefined) {
+        changes.notes = String(notes).trim();
+      }
+    }
+    
+    const correctionRequest = createCorrectionRequest({
+      attendanceId: recordId,
+      type,
+      changes,
+      reason: reason.trim(),
+      requestedBy: req.user.id
+    });
+    
+    console.log(`📝 Correction requested: Record ${recordId} (${type}) by ${req.user.name}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Correction request submitted for principal review',
+      data: correctionRequest
+    });
+
+  } catch (error) {
+    console.error('Create correction request error:', error);
+    res.status(500).json({
+      error: 'Failed to submit correction request',
+      code: 'CORRECTION_SUBMIT_ERROR'
+    });
+  }
+});
+
+// GET /api/attendance/corrections - List correction requests
+router.get('/corrections', requirePermission('attendance:edit:own', 'attendance:edit:any', 'corrections:review'), (req, res) => {
+  try {
+    const { status, attendanceId } = req.query;
+    
+    const filters = {};
+    if (status) filters.status = status;
+    if (attendanceId) filters.attendanceId = parseInt(attendanceId);
+    
+    // Reviewers see every request, everyone else only their own
+    if (!hasPermission(req.user, 'corrections:review')) {
+      filters.requestedBy = req.user.id;
+    }
+    
+    const requests = getCorrectionRequests(filters)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    res.json({
+      success: true,
+      data: requests,
+      meta: {
+        total: requests.length,
+        pending: requests.filter(r => r.status === 'pending').length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get correction requests error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve correction requests',
+      code: 'CORRECTION_FETCH_ERROR'
+    });
+  }
+});
+
+// PUT /api/attendance/corrections/:requestId/:decision - Approve or reject a correction
+router.put('/corrections/:requestId/:decision(approve|reject)', requirePermission('corrections:review'), (req, res) => {
+  try {
+    const requestId = parseInt(req.params.requestId);
+    const { decision } = req.params;
+    const { reviewNote } = req.body;
+    
+    if (isNaN(requestId)) {
+      return res.status(400).json({
+        error: 'Invalid correction request ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const correctionRequest = findCorrectionRequestById(requestId);
+    if (!correctionRequest) {
+      return res.status(404).json({
+        error: 'Correction request not found',
+        code: 'CORRECTION_NOT_FOUND'
+      });
+    }
+    
+    if (correctionRequest.status !== 'pending') {
+      return res.status(409).json({
+        error: `Correction request has already been ${correctionRequest.status}`,
+        code: 'CORRECTION_ALREADY_REVIEWED'
+      });
+    }
+    
+    const review = {
+      reviewedBy: req.user.id,
+      reviewedAt: new Date().toISOString(),
+      reviewNote: reviewNote?.trim() || ''
+    };
+    
+    if (decision === 'reject') {
+      const rejected = updateCorrectionRequest(requestId, { ...review, status: 'rejected' });
+      
+      console.log(`📝 Correction rejected: Request ${requestId} by ${req.user.name}`);
+      
+      return res.json({
+        success: true,
+        message: 'Correction request rejected',
+        data: rejected
+      });
+    }
+    
+    const existingRecord = getAttendanceRecords().find(r => r.id === correctionRequest.attendanceId);
+    if (!existingRecord) {
+      return res.status(409).json({
+        error: 'The attendance record no longer exists',
+        code: 'RECORD_NOT_FOUND'
+      });
+    }
+    
+    const archivedClass = findArchivedClass(existingRecord.classId);
+    if (archivedClass) {
+      return res.status(409).json(classArchivedError(archivedClass));
+    }
+    
+    // Apply the change as the approving principal; the request keeps the requester
+    const auditContext = getAuditContext(req);
+    let formattedRecord = null;
+    
+    if (correctionRequest.type === 'delete') {
+      deleteAttendanceRecord(existingRecord.id, auditContext);
+      
+      socketService.emitAttendanceDeleted(existingRecord);
+    } else {
+      const updatedRecord = updateAttendanceRecord(existingRecord.id, correctionRequest.changes, auditContext);
+      formattedRecord = formatAttendanceRecord(updatedRecord);
+      
+      socketService.emitAttendanceUpdated(formattedRecord);
+    }
+    
+    const approved = updateCorrectionRequest(requestId, { ...review, status: 'approved' });
+    
+    console.log(`📝 Correction approved: Request ${requestId} (record ${existingRecord.id}) by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Correction request approved and applied',
+      data: {
+        request: approved,
+        record: formattedRecord
+      }
+    });
+
+  } catch (error) {
+    console.error('Review correction request error:', error);
+    res.status(500).json({
+      error: 'Failed to review correction request',
+      code: 'CORRECTION_REVIEW_ERROR'
+    });
+  }
+});
+
 // GET /api/attendance/:classId/:date - Get attendance for specific class and date
-router.get('/:classId/:date', requireTeacherOrPrincipal, (req, res) => {
+// (numeric classId only, so /teacher/schedule below is reachable)
+router.get('/:classId(\\d+)/:date', requirePermission('attendance:view:own', 'attendance:view:any'), (req, res) => {
   try {
     const classId = parseInt(req.params.classId);
     const { date } = req.params;
@@ -274,12 +1088,12 @@ router.get('/:classId/:date', requireTeacherOrPrincipal, (req, res) => {
       });
     }
     
-    // Check teacher access
-    if (req.user.role === 'teacher') {
+    // Without attendance:view:any, users only see classes they teach (or cover on that date)
+    if (!hasPermission(req.user, 'attendance:view:any')) {
       const teacherSchedule = getTeacherSchedule(req.user.id);
       const hasAccess = teacherSchedule.some(schedule => 
         schedule.classId === classId
-      ) || classData.classTeacher === req.user.id;
+      ) || classData.classTeacher === req.user.id || substitutionService.coversClass(req.user.id, classId, date);
       
       if (!hasAccess) {
         return res.status(403).json({
@@ -296,6 +1110,7 @@ router.get('/:classId/:date', requireTeacherOrPrincipal, (req, res) => {
     const records = getAttendanceRecords(filters);
     const formattedRecords = records.map(formatAttendanceRecord);
     
+    setListETag(res, records);
     res.json({
       success: true,
       data: formattedRecords,
@@ -317,10 +1132,10 @@ router.get('/:classId/:date', requireTeacherOrPrincipal, (req, res) => {
 });
 
 // PUT /api/attendance/:id - Update attendance record
-router.put('/:id', requireTeacherOrPrincipal, (req, res) => {
+router.put('/:id', requirePermission('attendance:edit:own', 'attendance:edit:any'), (req, res) => {
   try {
     const recordId = parseInt(req.params.id);
-    const { absentStudents, notes } = req.body;
+    const { absentStudents, studentStatuses, notes } = req.body;
     
     if (isNaN(recordId)) {
       return res.status(400).json({
@@ -338,65 +1153,88 @@ router.put('/:id', requireTeacherOrPrincipal, (req, res) => {
       });
     }
     
+    const archivedClass = findArchivedClass(existingRecord.classId);
+    if (archivedClass) {
+      return res.status(409).json(classArchivedError(archivedClass));
+    }
+    
     // Check permissions
-    if (req.user.role === 'teacher' && existingRecord.teacherId !== req.user.id) {
+    if (!hasPermission(req.user, 'attendance:edit:any') && existingRecord.teacherId !== req.user.id) {
       return res.status(403).json({
         error: 'You can only update your own attendance records',
         code: 'ACCESS_DENIED'
       });
     }
     
+    // Someone else changed the record after the client loaded it (If-Match or version)
+    if (isStaleVersion(req, existingRecord)) {
+      setETag(res, existingRecord);
+      return res.status(409).json(versionConflictError(existingRecord, formatAttendanceRecord(existingRecord)));
+    }
+    
+    if (requiresCorrectionRequest(req.user, existingRecord, getSettings())) {
+      return sendRecordLocked(res, existingRecord);
+    }
+    
     // Validate update data
     const updateData = {};
     
-    if (absentStudents !== undefined) {
-      if (!Array.isArray(absentStudents)) {
+    if (absentStudents !== undefined || studentStatuses !== undefined) {
+      if (absentStudents !== undefined && !Array.isArray(absentStudents)) {
         return res.status(400).json({
           error: 'Absent students must be an array',
           code: 'INVALID_DATA'
         });
       }
       
-      // Validate student IDs
+      // Validate student IDs and statuses
       const classData = findClassById(existingRecord.classId);
       const activeStudentIds = classData.students
         .filter(s => s.isActive)
         .map(s => s.id);
       
-      const invalidIds = absentStudents.filter(id => 
-        !activeStudentIds.includes(parseInt(id))
-      );
+      const statusResult = normalizeStudentStatuses(activeStudentIds, { studentStatuses, absentStudents });
       
-      if (invalidIds.length > 0) {
+      if (statusResult.invalidIds.length > 0) {
         return res.status(400).json({
           error: 'Invalid student IDs found',
-          invalidIds
+          invalidIds: statusResult.invalidIds
+        });
+      }
+      
+      if (statusResult.errors.length > 0) {
+        return res.status(400).json({
+          error: statusResult.errors.join('; '),
+          code: 'INVALID_DATA'
         });
       }
       
-      updateData.absentStudents = absentStudents.map(id => parseInt(id));
+      updateData.studentStatuses = statusResult.studentStatuses;
+      if (absentStudents !== undefined) {
+        updateData.absentStudents = absentStudents.map(id => parseInt(id));
+      }
     }
     
     if (notes !== undefined) {
+      if (typeof notes !== 'string') {
+        return res.status(400).json({
+          error: 'Notes must be text',
+          code: 'INVALID_DATA'
+        });
+      }
       updateData.notes = notes.trim();
     }
     
     // Update record
-    const updatedRecord = updateAttendanceRecord(recordId, updateData);
+    const updatedRecord = updateAttendanceRecord(recordId, updateData, getAuditContext(req));
     const formattedRecord = formatAttendanceRecord(updatedRecord);
     
     // Emit real-time update
-    if (req.app.get('io')) {
-      req.app.get('io').emit('attendanceUpdated', {
-        classId: updatedRecord.classId,
-        subjectId: updatedRecord.subjectId,
-        date: updatedRecord.date,
-        record: formattedRecord
-      });
-    }
+    socketService.emitAttendanceUpdated(formattedRecord);
     
     console.log(`📋 Attendance updated: Record ${recordId} by ${req.user.name}`);
     
+    setETag(res, updatedRecord);
     res.json({
       success: true,
       message: 'Attendance record updated successfully',
@@ -413,7 +1251,7 @@ router.put('/:id', requireTeacherOrPrincipal, (req, res) => {
 });
 
 // DELETE /api/attendance/:id - Delete attendance record
-router.delete('/:id', requireTeacherOrPrincipal, (req, res) => {
+router.delete('/:id', requirePermission('attendance:delete:own', 'attendance:delete:any'), (req, res) => {
   try {
     const recordId = parseInt(req.params.id);
     
@@ -433,27 +1271,29 @@ router.delete('/:id', requireTeacherOrPrincipal, (req, res) => {
       });
     }
     
+    const archivedClass = findArchivedClass(existingRecord.classId);
+    if (archivedClass) {
+      return res.status(409).json(classArchivedError(archivedClass));
+    }
+    
     // Check permissions
-    if (req.user.role === 'teacher' && existingRecord.teacherId !== req.user.id) {
+    if (!hasPermission(req.user, 'attendance:delete:any') && existingRecord.teacherId !== req.user.id) {
       return res.status(403).json({
         error: 'You can only delete your own attendance records',
         code: 'ACCESS_DENIED'
       });
     }
     
+    if (requiresCorrectionRequest(req.user, existingRecord, getSettings())) {
+      return sendRecordLocked(res, existingRecord);
+    }
+    
     // Delete record
-    const success = deleteAttendanceRecord(recordId);
+    const success = deleteAttendanceRecord(recordId, getAuditContext(req));
     
     if (success) {
       // Emit real-time update
-      if (req.app.get('io')) {
-        req.app.get('io').emit('attendanceDeleted', {
-          recordId,
-          classId: existingRecord.classId,
-          subjectId: existingRecord.subjectId,
-          date: existingRecord.date
-        });
-      }
+      socketService.emitAttendanceDeleted(existingRecord);
       
       console.log(`🗑️ Attendance deleted: Record ${recordId} by ${req.user.name}`);
       
@@ -478,20 +1318,24 @@ router.delete('/:id', requireTeacherOrPrincipal, (req, res) => {
 });
 
 // GET /api/attendance/teacher/schedule - Get teacher's schedule
-router.get('/teacher/schedule', requireTeacherOrPrincipal, (req, res) => {
+router.get('/teacher/schedule', requirePermission('attendance:view:own', 'attendance:view:any'), (req, res) => {
   try {
     const { teacherId } = req.query;
     
     // Determine which teacher's schedule to fetch
     let targetTeacherId = req.user.id;
-    if (req.user.role === 'principal' && teacherId) {
+    if (hasPermission(req.user, 'attendance:view:any') && teacherId) {
       targetTeacherId = parseInt(teacherId);
     }
     
-    const schedule = getTeacherSchedule(targetTeacherId);
-    
     // Add attendance status for today
     const today = new Date().toISOString().split('T')[0];
+    
+    // Today's periods (following the timetable cycle); ones covered for absent teachers come with their substitution
+    const schedule = [
+      ...getTeacherSchedule(targetTeacherId, { date: today }),
+      ...substitutionService.getCoveredPeriods(targetTeacherId, today)
+    ];
     const enrichedSchedule = schedule.map(item => {
       const todayAttendance = getAttendanceRecord(
         item.classId, 
@@ -513,7 +1357,9 @@ router.get('/teacher/schedule', requireTeacherOrPrincipal, (req, res) => {
         teacherId: targetTeacherId,
         date: today,
         totalClasses: enrichedSchedule.length,
-        attendanceTaken: enrichedSchedule.filter(s => s.attendanceTaken).length
+        substitutions: enrichedSchedule.filter(s => s.substitution).length,
+        attendanceTaken: enrichedSchedule.filter(s => s.attendanceTaken).length,
+        lateSubmissions: enrichedSchedule.filter(s => s.attendanceRecord?.isLateSubmission).length
       }
     });
 
@@ -527,14 +1373,15 @@ router.get('/teacher/schedule', requireTeacherOrPrincipal, (req, res) => {
 });
 
 // GET /api/attendance/statistics - Get attendance statistics
-router.get('/statistics', requireTeacherOrPrincipal, (req, res) => {
+router.get('/statistics', requirePermission('attendance:view:own', 'attendance:view:any'), (req, res) => {
   try {
     const { 
       classId, 
       subjectId, 
       teacherId, 
       startDate, 
-      endDate 
+      endDate,
+      academicYear
     } = req.query;
     
     // Build filters
@@ -545,9 +1392,10 @@ router.get('/statistics', requireTeacherOrPrincipal, (req, res) => {
     if (startDate && endDate) {
       filters.dateRange = { start: startDate, end: endDate };
     }
+    if (academicYear) filters.academicYear = academicYear;
     
-    // For teachers, only show their own statistics
-    if (req.user.role === 'teacher') {
+    // Without attendance:view:any, only show the user's own statistics
+    if (!hasPermission(req.user, 'attendance:view:any')) {
       filters.teacherId = req.user.id;
     }
     
@@ -567,8 +1415,8 @@ router.get('/statistics', requireTeacherOrPrincipal, (req, res) => {
   }
 });
 
-// GET /api/attendance/student/:studentId/history - Get student attendance history
-router.get('/student/:studentId/history', requireTeacherOrPrincipal, (req, res) => {
+// GET /api/attendance/student/:studentId/history - Get student attendance history (across classes, with enrollments)
+router.get('/student/:studentId/history', requirePermission('attendance:view:own', 'attendance:view:any'), (req, res) => {
   try {
     const studentId = parseInt(req.params.studentId);
     const { startDate, endDate, classId, subjectId } = req.query;
@@ -591,21 +1439,13 @@ router.get('/student/:studentId/history', requireTeacherOrPrincipal, (req, res)
     const history = getStudentAttendanceHistory(studentId, filters);
     
     // Calculate summary statistics
-    const summary = {
-      totalClasses: history.length,
-      present: history.filter(h => h.status === 'present').length,
-      absent: history.filter(h => h.status === 'absent').length,
-      attendanceRate: 0
-    };
-    
-    if (summary.totalClasses > 0) {
-      summary.attendanceRate = Math.round((summary.present / summary.totalClasses) * 100);
-    }
+    const summary = summarizeStudentHistory(history);
     
     res.json({
       success: true,
       data: history,
-      summary
+      summary,
+      enrollments: getStudentEnrollments(studentId)
     });
 
   } catch (error) {
@@ -617,4 +1457,4 @@ router.get('/student/:studentId/history', requireTeacherOrPrincipal, (req, res)
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
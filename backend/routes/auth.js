@@ -1,27 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { auth, restrictTo } = require('../middleware/auth');
+const { authenticateToken: auth, authenticateUser, requirePermission } = require('../middleware/auth');
 const { 
-  validateRegister, 
+  validateRegistration, 
   validateLogin, 
-  validatePasswordReset,
-  validatePasswordChange 
+  validatePasswordChange,
+  validatePasswordReset
 } = require('../middleware/validation');
+const { importUpload } = require('../middleware/upload');
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user (Principal only can create users)
- * @access  Private (Principal only)
+ * @desc    Register a new user
+ * @access  Private (users:manage)
  */
 router.post(
   '/register',
   auth,
-  restrictTo('principal'),
-  validateRegister,
+  requirePermission('users:manage'),
+  validateRegistration,
   authController.register
 );
 
+/**
+ * @route   POST /api/auth/bulk-register
+ * @desc    Preview a bulk user import from a CSV/XLSX file (dry run; confirm at /api/imports/:id/confirm)
+ * @access  Private (users:manage)
+ */
+router.post(
+  '/bulk-register',
+  auth,
+  requirePermission('users:manage'),
+  importUpload,
+  authController.bulkRegister
+);
+
 /**
  * @route   POST /api/auth/login
  * @desc    Login user and return JWT token
@@ -35,15 +49,26 @@ router.post(
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (clear token on client side mainly)
+ * @desc    Logout user (revokes the access token and the refresh token in the body)
  * @access  Private
  */
 router.post(
   '/logout',
-  auth,
+  authenticateUser,
   authController.logout
 );
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out all devices (revokes every session of the user)
+ * @access  Private
+ */
+router.post(
+  '/logout-all',
+  authenticateUser,
+  authController.logoutAll
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current logged in user details
@@ -51,8 +76,8 @@ router.post(
  */
 router.get(
   '/me',
-  auth,
-  authController.getMe
+  authenticateUser,
+  authController.getProfile
 );
 
 /**
@@ -62,7 +87,7 @@ router.get(
  */
 router.put(
   '/update-profile',
-  auth,
+  authenticateUser,
   authController.updateProfile
 );
 
@@ -73,15 +98,15 @@ router.put(
  */
 router.put(
   '/change-password',
-  auth,
+  authenticateUser,
   validatePasswordChange,
   authController.changePassword
 );
 
 /**
  * @route   POST /api/auth/forgot-password
- * @desc    Send password reset token to user's email
- * @access  Public
+ * @desc    Send a password reset link to the user's email
+ * @access  Public (rate limited per account)
  */
 router.post(
   '/forgot-password',
@@ -90,7 +115,7 @@ router.post(
 
 /**
  * @route   POST /api/auth/reset-password/:token
- * @desc    Reset password using token
+ * @desc    Reset password using the emailed token (logs out all devices)
  * @access  Public
  */
 router.post(
@@ -99,17 +124,6 @@ router.post(
   authController.resetPassword
 );
 
-/**
- * @route   PUT /api/auth/upload-profile-picture
- * @desc    Upload or update profile picture
- * @access  Private
- */
-router.put(
-  '/upload-profile-picture',
-  auth,
-  authController.uploadProfilePicture
-);
-
 /**
  * @route   GET /api/auth/verify-token
  * @desc    Verify if token is valid
@@ -117,138 +131,166 @@ router.put(
  */
 router.get(
   '/verify-token',
-  auth,
+  authenticateUser,
   authController.verifyToken
 );
 
 /**
  * @route   POST /api/auth/refresh-token
- * @desc    Refresh JWT token
- * @access  Private
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (requires a valid refresh token)
  */
 router.post(
   '/refresh-token',
-  auth,
   authController.refreshToken
 );
 
 /**
- * @route   PUT /api/auth/deactivate/:userId
- * @desc    Deactivate a user account (Principal only)
- * @access  Private (Principal only)
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: exchange the login challenge and an authenticator
+ *          or recovery code for a session (first code completes a required enrollment)
+ * @access  Public (requires a login challenge token)
  */
-router.put(
-  '/deactivate/:userId',
-  auth,
-  restrictTo('principal'),
-  authController.deactivateUser
+router.post(
+  '/login/2fa',
+  authController.loginTwoFactor
 );
 
 /**
- * @route   PUT /api/auth/activate/:userId
- * @desc    Activate a user account (Principal only)
- * @access  Private (Principal only)
+ * @route   POST /api/auth/login/2fa/setup
+ * @desc    Start the two-factor enrollment required by school policy during login
+ * @access  Public (requires a login challenge token)
  */
-router.put(
-  '/activate/:userId',
-  auth,
-  restrictTo('principal'),
-  authController.activateUser
+router.post(
+  '/login/2fa/setup',
+  authController.loginTwoFactorSetup
 );
 
 /**
- * @route   DELETE /api/auth/delete/:userId
- * @desc    Delete a user account permanently (Principal only)
- * @access  Private (Principal only)
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status of the current user
+ * @access  Private
  */
-router.delete(
-  '/delete/:userId',
-  auth,
-  restrictTo('principal'),
-  authController.deleteUser
+router.get(
+  '/2fa',
+  authenticateUser,
+  authController.getTwoFactorStatus
 );
 
 /**
- * @route   GET /api/auth/users
- * @desc    Get all users with filtering (Principal only)
- * @access  Private (Principal only)
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrollment (secret and otpauth:// URI for a QR code)
+ * @access  Private
  */
-router.get(
-  '/users',
-  auth,
-  restrictTo('principal'),
-  authController.getAllUsers
+router.post(
+  '/2fa/setup',
+  authenticateUser,
+  authController.setupTwoFactor
 );
 
 /**
- * @route   GET /api/auth/users/:userId
- * @desc    Get single user by ID
- * @access  Private (Principal and Teachers can view)
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and receive recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/enable',
+  authenticateUser,
+  authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor off (password and code required)
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  authenticateUser,
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes (code required)
+ * @access  Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticateUser,
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/2fa/policy
+ * @desc    Get the roles that must use two-factor login
+ * @access  Private (users:manage)
  */
 router.get(
-  '/users/:userId',
+  '/2fa/policy',
   auth,
-  restrictTo('principal', 'teacher'),
-  authController.getUserById
+  requirePermission('users:manage'),
+  authController.getTwoFactorPolicy
 );
 
 /**
- * @route   PUT /api/auth/users/:userId
- * @desc    Update user by ID (Principal only)
- * @access  Private (Principal only)
+ * @route   PUT /api/auth/2fa/policy
+ * @desc    Set the roles that must use two-factor login
+ * @access  Private (users:manage)
  */
 router.put(
-  '/users/:userId',
+  '/2fa/policy',
   auth,
-  restrictTo('principal'),
-  authController.updateUser
+  requirePermission('users:manage'),
+  authController.updateTwoFactorPolicy
 );
 
 /**
- * @route   GET /api/auth/teachers
- * @desc    Get all teachers
- * @access  Private (Principal and Teachers)
+ * @route   PUT /api/auth/deactivate/:id
+ * @desc    Deactivate a user account and revoke their sessions
+ * @access  Private (users:manage)
  */
-router.get(
-  '/teachers',
+router.put(
+  '/deactivate/:id',
   auth,
-  restrictTo('principal', 'teacher'),
-  authController.getAllTeachers
+  requirePermission('users:manage'),
+  authController.deactivateUser
 );
 
 /**
- * @route   GET /api/auth/students
- * @desc    Get all students (with optional class filter)
- * @access  Private
+ * @route   GET /api/auth/users
+ * @desc    Get all users with filtering
+ * @access  Private (users:manage)
  */
 router.get(
-  '/students',
+  '/users',
   auth,
-  authController.getAllStudents
+  requirePermission('users:manage'),
+  authController.getAllUsers
 );
 
 /**
- * @route   POST /api/auth/bulk-register
- * @desc    Bulk register users (from CSV/Excel upload)
- * @access  Private (Principal only)
+ * @route   PUT /api/auth/users/:id
+ * @desc    Update user by ID
+ * @access  Private (users:manage)
  */
-router.post(
-  '/bulk-register',
+router.put(
+  '/users/:id',
   auth,
-  restrictTo('principal'),
-  authController.bulkRegister
+  requirePermission('users:manage'),
+  authController.updateUserById
 );
 
 /**
- * @route   GET /api/auth/stats
- * @desc    Get user statistics (total users, by role, active/inactive)
- * @access  Private (Principal only)
+ * @route   DELETE /api/auth/users/:id/2fa
+ * @desc    Reset a user's two-factor (lost authenticator)
+ * @access  Private (users:manage)
  */
-router.get(
-  '/stats',
+router.delete(
+  '/users/:id/2fa',
   auth,
-  restrictTo('principal'),
-  authController.getUserStats
+  requirePermission('users:manage'),
+  authController.resetUserTwoFactor
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
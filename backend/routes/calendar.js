@@ -0,0 +1,301 @@
+// backend/routes/calendar.js - Academic Calendar Routes
+const express = require('express');
+const {
+  getCalendarEvents,
+  findCalendarEventById,
+  createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  getAcademicCalendar,
+  findClassById
+} = require('../utils/database');
+const {
+  CALENDAR_EVENT_TYPES,
+  validateCalendarEvent
+} = require('../utils/academicCalendar');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Longest range GET /days will expand
+const MAX_DAYS_RANGE = 366;
+
+const isValidDate = (dateString) => {
+  const date = new Date(dateString);
+  return date instanceof Date && !isNaN(date) && /^\d{4}-\d{2}-\d{2}$/.test(dateString);
+};
+
+// Pick the writable event fields from a request body
+const pickEventFields = (body) => {
+  const fields = {};
+  ['type', 'name', 'startDate', 'endDate', 'classIds', 'dismissalTime', 'notes'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (typeof fields.name === 'string') fields.name = fields.name.trim();
+  if (typeof fields.notes === 'string') fields.notes = fields.notes.trim();
+  if (Array.isArray(fields.classIds)) fields.classIds = fields.classIds.map(id => parseInt(id));
+  return fields;
+};
+
+const findUnknownClassIds = (classIds = []) => classIds.filter(id => !findClassById(id));
+
+// GET /api/calendar - Get calendar events with filters
+router.get('/', requirePermission('calendar:view'), (req, res) => {
+  try {
+    const { type, classId, startDate, endDate } = req.query;
+    
+    // Build filters
+    const filters = {};
+    if (type) filters.type = type;
+    if (classId) filters.classId = parseInt(classId);
+    if (startDate && endDate) {
+      filters.dateRange = { start: startDate, end: endDate };
+    }
+    
+    const events = getCalendarEvents(filters);
+    
+    res.json({
+      success: true,
+      data: events,
+      meta: {
+        total: events.length,
+        types: CALENDAR_EVENT_TYPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get calendar events error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve calendar events',
+      code: 'CALENDAR_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/calendar/days - Resolve school days over a date range
+router.get('/days', requirePermission('calendar:view'), (req, res) => {
+  try {
+    const { startDate, endDate, classId } = req.query;
+    
+    // Validation
+    const errors = [];
+    if (!startDate || !isValidDate(startDate)) {
+      errors.push('Valid start date is required (YYYY-MM-DD)');
+    }
+    if (!endDate || !isValidDate(endDate)) {
+      errors.push('Valid end date is required (YYYY-MM-DD)');
+    }
+    if (errors.length === 0 && startDate > endDate) {
+      errors.push('Start date must be before end date');
+    }
+    if (errors.length === 0 && (Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000) >= MAX_DAYS_RANGE) {
+      errors.push(`Date range cannot exceed ${MAX_DAYS_RANGE} days`);
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    const calendar = getAcademicCalendar();
+    const days = [];
+    for (let time = Date.parse(startDate); time <= Date.parse(endDate); time += 24 * 60 * 60 * 1000) {
+      days.push(calendar.getDay(new Date(time).toISOString().split('T')[0], classId ? parseInt(classId) : undefined));
+    }
+    
+    res.json({
+      success: true,
+      data: days,
+      meta: {
+        startDate,
+        endDate,
+        classId: classId ? parseInt(classId) : null,
+        totalDays: days.length,
+        schoolDays: days.filter(day => day.isSchoolDay).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get calendar days error:', error);
+    res.status(500).json({
+      error: 'Failed to resolve calendar days',
+      code: 'CALENDAR_DAYS_ERROR'
+    });
+  }
+});
+
+// GET /api/calendar/:id - Get specific calendar event
+router.get('/:id', requirePermission('calendar:view'), (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+    
+    if (isNaN(eventId)) {
+      return res.status(400).json({
+        error: 'Invalid calendar event ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const event = findCalendarEventById(eventId);
+    if (!event) {
+      return res.status(404).json({
+        error: 'Calendar event not found',
+        code: 'CALENDAR_EVENT_NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: event
+    });
+
+  } catch (error) {
+    console.error('Get calendar event error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve calendar event',
+      code: 'CALENDAR_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/calendar - Create calendar event
+router.post('/', requirePermission('calendar:manage'), (req, res) => {
+  try {
+    const eventData = pickEventFields(req.body);
+    
+    const errors = validateCalendarEvent(eventData);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    const invalidIds = findUnknownClassIds(eventData.classIds);
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid class IDs found',
+        invalidIds
+      });
+    }
+    
+    const newEvent = createCalendarEvent({
+      ...eventData,
+      createdBy: req.user.id
+    });
+    
+    console.log(`📅 Calendar event created: ${newEvent.name} (${newEvent.type}) by ${req.user.name}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Calendar event created successfully',
+      data: newEvent
+    });
+
+  } catch (error) {
+    console.error('Create calendar event error:', error);
+    res.status(500).json({
+      error: 'Failed to create calendar event',
+      code: 'CALENDAR_CREATE_ERROR'
+    });
+  }
+});
+
+// PUT /api/calendar/:id - Update calendar event
+router.put('/:id', requirePermission('calendar:manage'), (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+    
+    if (isNaN(eventId)) {
+      return res.status(400).json({
+        error: 'Invalid calendar event ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const existingEvent = findCalendarEventById(eventId);
+    if (!existingEvent) {
+      return res.status(404).json({
+        error: 'Calendar event not found',
+        code: 'CALENDAR_EVENT_NOT_FOUND'
+      });
+    }
+    
+    const updateData = pickEventFields(req.body);
+    
+    const errors = validateCalendarEvent(updateData, { partial: true, existing: existingEvent });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    const invalidIds = findUnknownClassIds(updateData.classIds);
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid class IDs found',
+        invalidIds
+      });
+    }
+    
+    const updatedEvent = updateCalendarEvent(eventId, updateData);
+    
+    console.log(`📅 Calendar event updated: ${updatedEvent.name} by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Calendar event updated successfully',
+      data: updatedEvent
+    });
+
+  } catch (error) {
+    console.error('Update calendar event error:', error);
+    res.status(500).json({
+      error: 'Failed to update calendar event',
+      code: 'CALENDAR_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/calendar/:id - Delete calendar event
+router.delete('/:id', requirePermission('calendar:manage'), (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+    
+    if (isNaN(eventId)) {
+      return res.status(400).json({
+        error: 'Invalid calendar event ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const event = findCalendarEventById(eventId);
+    if (!event) {
+      return res.status(404).json({
+        error: 'Calendar event not found',
+        code: 'CALENDAR_EVENT_NOT_FOUND'
+      });
+    }
+    
+    deleteCalendarEvent(eventId);
+    
+    console.log(`🗑️ Calendar event deleted: ${event.name} by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Calendar event deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete calendar event error:', error);
+    res.status(500).json({
+      error: 'Failed to delete calendar event',
+      code: 'CALENDAR_DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
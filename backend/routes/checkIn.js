@@ -0,0 +1,167 @@
+// backend/routes/checkIn.js - QR Code Self Check-In Routes (teachers open sessions, students scan)
+const express = require('express');
+const { AppError } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const checkInService = require('../services/checkInService');
+
+const router = express.Router();
+
+// Opening and showing sessions takes the same permissions as submitting attendance
+const requireAttendanceSubmit = requirePermission('attendance:submit:own', 'attendance:submit:any');
+
+const sendCheckInError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code
+  });
+};
+
+// POST /api/check-in/sessions - Open a check-in session for a period of today (returns the open one if there is one)
+router.post('/sessions', requireAttendanceSubmit, (req, res) => {
+  try {
+    const { scheduleId } = req.body;
+    
+    if (!Number.isInteger(scheduleId)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: ['Valid schedule ID is required']
+      });
+    }
+    
+    const { session, created } = checkInService.openSession(scheduleId, req.user);
+    
+    if (created) {
+      console.log(`📲 Check-in session opened: schedule ${scheduleId} (${session.date}) by ${req.user.name}`);
+    }
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Check-in session opened' : 'Check-in session is already open',
+      data: checkInService.toView(session)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendCheckInError(res, error);
+    }
+    
+    console.error('Open check-in session error:', error);
+    res.status(500).json({
+      error: 'Failed to open check-in session',
+      code: 'CHECKIN_SESSION_OPEN_ERROR'
+    });
+  }
+});
+
+// GET /api/check-in/sessions/:id - Session state and the students who checked in
+router.get('/sessions/:id', requireAttendanceSubmit, (req, res) => {
+  try {
+    const session = checkInService.findSession(req.params.id, req.user);
+    
+    res.json({
+      success: true,
+      data: checkInService.toView(session)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendCheckInError(res, error);
+    }
+    
+    console.error('Get check-in session error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve check-in session',
+      code: 'CHECKIN_SESSION_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/check-in/sessions/:id/token - Current QR code content; poll again by expiresAt
+router.get('/sessions/:id/token', requireAttendanceSubmit, (req, res) => {
+  try {
+    const session = checkInService.findSession(req.params.id, req.user);
+    
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: checkInService.getCurrentToken(session)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendCheckInError(res, error);
+    }
+    
+    console.error('Get check-in token error:', error);
+    res.status(500).json({
+      error: 'Failed to generate check-in code',
+      code: 'CHECKIN_TOKEN_ERROR'
+    });
+  }
+});
+
+// POST /api/check-in/sessions/:id/close - Stop accepting check-ins
+router.post('/sessions/:id/close', requireAttendanceSubmit, (req, res) => {
+  try {
+    const session = checkInService.closeSession(checkInService.findSession(req.params.id, req.user));
+    
+    res.json({
+      success: true,
+      message: 'Check-in session closed',
+      data: checkInService.toView(session)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendCheckInError(res, error);
+    }
+    
+    console.error('Close check-in session error:', error);
+    res.status(500).json({
+      error: 'Failed to close check-in session',
+      code: 'CHECKIN_SESSION_CLOSE_ERROR'
+    });
+  }
+});
+
+// POST /api/check-in - Student checks in with the token from the QR code
+router.post('/', requirePermission('checkin:self'), (req, res) => {
+  try {
+    const { session, checkIn } = checkInService.checkIn(req.body.token, req.user, {
+      actorId: req.user.id,
+      ip: req.ip
+    });
+    const view = checkInService.toView(session);
+    
+    console.log(`✅ Checked in: ${checkIn.studentName} - ${view.className} ${view.subjectName} (${session.date})`);
+    
+    res.status(201).json({
+      success: true,
+      message: `Checked in to ${view.subjectName} (${view.className})`,
+      data: {
+        sessionId: session.id,
+        classId: session.classId,
+        className: view.className,
+        subjectId: session.subjectId,
+        subjectName: view.subjectName,
+        date: session.date,
+        studentId: checkIn.studentId,
+        status: 'present',
+        checkedInAt: checkIn.checkedInAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendCheckInError(res, error);
+    }
+    
+    console.error('Check-in error:', error);
+    res.status(500).json({
+      error: 'Failed to check in',
+      code: 'CHECKIN_ERROR'
+    });
+  }
+});
+
+module.exports = router;
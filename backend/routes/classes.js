@@ -8,13 +8,18 @@ const {
   deleteClass,
   addStudentToClass,
   removeStudentFromClass,
+  findStudent,
   findStudentById,
-  searchStudents
+  searchStudents,
+  getSettings
 } = require('../utils/database');
-const {
-  requirePrincipal,
-  requireTeacherOrPrincipal
-} = require('../middleware/auth');
+const { isArchivedClass, getRosterStudents, classArchivedError } = require('../utils/academicYears');
+const { setETag, isStaleVersion, versionConflictError } = require('../utils/recordVersion');
+const { hasPermission, requirePermission } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const { importUpload } = require('../middleware/upload');
+const socketService = require('../services/socketService');
+const importService = require('../services/importService');
 
 const router = express.Router();
 
@@ -30,15 +35,15 @@ const isValidPhone = (phone) => {
 };
 
 // GET /api/classes - Get all classes
-router.get('/', requireTeacherOrPrincipal, (req, res) => {
+router.get('/', requirePermission('classes:view:own', 'classes:view:any'), (req, res) => {
   try {
-    const { page = 1, limit = 10, grade, search, includeStudents = 'true' } = req.query;
+    const { page = 1, limit = 10, grade, search, academicYear, includeStudents = 'true' } = req.query;
     
-    // Get classes based on user role
-    let classes = getAllClasses();
+    // Get classes based on user permissions (an academicYear includes its archived classes)
+    let classes = getAllClasses(academicYear ? { academicYear } : {});
     
-    // For teachers, filter to only classes they teach
-    if (req.user.role === 'teacher') {
+    // Without classes:view:any, filter to only classes they teach
+    if (!hasPermission(req.user, 'classes:view:any')) {
       classes = classes.filter(cls => 
         cls.classTeacher === req.user.id ||
         req.user.subjects?.some(subjectId => 
@@ -74,7 +79,7 @@ router.get('/', requireTeacherOrPrincipal, (req, res) => {
     if (includeStudents === 'false') {
       responseClasses = responseClasses.map(cls => ({
         ...cls,
-        studentCount: cls.students?.filter(s => s.isActive).length || 0,
+        studentCount: getRosterStudents(cls).length,
         students: undefined
       }));
     }
@@ -100,7 +105,7 @@ router.get('/', requireTeacherOrPrincipal, (req, res) => {
 });
 
 // GET /api/classes/:id - Get specific class
-router.get('/:id', requireTeacherOrPrincipal, (req, res) => {
+router.get('/:id', requirePermission('classes:view:own', 'classes:view:any'), (req, res) => {
   try {
     const classId = parseInt(req.params.id);
     
@@ -119,8 +124,8 @@ router.get('/:id', requireTeacherOrPrincipal, (req, res) => {
       });
     }
     
-    // Check access for teachers
-    if (req.user.role === 'teacher') {
+    // Without classes:view:any, users only see classes they teach
+    if (!hasPermission(req.user, 'classes:view:any')) {
       const hasAccess = classData.classTeacher === req.user.id ||
                        req.user.subjects?.some(subjectId => 
                          classData.subjects?.includes(subjectId)
@@ -134,6 +139,7 @@ router.get('/:id', requireTeacherOrPrincipal, (req, res) => {
       }
     }
     
+    setETag(res, classData);
     res.json({
       success: true,
       data: classData
@@ -148,8 +154,8 @@ router.get('/:id', requireTeacherOrPrincipal, (req, res) => {
   }
 });
 
-// POST /api/classes - Create new class (Principal only)
-router.post('/', requirePrincipal, (req, res) => {
+// POST /api/classes - Create new class
+router.post('/', requirePermission('classes:manage'), (req, res) => {
   try {
     const { name, grade, section = 'A', classTeacher, maxStudents = 35, students = [] } = req.body;
     
@@ -212,6 +218,9 @@ router.post('/', requirePrincipal, (req, res) => {
       if (student.email && !isValidEmail(student.email)) {
         studentErrors.push('Invalid email format');
       }
+      if (student.studentId && findStudent({ studentId: student.studentId.trim() })) {
+        studentErrors.push('Student ID is already registered; transfer or re-enroll that student instead');
+      }
       
       if (studentErrors.length > 0) {
         return res.status(400).json({
@@ -221,12 +230,11 @@ router.post('/', requirePrincipal, (req, res) => {
       }
       
       processedStudents.push({
-        ...student,
         name: student.name.trim(),
         studentId: student.studentId.trim(),
         email: student.email?.toLowerCase().trim(),
-        parentContact: student.parentContact?.trim(),
-        isActive: true
+        dateOfBirth: student.dateOfBirth,
+        parentContact: student.parentContact?.trim()
       });
     }
     
@@ -237,7 +245,7 @@ router.post('/', requirePrincipal, (req, res) => {
       section: section.trim(),
       classTeacher,
       maxStudents,
-      academicYear: new Date().getFullYear() + '-' + (new Date().getFullYear() + 1),
+      academicYear: getSettings().academicYear,
       students: processedStudents
     };
     
@@ -260,8 +268,8 @@ router.post('/', requirePrincipal, (req, res) => {
   }
 });
 
-// PUT /api/classes/:id - Update class (Principal only)
-router.put('/:id', requirePrincipal, (req, res) => {
+// PUT /api/classes/:id - Update class
+router.put('/:id', requirePermission('classes:manage'), (req, res) => {
   try {
     const classId = parseInt(req.params.id);
     const { name, grade, section, classTeacher, maxStudents } = req.body;
@@ -281,6 +289,16 @@ router.put('/:id', requirePrincipal, (req, res) => {
       });
     }
     
+    if (isArchivedClass(existingClass)) {
+      return res.status(409).json(classArchivedError(existingClass));
+    }
+    
+    // Someone else changed the class after the client loaded it (If-Match or version)
+    if (isStaleVersion(req, existingClass)) {
+      setETag(res, existingClass);
+      return res.status(409).json(versionConflictError(existingClass, existingClass));
+    }
+    
     // Validate class teacher if provided
     if (classTeacher) {
       const { findUserById } = require('../utils/database');
@@ -305,6 +323,7 @@ router.put('/:id', requirePrincipal, (req, res) => {
     
     console.log(`🏫 Class updated: ${updatedClass.name} by ${req.user.name}`);
     
+    setETag(res, updatedClass);
     res.json({
       success: true,
       message: 'Class updated successfully',
@@ -320,8 +339,8 @@ router.put('/:id', requirePrincipal, (req, res) => {
   }
 });
 
-// DELETE /api/classes/:id - Delete class (Principal only)
-router.delete('/:id', requirePrincipal, (req, res) => {
+// DELETE /api/classes/:id - Delete class
+router.delete('/:id', requirePermission('classes:manage'), (req, res) => {
   try {
     const classId = parseInt(req.params.id);
     
@@ -340,6 +359,10 @@ router.delete('/:id', requirePrincipal, (req, res) => {
       });
     }
     
+    if (isArchivedClass(classData)) {
+      return res.status(409).json(classArchivedError(classData));
+    }
+    
     const success = deleteClass(classId);
     
     if (success) {
@@ -364,8 +387,8 @@ router.delete('/:id', requirePrincipal, (req, res) => {
   }
 });
 
-// POST /api/classes/:id/students - Add student to class (Principal only)
-router.post('/:id/students', requirePrincipal, (req, res) => {
+// POST /api/classes/:id/students - Add student to class
+router.post('/:id/students', requirePermission('classes:manage'), (req, res) => {
   try {
     const classId = parseInt(req.params.id);
     const { name, studentId, email, dateOfBirth, parentContact } = req.body;
@@ -385,6 +408,10 @@ router.post('/:id/students', requirePrincipal, (req, res) => {
       });
     }
     
+    if (isArchivedClass(classData)) {
+      return res.status(409).json(classArchivedError(classData));
+    }
+    
     // Validate student data
     const errors = [];
     if (!name || name.length < 2) {
@@ -419,6 +446,19 @@ router.post('/:id/students', requirePrincipal, (req, res) => {
       });
     }
     
+    // Students keep one registry record: move existing ones instead of adding them again
+    const registeredStudent = findStudent({ studentId: studentId.trim() });
+    if (registeredStudent) {
+      const { className } = findStudentById(registeredStudent.id);
+      return res.status(409).json({
+        error: className
+          ? `Student ID belongs to a student enrolled in ${className}; use POST /api/students/${registeredStudent.id}/transfer`
+          : `Student ID belongs to a former student; use POST /api/students/${registeredStudent.id}/enroll`,
+        code: 'STUDENT_REGISTERED',
+        studentId: registeredStudent.id
+      });
+    }
+    
     // Check class capacity
     const activeStudents = classData.students.filter(s => s.isActive).length;
     if (activeStudents >= classData.maxStudents) {
@@ -437,7 +477,9 @@ router.post('/:id/students', requirePrincipal, (req, res) => {
       parentContact: parentContact?.trim()
     };
     
-    const newStudent = addStudentToClass(classId, studentData);
+    const newStudent = addStudentToClass(classId, studentData, { createdBy: req.user.id });
+    
+    socketService.emitClassRosterChanged(classId, 'studentAdded', { student: newStudent });
     
     console.log(`👥 Student added: ${newStudent.name} to ${classData.name} by ${req.user.name}`);
     
@@ -456,8 +498,49 @@ router.post('/:id/students', requirePrincipal, (req, res) => {
   }
 });
 
-// DELETE /api/classes/:classId/students/:studentId - Remove student from class (Principal only)
-router.delete('/:classId/students/:studentId', requirePrincipal, (req, res) => {
+// POST /api/classes/:id/students/import - Preview a roster import from a CSV/XLSX file (dry run)
+router.post('/:id/students/import', requirePermission('classes:manage'), importUpload, async (req, res) => {
+  try {
+    const classId = parseInt(req.params.id);
+    
+    if (isNaN(classId)) {
+      return res.status(400).json({
+        error: 'Invalid class ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const report = await importService.preview('students', {
+      file: req.file,
+      mapping: req.body.mapping,
+      user: req.user,
+      classId
+    });
+    
+    res.json({
+      success: true,
+      message: 'Import preview ready; confirm it with POST /api/imports/:id/confirm',
+      data: report
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    
+    console.error('Preview student import error:', error);
+    res.status(500).json({
+      error: 'Failed to read roster import',
+      code: 'STUDENT_IMPORT_ERROR'
+    });
+  }
+});
+
+// DELETE /api/classes/:classId/students/:studentId - Remove student from class (ends their enrollment)
+router.delete('/:classId/students/:studentId', requirePermission('classes:manage'), (req, res) => {
   try {
     const classId = parseInt(req.params.classId);
     const studentId = parseInt(req.params.studentId);
@@ -477,7 +560,11 @@ router.delete('/:classId/students/:studentId', requirePrincipal, (req, res) => {
       });
     }
     
-    const student = classData.students.find(s => s.id === studentId);
+    if (isArchivedClass(classData)) {
+      return res.status(409).json(classArchivedError(classData));
+    }
+    
+    const student = classData.students.find(s => s.id === studentId && s.isActive);
     if (!student) {
       return res.status(404).json({
         error: 'Student not found in this class',
@@ -485,9 +572,11 @@ router.delete('/:classId/students/:studentId', requirePrincipal, (req, res) => {
       });
     }
     
-    const success = removeStudentFromClass(classId, studentId);
+    const success = removeStudentFromClass(classId, studentId, { endedBy: req.user.id });
     
     if (success) {
+      socketService.emitClassRosterChanged(classId, 'studentRemoved', { studentId });
+      
       console.log(`👥 Student removed: ${student.name} from ${classData.name} by ${req.user.name}`);
       res.json({
         success: true,
@@ -510,7 +599,7 @@ router.delete('/:classId/students/:studentId', requirePrincipal, (req, res) => {
 });
 
 // GET /api/classes/:id/students - Get students in a class
-router.get('/:id/students', requireTeacherOrPrincipal, (req, res) => {
+router.get('/:id/students', requirePermission('classes:view:own', 'classes:view:any'), (req, res) => {
   try {
     const classId = parseInt(req.params.id);
     const { active = 'true' } = req.query;
@@ -530,8 +619,8 @@ router.get('/:id/students', requireTeacherOrPrincipal, (req, res) => {
       });
     }
     
-    // Check access for teachers
-    if (req.user.role === 'teacher') {
+    // Without classes:view:any, users only see classes they teach
+    if (!hasPermission(req.user, 'classes:view:any')) {
       const hasAccess = classData.classTeacher === req.user.id ||
                        req.user.subjects?.some(subjectId => 
                          classData.subjects?.includes(subjectId)
@@ -571,7 +660,7 @@ router.get('/:id/students', requireTeacherOrPrincipal, (req, res) => {
 });
 
 // GET /api/classes/search/students - Search students across all classes
-router.get('/search/students', requireTeacherOrPrincipal, (req, res) => {
+router.get('/search/students', requirePermission('classes:view:own', 'classes:view:any'), (req, res) => {
   try {
     const { q: query, limit = 20 } = req.query;
     
@@ -606,8 +695,8 @@ router.get('/search/students', requireTeacherOrPrincipal, (req, res) => {
   }
 });
 
-// GET /api/classes/stats - Get class statistics (Principal only)
-router.get('/stats', requirePrincipal, (req, res) => {
+// GET /api/classes/stats - Get class statistics
+router.get('/stats', requirePermission('classes:view:any'), (req, res) => {
   try {
     const classes = getAllClasses();
     
@@ -658,4 +747,4 @@ router.get('/stats', requirePrincipal, (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,104 @@
+// backend/routes/feeds.js - Calendar Feed Routes (calendar clients fetch feeds without logging in)
+const express = require('express');
+const { findUserById } = require('../utils/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const calendarFeedService = require('../services/calendarFeedService');
+
+const router = express.Router();
+
+const getOrigin = (req) => `${req.protocol}://${req.get('host')}`;
+
+// GET /api/feeds/timetable - Whether the user has a timetable feed
+router.get('/timetable', authenticateToken, requirePermission('schedule:view'), (req, res) => {
+  try {
+    const user = findUserById(req.user.id);
+    
+    res.json({
+      success: true,
+      data: {
+        active: Boolean(user.calendarFeedTokenHash),
+        createdAt: user.calendarFeedCreatedAt || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get timetable feed error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve timetable feed',
+      code: 'FEED_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/feeds/timetable - Create the user's feed URL (replaces the previous one; only shown once)
+router.post('/timetable', authenticateToken, requirePermission('schedule:view'), (req, res) => {
+  try {
+    const token = calendarFeedService.createFeedToken(req.user.id);
+    
+    console.log(`📆 Timetable feed created for ${req.user.name}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Timetable feed created; copy the URL now, it is not shown again',
+      data: {
+        url: calendarFeedService.getFeedUrl(token, getOrigin(req)),
+        createdAt: findUserById(req.user.id).calendarFeedCreatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Create timetable feed error:', error);
+    res.status(500).json({
+      error: 'Failed to create timetable feed',
+      code: 'FEED_CREATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/feeds/timetable - Stop the user's feed (subscribed calendars stop updating)
+router.delete('/timetable', authenticateToken, (req, res) => {
+  try {
+    calendarFeedService.revokeFeedToken(req.user.id);
+    
+    res.json({
+      success: true,
+      message: 'Timetable feed revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke timetable feed error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke timetable feed',
+      code: 'FEED_REVOKE_ERROR'
+    });
+  }
+});
+
+// GET /api/feeds/timetable/:token.ics - The feed itself; the token in the URL is the credential
+router.get('/timetable/:token.ics', (req, res) => {
+  try {
+    const user = calendarFeedService.findFeedUser(req.params.token);
+    if (!user) {
+      return res.status(404).json({
+        error: 'Feed not found',
+        code: 'FEED_NOT_FOUND'
+      });
+    }
+    
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="timetable.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendarFeedService.buildTimetableFeed(user));
+
+  } catch (error) {
+    console.error('Get timetable feed error:', error);
+    res.status(500).json({
+      error: 'Failed to generate timetable feed',
+      code: 'FEED_GENERATE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
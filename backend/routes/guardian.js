@@ -0,0 +1,250 @@
+// backend/routes/guardian.js - Guardian Portal Routes (read-only access to linked students)
+const express = require('express');
+const {
+  findUserById,
+  findStudentById,
+  findSubjectById,
+  getAllSchedules,
+  getSettings,
+  getAcademicCalendar,
+  getTimetableCycle,
+  getStudentAttendanceHistory,
+  summarizeStudentHistory
+} = require('../utils/database');
+const { getLocalDateTime } = require('../utils/lateSubmission');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest look-ahead for GET /children/:studentId/schedule and look-back for GET /notices
+const MAX_SCHEDULE_DAYS = 31;
+const MAX_NOTICE_DAYS = 180;
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().split('T')[0];
+
+const isValidDate = (dateString) => {
+  const date = new Date(dateString);
+  return date instanceof Date && !isNaN(date) && /^\d{4}-\d{2}-\d{2}$/.test(dateString);
+};
+
+const parseDays = (value, defaultDays, maxDays) => {
+  const days = value === undefined ? defaultDays : parseInt(value);
+  return Number.isInteger(days) && days >= 1 && days <= maxDays ? days : null;
+};
+
+// Students linked to the signed-in guardian (links are read fresh, not from the token)
+const getChildren = (guardianId) => {
+  const guardian = findUserById(guardianId);
+  return (guardian?.studentIds || [])
+    .map(studentId => findStudentById(studentId))
+    .filter(Boolean);
+};
+
+const findChild = (req) => {
+  const studentId = parseInt(req.params.studentId);
+  return getChildren(req.user.id).find(child => child.id === studentId);
+};
+
+const formatChild = (child) => ({
+  id: child.id,
+  name: child.name,
+  studentId: child.studentId,
+  classId: child.classId,
+  className: child.className
+});
+
+// Absences and late arrivals are reported to guardians
+const isNotice = (entry) => !entry.attended || entry.status === 'late';
+
+router.use(requirePermission('guardian:portal'));
+
+// GET /api/guardian/children - Linked students with an attendance summary
+router.get('/children', (req, res) => {
+  try {
+    const children = getChildren(req.user.id).map(child => ({
+      ...formatChild(child),
+      attendanceSummary: summarizeStudentHistory(getStudentAttendanceHistory(child.id, { classId: child.classId }))
+    }));
+    
+    res.json({
+      success: true,
+      data: children,
+      meta: {
+        total: children.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get guardian children error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve students',
+      code: 'CHILDREN_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/guardian/children/:studentId/attendance - Attendance history of a linked student
+router.get('/children/:studentId/attendance', (req, res) => {
+  try {
+    const { startDate, endDate, subjectId } = req.query;
+    
+    const child = findChild(req);
+    if (!child) {
+      return res.status(404).json({
+        error: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+    
+    if ((startDate && !isValidDate(startDate)) || (endDate && !isValidDate(endDate))) {
+      return res.status(400).json({
+        error: 'Dates must be in YYYY-MM-DD format',
+        code: 'INVALID_DATE'
+      });
+    }
+    
+    // Build filters
+    const filters = {};
+    if (subjectId) filters.subjectId = parseInt(subjectId);
+    if (startDate && endDate) {
+      filters.dateRange = { start: startDate, end: endDate };
+    }
+    
+    const history = getStudentAttendanceHistory(child.id, filters);
+    
+    res.json({
+      success: true,
+      data: history,
+      summary: summarizeStudentHistory(history),
+      student: formatChild(child)
+    });
+
+  } catch (error) {
+    console.error('Get guardian attendance history error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve attendance history',
+      code: 'HISTORY_ERROR'
+    });
+  }
+});
+
+// GET /api/guardian/children/:studentId/schedule - Upcoming periods of a linked student
+router.get('/children/:studentId/schedule', (req, res) => {
+  try {
+    const child = findChild(req);
+    if (!child) {
+      return res.status(404).json({
+        error: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+    
+    const days = parseDays(req.query.days, 7, MAX_SCHEDULE_DAYS);
+    if (!days) {
+      return res.status(400).json({
+        error: `Days must be between 1 and ${MAX_SCHEDULE_DAYS}`,
+        code: 'INVALID_DAYS'
+      });
+    }
+    
+    const calendar = getAcademicCalendar();
+    const { getPosition, occursOn } = getTimetableCycle();
+    const today = getLocalDateTime(new Date(), getSettings().timezone).date;
+    const schedules = getAllSchedules({ classId: child.classId });
+    const periods = [];
+    
+    for (let offset = 0; offset < days; offset++) {
+      const date = addDays(today, offset);
+      const day = calendar.getDay(date, child.classId);
+      if (!day.isSchoolDay) continue;
+      
+      const dismissal = day.events.find(event => event.type === 'early-dismissal');
+      const { cycleWeek, cycleDay } = getPosition(date);
+      
+      schedules
+        .filter(schedule => occursOn(schedule, date))
+        .filter(schedule => !dismissal || schedule.startTime < dismissal.dismissalTime)
+        .sort((a, b) => a.startTime.localeCompare(b.startTime))
+        .forEach(schedule => {
+          periods.push({
+            date,
+            dayOfWeek: day.dayOfWeek,
+            cycleWeek,
+            cycleDay,
+            startTime: schedule.startTime,
+            endTime: schedule.endTime,
+            subjectId: schedule.subjectId,
+            subjectName: findSubjectById(schedule.subjectId)?.name,
+            teacherName: findUserById(schedule.teacherId)?.name,
+            room: schedule.room,
+            events: day.events.map(event => ({ type: event.type, name: event.name }))
+          });
+        });
+    }
+    
+    res.json({
+      success: true,
+      data: periods,
+      student: formatChild(child),
+      meta: {
+        startDate: today,
+        endDate: addDays(today, days - 1),
+        totalPeriods: periods.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get guardian schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve schedule',
+      code: 'SCHEDULE_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/guardian/notices - Recent absences and late arrivals of all linked students
+router.get('/notices', (req, res) => {
+  try {
+    const days = parseDays(req.query.days, 30, MAX_NOTICE_DAYS);
+    if (!days) {
+      return res.status(400).json({
+        error: `Days must be between 1 and ${MAX_NOTICE_DAYS}`,
+        code: 'INVALID_DAYS'
+      });
+    }
+    
+    const today = getLocalDateTime(new Date(), getSettings().timezone).date;
+    const dateRange = { start: addDays(today, -(days - 1)), end: today };
+    
+    const notices = getChildren(req.user.id)
+      .flatMap(child => getStudentAttendanceHistory(child.id, { dateRange })
+        .filter(isNotice)
+        .map(entry => ({
+          studentId: child.id,
+          studentName: child.name,
+          ...entry
+        })))
+      .sort((a, b) => b.date.localeCompare(a.date));
+    
+    res.json({
+      success: true,
+      data: notices,
+      meta: {
+        startDate: dateRange.start,
+        endDate: dateRange.end,
+        total: notices.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get guardian notices error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve absence notices',
+      code: 'NOTICES_FETCH_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// backend/routes/imports.js - Pending Import Previews (confirm or discard)
+const express = require('express');
+const { AppError } = require('../middleware/errorHandler');
+const importService = require('../services/importService');
+
+const router = express.Router();
+
+/**
+ * Previews are created by POST /api/auth/bulk-register (users) and
+ * POST /api/classes/:id/students/import (rosters); only the user who
+ * uploaded the file can see, confirm or discard one.
+ */
+
+const sendImportError = (res, error) => {
+  return res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code
+  });
+};
+
+// GET /api/imports/:id - Preview report, re-checked against the current data
+router.get('/:id', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: importService.getPreview(req.params.id, req.user)
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendImportError(res, error);
+    }
+    
+    console.error('Get import error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve import',
+      code: 'IMPORT_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/imports/:id/confirm - Write every row of the preview (all or nothing)
+router.post('/:id/confirm', (req, res) => {
+  try {
+    const result = importService.confirm(req.params.id, req.user);
+    
+    res.json({
+      success: true,
+      message: `Import complete: ${result.created.length} created, ${result.updated.length} updated`,
+      data: result
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendImportError(res, error);
+    }
+    
+    console.error('Confirm import error:', error);
+    res.status(500).json({
+      error: 'Import failed; no changes were saved',
+      code: 'IMPORT_COMMIT_ERROR'
+    });
+  }
+});
+
+// DELETE /api/imports/:id - Discard a preview
+router.delete('/:id', (req, res) => {
+  try {
+    importService.discard(req.params.id, req.user);
+    
+    res.json({
+      success: true,
+      message: 'Import discarded'
+    });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return sendImportError(res, error);
+    }
+    
+    console.error('Discard import error:', error);
+    res.status(500).json({
+      error: 'Failed to discard import',
+      code: 'IMPORT_DISCARD_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+// backend/routes/roles.js - Role and Permission Management Routes
+const express = require('express');
+const {
+  getAllRoles,
+  findRoleByName,
+  createRole,
+  updateRole,
+  deleteRole,
+  findUser,
+  getDatabase
+} = require('../utils/database');
+const {
+  PERMISSIONS,
+  PROTECTED_GRANTS,
+  isValidRoleName,
+  findUnknownPermissions
+} = require('../utils/permissions');
+const { requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Pick the writable role fields from a request body
+const pickRoleFields = (body) => {
+  const fields = {};
+  ['label', 'description', 'permissions'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (typeof fields.label === 'string') fields.label = fields.label.trim();
+  if (typeof fields.description === 'string') fields.description = fields.description.trim();
+  if (Array.isArray(fields.permissions)) fields.permissions = [...new Set(fields.permissions)];
+  return fields;
+};
+
+const validateRoleFields = (fields, { partial = false } = {}) => {
+  const errors = [];
+  
+  if (!partial || fields.label !== undefined) {
+    if (typeof fields.label !== 'string' || fields.label.length < 2 || fields.label.length > 50) {
+      errors.push('Label must be 2-50 characters');
+    }
+  }
+  
+  if (fields.description !== undefined && (typeof fields.description !== 'string' || fields.description.length > 255)) {
+    errors.push('Description must be at most 255 characters');
+  }
+  
+  if (!partial || fields.permissions !== undefined) {
+    if (!Array.isArray(fields.permissions) || !fields.permissions.every(permission => typeof permission === 'string')) {
+      errors.push('Permissions must be an array of permission names');
+    } else {
+      const unknown = findUnknownPermissions(fields.permissions);
+      if (unknown.length > 0) {
+        errors.push(`Unknown permissions: ${unknown.join(', ')}`);
+      }
+    }
+  }
+  
+  return errors;
+};
+
+const countUsersWithRole = (name) => getDatabase().users.filter(user => user.role === name).length;
+
+const formatRole = (role) => ({
+  ...role,
+  userCount: countUsersWithRole(role.name)
+});
+
+// GET /api/roles - List roles with their permissions
+router.get('/', requirePermission('roles:manage', 'users:manage'), (req, res) => {
+  try {
+    const roles = getAllRoles().map(formatRole);
+    
+    res.json({
+      success: true,
+      data: roles,
+      meta: {
+        total: roles.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve roles',
+      code: 'ROLES_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/roles/permissions - Catalog of permissions a role can grant
+router.get('/permissions', requirePermission('roles:manage', 'users:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// GET /api/roles/:name - Get specific role
+router.get('/:name', requirePermission('roles:manage', 'users:manage'), (req, res) => {
+  try {
+    const role = findRoleByName(req.params.name);
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: formatRole(role)
+    });
+
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve role',
+      code: 'ROLE_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/roles - Create a role (e.g. vice principal, office clerk, auditor)
+router.post('/', requirePermission('roles:manage'), (req, res) => {
+  try {
+    const { name } = req.body;
+    const roleData = pickRoleFields(req.body);
+    
+    const errors = validateRoleFields(roleData);
+    if (!isValidRoleName(name)) {
+      errors.unshift('Name must be 2-30 lowercase letters, digits or dashes, starting with a letter');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    if (findRoleByName(name)) {
+      return res.status(409).json({
+        error: 'A role with this name already exists',
+        code: 'ROLE_EXISTS'
+      });
+    }
+    
+    const newRole = createRole({
+      name,
+      ...roleData
+    });
+    
+    console.log(`🛡️ Role created: ${newRole.name} (${newRole.permissions.length} permissions) by ${req.user.name}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: formatRole(newRole)
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      error: 'Failed to create role',
+      code: 'ROLE_CREATE_ERROR'
+    });
+  }
+});
+
+// PUT /api/roles/:name - Update a role's label, description or permission grants
+router.put('/:name', requirePermission('roles:manage'), (req, res) => {
+  try {
+    const role = findRoleByName(req.params.name);
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+    
+    const updateData = pickRoleFields(req.body);
+    
+    const errors = validateRoleFields(updateData, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    // Keep the grants that stop the school locking itself out
+    const missingGrants = (PROTECTED_GRANTS[role.name] || [])
+      .filter(permission => updateData.permissions && !updateData.permissions.includes(permission));
+    if (missingGrants.length > 0) {
+      return res.status(400).json({
+        error: `The ${role.name} role must keep: ${missingGrants.join(', ')}`,
+        code: 'PROTECTED_PERMISSION'
+      });
+    }
+    
+    const updatedRole = updateRole(role.name, updateData);
+    
+    console.log(`🛡️ Role updated: ${updatedRole.name} by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: formatRole(updatedRole)
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      error: 'Failed to update role',
+      code: 'ROLE_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/roles/:name - Delete a custom role no user holds
+router.delete('/:name', requirePermission('roles:manage'), (req, res) => {
+  try {
+    const role = findRoleByName(req.params.name);
+    if (!role) {
+      return res.status(404).json({
+        error: 'Role not found',
+        code: 'ROLE_NOT_FOUND'
+      });
+    }
+    
+    if (role.isSystem) {
+      return res.status(400).json({
+        error: 'Built-in roles cannot be deleted',
+        code: 'SYSTEM_ROLE'
+      });
+    }
+    
+    if (findUser({ role: role.name })) {
+      return res.status(409).json({
+        error: 'Cannot delete a role that is assigned to users',
+        code: 'ROLE_IN_USE',
+        userCount: countUsersWithRole(role.name)
+      });
+    }
+    
+    deleteRole(role.name);
+    
+    console.log(`🗑️ Role deleted: ${role.name} by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      error: 'Failed to delete role',
+      code: 'ROLE_DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,507 @@
+// backend/routes/schedule.js - Timetable Routes
+const express = require('express');
+const {
+  getAllSchedules,
+  findScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getTeacherSchedule,
+  getTimetableCycle,
+  getSettings,
+  updateSettings,
+  findUserById,
+  findClassById,
+  findSubjectById
+} = require('../utils/database');
+const { requirePermission, hasPermission } = require('../middleware/auth');
+const { validateSchedule, validateData } = require('../middleware/validation');
+const { compareSchedules, findScheduleConflicts } = require('../utils/timetable');
+const {
+  getCycleSettings,
+  validateTimetableCycle,
+  validateScheduleCycle,
+  describeScheduleDay
+} = require('../utils/timetableCycle');
+const { getLocalDateTime } = require('../utils/lateSubmission');
+const { isArchivedClass, classArchivedError } = require('../utils/academicYears');
+const socketService = require('../services/socketService');
+
+const router = express.Router();
+
+const SCHEDULE_FIELDS = ['teacherId', 'classId', 'subjectId', 'dayOfWeek', 'cycleWeek', 'cycleDay', 'startTime', 'endTime', 'room'];
+const CYCLE_FIELDS = ['type', 'length', 'startDate', 'restartEachTerm'];
+const MAX_CYCLE_DAYS = 62;
+
+const isValidDate = (dateString) => /^\d{4}-\d{2}-\d{2}$/.test(dateString) && !isNaN(Date.parse(dateString));
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+// Users whose role lets them take attendance for their own periods can be put on the timetable
+const canTeach = (user) => Boolean(user) && hasPermission(user, 'attendance:submit:own');
+
+// Entry with the names of its teacher, class and subject
+const enrichSchedule = (schedule) => {
+  const teacher = findUserById(schedule.teacherId);
+  const classInfo = findClassById(schedule.classId);
+  const subject = findSubjectById(schedule.subjectId);
+
+  return {
+    ...schedule,
+    teacherName: teacher?.name,
+    className: classInfo?.name,
+    subjectName: subject?.name,
+    subjectCode: subject?.code
+  };
+};
+
+const pickScheduleFields = (data) => {
+  const entry = {};
+  SCHEDULE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) entry[field] = data[field];
+  });
+  if (typeof entry.room === 'string') entry.room = entry.room.trim();
+  return entry;
+};
+
+/**
+ * Check an entry against the school before it goes on the timetable.
+ * Returns { status, body } for the first problem, or null:
+ *  - the entry's day must fit the timetable cycle (see utils/timetableCycle.js)
+ *  - the teacher, class and subject must exist (the teacher an active user
+ *    who may take attendance for their own periods)
+ *  - archived classes are read-only
+ *  - conflicts with the rest of the timetable (see utils/timetable.js)
+ */
+const checkScheduleEntry = (entry) => {
+  const cycleErrors = validateScheduleCycle(entry, getCycleSettings(getSettings()));
+  if (cycleErrors.length > 0) {
+    return {
+      status: 400,
+      body: { success: false, error: 'Validation failed', code: 'VALIDATION_ERROR', details: cycleErrors }
+    };
+  }
+
+  const teacher = findUserById(entry.teacherId);
+  if (!canTeach(teacher) || !teacher.isActive) {
+    return { status: 404, body: { error: 'Teacher not found', code: 'TEACHER_NOT_FOUND' } };
+  }
+
+  const classInfo = findClassById(entry.classId);
+  if (!classInfo) {
+    return { status: 404, body: { error: 'Class not found', code: 'CLASS_NOT_FOUND' } };
+  }
+  if (isArchivedClass(classInfo)) {
+    return { status: 409, body: classArchivedError(classInfo) };
+  }
+
+  const subject = findSubjectById(entry.subjectId);
+  if (!subject) {
+    return { status: 404, body: { error: 'Subject not found', code: 'SUBJECT_NOT_FOUND' } };
+  }
+
+  const conflicts = findScheduleConflicts(entry, getAllSchedules(), subject);
+  if (conflicts.length > 0) {
+    return {
+      status: 409,
+      body: {
+        error: 'Schedule conflicts with the existing timetable',
+        code: 'SCHEDULE_CONFLICT',
+        conflicts: conflicts.map(conflict => (
+          conflict.schedule ? { ...conflict, schedule: enrichSchedule(conflict.schedule) } : conflict
+        ))
+      }
+    };
+  }
+
+  return null;
+};
+
+const sendValidationErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    code: 'VALIDATION_ERROR',
+    details: errors
+  });
+};
+
+// GET /api/schedule - Get schedules with filters (date: only the periods that happen on that date)
+router.get('/', requirePermission('schedule:view'), (req, res) => {
+  try {
+    const { teacherId, classId, subjectId, dayOfWeek, date, room } = req.query;
+    
+    if (date && !isValidDate(date)) {
+      return res.status(400).json({
+        error: 'Invalid date format (YYYY-MM-DD required)',
+        code: 'INVALID_DATE'
+      });
+    }
+    
+    let schedules = getAllSchedules({ teacherId, classId, subjectId, dayOfWeek, date });
+    
+    if (room) {
+      const roomName = room.trim().toLowerCase();
+      schedules = schedules.filter(schedule => schedule.room?.trim().toLowerCase() === roomName);
+    }
+    
+    schedules = schedules.map(enrichSchedule).sort(compareSchedules);
+    
+    res.json({
+      success: true,
+      data: schedules,
+      meta: {
+        total: schedules.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get schedules error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve schedules',
+      code: 'SCHEDULES_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/schedule/teacher/:id - Get teacher schedule
+router.get('/teacher/:id', requirePermission('schedule:view'), (req, res) => {
+  try {
+    const teacherId = parseInt(req.params.id);
+    
+    if (isNaN(teacherId)) {
+      return res.status(400).json({
+        error: 'Invalid teacher ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const { dayOfWeek, date } = req.query;
+    if (date && !isValidDate(date)) {
+      return res.status(400).json({
+        error: 'Invalid date format (YYYY-MM-DD required)',
+        code: 'INVALID_DATE'
+      });
+    }
+    
+    const teacher = findUserById(teacherId);
+    if (!canTeach(teacher)) {
+      return res.status(404).json({
+        error: 'Teacher not found',
+        code: 'TEACHER_NOT_FOUND'
+      });
+    }
+    
+    const schedules = getTeacherSchedule(teacherId, { dayOfWeek, date })
+      .map(schedule => ({ ...schedule, students: undefined }))
+      .sort(compareSchedules);
+    
+    res.json({
+      success: true,
+      data: schedules,
+      meta: {
+        teacherId,
+        teacherName: teacher.name,
+        total: schedules.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get teacher schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve teacher schedule',
+      code: 'SCHEDULE_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/schedule/cycle - The timetable cycle and where each date falls in it (startDate/endDate, default today)
+router.get('/cycle', requirePermission('schedule:view'), (req, res) => {
+  try {
+    const today = getLocalDateTime(new Date(), getSettings().timezone).date;
+    const startDate = req.query.startDate || today;
+    const endDate = req.query.endDate || startDate;
+    
+    if (!isValidDate(startDate) || !isValidDate(endDate) || endDate < startDate) {
+      return res.status(400).json({
+        error: 'Invalid date range (YYYY-MM-DD required)',
+        code: 'INVALID_DATE'
+      });
+    }
+    
+    if (Date.parse(endDate) - Date.parse(startDate) >= MAX_CYCLE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: `Date range cannot exceed ${MAX_CYCLE_DAYS} days`,
+        code: 'DATE_RANGE_TOO_LARGE'
+      });
+    }
+    
+    const { cycle, getPosition } = getTimetableCycle();
+    const days = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      days.push(getPosition(date));
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        cycle,
+        days
+      }
+    });
+
+  } catch (error) {
+    console.error('Get timetable cycle error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve timetable cycle',
+      code: 'CYCLE_FETCH_ERROR'
+    });
+  }
+});
+
+// PUT /api/schedule/cycle - Change the timetable cycle (entries must still fit it)
+router.put('/cycle', requirePermission('schedule:manage'), (req, res) => {
+  try {
+    const cycle = getCycleSettings(getSettings());
+    CYCLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) cycle[field] = req.body[field];
+    });
+    if (cycle.type === 'weekly') {
+      cycle.length = 1;
+    }
+    
+    const errors = validateTimetableCycle(cycle);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    // Entries on cycle weeks/days the new cycle does not have would silently stop happening
+    const misfits = getAllSchedules()
+      .filter(schedule => validateScheduleCycle(schedule, cycle).length > 0)
+      .map(schedule => ({ ...enrichSchedule(schedule), day: describeScheduleDay(schedule) }));
+    if (misfits.length > 0) {
+      return res.status(409).json({
+        error: 'Timetable entries do not fit the new cycle',
+        code: 'CYCLE_IN_USE',
+        schedules: misfits
+      });
+    }
+    
+    const settings = updateSettings({ timetableCycle: cycle });
+    
+    console.log(`🔄 Timetable cycle set to ${cycle.type}${cycle.type === 'weekly' ? '' : ` (${cycle.length}, from ${cycle.startDate})`} by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Timetable cycle updated successfully',
+      data: settings.timetableCycle
+    });
+
+  } catch (error) {
+    console.error('Update timetable cycle error:', error);
+    res.status(500).json({
+      error: 'Failed to update timetable cycle',
+      code: 'CYCLE_UPDATE_ERROR'
+    });
+  }
+});
+
+// POST /api/schedule/conflicts - Check an entry against the timetable without saving it
+router.post('/conflicts', requirePermission('schedule:manage'), async (req, res) => {
+  try {
+    const { data, errors } = await validateData(validateSchedule, req.body);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    const entry = { ...pickScheduleFields(data), id: parseInt(req.body.id) || undefined };
+    const problem = checkScheduleEntry(entry);
+    
+    if (problem && problem.body.code !== 'SCHEDULE_CONFLICT') {
+      return res.status(problem.status).json(problem.body);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        hasConflicts: Boolean(problem),
+        conflicts: problem ? problem.body.conflicts : []
+      }
+    });
+
+  } catch (error) {
+    console.error('Check schedule conflicts error:', error);
+    res.status(500).json({
+      error: 'Failed to check schedule conflicts',
+      code: 'SCHEDULE_CONFLICT_CHECK_ERROR'
+    });
+  }
+});
+
+// GET /api/schedule/:id - Get specific schedule
+router.get('/:id', requirePermission('schedule:view'), (req, res) => {
+  try {
+    const scheduleId = parseInt(req.params.id);
+    
+    if (isNaN(scheduleId)) {
+      return res.status(400).json({
+        error: 'Invalid schedule ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const schedule = findScheduleById(scheduleId);
+    if (!schedule || !schedule.isActive) {
+      return res.status(404).json({
+        error: 'Schedule not found',
+        code: 'SCHEDULE_NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: enrichSchedule(schedule)
+    });
+
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve schedule',
+      code: 'SCHEDULE_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/schedule - Create new schedule
+router.post('/', requirePermission('schedule:manage'), validateSchedule, (req, res) => {
+  try {
+    const entry = pickScheduleFields(req.body);
+    
+    const problem = checkScheduleEntry(entry);
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+    
+    const schedule = createSchedule(entry);
+    
+    socketService.emitScheduleChanged(schedule, 'created');
+    
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created successfully',
+      data: enrichSchedule(schedule)
+    });
+
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to create schedule',
+      code: 'SCHEDULE_CREATE_ERROR'
+    });
+  }
+});
+
+// PUT /api/schedule/:id - Update schedule
+router.put('/:id', requirePermission('schedule:manage'), async (req, res) => {
+  try {
+    const scheduleId = parseInt(req.params.id);
+    
+    if (isNaN(scheduleId)) {
+      return res.status(400).json({
+        error: 'Invalid schedule ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const existingSchedule = findScheduleById(scheduleId);
+    if (!existingSchedule || !existingSchedule.isActive) {
+      return res.status(404).json({
+        error: 'Schedule not found',
+        code: 'SCHEDULE_NOT_FOUND'
+      });
+    }
+    
+    // Partial updates are validated as the entry they produce
+    const { data, errors } = await validateData(validateSchedule, {
+      ...pickScheduleFields(existingSchedule),
+      ...pickScheduleFields(req.body)
+    });
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    
+    // The class it moves away from must not be archived either
+    const currentClass = findClassById(existingSchedule.classId);
+    if (isArchivedClass(currentClass)) {
+      return res.status(409).json(classArchivedError(currentClass));
+    }
+    
+    const entry = { ...pickScheduleFields(data), id: scheduleId };
+    const problem = checkScheduleEntry(entry);
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+    
+    const updatedSchedule = updateSchedule(scheduleId, pickScheduleFields(data));
+    
+    socketService.emitScheduleChanged(updatedSchedule, 'updated', { previous: existingSchedule });
+    
+    res.json({
+      success: true,
+      message: 'Schedule updated successfully',
+      data: enrichSchedule(updatedSchedule)
+    });
+
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to update schedule',
+      code: 'SCHEDULE_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/schedule/:id - Delete schedule
+router.delete('/:id', requirePermission('schedule:manage'), (req, res) => {
+  try {
+    const scheduleId = parseInt(req.params.id);
+    
+    if (isNaN(scheduleId)) {
+      return res.status(400).json({
+        error: 'Invalid schedule ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const existingSchedule = findScheduleById(scheduleId);
+    if (!existingSchedule || !existingSchedule.isActive) {
+      return res.status(404).json({
+        error: 'Schedule not found',
+        code: 'SCHEDULE_NOT_FOUND'
+      });
+    }
+    
+    const classInfo = findClassById(existingSchedule.classId);
+    if (isArchivedClass(classInfo)) {
+      return res.status(409).json(classArchivedError(classInfo));
+    }
+    
+    deleteSchedule(scheduleId);
+    
+    socketService.emitScheduleChanged(existingSchedule, 'deleted');
+    
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to delete schedule',
+      code: 'SCHEDULE_DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
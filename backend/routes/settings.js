@@ -0,0 +1,115 @@
+// backend/routes/settings.js - School Attendance Settings
+const express = require('express');
+const { getSettings, updateSettings } = require('../utils/database');
+const { requirePermission } = require('../middleware/auth');
+const { getAttendanceRules, validateAttendanceRules } = require('../utils/attendanceStatus');
+
+const router = express.Router();
+
+// Settings the school can change here; the rest belong to their own endpoints
+const ATTENDANCE_SETTINGS = [
+  'attendanceRules',
+  'attendanceLockHours',
+  'timezone',
+  'attendanceDeadline',
+  'lateSubmissionGraceMinutes'
+];
+
+const MAX_LOCK_HOURS = 24 * 365;
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.length === 0) return false;
+  try {
+    return Boolean(new Intl.DateTimeFormat('en-US', { timeZone: timezone }));
+  } catch {
+    return false;
+  }
+};
+
+const describeSettings = (settings) => ({
+  attendanceRules: getAttendanceRules(settings),
+  attendanceLockHours: settings.attendanceLockHours || 0,
+  timezone: settings.timezone || 'UTC',
+  attendanceDeadline: settings.attendanceDeadline || null,
+  lateSubmissionGraceMinutes: settings.lateSubmissionGraceMinutes || 0
+});
+
+const validateSettings = (settings) => {
+  const errors = validateAttendanceRules(settings.attendanceRules);
+
+  const lockHours = settings.attendanceLockHours;
+  if (!Number.isInteger(lockHours) || lockHours < 0 || lockHours > MAX_LOCK_HOURS) {
+    errors.push({ field: 'attendanceLockHours', message: `Lock hours must be a whole number between 0 (never lock) and ${MAX_LOCK_HOURS}` });
+  }
+  if (!isValidTimezone(settings.timezone)) {
+    errors.push({ field: 'timezone', message: 'Timezone must be an IANA timezone name (e.g. Europe/London)' });
+  }
+  if (settings.attendanceDeadline !== null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(settings.attendanceDeadline)) {
+    errors.push({ field: 'attendanceDeadline', message: 'Deadline must be a time (HH:MM) or null' });
+  }
+  const graceMinutes = settings.lateSubmissionGraceMinutes;
+  if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > 24 * 60) {
+    errors.push({ field: 'lateSubmissionGraceMinutes', message: 'Grace minutes must be a whole number between 0 and 1440' });
+  }
+
+  return errors;
+};
+
+// GET /api/settings - Attendance rules, lock window, timezone and submission deadline
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: describeSettings(getSettings())
+    });
+
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch settings',
+      code: 'SETTINGS_FETCH_ERROR'
+    });
+  }
+});
+
+// PUT /api/settings - Change any of the attendance settings; fields left out keep their value
+router.put('/', requirePermission('settings:manage'), (req, res) => {
+  try {
+    const current = describeSettings(getSettings());
+    const settings = { ...current };
+    ATTENDANCE_SETTINGS.forEach(field => {
+      if (req.body[field] !== undefined) settings[field] = req.body[field];
+    });
+    if (req.body.attendanceRules !== undefined) {
+      settings.attendanceRules = req.body.attendanceRules && typeof req.body.attendanceRules === 'object'
+        ? { ...current.attendanceRules, ...req.body.attendanceRules }
+        : {};
+    }
+
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: errors
+      });
+    }
+
+    const updated = updateSettings(settings);
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: describeSettings(updated)
+    });
+
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      error: 'Failed to update settings',
+      code: 'SETTINGS_UPDATE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,414 @@
+// backend/routes/students.js - Student Registry and Enrollment Routes
+const express = require('express');
+const {
+  getAllStudents,
+  findStudentById,
+  findClassById,
+  enrollStudent,
+  endEnrollment,
+  transferStudent,
+  getStudentEnrollments
+} = require('../utils/database');
+const { START_REASONS, END_REASONS, validateEnrollmentChange } = require('../utils/enrollments');
+const { hasPermission, requirePermission } = require('../middleware/auth');
+const socketService = require('../services/socketService');
+
+const router = express.Router();
+
+// Transfers have their own endpoint, so they are not a reason to pick here;
+// retained students always move on to a new class, so retention is not a withdrawal
+const ENROLL_REASONS = START_REASONS.filter(reason => reason !== 'transfer');
+const WITHDRAW_REASONS = END_REASONS.filter(reason => !['transfer', 'retention'].includes(reason));
+
+// Without classes:view:any, users only see students of classes they teach (now or before)
+const canViewStudent = (user, enrollments) => {
+  if (hasPermission(user, 'classes:view:any')) return true;
+
+  return enrollments.some(enrollment => {
+    const classData = findClassById(enrollment.classId);
+    return classData && (
+      classData.classTeacher === user.id ||
+      user.subjects?.some(subjectId => classData.subjects?.includes(subjectId))
+    );
+  });
+};
+
+// Why a class cannot take another student (null when it can)
+const getTargetClassError = (classData) => {
+  if (!classData || !classData.isActive) {
+    return { status: 404, error: 'Class not found', code: 'CLASS_NOT_FOUND' };
+  }
+  if (classData.students.filter(s => s.isActive).length >= classData.maxStudents) {
+    return {
+      status: 400,
+      error: `Class has reached maximum capacity of ${classData.maxStudents} students`,
+      code: 'CLASS_FULL'
+    };
+  }
+  return null;
+};
+
+// GET /api/students - List the student registry
+router.get('/', requirePermission('classes:view:any'), (req, res) => {
+  try {
+    const { page = 1, limit = 50, search, classId, status = 'all' } = req.query;
+    
+    if (!['all', 'enrolled', 'not-enrolled'].includes(status)) {
+      return res.status(400).json({
+        error: 'Status must be one of: all, enrolled, not-enrolled',
+        code: 'INVALID_FILTER'
+      });
+    }
+    
+    const filters = {};
+    if (classId) filters.classId = parseInt(classId);
+    if (status !== 'all') filters.enrolled = status === 'enrolled';
+    
+    let students = getAllStudents(filters);
+    
+    if (search) {
+      const searchTerm = search.toLowerCase();
+      students = students.filter(student =>
+        student.name.toLowerCase().includes(searchTerm) ||
+        student.studentId.toLowerCase().includes(searchTerm) ||
+        student.email?.toLowerCase().includes(searchTerm)
+      );
+    }
+    
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const startIndex = (pageNum - 1) * limitNum;
+    
+    res.json({
+      success: true,
+      data: students.slice(startIndex, startIndex + limitNum),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: students.length,
+        pages: Math.ceil(students.length / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get students error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve students',
+      code: 'STUDENTS_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/students/:id - Student with their current class and enrollment history
+router.get('/:id', requirePermission('classes:view:own', 'classes:view:any'), (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id);
+    
+    if (isNaN(studentId)) {
+      return res.status(400).json({
+        error: 'Invalid student ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const student = findStudentById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        error: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+    
+    const enrollments = getStudentEnrollments(studentId);
+    if (!canViewStudent(req.user, enrollments)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...student,
+        enrollments
+      }
+    });
+
+  } catch (error) {
+    console.error('Get student error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve student',
+      code: 'STUDENT_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/students/:id/enrollments - Classes the student has been enrolled in, oldest first
+router.get('/:id/enrollments', requirePermission('classes:view:own', 'classes:view:any'), (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id);
+    
+    if (isNaN(studentId)) {
+      return res.status(400).json({
+        error: 'Invalid student ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const student = findStudentById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        error: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+    
+    const enrollments = getStudentEnrollments(studentId);
+    if (!canViewStudent(req.user, enrollments)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: enrollments,
+      meta: {
+        studentId,
+        name: student.name,
+        total: enrollments.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get student enrollments error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve enrollments',
+      code: 'ENROLLMENTS_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/students/:id/transfer - Move an enrolled student to another class
+router.post('/:id/transfer', requirePermission('classes:manage'), (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id);
+    const { classId, date, notes } = req.body;
+    
+    if (isNaN(studentId)) {
+      return res.status(400).json({
+        error: 'Invalid student ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const student = findStudentById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        error: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+    
+    if (!student.isEnrolled) {
+      return res.status(409).json({
+        error: 'Student is not enrolled in a class; enroll them instead',
+        code: 'NOT_ENROLLED'
+      });
+    }
+    
+    const errors = validateEnrollmentChange({ date, notes }, { reasons: [], after: student.enrolledDate });
+    if (isNaN(parseInt(classId))) {
+      errors.unshift('Class ID is required');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    if (parseInt(classId) === student.classId) {
+      return res.status(400).json({
+        error: `Student is already in ${student.className}`,
+        code: 'SAME_CLASS'
+      });
+    }
+    
+    const targetClass = findClassById(classId);
+    const classError = getTargetClassError(targetClass);
+    if (classError) {
+      return res.status(classError.status).json({
+        error: classError.error,
+        code: classError.code
+      });
+    }
+    
+    const enrollment = transferStudent(studentId, targetClass.id, { date, notes, createdBy: req.user.id });
+    
+    const change = { studentId, fromClassId: student.classId, toClassId: targetClass.id };
+    socketService.emitClassRosterChanged(student.classId, 'studentTransferred', change);
+    socketService.emitClassRosterChanged(targetClass.id, 'studentTransferred', change);
+    
+    console.log(`👥 Student transferred: ${student.name} from ${student.className} to ${targetClass.name} by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Student transferred successfully',
+      data: {
+        student: findStudentById(studentId),
+        enrollment
+      }
+    });
+
+  } catch (error) {
+    console.error('Transfer student error:', error);
+    res.status(500).json({
+      error: 'Failed to transfer student',
+      code: 'STUDENT_TRANSFER_ERROR'
+    });
+  }
+});
+
+// POST /api/students/:id/enroll - Enroll a student who is not in any class (e.g. returning)
+router.post('/:id/enroll', requirePermission('classes:manage'), (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id);
+    const { classId, date, reason = 're-enrollment', notes } = req.body;
+    
+    if (isNaN(studentId)) {
+      return res.status(400).json({
+        error: 'Invalid student ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const student = findStudentById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        error: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+    
+    if (student.isEnrolled) {
+      return res.status(409).json({
+        error: `Student is already enrolled in ${student.className}; transfer them instead`,
+        code: 'ALREADY_ENROLLED'
+      });
+    }
+    
+    // A new enrollment cannot overlap the previous one
+    const lastEndDate = getStudentEnrollments(studentId)
+      .map(enrollment => enrollment.endDate)
+      .sort()
+      .pop();
+    
+    const errors = validateEnrollmentChange({ date, reason, notes }, { reasons: ENROLL_REASONS, after: lastEndDate });
+    if (isNaN(parseInt(classId))) {
+      errors.unshift('Class ID is required');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    const targetClass = findClassById(classId);
+    const classError = getTargetClassError(targetClass);
+    if (classError) {
+      return res.status(classError.status).json({
+        error: classError.error,
+        code: classError.code
+      });
+    }
+    
+    const enrollment = enrollStudent(studentId, targetClass.id, { date, reason, notes, createdBy: req.user.id });
+    const rosterEntry = findClassById(targetClass.id).students.find(s => s.id === studentId);
+    
+    socketService.emitClassRosterChanged(targetClass.id, 'studentAdded', { student: rosterEntry });
+    
+    console.log(`👥 Student enrolled: ${student.name} in ${targetClass.name} by ${req.user.name}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Student enrolled successfully',
+      data: {
+        student: findStudentById(studentId),
+        enrollment
+      }
+    });
+
+  } catch (error) {
+    console.error('Enroll student error:', error);
+    res.status(500).json({
+      error: 'Failed to enroll student',
+      code: 'STUDENT_ENROLL_ERROR'
+    });
+  }
+});
+
+// POST /api/students/:id/withdraw - End the student's current enrollment
+router.post('/:id/withdraw', requirePermission('classes:manage'), (req, res) => {
+  try {
+    const studentId = parseInt(req.params.id);
+    const { date, reason = 'withdrawal', notes } = req.body;
+    
+    if (isNaN(studentId)) {
+      return res.status(400).json({
+        error: 'Invalid student ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const student = findStudentById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        error: 'Student not found',
+        code: 'STUDENT_NOT_FOUND'
+      });
+    }
+    
+    if (!student.isEnrolled) {
+      return res.status(409).json({
+        error: 'Student is not enrolled in a class',
+        code: 'NOT_ENROLLED'
+      });
+    }
+    
+    const errors = validateEnrollmentChange({ date, reason, notes }, { reasons: WITHDRAW_REASONS, after: student.enrolledDate });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    const enrollment = endEnrollment(studentId, { date, reason, notes, endedBy: req.user.id });
+    
+    socketService.emitClassRosterChanged(student.classId, 'studentRemoved', { studentId });
+    
+    console.log(`👥 Student withdrawn: ${student.name} from ${student.className} (${reason}) by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Student withdrawn successfully',
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Withdraw student error:', error);
+    res.status(500).json({
+      error: 'Failed to withdraw student',
+      code: 'STUDENT_WITHDRAW_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,17 +5,29 @@ const {
   findSubjectById,
   createSubject,
   updateSubject,
-  deleteSubject
+  deleteSubject,
+  findUserById
 } = require('../utils/database');
-const {
-  requirePrincipal,
-  requireTeacherOrPrincipal
-} = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { setETag, isStaleVersion, versionConflictError } = require('../utils/recordVersion');
 
 const router = express.Router();
 
+// Errors for a subject's teachers list (IDs of active teachers; the timetable only accepts these)
+const validateTeachers = (teachers) => {
+  if (!Array.isArray(teachers) || teachers.some(id => !Number.isInteger(id))) {
+    return ['Teachers must be an array of user IDs'];
+  }
+
+  const invalidIds = teachers.filter(id => {
+    const user = findUserById(id);
+    return !user || user.role !== 'teacher' || !user.isActive;
+  });
+  return invalidIds.length > 0 ? [`Not active teachers: ${invalidIds.join(', ')}`] : [];
+};
+
 // GET /api/subjects - Get all subjects
-router.get('/', requireTeacherOrPrincipal, (req, res) => {
+router.get('/', requirePermission('subjects:view'), (req, res) => {
   try {
     const { search, code } = req.query;
     
@@ -53,7 +65,7 @@ router.get('/', requireTeacherOrPrincipal, (req, res) => {
 });
 
 // GET /api/subjects/:id - Get specific subject
-router.get('/:id', requireTeacherOrPrincipal, (req, res) => {
+router.get('/:id', requirePermission('subjects:view'), (req, res) => {
   try {
     const subjectId = parseInt(req.params.id);
     
@@ -72,6 +84,7 @@ router.get('/:id', requireTeacherOrPrincipal, (req, res) => {
       });
     }
     
+    setETag(res, subject);
     res.json({
       success: true,
       data: subject
@@ -86,10 +99,10 @@ router.get('/:id', requireTeacherOrPrincipal, (req, res) => {
   }
 });
 
-// POST /api/subjects - Create new subject (Principal only)
-router.post('/', requirePrincipal, (req, res) => {
+// POST /api/subjects - Create new subject
+router.post('/', requirePermission('subjects:manage'), (req, res) => {
   try {
-    const { name, code, description } = req.body;
+    const { name, code, description, teachers = [] } = req.body;
     
     // Validation
     const errors = [];
@@ -99,6 +112,7 @@ router.post('/', requirePrincipal, (req, res) => {
     if (!code || typeof code !== 'string' || code.trim().length < 2) {
       errors.push('Subject code is required and must be at least 2 characters');
     }
+    errors.push(...validateTeachers(teachers));
     
     if (errors.length > 0) {
       return res.status(400).json({
@@ -134,7 +148,8 @@ router.post('/', requirePrincipal, (req, res) => {
     const subjectData = {
       name: name.trim(),
       code: code.trim().toUpperCase(),
-      description: description?.trim() || ''
+      description: description?.trim() || '',
+      teachers
     };
     
     const newSubject = createSubject(subjectData);
@@ -156,11 +171,11 @@ router.post('/', requirePrincipal, (req, res) => {
   }
 });
 
-// PUT /api/subjects/:id - Update subject (Principal only)
-router.put('/:id', requirePrincipal, (req, res) => {
+// PUT /api/subjects/:id - Update subject
+router.put('/:id', requirePermission('subjects:manage'), (req, res) => {
   try {
     const subjectId = parseInt(req.params.id);
-    const { name, code, description } = req.body;
+    const { name, code, description, teachers } = req.body;
     
     if (isNaN(subjectId)) {
       return res.status(400).json({
@@ -177,6 +192,12 @@ router.put('/:id', requirePrincipal, (req, res) => {
       });
     }
     
+    // Someone else changed the subject after the client loaded it (If-Match or version)
+    if (isStaleVersion(req, existingSubject)) {
+      setETag(res, existingSubject);
+      return res.status(409).json(versionConflictError(existingSubject, existingSubject));
+    }
+    
     // Validation
     const errors = [];
     if (name !== undefined && (typeof name !== 'string' || name.trim().length < 2)) {
@@ -185,6 +206,9 @@ router.put('/:id', requirePrincipal, (req, res) => {
     if (code !== undefined && (typeof code !== 'string' || code.trim().length < 2)) {
       errors.push('Subject code must be at least 2 characters');
     }
+    if (teachers !== undefined) {
+      errors.push(...validateTeachers(teachers));
+    }
     
     if (errors.length > 0) {
       return res.status(400).json({
@@ -225,11 +249,13 @@ router.put('/:id', requirePrincipal, (req, res) => {
     if (name !== undefined) updateData.name = name.trim();
     if (code !== undefined) updateData.code = code.trim().toUpperCase();
     if (description !== undefined) updateData.description = description.trim();
+    if (teachers !== undefined) updateData.teachers = teachers;
     
     const updatedSubject = updateSubject(subjectId, updateData);
     
     console.log(`📚 Subject updated: ${updatedSubject.name} by ${req.user.name}`);
     
+    setETag(res, updatedSubject);
     res.json({
       success: true,
       message: 'Subject updated successfully',
@@ -245,8 +271,8 @@ router.put('/:id', requirePrincipal, (req, res) => {
   }
 });
 
-// DELETE /api/subjects/:id - Delete subject (Principal only)
-router.delete('/:id', requirePrincipal, (req, res) => {
+// DELETE /api/subjects/:id - Delete subject
+router.delete('/:id', requirePermission('subjects:manage'), (req, res) => {
   try {
     const subjectId = parseInt(req.params.id);
     
@@ -305,4 +331,4 @@ router.delete('/:id', requirePrincipal, (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,240 @@
+// backend/routes/substitutions.js - Substitute Teacher Assignments
+const express = require('express');
+const {
+  getSubstitutions,
+  findSubstitutionById,
+  createSubstitution,
+  updateSubstitution
+} = require('../utils/database');
+const { hasPermission, requirePermission } = require('../middleware/auth');
+const substitutionService = require('../services/substitutionService');
+
+const router = express.Router();
+
+const isValidDate = (dateString) => /^\d{4}-\d{2}-\d{2}$/.test(dateString) && !isNaN(Date.parse(dateString));
+
+// Without substitutions:manage, users only see substitutions they are part of
+const canView = (user, substitution) => {
+  return hasPermission(user, 'substitutions:manage') ||
+    substitution.originalTeacherId === user.id ||
+    substitution.substituteTeacherId === user.id;
+};
+
+// 400/409 response for a plan that cannot be saved, or null
+const sendPlanProblems = (res, plan) => {
+  if (plan.errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details: plan.errors
+    });
+  }
+
+  if (plan.conflicts.length > 0) {
+    return res.status(409).json({
+      error: 'Substitution conflicts with existing cover or the substitute\'s timetable',
+      code: 'SUBSTITUTION_CONFLICT',
+      conflicts: plan.conflicts
+    });
+  }
+
+  return null;
+};
+
+// GET /api/substitutions - List substitutions (filters: teacherId, date, startDate/endDate, includeCancelled)
+router.get('/', requirePermission('schedule:view', 'substitutions:manage'), (req, res) => {
+  try {
+    const { teacherId, date, startDate, endDate, includeCancelled } = req.query;
+    
+    if ((date && !isValidDate(date)) || (startDate && !isValidDate(startDate)) || (endDate && !isValidDate(endDate))) {
+      return res.status(400).json({
+        error: 'Invalid date format (YYYY-MM-DD required)',
+        code: 'INVALID_DATE'
+      });
+    }
+    
+    const filters = { includeCancelled: includeCancelled === 'true' };
+    if (teacherId) filters.teacherId = parseInt(teacherId);
+    if (date) filters.date = date;
+    if (startDate || endDate) {
+      filters.dateRange = { start: startDate || endDate, end: endDate || startDate };
+    }
+    
+    // Without substitutions:manage, only show the user's own substitutions
+    if (!hasPermission(req.user, 'substitutions:manage')) {
+      filters.teacherId = req.user.id;
+    }
+    
+    const substitutions = getSubstitutions(filters).map(substitution => substitutionService.describe(substitution));
+    
+    res.json({
+      success: true,
+      data: substitutions,
+      meta: {
+        total: substitutions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get substitutions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve substitutions',
+      code: 'SUBSTITUTIONS_FETCH_ERROR'
+    });
+  }
+});
+
+// GET /api/substitutions/:id - Get specific substitution
+router.get('/:id', requirePermission('schedule:view', 'substitutions:manage'), (req, res) => {
+  try {
+    const substitutionId = parseInt(req.params.id);
+    
+    if (isNaN(substitutionId)) {
+      return res.status(400).json({
+        error: 'Invalid substitution ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const substitution = findSubstitutionById(substitutionId);
+    if (!substitution || !canView(req.user, substitution)) {
+      return res.status(404).json({
+        error: 'Substitution not found',
+        code: 'SUBSTITUTION_NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: substitutionService.describe(substitution)
+    });
+
+  } catch (error) {
+    console.error('Get substitution error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve substitution',
+      code: 'SUBSTITUTION_FETCH_ERROR'
+    });
+  }
+});
+
+// POST /api/substitutions - Assign a substitute to another teacher's periods
+router.post('/', requirePermission('substitutions:manage'), (req, res) => {
+  try {
+    const plan = substitutionService.plan(req.body);
+    
+    const problem = sendPlanProblems(res, plan);
+    if (problem) return problem;
+    
+    const substitution = createSubstitution({
+      ...plan.substitution,
+      createdBy: req.user.id
+    });
+    const described = substitutionService.describe(substitution);
+    
+    console.log(`🔁 Substitution created: ${described.substituteTeacherName} for ${described.originalTeacherName} (${substitution.startDate} to ${substitution.endDate}) by ${req.user.name}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Substitution created successfully',
+      data: described
+    });
+
+  } catch (error) {
+    console.error('Create substitution error:', error);
+    res.status(500).json({
+      error: 'Failed to create substitution',
+      code: 'SUBSTITUTION_CREATE_ERROR'
+    });
+  }
+});
+
+// PUT /api/substitutions/:id - Change the substitute, periods or dates
+router.put('/:id', requirePermission('substitutions:manage'), (req, res) => {
+  try {
+    const substitutionId = parseInt(req.params.id);
+    
+    if (isNaN(substitutionId)) {
+      return res.status(400).json({
+        error: 'Invalid substitution ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const existingSubstitution = findSubstitutionById(substitutionId);
+    if (!existingSubstitution) {
+      return res.status(404).json({
+        error: 'Substitution not found',
+        code: 'SUBSTITUTION_NOT_FOUND'
+      });
+    }
+    
+    if (existingSubstitution.cancelledAt) {
+      return res.status(409).json({
+        error: 'Cancelled substitutions cannot be changed',
+        code: 'SUBSTITUTION_CANCELLED'
+      });
+    }
+    
+    const plan = substitutionService.plan(req.body, existingSubstitution);
+    
+    const problem = sendPlanProblems(res, plan);
+    if (problem) return problem;
+    
+    const updatedSubstitution = updateSubstitution(substitutionId, plan.substitution);
+    
+    res.json({
+      success: true,
+      message: 'Substitution updated successfully',
+      data: substitutionService.describe(updatedSubstitution)
+    });
+
+  } catch (error) {
+    console.error('Update substitution error:', error);
+    res.status(500).json({
+      error: 'Failed to update substitution',
+      code: 'SUBSTITUTION_UPDATE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/substitutions/:id - Cancel a substitution (attendance already taken keeps its attribution)
+router.delete('/:id', requirePermission('substitutions:manage'), (req, res) => {
+  try {
+    const substitutionId = parseInt(req.params.id);
+    
+    if (isNaN(substitutionId)) {
+      return res.status(400).json({
+        error: 'Invalid substitution ID',
+        code: 'INVALID_ID'
+      });
+    }
+    
+    const existingSubstitution = findSubstitutionById(substitutionId);
+    if (!existingSubstitution || existingSubstitution.cancelledAt) {
+      return res.status(404).json({
+        error: 'Substitution not found',
+        code: 'SUBSTITUTION_NOT_FOUND'
+      });
+    }
+    
+    updateSubstitution(substitutionId, {
+      cancelledAt: new Date().toISOString(),
+      cancelledBy: req.user.id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Substitution cancelled successfully'
+    });
+
+  } catch (error) {
+    console.error('Cancel substitution error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel substitution',
+      code: 'SUBSTITUTION_CANCEL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
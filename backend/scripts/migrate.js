@@ -0,0 +1,77 @@
+// backend/scripts/migrate.js - Schema migration CLI
+//
+// Usage:
+//   node scripts/migrate.js up [--to <version>]
+//   node scripts/migrate.js down [--steps <n> | --to <version>]
+//   node scripts/migrate.js status
+require('dotenv').config();
+
+const { getActiveConfig } = require('../config/database');
+const { migrateUp, migrateDown, getMigrationStatus } = require('../utils/migrationRunner');
+
+const USAGE = 'Usage: node scripts/migrate.js <up|down|status> [--to <version>] [--steps <n>]';
+
+const parseOptions = (args) => {
+  const options = {};
+
+  for (let i = 0; i < args.length; i += 2) {
+    const value = parseInt(args[i + 1]);
+
+    if (!['--to', '--steps'].includes(args[i]) || isNaN(value) || value < 0) {
+      throw new Error(`Invalid option "${args.slice(i, i + 2).join(' ')}"\n${USAGE}`);
+    }
+    options[args[i].slice(2)] = value;
+  }
+
+  return options;
+};
+
+const printMigrations = (migrations, action) => {
+  migrations.forEach(({ version, name }) => console.log(`🔧 ${String(version).padStart(3, '0')}_${name}`));
+  console.log(`✅ ${migrations.length} migration(s) ${action}`);
+};
+
+const run = (command, options) => {
+  if (getActiveConfig().type !== 'sqlite') {
+    throw new Error('Migrations only apply to persistent storage; set DB_TYPE=sqlite');
+  }
+
+  const sqliteDatabase = require('../utils/sqliteDatabase');
+  const db = sqliteDatabase.connect({ migrate: false });
+
+  try {
+    switch (command) {
+      case 'up':
+        printMigrations(migrateUp(db, options), 'applied');
+        break;
+
+      case 'down':
+        printMigrations(migrateDown(db, options), 'reverted');
+        break;
+
+      case 'status': {
+        const status = getMigrationStatus(db);
+        if (status.length === 0) {
+          console.log('No migrations found');
+        }
+        status.forEach(({ version, name, status: state, appliedAt }) => {
+          console.log(`${state.padEnd(8)} ${String(version).padStart(3, '0')}_${name}${appliedAt ? `  (${appliedAt})` : ''}`);
+        });
+        break;
+      }
+
+      default:
+        throw new Error(USAGE);
+    }
+  } finally {
+    sqliteDatabase.close();
+  }
+};
+
+try {
+  const [command, ...args] = process.argv.slice(2);
+  run(command, parseOptions(args));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,90 @@
+// backend/scripts/rollover.js - Close the academic year and promote students
+//
+// Usage:
+//   node scripts/rollover.js [--to <year>] [--retain <ids>] [--leaving <ids>] [--confirm]
+//
+// <ids> are comma-separated student numbers (e.g. ST24003,ST24010). Without
+// --confirm the plan is only printed. Exits with status 1 when it has errors.
+require('dotenv').config();
+
+const { getActiveConfig } = require('../config/database');
+
+const USAGE = 'Usage: node scripts/rollover.js [--to <year>] [--retain <ids>] [--leaving <ids>] [--confirm]';
+
+const parseOptions = (args) => {
+  const options = { retain: [], leaving: [], confirm: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--confirm') {
+      options.confirm = true;
+      continue;
+    }
+
+    const value = args[i + 1];
+    if (!['--to', '--retain', '--leaving'].includes(args[i]) || !value || value.startsWith('--')) {
+      throw new Error(`Invalid option "${args.slice(i, i + 2).join(' ')}"\n${USAGE}`);
+    }
+    options[args[i].slice(2)] = args[i] === '--to' ? value : value.split(',').map(id => id.trim()).filter(Boolean);
+    i++;
+  }
+
+  return options;
+};
+
+const printReport = (report) => {
+  console.log(`📅 ${report.fromYear} -> ${report.toYear}`);
+  report.classes.forEach(cls => {
+    console.log(`   ${cls.isNew ? 'new     ' : 'existing'} ${cls.name} (grade ${cls.grade}): ${cls.students}/${cls.maxStudents} students`);
+  });
+
+  const { summary } = report;
+  console.log(`   ${summary.classesArchived} classes archived, ${summary.classesCreated} created`);
+  console.log(`   ${summary.promoted} promoted, ${summary.retained} retained, ${summary.graduated} graduated, ${summary.leaving} leaving`);
+  report.errors.forEach(error => console.error(`❌ ${error}`));
+};
+
+const run = (options) => {
+  if (getActiveConfig().type !== 'sqlite') {
+    throw new Error('Rollover only applies to persistent storage; set DB_TYPE=sqlite');
+  }
+
+  const sqliteDatabase = require('../utils/sqliteDatabase');
+  const rolloverService = require('../services/rolloverService');
+
+  try {
+    // Student numbers -> registry IDs
+    const toRegistryIds = (studentNumbers) => studentNumbers.map(studentNumber => {
+      const student = sqliteDatabase.findStudent({ studentId: studentNumber });
+      if (!student) throw new Error(`Student ${studentNumber} not found`);
+      return student.id;
+    });
+
+    const rolloverOptions = {
+      toYear: options.to,
+      retainedStudentIds: toRegistryIds(options.retain),
+      leavingStudentIds: toRegistryIds(options.leaving)
+    };
+
+    const preview = rolloverService.preview(rolloverOptions);
+    printReport(preview);
+
+    if (!preview.canConfirm) return false;
+    if (!options.confirm) {
+      console.log('ℹ️  Dry run; add --confirm to close the year');
+      return true;
+    }
+
+    const result = rolloverService.rollover(rolloverOptions);
+    console.log(`✅ ${result.fromYear} archived; ${result.toYear} is now the current academic year`);
+    return true;
+  } finally {
+    sqliteDatabase.close();
+  }
+};
+
+try {
+  process.exit(run(parseOptions(process.argv.slice(2))) ? 0 : 1);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,41 @@
+// backend/scripts/verifyAuditLog.js - Verify the hash chain of the audit log
+//
+// Usage:
+//   node scripts/verifyAuditLog.js
+//
+// Exits with status 1 when any entry was altered, removed or reordered.
+require('dotenv').config();
+
+const { getActiveConfig } = require('../config/database');
+const { verifyAuditChain } = require('../utils/auditLog');
+
+const run = () => {
+  if (getActiveConfig().type !== 'sqlite') {
+    throw new Error('The audit log is only persisted with DB_TYPE=sqlite');
+  }
+
+  const sqliteDatabase = require('../utils/sqliteDatabase');
+
+  try {
+    const result = verifyAuditChain(sqliteDatabase.getAuditEntries());
+
+    if (!result.valid) {
+      console.error(`❌ Audit log tampering detected at entry ${result.brokenAt}: ${result.reason}`);
+      console.error(`   ${result.checked} entries verified before the break`);
+      return false;
+    }
+
+    console.log(`✅ Audit log intact: ${result.checked} entries verified`);
+    console.log(`   Head hash: ${result.headHash}`);
+    return true;
+  } finally {
+    sqliteDatabase.close();
+  }
+};
+
+try {
+  process.exit(run() ? 0 : 1);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -13,22 +13,39 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const classRoutes = require('./routes/classes');
+const studentRoutes = require('./routes/students');
 const attendanceRoutes = require('./routes/attendance');
 const reportRoutes = require('./routes/reports');
 const subjectRoutes = require('./routes/subjects');
 const scheduleRoutes = require('./routes/schedule');
+const substitutionRoutes = require('./routes/substitutions');
+const feedRoutes = require('./routes/feeds');
+const calendarRoutes = require('./routes/calendar');
+const guardianRoutes = require('./routes/guardian');
+const checkInRoutes = require('./routes/checkIn');
+const roleRoutes = require('./routes/roles');
+const importRoutes = require('./routes/imports');
+const academicYearRoutes = require('./routes/academicYears');
+const settingsRoutes = require('./routes/settings');
 
 // Import middleware
-const { authenticateToken } = require('./middleware/auth');
-const { errorHandler } = require('./middleware/errorHandler');
+const { authenticateToken, authenticateUser } = require('./middleware/auth');
+const { errorHandler, uploadErrorHandler } = require('./middleware/errorHandler');
 
 // Import services
 const socketService = require('./services/socketService');
+const missingAttendanceService = require('./services/missingAttendanceService');
+const mailService = require('./services/mailService');
 const { initializeDatabase } = require('./utils/database');
+const { closeDatabaseConnection } = require('./config/database');
 
 const app = express();
 const server = http.createServer(app);
 
+// ETags are record versions set by the routes (utils/recordVersion.js) for
+// use with If-Match; Express's body hashes would never match one
+app.set('etag', false);
+
 // Socket.IO configuration
 const io = socketIo(server, {
   cors: {
@@ -71,7 +88,8 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag'] // Record versions, sent back with If-Match
 }));
 
 // Body parsing middleware
@@ -85,10 +103,20 @@ app.use('/uploads', express.static(path.join(__dirname, 'public/uploads')));
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/classes', authenticateToken, classRoutes);
+app.use('/api/students', authenticateToken, studentRoutes);
 app.use('/api/subjects', authenticateToken, subjectRoutes);
 app.use('/api/schedule', authenticateToken, scheduleRoutes);
+app.use('/api/substitutions', authenticateToken, substitutionRoutes);
+app.use('/api/feeds', feedRoutes); // .ics feeds authenticate with the token in their URL
+app.use('/api/calendar', authenticateToken, calendarRoutes);
 app.use('/api/attendance', authenticateToken, attendanceRoutes);
 app.use('/api/reports', authenticateToken, reportRoutes);
+app.use('/api/guardian', authenticateUser, guardianRoutes);
+app.use('/api/check-in', authenticateUser, checkInRoutes); // Teachers and student accounts
+app.use('/api/roles', authenticateToken, roleRoutes);
+app.use('/api/imports', authenticateToken, importRoutes);
+app.use('/api/academic-years', authenticateToken, academicYearRoutes);
+app.use('/api/settings', authenticateToken, settingsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -112,55 +140,153 @@ app.get('/api', (req, res) => {
     endpoints: {
       auth: {
         'POST /api/auth/login': 'User authentication',
-        'POST /api/auth/logout': 'User logout',
+        'POST /api/auth/bulk-register': 'Preview a CSV/XLSX user import (users:manage)',
+        'POST /api/auth/login/2fa': 'Second login step (authenticator or recovery code)',
+        'POST /api/auth/login/2fa/setup': 'Two-factor enrollment required by school policy',
+        'GET /api/auth/2fa': 'Two-factor status',
+        'POST /api/auth/2fa/setup': 'Start two-factor enrollment (QR provisioning URI)',
+        'POST /api/auth/2fa/enable': 'Confirm enrollment and get recovery codes',
+        'POST /api/auth/2fa/disable': 'Turn two-factor off',
+        'POST /api/auth/2fa/recovery-codes': 'Replace recovery codes',
+        'GET /api/auth/2fa/policy': 'Roles that must use two-factor login',
+        'PUT /api/auth/2fa/policy': 'Set roles that must use two-factor login',
+        'POST /api/auth/logout': 'User logout (revokes the current session)',
+        'POST /api/auth/logout-all': 'Log out all devices',
+        'POST /api/auth/refresh-token': 'Rotate refresh token and get a new access token',
+        'POST /api/auth/forgot-password': 'Email a password reset link',
+        'POST /api/auth/reset-password/:token': 'Reset password with the emailed token',
         'GET /api/auth/me': 'Get current user info',
-        'PUT /api/auth/profile': 'Update user profile',
+        'PUT /api/auth/profile': 'Update user profile (If-Match with the ETag from GET /api/auth/me)',
         'GET /api/auth/verify': 'Verify token validity'
       },
       classes: {
-        'GET /api/classes': 'Get all classes',
-        'POST /api/classes': 'Create new class (Principal only)',
+        'GET /api/classes': 'Get all classes (?academicYear= includes archived classes)',
+        'POST /api/classes': 'Create new class (classes:manage)',
         'GET /api/classes/:id': 'Get specific class details',
-        'PUT /api/classes/:id': 'Update class (Principal only)',
-        'DELETE /api/classes/:id': 'Delete class (Principal only)',
+        'PUT /api/classes/:id': 'Update class (classes:manage; If-Match with the ETag, 409 VERSION_CONFLICT if it changed)',
+        'DELETE /api/classes/:id': 'Delete class (classes:manage)',
         'GET /api/classes/:id/students': 'Get class students',
-        'POST /api/classes/:id/students': 'Add student to class'
+        'POST /api/classes/:id/students': 'Add student to class (classes:manage)',
+        'POST /api/classes/:id/students/import': 'Preview a CSV/XLSX roster import (classes:manage)',
+        'DELETE /api/classes/:classId/students/:studentId': 'Withdraw student from class (classes:manage)'
+      },
+      students: {
+        'GET /api/students': 'Student registry (search, classId, status=enrolled|not-enrolled)',
+        'GET /api/students/:id': 'Student with current class and enrollment history',
+        'GET /api/students/:id/enrollments': 'Classes the student was enrolled in, with dates and reasons',
+        'POST /api/students/:id/transfer': 'Move student to another class, keeping their ID (classes:manage)',
+        'POST /api/students/:id/enroll': 'Enroll a student who is not in a class (classes:manage)',
+        'POST /api/students/:id/withdraw': 'End the current enrollment (classes:manage)'
+      },
+      academicYears: {
+        'GET /api/academic-years': 'Current and archived academic years',
+        'GET /api/academic-years/:year': 'Classes and attendance statistics of a year',
+        'POST /api/academic-years/rollover/preview': 'Dry run of closing the current year (academic-years:manage)',
+        'POST /api/academic-years/rollover': 'Archive the current year and promote students (academic-years:manage)'
       },
       subjects: {
         'GET /api/subjects': 'Get all subjects',
-        'POST /api/subjects': 'Create new subject (Principal only)',
-        'PUT /api/subjects/:id': 'Update subject (Principal only)',
-        'DELETE /api/subjects/:id': 'Delete subject (Principal only)'
+        'POST /api/subjects': 'Create new subject with its teachers (subjects:manage)',
+        'PUT /api/subjects/:id': 'Update subject (subjects:manage; If-Match with the ETag, 409 VERSION_CONFLICT if it changed)',
+        'DELETE /api/subjects/:id': 'Delete subject (subjects:manage)'
       },
       schedule: {
-        'GET /api/schedule': 'Get schedules with filters',
-        'POST /api/schedule': 'Create new schedule (Principal only)',
-        'GET /api/schedule/teacher/:id': 'Get teacher schedule',
-        'PUT /api/schedule/:id': 'Update schedule (Principal only)',
-        'DELETE /api/schedule/:id': 'Delete schedule (Principal only)'
+        'GET /api/schedule': 'Get schedules with filters (teacherId, classId, subjectId, dayOfWeek, date, room)',
+        'GET /api/schedule/cycle': 'Get the timetable cycle and each date\'s week/day in it (startDate, endDate)',
+        'PUT /api/schedule/cycle': 'Set a weekly, A/B weeks or day-N cycle (schedule:manage)',
+        'GET /api/schedule/:id': 'Get specific schedule',
+        'POST /api/schedule': 'Create new schedule; 409 SCHEDULE_CONFLICT lists the conflicts (schedule:manage)',
+        'POST /api/schedule/conflicts': 'Check an entry against the timetable without saving it (schedule:manage)',
+        'GET /api/schedule/teacher/:id': 'Get teacher schedule (dayOfWeek, date)',
+        'PUT /api/schedule/:id': 'Update schedule (schedule:manage)',
+        'DELETE /api/schedule/:id': 'Delete schedule (schedule:manage)'
+      },
+      substitutions: {
+        'GET /api/substitutions': 'List substitutions (teacherId, date, startDate/endDate; teachers see their own)',
+        'GET /api/substitutions/:id': 'Get specific substitution',
+        'POST /api/substitutions': 'Assign a substitute to a teacher\'s periods over a date range (substitutions:manage)',
+        'PUT /api/substitutions/:id': 'Update substitution (substitutions:manage)',
+        'DELETE /api/substitutions/:id': 'Cancel substitution (substitutions:manage)'
+      },
+      feeds: {
+        'GET /api/feeds/timetable': 'Whether the user has a timetable feed (schedule:view)',
+        'POST /api/feeds/timetable': 'Create the user\'s iCalendar feed URL, replacing the previous one (schedule:view)',
+        'DELETE /api/feeds/timetable': 'Revoke the user\'s timetable feed',
+        'GET /api/feeds/timetable/:token.ics': 'Timetable feed for calendar clients (no login; the token is the credential)'
+      },
+      calendar: {
+        'GET /api/calendar': 'Get calendar events (terms, holidays, exams, ...)',
+        'GET /api/calendar/days': 'Resolve school days over a date range',
+        'GET /api/calendar/:id': 'Get specific calendar event',
+        'POST /api/calendar': 'Create calendar event (calendar:manage)',
+        'PUT /api/calendar/:id': 'Update calendar event (calendar:manage)',
+        'DELETE /api/calendar/:id': 'Delete calendar event (calendar:manage)'
       },
       attendance: {
         'POST /api/attendance': 'Submit attendance record',
+        'POST /api/attendance/bulk': 'Submit several attendance records ({ attendanceRecords, allOrNothing }; reports each record)',
+        'POST /api/attendance/sync': 'Apply attendance changes made offline ({ mutations: [{ clientId, baseVersion, capturedAt, ...submission }] }; reports conflicts)',
         'GET /api/attendance/:classId/:date': 'Get attendance for specific class and date',
         'GET /api/attendance/history': 'Get attendance history with filters',
-        'PUT /api/attendance/:id': 'Update attendance record',
-        'DELETE /api/attendance/:id': 'Delete attendance record'
+        'PUT /api/attendance/:id': 'Update attendance record (If-Match with the ETag or version, 409 VERSION_CONFLICT if it changed)',
+        'DELETE /api/attendance/:id': 'Delete attendance record',
+        'GET /api/attendance/missing': 'Get scheduled periods with no attendance submitted',
+        'POST /api/attendance/missing/remind': 'Remind teachers about missing attendance (attendance:remind)'
       },
       reports: {
         'POST /api/reports/generate': 'Generate attendance report',
         'GET /api/reports/download/:filename': 'Download generated report',
         'GET /api/reports': 'List available reports',
-        'DELETE /api/reports/:filename': 'Delete report file'
+        'DELETE /api/reports/:filename': 'Delete report file',
+        'POST /api/reports/preview': 'Preview report data without generating a file',
+        'GET /api/reports/templates': 'List report templates',
+        'GET /api/reports/statistics': 'Statistics about generated reports (reports:manage)'
+      },
+      guardian: {
+        'GET /api/guardian/children': 'Linked students with attendance summary (guardian:portal)',
+        'GET /api/guardian/children/:studentId/attendance': 'Attendance history of a linked student',
+        'GET /api/guardian/children/:studentId/schedule': 'Upcoming periods of a linked student (?days=7)',
+        'GET /api/guardian/notices': 'Recent absences and late arrivals (?days=30)'
+      },
+      checkIn: {
+        'POST /api/check-in/sessions': 'Open a QR check-in session for a period of today (attendance:submit)',
+        'GET /api/check-in/sessions/:id': 'Check-in session with the students who checked in',
+        'GET /api/check-in/sessions/:id/token': 'Current QR code token (rotates every few seconds)',
+        'POST /api/check-in/sessions/:id/close': 'Stop accepting check-ins',
+        'POST /api/check-in': 'Check in with a scanned token and be marked present (checkin:self)'
+      },
+      roles: {
+        'GET /api/roles': 'List roles and their permissions',
+        'GET /api/roles/permissions': 'Permission catalog',
+        'POST /api/roles': 'Create role (roles:manage)',
+        'PUT /api/roles/:name': 'Edit role permission grants (roles:manage)',
+        'DELETE /api/roles/:name': 'Delete unused custom role (roles:manage)'
+      },
+      settings: {
+        'GET /api/settings': 'Attendance rules, edit lock hours, timezone and submission deadline',
+        'PUT /api/settings': 'Change attendance settings; fields left out keep their value (settings:manage)'
+      },
+      imports: {
+        'GET /api/imports/:id': 'Import preview: rows to create, update or fix',
+        'POST /api/imports/:id/confirm': 'Apply an import preview (all rows or none)',
+        'DELETE /api/imports/:id': 'Discard an import preview'
       }
     },
     socket_events: {
-      'connection': 'Client connects',
-      'joinRoom': 'Join specific room (class/subject)',
-      'leaveRoom': 'Leave specific room',
-      'attendanceUpdated': 'Real-time attendance updates',
+      'connection': 'Client connects (JWT in auth.token or Authorization header)',
+      'session': 'Sent on connect: { serverId, lastEventId, rooms }',
+      'joinRoom': 'Join a class room ({ classId }; own classes unless attendance:view:any)',
+      'leaveRoom': 'Leave a class room ({ classId })',
+      'resync': 'Replay missed events ({ serverId, lastEventId }); acknowledges with { fullResync, events }',
+      'attendanceSubmitted': 'Attendance record created',
+      'attendanceUpdated': 'Attendance record updated',
+      'attendanceDeleted': 'Attendance record deleted',
+      'classRosterChanged': 'Students added to or removed from a class',
+      'reportCompleted': 'Requested report finished generating (sent to the requester)',
       'scheduleChanged': 'Schedule modifications',
-      'userOnline': 'User comes online',
-      'userOffline': 'User goes offline'
+      'attendanceReminder': 'Periods still missing attendance (sent to the teacher)',
+      'userOnline': 'User comes online (principals)',
+      'userOffline': 'User goes offline (principals)'
     },
     status: {
       database: 'Connected',
@@ -174,6 +300,7 @@ app.get('/api', (req, res) => {
 socketService.initialize(io);
 
 // Error handling middleware (must be last)
+app.use(uploadErrorHandler);
 app.use(errorHandler);
 
 // 404 handler
@@ -201,10 +328,18 @@ async function startServer() {
       }
     }
     
+    // Password reset links must reach their users
+    mailService.checkConfiguration();
+    
     // Initialize database
     await initializeDatabase();
     console.log('✅ Database initialized successfully');
     
+    // Remind teachers about periods still missing attendance (0 disables)
+    missingAttendanceService.startReminders(
+      parseInt(process.env.ATTENDANCE_REMINDER_INTERVAL_MINUTES ?? '30')
+    );
+    
     // Start server
     const PORT = process.env.PORT || 5000;
     server.listen(PORT, () => {
@@ -230,9 +365,11 @@ async function startServer() {
       console.log('   👩‍💼 Principal: admin / admin123');
       console.log('   👩‍🏫 Teacher 1: teacher1 / teacher123');
       console.log('   👨‍🏫 Teacher 2: teacher2 / teacher123');
+      console.log('   👪 Guardian: parent1 / parent123');
+      console.log('   🎒 Student: student1 / student123');
       
       console.log('\n📚 Sample Data Loaded:');
-      console.log('   • 3 Users (1 Principal, 2 Teachers)');
+      console.log('   • 6 Users (1 Principal, 3 Teachers, 1 Guardian, 1 Student)');
       console.log('   • 3 Classes (10A, 10B, 11A)');
       console.log('   • 7 Subjects (Math, Physics, etc.)');
       console.log('   • 16 Students across all classes');
@@ -262,13 +399,15 @@ const gracefulShutdown = async (signal) => {
     
     console.log('✅ HTTP server closed');
     
+    missingAttendanceService.stopReminders();
+    
     // Close Socket.IO
     io.close(() => {
       console.log('✅ Socket.IO server closed');
     });
     
     // Close database connections if any
-    // await closeDatabaseConnections();
+    await closeDatabaseConnection();
     
     console.log('✅ Graceful shutdown completed');
     process.exit(0);
@@ -302,4 +441,4 @@ if (require.main === module) {
   startServer();
 }
 
-module.exports = { app, server, io };
\ No newline at end of file
+module.exports = { app, server, io };
@@ -0,0 +1,181 @@
+// backend/services/calendarFeedService.js - Subscribable Timetable Feeds (iCalendar)
+const crypto = require('crypto');
+const {
+  findUser,
+  updateUser,
+  getAllSchedules,
+  findScheduleById,
+  findClassById,
+  findSubjectById,
+  findUserById,
+  getSubstitutions,
+  getSettings,
+  getAcademicCalendar,
+  getTimetableCycle
+} = require('../utils/database');
+const { hasPermission } = require('../middleware/auth');
+const { getLocalDateTime } = require('../utils/lateSubmission');
+const { coversPeriod, findSubstitutionForPeriod } = require('../utils/substitutions');
+const { buildCalendar } = require('../utils/icalendar');
+
+// Feeds cover this many days around today; clients refresh them regularly
+const FEED_PAST_DAYS = 28;
+const FEED_FUTURE_DAYS = 182;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().split('T')[0];
+
+const getDates = (startDate, endDate) => {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Every user with `schedule:view` can subscribe to their timetable from a
+ * calendar client. The feed URL carries a random token instead of a login;
+ * only its hash is stored on the user, creating a new one replaces the old
+ * URL, and feeds stop working when the user is deactivated.
+ */
+class CalendarFeedService {
+  // Create (or replace) the user's feed token; returns the token, which is not stored
+  createFeedToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    updateUser(userId, {
+      calendarFeedTokenHash: hashToken(token),
+      calendarFeedCreatedAt: new Date().toISOString()
+    });
+    return token;
+  }
+
+  revokeFeedToken(userId) {
+    updateUser(userId, { calendarFeedTokenHash: null, calendarFeedCreatedAt: null });
+  }
+
+  // The active user a feed token belongs to, or null
+  findFeedUser(token) {
+    const user = /^[0-9a-f]{64}$/.test(token || '') ? findUser({ calendarFeedTokenHash: hashToken(token) }) : null;
+    return user && user.isActive && hasPermission(user, 'schedule:view') ? user : null;
+  }
+
+  // `origin` is the API's public address, e.g. https://school.example.org
+  getFeedUrl(token, origin) {
+    return `${(process.env.API_URL || origin).replace(/\/$/, '')}/api/feeds/timetable/${token}.ics`;
+  }
+
+  /**
+   * The user's timetable as an iCalendar document: one recurring weekly
+   * event per timetable entry, with the dates it does not happen (holidays,
+   * early dismissals, other cycle weeks, periods a substitute covers) as
+   * exceptions, and single events for the periods the user covers as a
+   * substitute. Day-N cycle entries list their dates instead of a rule.
+   */
+  buildTimetableFeed(user, now = new Date()) {
+    const settings = getSettings();
+    const calendar = getAcademicCalendar();
+    const timetableCycle = getTimetableCycle();
+    const today = getLocalDateTime(now, settings.timezone).date;
+    const startDate = addDays(today, -FEED_PAST_DAYS);
+    const endDate = addDays(today, FEED_FUTURE_DAYS);
+    const dates = getDates(startDate, endDate);
+    const substitutions = getSubstitutions({ dateRange: { start: startDate, end: endDate } });
+
+    // Whether a period takes place on a date the calendar has classes
+    const isTaught = (schedule, date) => {
+      const day = calendar.getDay(date, schedule.classId);
+      return day.isSchoolDay &&
+        !day.events.some(event => event.type === 'early-dismissal' && event.dismissalTime <= schedule.startTime);
+    };
+
+    const describe = (schedule) => {
+      const className = findClassById(schedule.classId)?.name;
+      const subjectName = findSubjectById(schedule.subjectId)?.name;
+      return {
+        summary: `${subjectName} - ${className}`,
+        location: schedule.room || null,
+        description: [`Class: ${className}`, `Subject: ${subjectName}`, schedule.room && `Room: ${schedule.room}`]
+          .filter(Boolean)
+          .join('\n')
+      };
+    };
+
+    const events = getAllSchedules({ teacherId: user.id }).flatMap(schedule => {
+      const occurrences = dates.filter(date =>
+        timetableCycle.occursOn(schedule, date) &&
+        isTaught(schedule, date) &&
+        !findSubstitutionForPeriod(substitutions, schedule, date, timetableCycle.occursOn)
+      );
+
+      // Weekly rule from the first date on the entry's day (every `length` weeks for cycle weeks)
+      const first = dates.find(date => timetableCycle.occursOn(schedule, date));
+      if (!first) return [];
+
+      let ruleDates = [];
+      let rrule = null;
+      if (!schedule.cycleDay) {
+        const interval = schedule.cycleWeek ? timetableCycle.cycle.length : 1;
+        for (let date = first; date <= endDate; date = addDays(date, 7 * interval)) {
+          ruleDates.push(date);
+        }
+        rrule = `FREQ=WEEKLY;INTERVAL=${interval};UNTIL=${endDate.replace(/-/g, '')}T235959Z`;
+      } else if (occurrences.length === 0) {
+        return [];
+      } else {
+        ruleDates = [occurrences[0]];
+      }
+
+      return [{
+        uid: `schedule-${schedule.id}@virtualrollcall`,
+        date: ruleDates[0],
+        startTime: schedule.startTime,
+        endTime: schedule.endTime,
+        rrule,
+        exdates: ruleDates.filter(date => !occurrences.includes(date)),
+        rdates: occurrences.filter(date => !ruleDates.includes(date)),
+        lastModified: schedule.updatedAt,
+        ...describe(schedule)
+      }];
+    });
+
+    // Periods covered for absent teachers
+    substitutions
+      .filter(substitution => substitution.substituteTeacherId === user.id)
+      .forEach(substitution => {
+        const originalTeacher = findUserById(substitution.originalTeacherId);
+
+        substitution.scheduleIds
+          .map(findScheduleById)
+          .filter(schedule => schedule?.isActive)
+          .forEach(schedule => {
+            dates
+              .filter(date => coversPeriod(substitution, schedule, date, timetableCycle.occursOn) && isTaught(schedule, date))
+              .forEach(date => {
+                const details = describe(schedule);
+                events.push({
+                  uid: `substitution-${substitution.id}-${schedule.id}-${date}@virtualrollcall`,
+                  date,
+                  startTime: schedule.startTime,
+                  endTime: schedule.endTime,
+                  lastModified: substitution.updatedAt,
+                  ...details,
+                  summary: `Cover: ${details.summary}`,
+                  description: `${details.description}\nCovering for ${originalTeacher?.name}`
+                });
+              });
+          });
+      });
+
+    return buildCalendar({
+      name: `${settings.schoolName || 'VirtualRollCall'} - ${user.name}`,
+      timezone: settings.timezone || 'UTC',
+      events
+    }, now);
+  }
+}
+
+module.exports = new CalendarFeedService();
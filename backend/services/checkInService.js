@@ -0,0 +1,306 @@
+// backend/services/checkInService.js - QR Code Self Check-In Sessions
+const crypto = require('crypto');
+const {
+  findScheduleById,
+  findClassById,
+  findSubjectById,
+  findUserById,
+  getAttendanceRecord,
+  addAttendanceRecord,
+  updateAttendanceRecord,
+  getSettings,
+  getAcademicCalendar,
+  getTimetableCycle
+} = require('../utils/database');
+const { hasPermission } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const { getLocalDateTime } = require('../utils/lateSubmission');
+const { getRecordStatuses } = require('../utils/attendanceStatus');
+const { requiresCorrectionRequest } = require('../utils/attendanceLock');
+const { isArchivedClass, classArchivedError } = require('../utils/academicYears');
+const substitutionService = require('./substitutionService');
+const socketService = require('./socketService');
+
+// The QR code shows a new token every TOKEN_ROTATION_SECONDS; a token is
+// still accepted for TOKEN_GRACE_SECONDS after it was replaced (scan and network delay)
+const TOKEN_ROTATION_SECONDS = parseInt(process.env.CHECKIN_TOKEN_SECONDS ?? '10');
+const TOKEN_GRACE_SECONDS = parseInt(process.env.CHECKIN_TOKEN_GRACE_SECONDS ?? '5');
+
+// Check-ins one token admits: the whole class scans the same code, but a
+// code passed on to students who are not in the room only works a few times
+const TOKEN_MAX_USES = parseInt(process.env.CHECKIN_TOKEN_MAX_USES ?? '3');
+
+const TOKEN_PATTERN = /^([0-9a-f-]{36})\.(\d+)\.([0-9a-f]{32})$/;
+
+// Address the QR code opens; the student app posts the token from it
+const getCheckInUrl = (token) => `${(process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')}/check-in/${token}`;
+
+const signStep = (session, step) => {
+  return crypto.createHmac('sha256', session.secret).update(`${session.id}.${step}`).digest('hex').slice(0, 32);
+};
+
+const periodKey = (scheduleId, date) => `${scheduleId}:${date}`;
+
+/**
+ * A teacher opens a check-in session for a timetable period that takes
+ * place today. Its QR code carries a signed token that changes every few
+ * seconds; a student signed in with their own (student role) account scans
+ * it and is marked present on the attendance record of that class, subject
+ * and date. Outdated tokens, tokens that already admitted TOKEN_MAX_USES
+ * students and second check-ins are rejected. Sessions live in memory and
+ * end when the teacher closes them or the period is over; check-ins carry
+ * over when a period is reopened.
+ */
+class CheckInService {
+  constructor() {
+    this.sessions = new Map(); // sessionId -> session
+  }
+
+  /**
+   * Open a session for a period of today, or return the one already open.
+   * Returns { session, created }.
+   */
+  openSession(scheduleId, user, now = new Date()) {
+    const settings = getSettings();
+    const today = getLocalDateTime(now, settings.timezone);
+    this.purgePast(today.date);
+
+    const schedule = Number.isInteger(scheduleId) ? findScheduleById(scheduleId) : null;
+    if (!schedule || !schedule.isActive) {
+      throw new AppError('Schedule entry not found', 404, 'SCHEDULE_NOT_FOUND');
+    }
+
+    const classData = findClassById(schedule.classId);
+    if (isArchivedClass(classData)) {
+      const { error, code } = classArchivedError(classData);
+      throw new AppError(error, 409, code);
+    }
+
+    // The period's teacher, a substitute covering it today, or users who may take any attendance
+    const substitution = substitutionService.findCoverFor(user.id, {
+      classId: schedule.classId,
+      subjectId: schedule.subjectId,
+      date: today.date
+    });
+    if (schedule.teacherId !== user.id && !substitution && !hasPermission(user, 'attendance:submit:any')) {
+      throw new AppError('You do not have permission to take attendance for this period', 403, 'ACCESS_DENIED');
+    }
+
+    if (!getTimetableCycle().occursOn(schedule, today.date)) {
+      throw new AppError('This period does not take place today', 400, 'PERIOD_NOT_TODAY');
+    }
+
+    const schoolDay = getAcademicCalendar().getDay(today.date, schedule.classId);
+    if (!schoolDay.isSchoolDay) {
+      throw new AppError(`Attendance cannot be taken on a non-school day (${schoolDay.reason})`, 400, 'NON_SCHOOL_DAY');
+    }
+
+    if (today.time >= schedule.endTime) {
+      throw new AppError('This period is already over', 400, 'PERIOD_ENDED');
+    }
+
+    const key = periodKey(schedule.id, today.date);
+    const previous = [...this.sessions.values()].filter(session => session.key === key);
+    const open = previous.find(session => this.isOpen(session, now));
+    if (open) {
+      return { session: open, created: false };
+    }
+
+    // Records are attributed as if the user opening the session had submitted them
+    const session = {
+      id: crypto.randomUUID(),
+      key,
+      secret: crypto.randomBytes(32),
+      scheduleId: schedule.id,
+      classId: schedule.classId,
+      subjectId: schedule.subjectId,
+      date: today.date,
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      teacherId: user.id,
+      substitutionId: substitution?.id ?? null,
+      substituteFor: substitution?.originalTeacherId ?? null,
+      openedBy: user.id,
+      openedAt: now.toISOString(),
+      closedAt: null,
+      checkIns: new Map(previous.flatMap(earlier => [...earlier.checkIns])), // studentId -> check-in
+      tokenUses: new Map() // token -> check-ins it admitted
+    };
+
+    this.sessions.set(session.id, session);
+    return { session, created: true };
+  }
+
+  /**
+   * A session the user opened (or any session with attendance:submit:any)
+   */
+  findSession(sessionId, user) {
+    const session = this.sessions.get(sessionId);
+    if (!session || (session.openedBy !== user.id && !hasPermission(user, 'attendance:submit:any'))) {
+      throw new AppError('Check-in session not found', 404, 'CHECKIN_SESSION_NOT_FOUND');
+    }
+    return session;
+  }
+
+  isOpen(session, now = new Date()) {
+    if (session.closedAt) return false;
+
+    const local = getLocalDateTime(now, getSettings().timezone);
+    return local.date === session.date && local.time < session.endTime;
+  }
+
+  closeSession(session, now = new Date()) {
+    if (!session.closedAt) {
+      session.closedAt = now.toISOString();
+    }
+    return session;
+  }
+
+  /**
+   * The token to show right now: { token, url, expiresAt, rotationSeconds }
+   */
+  getCurrentToken(session, now = new Date()) {
+    if (!this.isOpen(session, now)) {
+      throw new AppError('This check-in session is closed', 410, 'SESSION_CLOSED');
+    }
+
+    const rotationMs = TOKEN_ROTATION_SECONDS * 1000;
+    const openedAt = Date.parse(session.openedAt);
+    const step = Math.floor((now.getTime() - openedAt) / rotationMs);
+    const token = `${session.id}.${step}.${signStep(session, step)}`;
+
+    return {
+      token,
+      url: getCheckInUrl(token),
+      expiresAt: new Date(openedAt + (step + 1) * rotationMs).toISOString(),
+      rotationSeconds: TOKEN_ROTATION_SECONDS
+    };
+  }
+
+  /**
+   * Check a student in with a scanned token and mark them present.
+   * Returns { session, checkIn, record, created } (created: whether the
+   * attendance record was started by this check-in).
+   */
+  checkIn(token, user, auditContext = {}, now = new Date()) {
+    const [, sessionId, rawStep, signature] = TOKEN_PATTERN.exec(typeof token === 'string' ? token : '') || [];
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    const step = parseInt(rawStep);
+    const currentStep = session
+      ? Math.floor((now.getTime() - Date.parse(session.openedAt)) / (TOKEN_ROTATION_SECONDS * 1000))
+      : -1;
+
+    const expected = session ? Buffer.from(signStep(session, step)) : null;
+    if (!session || step > currentStep || !crypto.timingSafeEqual(expected, Buffer.from(signature))) {
+      throw new AppError('Invalid check-in code', 400, 'INVALID_TOKEN');
+    }
+
+    if (!this.isOpen(session, now)) {
+      throw new AppError('This check-in session is closed', 410, 'SESSION_CLOSED');
+    }
+
+    const replacedAt = Date.parse(session.openedAt) + (step + 1) * TOKEN_ROTATION_SECONDS * 1000;
+    if (now.getTime() > replacedAt + TOKEN_GRACE_SECONDS * 1000) {
+      throw new AppError('This check-in code has expired; scan the current one', 410, 'TOKEN_EXPIRED');
+    }
+
+    // Student accounts are linked to exactly one registry student, who must be on the class roster
+    const studentId = findUserById(user.id)?.studentIds?.[0];
+    const classData = findClassById(session.classId);
+    const student = classData.students.find(s => s.isActive && s.id === studentId);
+    if (!student) {
+      throw new AppError('You are not enrolled in this class', 403, 'NOT_ENROLLED');
+    }
+
+    if (session.checkIns.has(studentId)) {
+      throw new AppError('You have already checked in to this class', 409, 'ALREADY_CHECKED_IN');
+    }
+    if ((session.tokenUses.get(token) || 0) >= TOKEN_MAX_USES) {
+      throw new AppError('This check-in code has already been used; scan the current one', 409, 'TOKEN_REPLAYED');
+    }
+
+    if (isArchivedClass(classData)) {
+      const { error, code } = classArchivedError(classData);
+      throw new AppError(error, 409, code);
+    }
+
+    const settings = getSettings();
+    const existing = getAttendanceRecord(session.classId, session.subjectId, session.date);
+    if (existing && requiresCorrectionRequest(findUserById(session.openedBy), existing, settings)) {
+      throw new AppError('The attendance record for this class is locked', 409, 'RECORD_LOCKED');
+    }
+
+    let record;
+    if (existing) {
+      record = updateAttendanceRecord(existing.id, {
+        studentStatuses: { ...getRecordStatuses(existing), [studentId]: { status: 'present' } }
+      }, auditContext);
+    } else {
+      // Until they check in, the rest of the class is absent
+      const studentStatuses = Object.fromEntries(
+        classData.students
+          .filter(s => s.isActive)
+          .map(s => [s.id, { status: s.id === studentId ? 'present' : 'absent' }])
+      );
+
+      record = addAttendanceRecord({
+        teacherId: session.teacherId,
+        classId: session.classId,
+        subjectId: session.subjectId,
+        date: session.date,
+        studentStatuses,
+        notes: '',
+        submittedBy: session.openedBy,
+        substitutionId: session.substitutionId,
+        substituteFor: session.substituteFor
+      }, auditContext);
+    }
+
+    const checkIn = {
+      studentId,
+      studentName: student.name,
+      userId: user.id,
+      checkedInAt: now.toISOString(),
+      recordId: record.id
+    };
+    session.checkIns.set(studentId, checkIn);
+    session.tokenUses.set(token, (session.tokenUses.get(token) || 0) + 1);
+
+    socketService.emitCheckInRecorded(session, checkIn);
+
+    return { session, checkIn, record, created: !existing };
+  }
+
+  // Sessions of earlier days are of no further use
+  purgePast(today) {
+    for (const [id, session] of this.sessions) {
+      if (session.date < today) this.sessions.delete(id);
+    }
+  }
+
+  toView(session, now = new Date()) {
+    const classData = findClassById(session.classId);
+
+    return {
+      id: session.id,
+      scheduleId: session.scheduleId,
+      classId: session.classId,
+      className: classData?.name,
+      subjectId: session.subjectId,
+      subjectName: findSubjectById(session.subjectId)?.name,
+      date: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      openedBy: session.openedBy,
+      openedAt: session.openedAt,
+      closedAt: session.closedAt,
+      isOpen: this.isOpen(session, now),
+      rotationSeconds: TOKEN_ROTATION_SECONDS,
+      enrolledCount: classData ? classData.students.filter(s => s.isActive).length : 0,
+      checkInCount: session.checkIns.size,
+      checkIns: [...session.checkIns.values()]
+    };
+  }
+}
+
+module.exports = new CheckInService();
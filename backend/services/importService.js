@@ -0,0 +1,500 @@
+// backend/services/importService.js - Bulk User and Roster Imports (CSV/XLSX)
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const {
+  findUser,
+  createUserRecord,
+  updateUser,
+  findClassById,
+  addStudentToClass,
+  updateStudent,
+  findStudent,
+  findStudentById,
+  runInTransaction
+} = require('../utils/database');
+const { validateRegistration, validateStudent, validateData } = require('../middleware/validation');
+const { hasPermission } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const { linksStudents } = require('../utils/permissions');
+const { parseImportFile, mapColumns, applyColumns } = require('../utils/importFile');
+const { isArchivedClass, classArchivedError } = require('../utils/academicYears');
+const socketService = require('./socketService');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// How long a preview can be confirmed
+const PREVIEW_TTL_MINUTES = 30;
+
+/**
+ * What can be imported. `fields` lists the header names recognised for each
+ * field (besides the field name itself); rows are checked with the same
+ * validation chains as the single-record endpoints.
+ */
+const IMPORT_TYPES = {
+  users: {
+    permission: 'users:manage',
+    keyField: 'username',
+    fields: {
+      username: ['user', 'user name', 'login'],
+      password: ['initial password'],
+      name: ['full name'],
+      email: ['e-mail', 'email address'],
+      phone: ['phone number', 'mobile', 'telephone'],
+      role: ['user role'],
+      subjects: ['subject ids'],
+      studentIds: ['student ids', 'linked students']
+    },
+    listFields: ['subjects', 'studentIds'],
+    validations: validateRegistration
+  },
+  students: {
+    permission: 'classes:manage',
+    keyField: 'studentId',
+    fields: {
+      studentId: ['student id', 'student number', 'student no'],
+      name: ['student name', 'full name'],
+      email: ['e-mail', 'email address'],
+      dateOfBirth: ['date of birth', 'dob', 'birth date', 'birthday'],
+      parentContact: ['parent contact', 'parent phone', 'guardian phone']
+    },
+    listFields: [],
+    validations: validateStudent
+  }
+};
+
+// "1; 2, 3" -> [1, 2, 3]; entries that are not numbers stay so validation reports them
+const parseList = (value) => value
+  .split(/[;,|]/)
+  .map(item => item.trim())
+  .filter(Boolean)
+  .map(item => (/^\d+$/.test(item) ? parseInt(item) : item));
+
+const isFilled = (value) => value !== undefined && value !== null && value !== '';
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Fields of `values` that differ from the stored record
+const getChanges = (record, values) => Object.keys(values).filter(field => !isSameValue(record[field], values[field]));
+
+const withoutPassword = (data) => {
+  const copy = { ...data };
+  delete copy.password;
+  return copy;
+};
+
+const parseMapping = (mapping) => {
+  if (mapping === undefined || mapping === '') return {};
+
+  let parsed = mapping;
+  if (typeof mapping === 'string') {
+    try {
+      parsed = JSON.parse(mapping);
+    } catch (error) {
+      parsed = null;
+    }
+  }
+
+  const isValid = parsed && typeof parsed === 'object' && !Array.isArray(parsed) &&
+    Object.values(parsed).every(field => field === null || typeof field === 'string');
+
+  if (!isValid) {
+    throw new AppError('Mapping must be a JSON object of { "Column header": "field" }', 400, 'INVALID_MAPPING');
+  }
+  return parsed;
+};
+
+/**
+ * Decide what every user row would do against the current data
+ */
+const planUsers = (entries) => {
+  const seenUsernames = new Set();
+  const seenEmails = new Set();
+
+  return entries.map(({ rowNumber, data, validationErrors }) => {
+    const username = data.username?.toLowerCase();
+    const email = data.email?.toLowerCase();
+    const existing = username ? findUser({ username }) : null;
+    const warnings = [];
+
+    // Rows for existing accounts only change the fields they fill in (never the password)
+    const errors = validationErrors.filter(error => !existing ||
+      (error.field !== 'password' && isFilled(data[error.field])));
+
+    if (username && seenUsernames.has(username)) {
+      errors.push({ field: 'username', message: 'Username appears more than once in the file' });
+    }
+    seenUsernames.add(username);
+
+    if (email) {
+      const owner = findUser({ email });
+      if ((owner && owner.id !== existing?.id) || seenEmails.has(email)) {
+        errors.push({ field: 'email', message: 'Email already exists' });
+      }
+      seenEmails.add(email);
+    }
+
+    const role = existing ? existing.role : data.role;
+    if (existing && data.role && data.role !== existing.role) {
+      errors.push({ field: 'role', message: `Role changes are not imported (current role: ${existing.role})` });
+    }
+
+    if (role === 'student' && data.studentIds && new Set(data.studentIds).size !== 1) {
+      errors.push({ field: 'studentIds', message: 'Student accounts must be linked to exactly one student' });
+    }
+    if (linksStudents(role) && Array.isArray(data.studentIds)) {
+      const unknownIds = data.studentIds.filter(id => !findStudentById(id));
+      if (unknownIds.length > 0) {
+        errors.push({ field: 'studentIds', message: `Unknown student IDs: ${unknownIds.join(', ')}` });
+      }
+    }
+
+    if (existing && data.password) {
+      warnings.push('Password ignored: imports do not change passwords of existing users');
+    }
+    if (data.subjects && role !== 'teacher') {
+      warnings.push('Subjects ignored: only teachers have subjects');
+    }
+
+    const base = { row: rowNumber, key: username, recordId: existing?.id || null, errors, warnings };
+
+    if (errors.length > 0) {
+      return { ...base, action: 'error', changes: [] };
+    }
+
+    if (!existing) {
+      return {
+        ...base,
+        action: 'create',
+        changes: [],
+        values: {
+          username,
+          password: data.password,
+          name: data.name,
+          email,
+          phone: data.phone || null,
+          role,
+          subjects: role === 'teacher' ? (data.subjects || []) : [],
+          ...(linksStudents(role) && { studentIds: [...new Set(data.studentIds)] })
+        }
+      };
+    }
+
+    const values = {
+      ...(isFilled(data.name) && { name: data.name }),
+      ...(email && { email }),
+      ...(data.phone && { phone: data.phone }),
+      ...(role === 'teacher' && data.subjects && { subjects: data.subjects }),
+      ...(linksStudents(role) && data.studentIds && { studentIds: [...new Set(data.studentIds)] })
+    };
+    const changes = getChanges(existing, values);
+
+    return { ...base, action: changes.length > 0 ? 'update' : 'unchanged', changes, values };
+  });
+};
+
+/**
+ * Decide what every roster row would do against the class as it is now
+ */
+const planStudents = (classId, entries) => {
+  const classData = findClassById(classId);
+  if (!classData) {
+    throw new AppError('Class not found', 404, 'CLASS_NOT_FOUND');
+  }
+  if (isArchivedClass(classData)) {
+    const { error, code } = classArchivedError(classData);
+    throw new AppError(error, 409, code);
+  }
+
+  const activeStudents = classData.students.filter(student => student.isActive);
+  let freePlaces = classData.maxStudents - activeStudents.length;
+  const seenStudentIds = new Set();
+
+  return entries.map(({ rowNumber, data, validationErrors }) => {
+    const studentId = data.studentId;
+    const existing = activeStudents.find(student => student.studentId === studentId);
+    const errors = [...validationErrors];
+
+    if (studentId && seenStudentIds.has(studentId)) {
+      errors.push({ field: 'studentId', message: 'Student ID appears more than once in the file' });
+    }
+    seenStudentIds.add(studentId);
+
+    // Students already in the registry keep their record: move them with a transfer or re-enrollment
+    const registered = !existing && studentId && findStudent({ studentId });
+    if (registered) {
+      const { className } = findStudentById(registered.id);
+      errors.push({
+        field: 'studentId',
+        message: className
+          ? `Student ID belongs to a student enrolled in ${className}; transfer them instead`
+          : 'Student ID belongs to a former student; re-enroll them instead'
+      });
+    }
+
+    if (!existing && errors.length === 0) {
+      if (freePlaces > 0) {
+        freePlaces--;
+      } else {
+        errors.push({ field: 'studentId', message: `Class has reached maximum capacity of ${classData.maxStudents} students` });
+      }
+    }
+
+    const base = { row: rowNumber, key: studentId, recordId: existing?.id || null, errors, warnings: [] };
+
+    if (errors.length > 0) {
+      return { ...base, action: 'error', changes: [] };
+    }
+
+    const values = {
+      name: data.name,
+      ...(!existing && { studentId }),
+      ...(data.email && { email: data.email.toLowerCase() }),
+      ...(data.dateOfBirth && { dateOfBirth: data.dateOfBirth }),
+      ...(data.parentContact && { parentContact: data.parentContact })
+    };
+
+    if (!existing) {
+      return { ...base, action: 'create', changes: [], values };
+    }
+
+    const changes = getChanges(existing, values);
+    return { ...base, action: changes.length > 0 ? 'update' : 'unchanged', changes, values };
+  });
+};
+
+// Compare what two plans would write (used to detect changes since the preview)
+const describePlan = (plan) => JSON.stringify(plan.map(({ row, action, recordId, changes, errors }) => ({
+  row, action, recordId, changes, errors
+})));
+
+/**
+ * Imports run in two steps. preview() parses the file, validates every row
+ * and keeps the result for PREVIEW_TTL_MINUTES; confirm() re-checks it
+ * against the current data and writes all rows in one transaction, or none.
+ * Previews live in memory and belong to the user who uploaded the file.
+ */
+class ImportService {
+  constructor() {
+    this.previews = new Map(); // importId -> preview
+  }
+
+  /**
+   * Dry run: returns the report of what confirming would create, update or reject
+   */
+  async preview(type, { file, mapping, user, classId = null }) {
+    const definition = IMPORT_TYPES[type];
+    this.purgeExpired();
+
+    if (type === 'students' && !findClassById(classId)) {
+      throw new AppError('Class not found', 404, 'CLASS_NOT_FOUND');
+    }
+
+    const { headers, rows } = await parseImportFile(file);
+    if (rows.length === 0) {
+      throw new AppError('The file has no data rows', 400, 'EMPTY_IMPORT');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new AppError(`Imports are limited to ${MAX_IMPORT_ROWS} rows`, 400, 'TOO_MANY_ROWS');
+    }
+
+    const { columns, ignored } = mapColumns(headers, definition.fields, parseMapping(mapping));
+    const missingColumns = [definition.keyField, 'name'].filter(field => !Object.values(columns).includes(field));
+    if (missingColumns.length > 0) {
+      throw new AppError(`No column found for: ${missingColumns.join(', ')}`, 400, 'MISSING_COLUMNS');
+    }
+
+    const entries = [];
+    for (const { rowNumber, values } of rows) {
+      const data = applyColumns(values, columns);
+      definition.listFields
+        .filter(field => data[field] !== undefined)
+        .forEach(field => { data[field] = parseList(data[field]); });
+
+      const result = await validateData(definition.validations, data);
+
+      // Sanitizers fill in fields the row left empty (e.g. "@" for a missing email)
+      Object.keys(result.data)
+        .filter(field => data[field] === undefined)
+        .forEach(field => delete result.data[field]);
+
+      // Only password hashes are kept between preview and confirmation
+      const passwordValid = !result.errors.some(error => error.field === 'password');
+      if (result.data.password) {
+        result.data.password = passwordValid ? await bcrypt.hash(result.data.password, 12) : undefined;
+      }
+
+      entries.push({ rowNumber, data: result.data, validationErrors: result.errors });
+    }
+
+    const now = Date.now();
+    const preview = {
+      id: crypto.randomUUID(),
+      type,
+      classId,
+      createdBy: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + PREVIEW_TTL_MINUTES * 60 * 1000).toISOString(),
+      fileName: file.originalname,
+      columns,
+      ignored,
+      entries
+    };
+    preview.plan = this.plan(preview);
+
+    this.previews.set(preview.id, preview);
+    return this.toReport(preview);
+  }
+
+  /**
+   * A pending preview, re-checked against the current data
+   */
+  getPreview(importId, user) {
+    const preview = this.findPreview(importId, user);
+    preview.plan = this.plan(preview);
+    return this.toReport(preview);
+  }
+
+  /**
+   * Write every row of a preview in one transaction. Refused when rows have
+   * errors or the data changed since the preview was last shown.
+   */
+  confirm(importId, user) {
+    const preview = this.findPreview(importId, user);
+    const definition = IMPORT_TYPES[preview.type];
+
+    if (!hasPermission(user, definition.permission)) {
+      throw new AppError('Insufficient permissions', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+    if (preview.plan.some(row => row.action === 'error')) {
+      throw new AppError('Fix the rows with errors and upload the file again', 422, 'IMPORT_HAS_ERRORS');
+    }
+
+    let result;
+    try {
+      result = runInTransaction(() => {
+        const plan = this.plan(preview);
+        if (describePlan(plan) !== describePlan(preview.plan)) {
+          throw new AppError('The data changed since the preview; review the import again before confirming', 409, 'IMPORT_STALE');
+        }
+        return this.apply(preview, plan);
+      });
+    } catch (error) {
+      if (error.code === 'IMPORT_STALE') {
+        preview.plan = this.plan(preview);
+      }
+      throw error;
+    }
+
+    this.previews.delete(importId);
+
+    if (preview.type === 'students' && (result.created.length > 0 || result.updated.length > 0)) {
+      socketService.emitClassRosterChanged(preview.classId, 'studentsImported', {
+        created: result.created.length,
+        updated: result.updated.length
+      });
+    }
+
+    console.log(`📥 Import confirmed (${preview.type}, ${preview.fileName}): ${result.created.length} created, ${result.updated.length} updated by ${user.name}`);
+
+    return {
+      importId,
+      type: preview.type,
+      classId: preview.classId,
+      ...result
+    };
+  }
+
+  discard(importId, user) {
+    this.findPreview(importId, user);
+    this.previews.delete(importId);
+  }
+
+  plan(preview) {
+    return preview.type === 'students'
+      ? planStudents(preview.classId, preview.entries)
+      : planUsers(preview.entries);
+  }
+
+  // Runs inside the import transaction
+  apply(preview, plan) {
+    const created = [];
+    const updated = [];
+
+    for (const row of plan) {
+      if (row.action === 'create') {
+        const record = preview.type === 'students'
+          ? addStudentToClass(preview.classId, row.values, { createdBy: preview.createdBy })
+          : createUserRecord(row.values);
+        created.push({ row: row.row, key: row.key, id: record.id });
+      } else if (row.action === 'update') {
+        if (preview.type === 'students') {
+          updateStudent(row.recordId, row.values);
+        } else {
+          updateUser(row.recordId, row.values);
+        }
+        updated.push({ row: row.row, key: row.key, id: row.recordId, changes: row.changes });
+      }
+    }
+
+    return {
+      created,
+      updated,
+      unchanged: plan.filter(row => row.action === 'unchanged').length
+    };
+  }
+
+  findPreview(importId, user) {
+    this.purgeExpired();
+
+    const preview = this.previews.get(importId);
+    if (!preview || preview.createdBy !== user.id) {
+      throw new AppError('Import not found or expired', 404, 'IMPORT_NOT_FOUND');
+    }
+    return preview;
+  }
+
+  purgeExpired() {
+    const now = new Date().toISOString();
+    for (const [id, preview] of this.previews) {
+      if (preview.expiresAt <= now) this.previews.delete(id);
+    }
+  }
+
+  toReport(preview) {
+    const count = (action) => preview.plan.filter(row => row.action === action).length;
+    const summary = {
+      totalRows: preview.plan.length,
+      create: count('create'),
+      update: count('update'),
+      unchanged: count('unchanged'),
+      errors: count('error')
+    };
+
+    return {
+      importId: preview.id,
+      type: preview.type,
+      ...(preview.classId && { classId: preview.classId }),
+      fileName: preview.fileName,
+      createdAt: preview.createdAt,
+      expiresAt: preview.expiresAt,
+      canConfirm: summary.errors === 0 && summary.create + summary.update > 0,
+      summary,
+      columns: {
+        mapped: preview.columns,
+        ignored: preview.ignored
+      },
+      rows: preview.plan.map((row, index) => ({
+        row: row.row,
+        action: row.action,
+        key: row.key,
+        recordId: row.recordId,
+        changes: row.changes,
+        errors: row.errors,
+        warnings: row.warnings,
+        data: withoutPassword(preview.entries[index].data)
+      }))
+    };
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,109 @@
+// backend/services/mailService.js - Outgoing Email
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { getSettings } = require('../utils/database');
+
+// How many sent messages the stream transport keeps for inspection
+const OUTBOX_SIZE = 50;
+
+/**
+ * Sends email through a nodemailer transport chosen by MAIL_TRANSPORT:
+ *   smtp   - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   file   - writes each message as an .eml file to MAIL_DIR
+ *   stream - keeps messages in memory (outbox), nothing leaves the process
+ * Without MAIL_TRANSPORT, SMTP is used when SMTP_HOST is set and the stream
+ * transport otherwise; production refuses the stream transport, whose
+ * messages are never delivered. Any other nodemailer transport can be
+ * plugged in with setTransport().
+ */
+class MailService {
+  constructor() {
+    this.transport = null;
+    this.transportName = null;
+    this.outbox = [];
+  }
+
+  getTransportName() {
+    return process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'stream');
+  }
+
+  // Production must deliver mail (the server does not start otherwise)
+  checkConfiguration() {
+    if (process.env.NODE_ENV === 'production' && !this.transport && this.getTransportName() === 'stream') {
+      throw new Error('No mail transport in production: set SMTP_HOST or MAIL_TRANSPORT');
+    }
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.checkConfiguration();
+      const name = this.getTransportName();
+      this.setTransport(this.createTransport(name), name);
+    }
+    return this.transport;
+  }
+
+  createTransport(name) {
+    switch (name) {
+      case 'smtp':
+        return nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT || '587'),
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+      case 'file':
+      case 'stream':
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      default:
+        throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+  }
+
+  // Replace the transport (any object nodemailer.createTransport() returns)
+  setTransport(transport, name = 'custom') {
+    this.transport = transport;
+    this.transportName = name;
+  }
+
+  getDefaultSender() {
+    return process.env.MAIL_FROM || `"${getSettings().schoolName || 'VirtualRollCall'}" <no-reply@virtualrollcall.local>`;
+  }
+
+  /**
+   * Send a message; resolves with nodemailer's info object
+   */
+  async send({ to, subject, text, html }) {
+    const info = await this.getTransport().sendMail({
+      from: this.getDefaultSender(),
+      to,
+      subject,
+      text,
+      html
+    });
+
+    if (this.transportName === 'file') {
+      const directory = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+      fs.mkdirSync(directory, { recursive: true });
+
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+      fs.writeFileSync(path.join(directory, fileName), info.message);
+    }
+
+    if (this.transportName === 'stream') {
+      this.outbox.push({ to, subject, text, html, messageId: info.messageId, sentAt: new Date().toISOString() });
+      if (this.outbox.length > OUTBOX_SIZE) {
+        this.outbox.shift();
+      }
+
+      console.log(`📭 Email to ${to} kept in memory, not delivered (stream transport): ${subject}`);
+      return info;
+    }
+
+    console.log(`📧 Email sent to ${to}: ${subject}`);
+    return info;
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,181 @@
+// backend/services/missingAttendanceService.js - Missing Attendance Detection and Reminders
+const {
+  getAllSchedules,
+  getAttendanceRecords,
+  findClassById,
+  findSubjectById,
+  findUserById,
+  getSubstitutions,
+  getSettings,
+  getAcademicCalendar,
+  getTimetableCycle
+} = require('../utils/database');
+const {
+  getLocalDateTime,
+  getSubmissionDeadline
+} = require('../utils/lateSubmission');
+const { findSubstitutionForPeriod } = require('../utils/substitutions');
+const socketService = require('./socketService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().split('T')[0];
+
+class MissingAttendanceService {
+  constructor() {
+    this.reminderTimer = null;
+    this.remindedPeriods = new Set(); // `${scheduleId}:${date}` already pushed today
+    this.reminderDate = null;
+  }
+
+  /**
+   * Scheduled periods between startDate and endDate (inclusive) with no
+   * attendance record (periods follow the timetable cycle). Periods of today
+   * only count once their submission deadline has passed, and no period
+   * counts before its schedule existed, on a non-school day, or after an
+   * early dismissal. Periods covered by a substitute are the substitute's.
+   * Returns one entry per teacher: { teacherId, teacherName, missingCount, periods }.
+   */
+  findMissing({ startDate, endDate, teacherId, classId } = {}, now = new Date()) {
+    const settings = getSettings();
+    const calendar = getAcademicCalendar();
+    const { getPosition, occursOn } = getTimetableCycle();
+    const today = getLocalDateTime(now, settings.timezone);
+    const lastDate = endDate && endDate < today.date ? endDate : today.date;
+
+    // Teachers are matched per period below, since substitutes take over other teachers' periods
+    const scheduleFilters = {};
+    if (classId) scheduleFilters.classId = classId;
+    const schedules = getAllSchedules(scheduleFilters);
+    const substitutions = getSubstitutions({ dateRange: { start: startDate, end: lastDate } });
+
+    // Class/subject/date combinations that already have a record
+    const submitted = new Set(
+      getAttendanceRecords({ dateRange: { start: startDate, end: lastDate } })
+        .map(record => `${record.classId}:${record.subjectId}:${record.date}`)
+    );
+
+    const byTeacher = new Map();
+
+    for (let date = startDate; date <= lastDate; date = addDays(date, 1)) {
+      const { dayOfWeek, cycleWeek, cycleDay } = getPosition(date);
+
+      schedules
+        .filter(schedule => occursOn(schedule, date))
+        .forEach(schedule => {
+          if (submitted.has(`${schedule.classId}:${schedule.subjectId}:${date}`)) return;
+          if (schedule.createdAt && date < getLocalDateTime(schedule.createdAt, settings.timezone).date) return;
+
+          const day = calendar.getDay(date, schedule.classId);
+          if (!day.isSchoolDay) return;
+          if (day.events.some(event => event.type === 'early-dismissal' && event.dismissalTime <= schedule.startTime)) return;
+
+          const substitution = findSubstitutionForPeriod(substitutions, schedule, date, occursOn);
+          const responsibleId = substitution ? substitution.substituteTeacherId : schedule.teacherId;
+          if (teacherId && responsibleId !== parseInt(teacherId)) return;
+
+          const deadline = getSubmissionDeadline(schedule, settings);
+          if (date === today.date && deadline && today.time <= deadline) return;
+
+          if (!byTeacher.has(responsibleId)) {
+            byTeacher.set(responsibleId, {
+              teacherId: responsibleId,
+              teacherName: findUserById(responsibleId)?.name,
+              missingCount: 0,
+              periods: []
+            });
+          }
+
+          const entry = byTeacher.get(responsibleId);
+          entry.missingCount++;
+          entry.periods.push({
+            scheduleId: schedule.id,
+            date,
+            dayOfWeek,
+            cycleWeek,
+            cycleDay,
+            classId: schedule.classId,
+            className: findClassById(schedule.classId)?.name,
+            subjectId: schedule.subjectId,
+            subjectName: findSubjectById(schedule.subjectId)?.name,
+            startTime: schedule.startTime,
+            endTime: schedule.endTime,
+            room: schedule.room,
+            deadline,
+            substitutionId: substitution?.id ?? null,
+            substituteFor: substitution?.originalTeacherId ?? null
+          });
+        });
+    }
+
+    return [...byTeacher.values()].sort((a, b) => b.missingCount - a.missingCount);
+  }
+
+  /**
+   * Push an `attendanceReminder` to each teacher with outstanding periods.
+   * With `onlyNew`, periods that were already reminded about today are skipped.
+   * Returns the number of teachers notified.
+   */
+  sendReminders(filters = {}, { onlyNew = false } = {}) {
+    const missing = this.findMissing(filters);
+    const today = getLocalDateTime(new Date(), getSettings().timezone).date;
+
+    if (this.reminderDate !== today) {
+      this.remindedPeriods.clear();
+      this.reminderDate = today;
+    }
+
+    let notified = 0;
+    missing.forEach(({ teacherId, periods }) => {
+      const outstanding = onlyNew
+        ? periods.filter(period => !this.remindedPeriods.has(`${period.scheduleId}:${period.date}`))
+        : periods;
+
+      if (outstanding.length === 0) return;
+
+      socketService.emitAttendanceReminder(teacherId, {
+        teacherId,
+        missingCount: outstanding.length,
+        periods: outstanding
+      });
+
+      outstanding.forEach(period => this.remindedPeriods.add(`${period.scheduleId}:${period.date}`));
+      notified++;
+    });
+
+    return notified;
+  }
+
+  /**
+   * Check today's periods every `intervalMinutes` and remind teachers once
+   * per missing period (0 disables the reminders)
+   */
+  startReminders(intervalMinutes = 30) {
+    this.stopReminders();
+    if (!intervalMinutes || intervalMinutes <= 0) return;
+
+    this.reminderTimer = setInterval(() => {
+      try {
+        const today = getLocalDateTime(new Date(), getSettings().timezone).date;
+        const notified = this.sendReminders({ startDate: today, endDate: today }, { onlyNew: true });
+        if (notified > 0) {
+          console.log(`⏰ Sent missing attendance reminders to ${notified} teacher(s)`);
+        }
+      } catch (error) {
+        console.error('Missing attendance reminder error:', error);
+      }
+    }, intervalMinutes * 60 * 1000);
+
+    // Never keep the process alive just for reminders
+    this.reminderTimer.unref();
+  }
+
+  stopReminders() {
+    if (this.reminderTimer) {
+      clearInterval(this.reminderTimer);
+      this.reminderTimer = null;
+    }
+  }
+}
+
+module.exports = new MissingAttendanceService();
@@ -0,0 +1,130 @@
+// backend/services/passwordResetService.js - Forgot Password / Reset Password
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { findUser, updateUser, getSettings, addAuditEntry } = require('../utils/database');
+const { AppError } = require('../middleware/errorHandler');
+const sessionService = require('./sessionService');
+const mailService = require('./mailService');
+
+const MINUTE_MS = 60 * 1000;
+
+// Reset link lifetime
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES ?? '60');
+
+// Reset emails allowed per account within the rate limit window
+const MAX_REQUESTS_PER_WINDOW = 3;
+const REQUEST_WINDOW_MINUTES = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getResetUrl = (token) => `${(process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')}/reset-password/${token}`;
+
+// Record a password reset event on the user's account in the audit log
+const auditResetEvent = (user, action, details, auditContext) => addAuditEntry({
+  entityType: 'user',
+  entityId: user.id,
+  action,
+  before: null,
+  after: details
+}, auditContext);
+
+/**
+ * Reset links carry a random token; only its hash is stored on the user, a
+ * newer request replaces it and a reset consumes it. A successful reset
+ * revokes every session of the account.
+ */
+class PasswordResetService {
+  /**
+   * Email a reset link to the account with this email address or username.
+   * Returns without a result either way (the email is sent in the
+   * background), so callers cannot tell whether an account exists.
+   * `auditContext` ({ ip }) is where the request came from.
+   */
+  requestReset(identifier, auditContext = {}) {
+    if (!identifier || typeof identifier !== 'string') {
+      throw new AppError('Email or username is required', 400, 'MISSING_FIELDS');
+    }
+
+    const value = identifier.trim();
+    const user = value.includes('@') ? findUser({ email: value.toLowerCase() }) : findUser({ username: value });
+    if (!user || !user.isActive || !user.email) {
+      return;
+    }
+
+    const now = Date.now();
+    const windowStart = new Date(now - REQUEST_WINDOW_MINUTES * MINUTE_MS).toISOString();
+    const recentRequests = (user.passwordResetRequests || []).filter(requestedAt => requestedAt > windowStart);
+
+    if (recentRequests.length >= MAX_REQUESTS_PER_WINDOW) {
+      auditResetEvent(user, 'reset-rate-limited', { requestsInWindow: recentRequests.length }, auditContext);
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    updateUser(user.id, {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: new Date(now + RESET_TOKEN_MINUTES * MINUTE_MS).toISOString(),
+      passwordResetRequests: [...recentRequests, new Date(now).toISOString()]
+    });
+
+    const schoolName = getSettings().schoolName || 'VirtualRollCall';
+    const resetUrl = getResetUrl(token);
+
+    mailService.send({
+      to: user.email,
+      subject: `${schoolName}: reset your password`,
+      text: [
+        `Hello ${user.name},`,
+        '',
+        `Someone asked to reset the password of your ${schoolName} account (${user.username}).`,
+        `Open this link within ${RESET_TOKEN_MINUTES} minutes to choose a new password:`,
+        '',
+        resetUrl,
+        '',
+        'If this was not you, ignore this email; your password stays the same.'
+      ].join('\n')
+    }).catch(error => auditResetEvent(user, 'reset-email-failed', { error: error.message }, auditContext));
+  }
+
+  /**
+   * Set a new password with a token from a reset email
+   */
+  async resetPassword(token, newPassword, auditContext = {}) {
+    const user = token && findUser({ passwordResetTokenHash: hashToken(token) });
+    if (!user || !user.isActive) {
+      throw new AppError('Invalid or expired reset link', 400, 'RESET_TOKEN_INVALID');
+    }
+
+    if (!user.passwordResetExpiresAt || user.passwordResetExpiresAt <= new Date().toISOString()) {
+      updateUser(user.id, { passwordResetTokenHash: null, passwordResetExpiresAt: null });
+      throw new AppError('Invalid or expired reset link', 400, 'RESET_TOKEN_INVALID');
+    }
+
+    // Consume the token before hashing, so it cannot be used twice meanwhile
+    updateUser(user.id, { passwordResetTokenHash: null, passwordResetExpiresAt: null });
+
+    updateUser(user.id, {
+      password: await bcrypt.hash(newPassword, 12),
+      passwordChangedAt: new Date().toISOString()
+    });
+
+    const revokedSessions = sessionService.revokeAllSessions(user.id, 'password-reset');
+    auditResetEvent(user, 'password-reset', { revokedSessions }, auditContext);
+
+    const schoolName = getSettings().schoolName || 'VirtualRollCall';
+    mailService.send({
+      to: user.email,
+      subject: `${schoolName}: your password was changed`,
+      text: [
+        `Hello ${user.name},`,
+        '',
+        `The password of your ${schoolName} account (${user.username}) was reset and all devices were logged out.`,
+        'If this was not you, contact the school office right away.'
+      ].join('\n')
+    }).catch(error => auditResetEvent(user, 'reset-notice-failed', { error: error.message }, auditContext));
+
+    return user;
+  }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,252 @@
+// backend/services/rolloverService.js - Academic Year Rollover and Grade Promotion
+const {
+  getSettings,
+  updateSettings,
+  getAllClasses,
+  createClass,
+  archiveClass,
+  endEnrollment,
+  enrollStudent,
+  getAllSchedules,
+  deleteSchedule,
+  runInTransaction
+} = require('../utils/database');
+const { AppError } = require('../middleware/errorHandler');
+const { getToday } = require('../utils/enrollments');
+const {
+  FINAL_GRADE,
+  isValidAcademicYear,
+  getNextAcademicYear,
+  isArchivedClass,
+  getPromotedClassName
+} = require('../utils/academicYears');
+
+// How each student's enrollment in the closing year ends, and how the next one starts
+const MOVES = {
+  promote: { endReason: 'promotion', startReason: 'promotion' },
+  retain: { endReason: 'retention', startReason: 'retention' },
+  graduate: { endReason: 'graduation', startReason: null },
+  leave: { endReason: 'withdrawal', startReason: null }
+};
+
+// Registry IDs given for an opt-out list, or an error when the list is malformed
+const readStudentIds = (ids, label, errors) => {
+  if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id))) {
+    errors.push(`${label} must be an array of student IDs`);
+    return new Set();
+  }
+  return new Set(ids);
+};
+
+/**
+ * Closing the open academic year (settings.academicYear):
+ *  - every active class of the year moves up a grade into a class of the
+ *    next year ('10A' -> '11A') with the same section, class teacher,
+ *    subjects and capacity; students of the final grade graduate instead
+ *  - retained students repeat their grade in a next-year class with the same
+ *    name, and leaving students are withdrawn
+ *  - enrollments of the old year end today and the new ones start today, so
+ *    students keep their IDs and attendance history
+ *  - the old classes are archived (read-only) and their timetable retired
+ *  - the next year becomes settings.academicYear
+ * All of it happens in one transaction; preview() plans the same rollover
+ * without changing anything.
+ */
+class RolloverService {
+  /**
+   * Dry run: what rolling over with these options would do, and why it cannot
+   */
+  preview(options = {}) {
+    return this.toReport(this.plan(options));
+  }
+
+  /**
+   * Close the year. Throws ROLLOVER_HAS_ERRORS when the plan has errors.
+   */
+  rollover(options = {}, user = null) {
+    return runInTransaction(() => {
+      const plan = this.plan(options);
+      if (plan.errors.length > 0) {
+        throw new AppError('The rollover has errors; preview it to see them', 422, 'ROLLOVER_HAS_ERRORS');
+      }
+
+      const date = getToday();
+      const userId = user?.id ?? null;
+
+      plan.targets
+        .filter(target => target.isNew)
+        .forEach(target => {
+          target.id = createClass({
+            name: target.name,
+            grade: target.grade,
+            section: target.section,
+            classTeacher: target.classTeacher,
+            subjects: target.subjects,
+            room: target.room,
+            maxStudents: target.maxStudents,
+            academicYear: plan.toYear
+          }).id;
+        });
+
+      for (const move of plan.moves) {
+        const { endReason, startReason } = MOVES[move.action];
+        endEnrollment(move.student.id, { date, reason: endReason, endedBy: userId });
+
+        if (move.target) {
+          enrollStudent(move.student.id, move.target.id, { date, reason: startReason, createdBy: userId });
+        }
+      }
+
+      for (const classData of plan.classes) {
+        getAllSchedules({ classId: classData.id }).forEach(schedule => deleteSchedule(schedule.id));
+        archiveClass(classData.id);
+      }
+
+      updateSettings({ academicYear: plan.toYear });
+
+      return this.toReport(plan);
+    });
+  }
+
+  plan({ toYear, retainedStudentIds = [], leavingStudentIds = [] } = {}) {
+    const fromYear = getSettings().academicYear;
+    const errors = [];
+
+    const targetYear = toYear ?? getNextAcademicYear(fromYear);
+    const validYear = isValidAcademicYear(targetYear);
+    if (!validYear) {
+      errors.push('Target academic year must be in format YYYY-YYYY (e.g., 2025-2026)');
+    } else if (targetYear <= fromYear) {
+      errors.push(`Target academic year must come after ${fromYear}`);
+    }
+
+    const retained = readStudentIds(retainedStudentIds, 'Retained students', errors);
+    const leaving = readStudentIds(leavingStudentIds, 'Leaving students', errors);
+    [...retained]
+      .filter(id => leaving.has(id))
+      .forEach(id => errors.push(`Student ${id} cannot be both retained and leaving`));
+
+    const classes = getAllClasses({ academicYear: fromYear }).filter(cls => !isArchivedClass(cls));
+    if (classes.length === 0) {
+      errors.push(`${fromYear} has no active classes to roll over`);
+    }
+
+    // Next-year classes, keyed by grade and name; existing ones are reused
+    const existingClasses = validYear
+      ? getAllClasses({ academicYear: targetYear }).filter(cls => !isArchivedClass(cls))
+      : [];
+    const targets = new Map();
+
+    const getTarget = (name, grade, template) => {
+      const key = `${grade}:${name}`;
+      if (!targets.has(key)) {
+        const existing = existingClasses.find(cls => cls.grade === grade && cls.name === name);
+        targets.set(key, existing
+          ? {
+            id: existing.id,
+            name,
+            grade,
+            maxStudents: existing.maxStudents,
+            isNew: false,
+            currentStudents: existing.students.filter(s => s.isActive).length,
+            incoming: 0
+          }
+          : {
+            id: null,
+            name,
+            grade,
+            section: template.section,
+            classTeacher: template.classTeacher,
+            subjects: template.subjects || [],
+            room: template.room,
+            maxStudents: template.maxStudents,
+            isNew: true,
+            currentStudents: 0,
+            incoming: 0
+          });
+      }
+      return targets.get(key);
+    };
+
+    const moves = [];
+    for (const classData of classes) {
+      // Every grade below the final one moves up, even without students
+      const promotedTo = classData.grade < FINAL_GRADE
+        ? getTarget(getPromotedClassName(classData), classData.grade + 1, classData)
+        : null;
+
+      for (const student of classData.students.filter(s => s.isActive)) {
+        let action = promotedTo ? 'promote' : 'graduate';
+        if (leaving.has(student.id)) action = 'leave';
+        if (retained.has(student.id)) action = 'retain';
+
+        let target = null;
+        if (action === 'promote') target = promotedTo;
+        if (action === 'retain') target = getTarget(classData.name, classData.grade, { ...classData, classTeacher: null });
+
+        if (target) target.incoming++;
+        moves.push({ student, classData, action, target });
+      }
+    }
+
+    const movedIds = new Set(moves.map(move => move.student.id));
+    [...retained, ...leaving]
+      .filter(id => !movedIds.has(id))
+      .forEach(id => errors.push(`Student ${id} is not enrolled in a ${fromYear} class`));
+
+    for (const target of targets.values()) {
+      const total = target.currentStudents + target.incoming;
+      if (total > target.maxStudents) {
+        errors.push(`${target.name} (${targetYear}) would have ${total} students, over its capacity of ${target.maxStudents}`);
+      }
+    }
+
+    return {
+      fromYear,
+      toYear: targetYear,
+      classes,
+      targets: [...targets.values()],
+      moves,
+      errors
+    };
+  }
+
+  toReport(plan) {
+    const count = (action) => plan.moves.filter(move => move.action === action).length;
+
+    return {
+      fromYear: plan.fromYear,
+      toYear: plan.toYear,
+      canConfirm: plan.errors.length === 0,
+      summary: {
+        classesArchived: plan.classes.length,
+        classesCreated: plan.targets.filter(target => target.isNew).length,
+        promoted: count('promote'),
+        retained: count('retain'),
+        graduated: count('graduate'),
+        leaving: count('leave')
+      },
+      classes: plan.targets.map(target => ({
+        id: target.id,
+        name: target.name,
+        grade: target.grade,
+        isNew: target.isNew,
+        students: target.currentStudents + target.incoming,
+        maxStudents: target.maxStudents
+      })),
+      students: plan.moves.map(move => ({
+        id: move.student.id,
+        studentId: move.student.studentId,
+        name: move.student.name,
+        fromClassId: move.classData.id,
+        fromClass: move.classData.name,
+        action: move.action,
+        toClassId: move.target?.id ?? null,
+        toClass: move.target?.name ?? null
+      })),
+      errors: plan.errors
+    };
+  }
+}
+
+module.exports = new RolloverService();
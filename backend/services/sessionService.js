@@ -0,0 +1,226 @@
+// backend/services/sessionService.js - Login Sessions, Refresh Token Rotation and Revocation
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  findUserById,
+  updateUser,
+  createRefreshToken,
+  findRefreshTokenByHash,
+  updateRefreshToken,
+  revokeRefreshTokens,
+  addRevokedToken,
+  isTokenRevoked,
+  purgeExpiredTokens,
+  addAuditEntry
+} = require('../utils/database');
+const { generateToken, JWT_SECRET, TOKEN_ISSUER, ACCESS_TOKEN_EXPIRES_IN } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const socketService = require('./socketService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refresh token lifetime in days, longer with "remember me"
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS ?? '1');
+const REMEMBER_ME_REFRESH_TOKEN_DAYS = parseInt(process.env.REMEMBER_ME_REFRESH_TOKEN_DAYS ?? '30');
+
+// Time allowed between the password step and the second factor of a login
+const LOGIN_CHALLENGE_EXPIRES_IN = '5m';
+const LOGIN_CHALLENGE_AUDIENCE = 'VirtualRollCall-LoginChallenge';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * A session is one login: a short-lived access token (JWT) plus an opaque
+ * refresh token. Every refresh rotates the refresh token; all tokens of a
+ * login share a familyId, so presenting an already rotated token (a sign it
+ * was stolen) revokes the whole family.
+ */
+class SessionService {
+  /**
+   * Start a session after a successful login
+   */
+  createSession(user, { rememberMe = false, userAgent, ip } = {}) {
+    return this.issueTokens(user, {
+      familyId: crypto.randomUUID(),
+      rememberMe,
+      userAgent,
+      ip
+    }).session;
+  }
+
+  /**
+   * Token proving the password step of a login passed; exchanged for a
+   * session once the second factor is verified (see authController.loginTwoFactor)
+   */
+  createLoginChallenge(user, { rememberMe = false } = {}) {
+    return jwt.sign({ id: user.id, rememberMe: Boolean(rememberMe) }, JWT_SECRET, {
+      expiresIn: LOGIN_CHALLENGE_EXPIRES_IN,
+      issuer: TOKEN_ISSUER,
+      audience: LOGIN_CHALLENGE_AUDIENCE,
+      jwtid: crypto.randomUUID()
+    });
+  }
+
+  /**
+   * Check a login challenge; returns { challenge, user, rememberMe }
+   */
+  verifyLoginChallenge(challengeToken) {
+    if (!challengeToken || typeof challengeToken !== 'string') {
+      throw new AppError('Login challenge token required', 400, 'CHALLENGE_REQUIRED');
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, JWT_SECRET, { issuer: TOKEN_ISSUER, audience: LOGIN_CHALLENGE_AUDIENCE });
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
+        throw new AppError('Login challenge expired. Please login again.', 401, 'CHALLENGE_EXPIRED');
+      }
+      throw new AppError('Invalid login challenge', 401, 'CHALLENGE_INVALID');
+    }
+
+    if (isTokenRevoked(challenge.jti)) {
+      throw new AppError('Invalid login challenge', 401, 'CHALLENGE_INVALID');
+    }
+
+    const user = findUserById(challenge.id);
+    if (!user || !user.isActive) {
+      throw new AppError('User not found or inactive', 401, 'USER_INACTIVE');
+    }
+
+    return { challenge, user, rememberMe: challenge.rememberMe };
+  }
+
+  // A challenge starts one session only
+  consumeLoginChallenge(challenge) {
+    addRevokedToken({
+      jti: challenge.jti,
+      userId: challenge.id,
+      reason: 'challenge-used',
+      expiresAt: new Date(challenge.exp * 1000).toISOString()
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   */
+  refreshSession(refreshToken, { userAgent, ip } = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new AppError('Refresh token required', 400, 'REFRESH_TOKEN_REQUIRED');
+    }
+
+    const stored = findRefreshTokenByHash(hashToken(refreshToken));
+    if (!stored) {
+      throw new AppError('Invalid refresh token', 401, 'REFRESH_TOKEN_INVALID');
+    }
+
+    if (stored.revokedAt) {
+      // A rotated token coming back means someone else holds the chain
+      if (stored.revokedReason === 'rotated') {
+        revokeRefreshTokens({ familyId: stored.familyId }, 'reuse-detected');
+        addAuditEntry({
+          entityType: 'user',
+          entityId: stored.userId,
+          action: 'refresh-token-reuse',
+          before: null,
+          after: { familyId: stored.familyId, userAgent: userAgent || null }
+        }, { ip });
+        throw new AppError('Refresh token has already been used', 401, 'REFRESH_TOKEN_REUSED');
+      }
+      throw new AppError('Refresh token has been revoked', 401, 'REFRESH_TOKEN_REVOKED');
+    }
+
+    if (stored.expiresAt <= new Date().toISOString()) {
+      throw new AppError('Refresh token expired', 401, 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    const user = findUserById(stored.userId);
+    if (!user || !user.isActive) {
+      revokeRefreshTokens({ familyId: stored.familyId }, 'user-inactive');
+      throw new AppError('User not found or inactive', 401, 'USER_INACTIVE');
+    }
+
+    const { session, refreshTokenId } = this.issueTokens(user, {
+      familyId: stored.familyId,
+      rememberMe: stored.rememberMe,
+      userAgent,
+      ip
+    });
+
+    updateRefreshToken(stored.id, {
+      revokedAt: new Date().toISOString(),
+      revokedReason: 'rotated',
+      replacedBy: refreshTokenId,
+      lastUsedAt: new Date().toISOString()
+    });
+
+    return session;
+  }
+
+  /**
+   * End the current session: revoke the access token that made the request
+   * and, when given, the refresh token family it belongs to
+   */
+  endSession(accessToken, refreshToken) {
+    if (accessToken?.jti) {
+      addRevokedToken({
+        jti: accessToken.jti,
+        userId: accessToken.id,
+        reason: 'logout',
+        expiresAt: new Date(accessToken.exp * 1000).toISOString()
+      });
+    }
+
+    if (refreshToken) {
+      const stored = findRefreshTokenByHash(hashToken(refreshToken));
+      if (stored && stored.userId === accessToken.id) {
+        revokeRefreshTokens({ familyId: stored.familyId }, 'logout');
+      }
+    }
+
+    purgeExpiredTokens();
+  }
+
+  /**
+   * Revoke every session of a user ("log out all devices", deactivation).
+   * Returns the number of refresh tokens revoked.
+   */
+  revokeAllSessions(userId, reason) {
+    updateUser(userId, { sessionsRevokedAt: new Date().toISOString() });
+    const revoked = revokeRefreshTokens({ userId }, reason);
+
+    socketService.disconnectUser(userId);
+    purgeExpiredTokens();
+
+    return revoked;
+  }
+
+  issueTokens(user, { familyId, rememberMe, userAgent, ip }) {
+    const accessToken = generateToken(user);
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const days = rememberMe ? REMEMBER_ME_REFRESH_TOKEN_DAYS : REFRESH_TOKEN_DAYS;
+
+    const stored = createRefreshToken({
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      rememberMe: Boolean(rememberMe),
+      expiresAt: new Date(Date.now() + days * DAY_MS).toISOString(),
+      userAgent: userAgent?.slice(0, 255),
+      ip
+    });
+
+    return {
+      session: {
+        token: accessToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        expiresAt: new Date(jwt.decode(accessToken).exp * 1000).toISOString(),
+        refreshToken,
+        refreshTokenExpiresAt: stored.expiresAt
+      },
+      refreshTokenId: stored.id
+    };
+  }
+}
+
+module.exports = new SessionService();
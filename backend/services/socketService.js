@@ -0,0 +1,307 @@
+// backend/services/socketService.js - Real-time Events over Socket.IO
+const crypto = require('crypto');
+const { verifyAccessToken, hasPermission } = require('../middleware/auth');
+const { findClassById, getAllClasses, getTeacherSchedule } = require('../utils/database');
+
+/**
+ * Event types sent to clients. Every event is wrapped in an envelope
+ * { eventId, type, timestamp, data } so clients can detect gaps.
+ */
+const EVENTS = {
+  ATTENDANCE_SUBMITTED: 'attendanceSubmitted',
+  ATTENDANCE_UPDATED: 'attendanceUpdated',
+  ATTENDANCE_DELETED: 'attendanceDeleted',
+  ATTENDANCE_REMINDER: 'attendanceReminder',
+  CHECK_IN_RECORDED: 'checkInRecorded',
+  CLASS_ROSTER_CHANGED: 'classRosterChanged',
+  REPORT_COMPLETED: 'reportCompleted',
+  SCHEDULE_CHANGED: 'scheduleChanged',
+  USER_ONLINE: 'userOnline',
+  USER_OFFLINE: 'userOffline'
+};
+
+// How many recent events are kept for clients catching up after a reconnect
+const HISTORY_SIZE = 500;
+
+const userRoom = (userId) => `user_${userId}`;
+const roleRoom = (role) => `role_${role}`;
+const classRoom = (classId) => `class_${classId}`;
+
+// Users who see every class (attendance:view:any) get all attendance and roster events
+const SCHOOL_ROOM = 'school';
+
+class SocketService {
+  constructor() {
+    this.io = null;
+    this.serverId = crypto.randomBytes(8).toString('hex'); // Changes on restart, forcing a full resync
+    this.lastEventId = 0;
+    this.history = []; // [{ rooms, event }]
+    this.connections = new Map(); // userId -> number of open sockets
+  }
+
+  /**
+   * Attach to the Socket.IO server: authenticate every connection with the
+   * same JWT check as the REST API and handle room/resync requests
+   */
+  initialize(io) {
+    this.io = io;
+
+    io.use((socket, next) => {
+      try {
+        const authHeader = socket.handshake.headers?.authorization;
+        const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+        socket.user = verifyAccessToken(token);
+        next();
+      } catch (error) {
+        const authError = new Error(error.message);
+        authError.data = { code: error.code || 'AUTH_SERVICE_ERROR' };
+        next(authError);
+      }
+    });
+
+    io.on('connection', (socket) => this.handleConnection(socket));
+  }
+
+  handleConnection(socket) {
+    const { user } = socket;
+
+    socket.join(userRoom(user.id));
+    socket.join(roleRoom(user.role));
+
+    // Users limited to their own classes follow the classes they teach;
+    // school-wide users get every class's events and join class rooms on demand
+    if (hasPermission(user, 'attendance:view:any')) {
+      socket.join(SCHOOL_ROOM);
+    } else {
+      this.getTeacherClassIds(user.id).forEach(classId => socket.join(classRoom(classId)));
+    }
+
+    this.trackPresence(user, 1);
+
+    // Tell the client where the stream currently stands
+    socket.emit('session', {
+      serverId: this.serverId,
+      lastEventId: this.lastEventId,
+      rooms: [...socket.rooms].filter(room => room !== socket.id)
+    });
+
+    socket.on('joinRoom', ({ classId } = {}, ack) => {
+      const id = parseInt(classId);
+
+      if (!findClassById(id)) {
+        return respond(ack, { success: false, error: 'Class not found', code: 'CLASS_NOT_FOUND' });
+      }
+      if (!hasPermission(user, 'attendance:view:any') && !this.getTeacherClassIds(user.id).includes(id)) {
+        return respond(ack, { success: false, error: 'You do not teach this class', code: 'ACCESS_DENIED' });
+      }
+
+      socket.join(classRoom(id));
+      respond(ack, { success: true, room: classRoom(id) });
+    });
+
+    socket.on('leaveRoom', ({ classId } = {}, ack) => {
+      socket.leave(classRoom(parseInt(classId)));
+      respond(ack, { success: true });
+    });
+
+    // Replay events missed while disconnected (see resync())
+    socket.on('resync', (request = {}, ack) => {
+      respond(ack, this.resync(socket, request));
+    });
+
+    socket.on('disconnect', () => {
+      this.trackPresence(user, -1);
+    });
+  }
+
+  /**
+   * Events after `lastEventId` that were sent to any room this socket is in.
+   * A full resync (refetch over REST) is required when the server restarted
+   * or the events have already dropped out of the history.
+   */
+  resync(socket, { serverId, lastEventId } = {}) {
+    const since = parseInt(lastEventId);
+    const oldestEventId = this.history.length > 0 ? this.history[0].event.eventId : this.lastEventId + 1;
+
+    if (serverId !== this.serverId || isNaN(since) || since > this.lastEventId || since < oldestEventId - 1) {
+      return {
+        fullResync: true,
+        serverId: this.serverId,
+        lastEventId: this.lastEventId,
+        events: []
+      };
+    }
+
+    const events = this.history
+      .filter(({ rooms, event }) => event.eventId > since && rooms.some(room => socket.rooms.has(room)))
+      .map(({ event }) => event);
+
+    return {
+      fullResync: false,
+      serverId: this.serverId,
+      lastEventId: this.lastEventId,
+      events
+    };
+  }
+
+  /**
+   * Send an event to one or more rooms and keep it for resync
+   */
+  publish(rooms, type, data) {
+    const event = {
+      eventId: ++this.lastEventId,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.history.push({ rooms, event });
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+
+    if (this.io) {
+      this.io.to(rooms).emit(type, event);
+    }
+    return event;
+  }
+
+  emitToUser(userId, type, data) {
+    return this.publish([userRoom(userId)], type, data);
+  }
+
+  emitToRole(role, type, data) {
+    return this.publish([roleRoom(role)], type, data);
+  }
+
+  emitToPrincipals(type, data) {
+    return this.emitToRole('principal', type, data);
+  }
+
+  emitToClass(classId, type, data) {
+    return this.publish([classRoom(classId)], type, data);
+  }
+
+  /**
+   * Typed events
+   */
+  emitAttendanceSubmitted(record) {
+    return this.publishAttendance(EVENTS.ATTENDANCE_SUBMITTED, record);
+  }
+
+  emitAttendanceUpdated(record) {
+    return this.publishAttendance(EVENTS.ATTENDANCE_UPDATED, record);
+  }
+
+  // Attendance events go to the class room and all school-wide users
+  publishAttendance(type, record) {
+    return this.publish([classRoom(record.classId), SCHOOL_ROOM], type, {
+      classId: record.classId,
+      subjectId: record.subjectId,
+      date: record.date,
+      record
+    });
+  }
+
+  emitAttendanceDeleted({ id, classId, subjectId, date }) {
+    return this.publish([classRoom(classId), SCHOOL_ROOM], EVENTS.ATTENDANCE_DELETED, {
+      recordId: id,
+      classId,
+      subjectId,
+      date
+    });
+  }
+
+  emitAttendanceReminder(teacherId, reminder) {
+    return this.emitToUser(teacherId, EVENTS.ATTENDANCE_REMINDER, reminder);
+  }
+
+  // A student checked in to a QR check-in session; goes to the class, the session's teacher and school-wide users
+  emitCheckInRecorded(session, checkIn) {
+    return this.publish([classRoom(session.classId), userRoom(session.openedBy), SCHOOL_ROOM], EVENTS.CHECK_IN_RECORDED, {
+      sessionId: session.id,
+      classId: session.classId,
+      subjectId: session.subjectId,
+      date: session.date,
+      ...checkIn
+    });
+  }
+
+  // action: studentAdded, studentRemoved, studentTransferred, studentsImported, classUpdated, classDeleted
+  emitClassRosterChanged(classId, action, data = {}) {
+    return this.publish([classRoom(classId), SCHOOL_ROOM], EVENTS.CLASS_ROSTER_CHANGED, {
+      classId,
+      action,
+      ...data
+    });
+  }
+
+  // action: created, updated, deleted; goes to the class, the teachers involved and school-wide users
+  emitScheduleChanged(schedule, action, data = {}) {
+    const teacherIds = new Set([schedule.teacherId, data.previous?.teacherId].filter(Boolean));
+    const classIds = new Set([schedule.classId, data.previous?.classId].filter(Boolean));
+
+    return this.publish([
+      ...[...classIds].map(classRoom),
+      ...[...teacherIds].map(userRoom),
+      SCHOOL_ROOM
+    ], EVENTS.SCHEDULE_CHANGED, {
+      scheduleId: schedule.id,
+      action,
+      schedule,
+      ...data
+    });
+  }
+
+  emitReportCompleted(userId, report) {
+    return this.emitToUser(userId, EVENTS.REPORT_COMPLETED, report);
+  }
+
+  // Class IDs a teacher has on their schedule or is class teacher of
+  getTeacherClassIds(teacherId) {
+    const classIds = new Set([
+      ...getTeacherSchedule(teacherId).map(schedule => schedule.classId),
+      ...getAllClasses({ teacherId }).map(cls => cls.id)
+    ]);
+    return [...classIds];
+  }
+
+  // Announce a user's first connection and last disconnection to principals
+  trackPresence(user, change) {
+    const count = (this.connections.get(user.id) || 0) + change;
+
+    if (count > 0) {
+      this.connections.set(user.id, count);
+    } else {
+      this.connections.delete(user.id);
+    }
+
+    if (change > 0 && count === 1) {
+      this.emitToPrincipals(EVENTS.USER_ONLINE, { userId: user.id, name: user.name, role: user.role });
+    } else if (change < 0 && count <= 0) {
+      this.emitToPrincipals(EVENTS.USER_OFFLINE, { userId: user.id, name: user.name, role: user.role });
+    }
+  }
+
+  // Drop a user's open connections (e.g. after their sessions were revoked)
+  disconnectUser(userId) {
+    if (this.io) {
+      this.io.in(userRoom(userId)).disconnectSockets(true);
+    }
+  }
+
+  isUserOnline(userId) {
+    return this.connections.has(parseInt(userId));
+  }
+}
+
+// Acknowledge a client request when it asked for a reply
+const respond = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+const socketService = new SocketService();
+socketService.EVENTS = EVENTS;
+
+module.exports = socketService;
@@ -0,0 +1,248 @@
+// backend/services/substitutionService.js - Substitute Teachers and Their Cover
+const {
+  getSubstitutions,
+  getAllSchedules,
+  findScheduleById,
+  findClassById,
+  findSubjectById,
+  findUserById,
+  getTimetableCycle
+} = require('../utils/database');
+const { overlaps } = require('../utils/timetable');
+const { describeScheduleDay } = require('../utils/timetableCycle');
+const { getRangeDates, coversPeriod, findCover } = require('../utils/substitutions');
+
+const isValidDate = (date) => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(Date.parse(date));
+
+const isActiveTeacher = (id) => {
+  const user = Number.isInteger(id) ? findUserById(id) : null;
+  return Boolean(user && user.role === 'teacher' && user.isActive);
+};
+
+const describePeriod = (schedule) => ({
+  scheduleId: schedule.id,
+  dayOfWeek: schedule.dayOfWeek,
+  cycleWeek: schedule.cycleWeek ?? null,
+  cycleDay: schedule.cycleDay ?? null,
+  startTime: schedule.startTime,
+  endTime: schedule.endTime,
+  room: schedule.room,
+  classId: schedule.classId,
+  className: findClassById(schedule.classId)?.name,
+  subjectId: schedule.subjectId,
+  subjectName: findSubjectById(schedule.subjectId)?.name
+});
+
+/**
+ * A substitution lets one teacher cover some of another teacher's timetable
+ * periods between two dates: the substitute can take attendance for exactly
+ * those periods on those dates, the periods appear on their schedule, and
+ * the records they take are attributed to them (with `substituteFor` set to
+ * the absent teacher).
+ */
+class SubstitutionService {
+  /**
+   * Check a new substitution (or the changes to `existing`).
+   * Returns { substitution, errors, conflicts }; the substitution can only
+   * be saved when both lists are empty.
+   */
+  plan(data, existing = null) {
+    const fields = {
+      originalTeacherId: existing?.originalTeacherId,
+      substituteTeacherId: existing?.substituteTeacherId,
+      scheduleIds: existing?.scheduleIds,
+      startDate: existing?.startDate,
+      endDate: existing?.endDate,
+      reason: existing?.reason ?? null,
+      notes: existing?.notes ?? null
+    };
+    Object.keys(fields).forEach(field => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+    if (data.startDate !== undefined && data.endDate === undefined && !existing) {
+      fields.endDate = data.startDate;
+    }
+
+    const errors = [];
+
+    if (!isActiveTeacher(fields.originalTeacherId)) {
+      errors.push('Original teacher must be an active teacher');
+    }
+    if (!isActiveTeacher(fields.substituteTeacherId)) {
+      errors.push('Substitute must be an active teacher');
+    } else if (fields.substituteTeacherId === fields.originalTeacherId) {
+      errors.push('A teacher cannot substitute for themselves');
+    }
+
+    const validDates = isValidDate(fields.startDate) && isValidDate(fields.endDate);
+    if (!validDates) {
+      errors.push('Valid start and end dates are required (YYYY-MM-DD)');
+    } else if (fields.startDate > fields.endDate) {
+      errors.push('Start date must be before end date');
+    }
+
+    if (fields.reason !== null && (typeof fields.reason !== 'string' || fields.reason.length > 100)) {
+      errors.push('Reason must be text of at most 100 characters');
+    }
+
+    if (errors.length > 0) {
+      return { substitution: fields, errors, conflicts: [] };
+    }
+
+    // Without a list, the substitute covers every period of the absent teacher between the dates
+    const { occursOn } = getTimetableCycle();
+    const rangeDates = getRangeDates(fields.startDate, fields.endDate);
+    const isOnRangeDay = (schedule) => rangeDates.some(date => occursOn(schedule, date));
+    const teacherSchedules = getAllSchedules({ teacherId: fields.originalTeacherId });
+
+    if (fields.scheduleIds === undefined || fields.scheduleIds === null) {
+      fields.scheduleIds = teacherSchedules.filter(isOnRangeDay).map(schedule => schedule.id);
+    } else if (!Array.isArray(fields.scheduleIds) || fields.scheduleIds.some(id => !Number.isInteger(id))) {
+      return { substitution: fields, errors: ['Schedule IDs must be an array of timetable entry IDs'], conflicts: [] };
+    }
+
+    fields.scheduleIds = [...new Set(fields.scheduleIds)];
+    const periods = fields.scheduleIds.map(id => teacherSchedules.find(schedule => schedule.id === id));
+
+    const notTaught = fields.scheduleIds.filter((id, index) => !periods[index]);
+    if (notTaught.length > 0) {
+      errors.push(`Not periods of the original teacher: ${notTaught.join(', ')}`);
+    }
+
+    const outsideDates = periods.filter(period => period && !isOnRangeDay(period));
+    if (outsideDates.length > 0) {
+      errors.push(`Periods not on a day between the dates: ${outsideDates.map(period => period.id).join(', ')}`);
+    }
+
+    if (errors.length === 0 && fields.scheduleIds.length === 0) {
+      errors.push('The original teacher has no periods between these dates');
+    }
+
+    return {
+      substitution: fields,
+      errors,
+      conflicts: errors.length === 0 ? this.findConflicts(fields, periods, existing?.id, occursOn) : []
+    };
+  }
+
+  /**
+   * Periods that are already covered by another substitution, and periods
+   * the substitute cannot take because they teach (or cover) at that time
+   */
+  findConflicts(fields, periods, ignoreId = null, occursOn = getTimetableCycle().occursOn) {
+    const dateRange = { start: fields.startDate, end: fields.endDate };
+    const others = getSubstitutions({ dateRange }).filter(substitution => substitution.id !== ignoreId);
+    const conflicts = [];
+
+    // Whether a period happens on a date both substitutions cover
+    const sharesDay = (other, period) => {
+      const dates = getRangeDates(
+        other.startDate > fields.startDate ? other.startDate : fields.startDate,
+        other.endDate < fields.endDate ? other.endDate : fields.endDate
+      );
+      return dates.some(date => occursOn(period, date));
+    };
+
+    others
+      .filter(other => other.originalTeacherId === fields.originalTeacherId)
+      .forEach(other => {
+        periods
+          .filter(period => other.scheduleIds.includes(period.id) && sharesDay(other, period))
+          .forEach(period => conflicts.push({
+            code: 'PERIOD_ALREADY_COVERED',
+            message: `${describeScheduleDay(period)} ${period.startTime} is already covered from ${other.startDate} to ${other.endDate}`,
+            period: describePeriod(period),
+            substitutionId: other.id
+          }));
+      });
+
+    // The substitute's own periods, and the ones they already cover on the same dates
+    const ownSchedules = getAllSchedules({ teacherId: fields.substituteTeacherId });
+    const coveredSchedules = others
+      .filter(other => other.substituteTeacherId === fields.substituteTeacherId)
+      .flatMap(other => other.scheduleIds
+        .map(findScheduleById)
+        .filter(schedule => schedule?.isActive && sharesDay(other, schedule)));
+
+    periods.forEach(period => {
+      [...ownSchedules, ...coveredSchedules]
+        .filter(schedule => overlaps(period, schedule))
+        .forEach(schedule => conflicts.push({
+          code: 'SUBSTITUTE_DOUBLE_BOOKED',
+          message: `The substitute already teaches on ${describeScheduleDay(schedule)} ${schedule.startTime}`,
+          period: describePeriod(period),
+          schedule: describePeriod(schedule)
+        }));
+    });
+
+    return conflicts;
+  }
+
+  // Substitution with teacher names and its periods
+  describe(substitution) {
+    return {
+      ...substitution,
+      originalTeacherName: findUserById(substitution.originalTeacherId)?.name,
+      substituteTeacherName: findUserById(substitution.substituteTeacherId)?.name,
+      periods: substitution.scheduleIds
+        .map(findScheduleById)
+        .filter(Boolean)
+        .map(describePeriod)
+    };
+  }
+
+  /**
+   * Periods a teacher covers as a substitute on a date, in the shape of
+   * getTeacherSchedule() entries plus the substitution they come from
+   */
+  getCoveredPeriods(teacherId, date) {
+    const { occursOn } = getTimetableCycle();
+
+    return getSubstitutions({ substituteTeacherId: teacherId, date }).flatMap(substitution =>
+      substitution.scheduleIds
+        .map(findScheduleById)
+        .filter(schedule => schedule?.isActive && coversPeriod(substitution, schedule, date, occursOn))
+        .map(schedule => {
+          const classInfo = findClassById(schedule.classId);
+          const subjectInfo = findSubjectById(schedule.subjectId);
+
+          return {
+            ...schedule,
+            className: classInfo?.name,
+            classGrade: classInfo?.grade,
+            subjectName: subjectInfo?.name,
+            subjectCode: subjectInfo?.code,
+            students: classInfo?.students || [],
+            substitution: {
+              id: substitution.id,
+              originalTeacherId: substitution.originalTeacherId,
+              originalTeacherName: findUserById(substitution.originalTeacherId)?.name,
+              startDate: substitution.startDate,
+              endDate: substitution.endDate
+            }
+          };
+        })
+    );
+  }
+
+  /**
+   * The substitution that lets a teacher take attendance for a class and
+   * subject on a date, or null
+   */
+  findCoverFor(teacherId, { classId, subjectId, date }) {
+    const cover = findCover(
+      getSubstitutions({ substituteTeacherId: teacherId, date }),
+      getAllSchedules({ classId }),
+      { classId, subjectId, date },
+      getTimetableCycle().occursOn
+    );
+    return cover ? cover.substitution : null;
+  }
+
+  // Whether a teacher covers any period of a class on a date
+  coversClass(teacherId, classId, date) {
+    return this.getCoveredPeriods(teacherId, date).some(period => period.classId === classId);
+  }
+}
+
+module.exports = new SubstitutionService();
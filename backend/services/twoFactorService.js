@@ -0,0 +1,195 @@
+// backend/services/twoFactorService.js - TOTP Two-Factor Authentication
+const crypto = require('crypto');
+const { updateUser, getSettings, addAuditEntry } = require('../utils/database');
+const { generateSecret, verifyCode, buildProvisioningUri } = require('../utils/totp');
+const { AppError } = require('../middleware/errorHandler');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Invalid codes allowed before code checks are locked for LOCKOUT_MINUTES
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Recovery codes look like "3f9a2-c81d0"; only their hashes are stored
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// Record a two-factor event on the user's account in the audit log
+const auditTwoFactorEvent = (user, action, details, auditContext) => addAuditEntry({
+  entityType: 'user',
+  entityId: user.id,
+  action,
+  before: null,
+  after: details
+}, auditContext);
+
+/**
+ * Optional second login factor: a code from an authenticator app (TOTP),
+ * or one of the single-use recovery codes handed out at enrollment.
+ * Enrollment is two steps: beginSetup() creates a pending secret for the
+ * app, enable() confirms it with a first code.
+ */
+class TwoFactorService {
+  // Whether the school requires two-factor login for the user's role
+  isRequired(user) {
+    return (getSettings().twoFactorRequiredRoles || []).includes(user.role);
+  }
+
+  getStatus(user) {
+    return {
+      enabled: Boolean(user.twoFactorEnabled),
+      required: this.isRequired(user),
+      enabledAt: user.twoFactorEnabledAt || null,
+      recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+    };
+  }
+
+  /**
+   * Start (or restart) enrollment; returns the secret and the otpauth:// URI to show as a QR code
+   */
+  beginSetup(user) {
+    if (user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = generateSecret();
+    updateUser(user.id, { twoFactorPendingSecret: secret });
+
+    return {
+      secret,
+      otpauthUrl: buildProvisioningUri({
+        secret,
+        accountName: user.username,
+        issuer: getSettings().schoolName || 'VirtualRollCall'
+      })
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the app. Returns the recovery codes,
+   * which are only ever shown this once. `auditContext` ({ actorId, ip })
+   * names who made the request in the audit log.
+   */
+  enable(user, code, auditContext = {}) {
+    if (user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+    if (!user.twoFactorPendingSecret) {
+      throw new AppError('Start two-factor setup first', 400, 'TWO_FACTOR_SETUP_REQUIRED');
+    }
+    this.assertNotLocked(user);
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      this.recordFailure(user, auditContext);
+      throw new AppError('Invalid authentication code', 401, 'TWO_FACTOR_INVALID');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    updateUser(user.id, {
+      twoFactorEnabled: true,
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      twoFactorLastStep: step,
+      twoFactorFailedAttempts: 0,
+      twoFactorLockedUntil: null,
+      twoFactorEnabledAt: new Date().toISOString()
+    });
+    auditTwoFactorEvent(user, 'two-factor-enabled', { recoveryCodes: recoveryCodes.length }, auditContext);
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check an authenticator code or a recovery code. Each code works once:
+   * a TOTP code must be newer than the last accepted one and recovery codes
+   * are removed when used.
+   */
+  verify(user, { code, recoveryCode } = {}, auditContext = {}) {
+    if (!user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+    this.assertNotLocked(user);
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const remaining = user.twoFactorRecoveryCodes || [];
+
+      if (remaining.includes(hash)) {
+        updateUser(user.id, {
+          twoFactorRecoveryCodes: remaining.filter(stored => stored !== hash),
+          twoFactorFailedAttempts: 0,
+          twoFactorLockedUntil: null
+        });
+        auditTwoFactorEvent(user, 'recovery-code-used', { recoveryCodesRemaining: remaining.length - 1 }, auditContext);
+        return { method: 'recovery-code', recoveryCodesRemaining: remaining.length - 1 };
+      }
+    } else {
+      const step = verifyCode(user.twoFactorSecret, code);
+
+      if (step !== null && step > (user.twoFactorLastStep ?? -1)) {
+        updateUser(user.id, {
+          twoFactorLastStep: step,
+          twoFactorFailedAttempts: 0,
+          twoFactorLockedUntil: null
+        });
+        return { method: 'totp' };
+      }
+    }
+
+    this.recordFailure(user, auditContext);
+    throw new AppError('Invalid authentication code', 401, 'TWO_FACTOR_INVALID');
+  }
+
+  // Replace all recovery codes (after a successful verify)
+  regenerateRecoveryCodes(user) {
+    const recoveryCodes = generateRecoveryCodes();
+    updateUser(user.id, { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+    return recoveryCodes;
+  }
+
+  // Turn two-factor off, by the user or by an administrator (the actor in `auditContext`)
+  disable(user, auditContext = {}) {
+    updateUser(user.id, {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastStep: null,
+      twoFactorFailedAttempts: 0,
+      twoFactorLockedUntil: null,
+      twoFactorEnabledAt: null
+    });
+    auditTwoFactorEvent(user, 'two-factor-disabled', null, auditContext);
+  }
+
+  assertNotLocked(user) {
+    if (user.twoFactorLockedUntil && user.twoFactorLockedUntil > new Date().toISOString()) {
+      throw new AppError('Too many invalid codes. Please try again later.', 429, 'TWO_FACTOR_LOCKED');
+    }
+  }
+
+  recordFailure(user, auditContext = {}) {
+    const attempts = (user.twoFactorFailedAttempts || 0) + 1;
+
+    if (attempts >= MAX_FAILED_ATTEMPTS) {
+      const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+      updateUser(user.id, {
+        twoFactorFailedAttempts: 0,
+        twoFactorLockedUntil: lockedUntil
+      });
+      auditTwoFactorEvent(user, 'two-factor-locked', { failedAttempts: attempts, lockedUntil }, auditContext);
+    } else {
+      updateUser(user.id, { twoFactorFailedAttempts: attempts });
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
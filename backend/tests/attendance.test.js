@@ -0,0 +1,38 @@
+// backend/tests/attendance.test.js - Attendance Submission and Updates
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+const db = require('../utils/database');
+
+describe('/api/attendance notes', () => {
+  let teacher;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    teacher = apiClient(app, await login(app, 'teacher1'));
+  }, 60000);
+
+  // 10A (class 1) has Mathematics with teacher1 on Mondays
+  const submission = (weeksBack, fields = {}) => ({ classId: 1, subjectId: 1, date: schoolDay(weeksBack, 1), absentStudents: [], ...fields });
+
+  test('notes that are not text are refused when submitting', async () => {
+    const response = await teacher.post('/api/attendance').send(submission(4, { notes: 42 }));
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['Notes must be text']);
+    expect(db.getAttendanceRecord(1, 1, schoolDay(4, 1))).toBeFalsy();
+  });
+
+  test('notes that are not text are refused when updating, and the record is left as it was', async () => {
+    const created = await teacher.post('/api/attendance').send(submission(5, { notes: '  Fire drill  ' })).expect(201);
+    const { id } = created.body.data;
+
+    const invalid = await teacher.put(`/api/attendance/${id}`).send({ absentStudents: [2], notes: { text: 'Fire drill' } });
+    const valid = await teacher.put(`/api/attendance/${id}`).send({ notes: ' Fire drill at 09:20 ' });
+
+    expect(created.body.data.notes).toBe('Fire drill');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toEqual({ error: 'Notes must be text', code: 'INVALID_DATA' });
+    expect(valid.status).toBe(200);
+    expect(valid.body.data.notes).toBe('Fire drill at 09:20');
+    expect(valid.body.data.absentStudents).toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+// backend/tests/attendanceLock.test.js - Attendance Edit Lock Window
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+const db = require('../utils/database');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('attendance lock window', () => {
+  let teacher;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    teacher = apiClient(app, await login(app, 'teacher1'));
+  }, 60000);
+
+  const submitted = (date, hoursAgo) => db.addAttendanceRecord({
+    classId: 1,
+    subjectId: 1,
+    date,
+    absentStudents: [],
+    teacherId: 2,
+    submittedBy: 2,
+    submittedAt: new Date(Date.now() - hoursAgo * HOUR).toISOString()
+  });
+
+  test('re-submitting keeps the first submission time, so the lock is not extended', async () => {
+    const date = schoolDay(0);
+    const original = submitted(date, 47);
+
+    const response = await teacher.post('/api/attendance')
+      .send({ classId: 1, subjectId: 1, date, absentStudents: [2] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.version).toBe(2);
+    expect(response.body.data.absentStudents).toEqual([2]);
+    expect(response.body.data.submittedAt).toBe(original.submittedAt);
+    expect(Date.parse(response.body.data.lockedAt)).toBe(Date.parse(original.submittedAt) + 48 * HOUR);
+  });
+
+  test('a record past the lock window cannot be re-submitted by its teacher', async () => {
+    const date = schoolDay(1);
+    submitted(date, 49);
+
+    const response = await teacher.post('/api/attendance')
+      .send({ classId: 1, subjectId: 1, date, absentStudents: [2] });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('RECORD_LOCKED');
+  });
+});
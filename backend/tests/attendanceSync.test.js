@@ -0,0 +1,84 @@
+// backend/tests/attendanceSync.test.js - Offline Attendance Sync
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+const db = require('../utils/database');
+
+describe('POST /api/attendance/sync', () => {
+  const date = schoolDay(0, 3);
+  const capturedAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  let teacher;
+
+  const mutation = (clientId, baseVersion, fields = {}) => ({
+    clientId,
+    baseVersion,
+    classId: 1,
+    subjectId: 1,
+    date,
+    absentStudents: [2],
+    ...fields
+  });
+
+  const sync = (...mutations) => teacher.post('/api/attendance/sync').send({ mutations });
+
+  const recordsOn = (recordDate) => db.getAttendanceRecords({ classId: 1, subjectId: 1, date: recordDate });
+
+  beforeAll(async () => {
+    const app = await startApp();
+    teacher = apiClient(app, await login(app, 'teacher1'));
+  }, 60000);
+
+  test('a change is applied once and stamped with when it was taken', async () => {
+    const response = await sync(mutation('first', null, { capturedAt }));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toEqual({ applied: 1, duplicate: 0, conflicts: 0, rejected: 0 });
+    expect(response.body.data.results[0]).toMatchObject({ clientId: 'first', status: 'applied', version: 1 });
+    expect(recordsOn(date)).toHaveLength(1);
+    expect(recordsOn(date)[0].submittedAt).toBe(capturedAt);
+  });
+
+  test('resending an applied change does not apply it again', async () => {
+    const response = await sync(mutation('first', null, { capturedAt }));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toEqual({ applied: 0, duplicate: 1, conflicts: 0, rejected: 0 });
+    expect(response.body.data.results[0]).toMatchObject({ clientId: 'first', status: 'applied', duplicate: true, version: 1 });
+    expect(recordsOn(date)).toHaveLength(1);
+    expect(recordsOn(date)[0].version).toBe(1);
+  });
+
+  test('a client ID repeated within one batch is applied once', async () => {
+    const response = await sync(
+      mutation('second', 1, { absentStudents: [] }),
+      mutation('second', 1, { absentStudents: [] })
+    );
+
+    expect(response.body.data.summary).toEqual({ applied: 1, duplicate: 1, conflicts: 0, rejected: 0 });
+    expect(recordsOn(date)[0].version).toBe(2);
+  });
+
+  test('a change based on an older version is returned as a conflict with the server copy', async () => {
+    const response = await sync(mutation('third', 1));
+    const [result] = response.body.data.results;
+
+    expect(response.body.data.summary).toEqual({ applied: 0, duplicate: 0, conflicts: 1, rejected: 0 });
+    expect(result.status).toBe('conflict');
+    expect(result.server.version).toBe(2);
+    expect(recordsOn(date)[0].absentStudents).toEqual([]);
+  });
+
+  test('the client ID of a rejected change can be used again', async () => {
+    const rejected = await sync(mutation('fourth', null, { date: '2099-01-02' }));
+    const retried = await sync(mutation('fourth', 2));
+
+    expect(rejected.body.data.results[0]).toMatchObject({ clientId: 'fourth', status: 'rejected' });
+    expect(retried.body.data.summary.applied).toBe(1);
+  });
+
+  test('a batch must hold 1 to 100 changes', async () => {
+    const empty = await sync();
+    const tooMany = await sync(...Array.from({ length: 101 }, (_, index) => mutation(`bulk-${index}`, null)));
+
+    expect(empty.status).toBe(400);
+    expect(tooMany.status).toBe(400);
+  });
+});
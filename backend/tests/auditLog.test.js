@@ -0,0 +1,77 @@
+// backend/tests/auditLog.test.js - Hash-Chained Attendance Audit Log
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+const { GENESIS_HASH, createAuditEntry, verifyAuditChain } = require('../utils/auditLog');
+
+// A chain of entries as a storage adapter keeps them
+const buildChain = (changes) => changes.reduce((entries, change, index) => [
+  ...entries,
+  { id: index + 1, ...createAuditEntry(change, { actorId: 2, ip: '127.0.0.1' }, entries[entries.length - 1]) }
+], []);
+
+describe('verifyAuditChain', () => {
+  const chain = () => buildChain([
+    { entityType: 'attendance', entityId: 1, action: 'create', before: null, after: { absentStudents: [2] } },
+    { entityType: 'attendance', entityId: 1, action: 'update', before: { absentStudents: [2] }, after: { absentStudents: [] } },
+    { entityType: 'attendance', entityId: 1, action: 'delete', before: { absentStudents: [] }, after: null }
+  ]);
+
+  test('an untouched chain is valid', () => {
+    const entries = chain();
+
+    expect(entries[0].previousHash).toBe(GENESIS_HASH);
+    expect(entries[1].changes).toEqual({ absentStudents: { old: [2], new: [] } });
+    expect(verifyAuditChain(entries)).toMatchObject({ valid: true, checked: 3, headHash: entries[2].hash });
+  });
+
+  test('an altered entry is detected', () => {
+    const entries = chain();
+    entries[1].afterState = { absentStudents: [2] };
+
+    expect(verifyAuditChain(entries)).toMatchObject({ valid: false, checked: 1, brokenAt: 2 });
+  });
+
+  test('a removed entry is detected', () => {
+    const entries = chain();
+    entries.splice(1, 1);
+
+    expect(verifyAuditChain(entries)).toMatchObject({ valid: false, brokenAt: 3, reason: 'Chain link does not match previous entry' });
+  });
+});
+
+describe('GET /api/attendance/:id/audit', () => {
+  const date = schoolDay(2, 1);
+  let admin;
+  let teacher;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+    teacher = apiClient(app, await login(app, 'teacher1'));
+  }, 60000);
+
+  test('lists who created, changed and deleted a record', async () => {
+    const created = await teacher.post('/api/attendance')
+      .send({ classId: 1, subjectId: 1, date, absentStudents: [2] })
+      .expect(201);
+    const { id } = created.body.data;
+    await teacher.put(`/api/attendance/${id}`).send({ absentStudents: [] }).expect(200);
+    await teacher.delete(`/api/attendance/${id}`).expect(200);
+
+    const response = await admin.get(`/api/attendance/${id}/audit`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map(entry => [entry.action, entry.actorId])).toEqual([
+      ['create', 2],
+      ['update', 2],
+      ['delete', 2]
+    ]);
+    expect(response.body.data[1].changes.absentStudents).toEqual({ old: [2], new: [] });
+    expect(response.body.meta).toMatchObject({ totalEntries: 3, chainValid: true, chainBrokenAt: null });
+  });
+
+  test('needs the attendance:audit permission', async () => {
+    const response = await teacher.get('/api/attendance/1/audit');
+
+    expect(response.status).toBe(403);
+  });
+});
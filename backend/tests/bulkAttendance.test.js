@@ -0,0 +1,119 @@
+// backend/tests/bulkAttendance.test.js - Bulk Attendance Submission
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+
+// Lets a test make the storage fail part way through a bulk submission
+jest.mock('../utils/database', () => {
+  const actual = jest.requireActual('../utils/database');
+  return { ...actual, addAttendanceRecord: jest.fn(actual.addAttendanceRecord) };
+});
+
+const db = require('../utils/database');
+
+describe('POST /api/attendance/bulk', () => {
+  let teacher;
+
+  const record = (date, fields = {}) => ({ classId: 1, subjectId: 1, date, absentStudents: [2], ...fields });
+  const bulk = (body) => teacher.post('/api/attendance/bulk').send(body);
+  const saved = (date) => db.getAttendanceRecords({ date, teacherId: 2 });
+
+  beforeAll(async () => {
+    const app = await startApp();
+    teacher = apiClient(app, await login(app, 'teacher1'));
+  }, 60000);
+
+  test('saves the valid records and reports every record by index', async () => {
+    const date = schoolDay(3);
+    db.addAttendanceRecord({ ...record(date, { subjectId: 2 }), teacherId: 2, submittedBy: 2 });
+
+    const response = await bulk({
+      attendanceRecords: [
+        record(date),
+        record(date, { subjectId: 2 }),
+        record(date),
+        record(date, { classId: 3, subjectId: 5 }),
+        record(date, { classId: 99 }),
+        record('2099-01-02'),
+        null
+      ]
+    });
+
+    expect(response.status).toBe(207);
+    expect(response.body.data.allOrNothing).toBe(false);
+    expect(response.body.data.summary).toEqual({ total: 7, saved: 2, failed: 5 });
+    expect(response.body.data.results.map(result => [result.index, result.status, result.code])).toEqual([
+      [0, 'created', undefined],
+      [1, 'replaced', undefined],
+      [2, 'failed', 'DUPLICATE_RECORD'],
+      [3, 'failed', 'ACCESS_DENIED'],
+      [4, 'failed', 'CLASS_NOT_FOUND'],
+      [5, 'failed', expect.any(String)],
+      [6, 'failed', undefined]
+    ]);
+    expect(response.body.data.results[0].record).toMatchObject({ classId: 1, subjectId: 1, date, version: 1 });
+    expect(response.body.data.results[1].record.version).toBe(2);
+    expect(response.body.data.results[3].statusCode).toBe(403);
+    expect(saved(date)).toHaveLength(2);
+  });
+
+  test('all-or-nothing saves nothing when a record fails validation', async () => {
+    const date = schoolDay(4);
+
+    const response = await bulk({
+      allOrNothing: true,
+      attendanceRecords: [record(date), record(date, { subjectId: 2, absentStudents: [9999] })]
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('BULK_VALIDATION_FAILED');
+    expect(response.body.data.summary).toEqual({ total: 2, saved: 0, failed: 1 });
+    expect(response.body.data.results.map(result => result.status)).toEqual(['not-saved', 'failed']);
+    expect(saved(date)).toHaveLength(0);
+  });
+
+  test('all-or-nothing saves every record when all pass', async () => {
+    const date = schoolDay(5);
+
+    const response = await bulk({
+      allOrNothing: true,
+      attendanceRecords: [record(date), record(date, { subjectId: 2 })]
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.summary).toEqual({ total: 2, saved: 2, failed: 0 });
+    expect(saved(date)).toHaveLength(2);
+  });
+
+  test('all-or-nothing rolls back the saved records when storage fails part way', async () => {
+    const date = schoolDay(6);
+    const { addAttendanceRecord } = jest.requireActual('../utils/database');
+    db.addAttendanceRecord
+      .mockImplementationOnce(addAttendanceRecord)
+      .mockImplementationOnce(() => {
+        throw new Error('disk full');
+      });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await bulk({
+      allOrNothing: true,
+      attendanceRecords: [record(date), record(date, { subjectId: 2 }), record(date, { classId: 2, absentStudents: [] })]
+    });
+    consoleError.mockRestore();
+
+    expect(response.status).toBe(500);
+    expect(response.body.data.results.map(result => [result.status, result.code])).toEqual([
+      ['rolled-back', undefined],
+      ['failed', 'SAVE_ERROR'],
+      ['not-saved', undefined]
+    ]);
+    expect(saved(date)).toHaveLength(0);
+  });
+
+  test('the request itself is validated', async () => {
+    const empty = await bulk({ attendanceRecords: [] });
+    const tooMany = await bulk({ attendanceRecords: Array.from({ length: 101 }, () => record(schoolDay(7))) });
+    const badFlag = await bulk({ allOrNothing: 'yes', attendanceRecords: [record(schoolDay(7))] });
+
+    expect([empty.status, tooMany.status, badFlag.status]).toEqual([400, 400, 400]);
+  });
+});
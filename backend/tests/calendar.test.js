@@ -0,0 +1,50 @@
+// backend/tests/calendar.test.js - School-Day Rules of the Academic Calendar
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+
+describe('academic calendar', () => {
+  let admin;
+  let teacher;
+
+  // 10A (class 1) has Mathematics with teacher1 on Mondays
+  const holiday = schoolDay(2, 1);
+  const record = { classId: 1, subjectId: 1, date: holiday, absentStudents: [1] };
+
+  beforeAll(async () => {
+    const app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+    teacher = apiClient(app, await login(app, 'teacher1'));
+
+    await admin.post('/api/calendar')
+      .send({ name: '10A Field Trip', type: 'non-instructional', startDate: holiday, classIds: [1] })
+      .expect(201);
+  }, 60000);
+
+  test('the day is off for the classes the event names only', async () => {
+    const days = await teacher.get(`/api/calendar/days?startDate=${holiday}&endDate=${holiday}&classId=1`);
+    const otherClass = await teacher.get(`/api/calendar/days?startDate=${holiday}&endDate=${holiday}&classId=2`);
+
+    expect(days.body.data[0]).toMatchObject({ isSchoolDay: false, reason: '10A Field Trip' });
+    expect(otherClass.body.data[0]).toMatchObject({ isSchoolDay: true, reason: null });
+  });
+
+  test('attendance on a day off is refused unless a user who may override the calendar asks to', async () => {
+    const refused = await teacher.post('/api/attendance').send(record);
+    const notAllowed = await teacher.post('/api/attendance').send({ ...record, overrideCalendar: true });
+    const withoutOverride = await admin.post('/api/attendance').send(record);
+    const overridden = await admin.post('/api/attendance').send({ ...record, overrideCalendar: true });
+
+    expect(refused.status).toBe(400);
+    expect(refused.body).toMatchObject({ code: 'NON_SCHOOL_DAY', reason: '10A Field Trip' });
+    expect(notAllowed.status).toBe(400);
+    expect(withoutOverride.status).toBe(400);
+    expect(overridden.status).toBe(201);
+  });
+
+  test('records taken on a day off do not count towards a student\'s attendance', async () => {
+    const history = await teacher.get(`/api/attendance/student/1/history?startDate=${holiday}&endDate=${holiday}`);
+
+    expect(history.status).toBe(200);
+    expect(history.body.data).toEqual([expect.objectContaining({ date: holiday, isSchoolDay: false, attended: false })]);
+    expect(history.body.summary).toMatchObject({ totalClasses: 0, absent: 0 });
+  });
+});
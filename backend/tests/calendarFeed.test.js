@@ -0,0 +1,91 @@
+// backend/tests/calendarFeed.test.js - iCalendar Timetable Feeds
+const request = require('supertest');
+const { startApp, login, apiClient } = require('./helpers');
+const { buildCalendar, getUtcOffset } = require('../utils/icalendar');
+const db = require('../utils/database');
+
+// Unfolded content lines of an iCalendar document
+const contentLines = (text) => text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+describe('buildCalendar', () => {
+  const event = {
+    uid: 'schedule-1@virtualrollcall',
+    date: '2026-09-21',
+    startTime: '09:00',
+    endTime: '09:45',
+    rrule: 'FREQ=WEEKLY;INTERVAL=1;UNTIL=20261214T235959Z',
+    exdates: ['2026-10-26'],
+    summary: 'Mathematics - 10A'
+  };
+
+  test('times refer to a VTIMEZONE with the offset changes of the feed\'s years', () => {
+    const lines = contentLines(buildCalendar({ name: 'Feed', timezone: 'Europe/London', events: [event] }));
+
+    expect(lines).toContain('DTSTART;TZID=Europe/London:20260921T090000');
+    expect(lines).toContain('EXDATE;TZID=Europe/London:20261026T090000');
+
+    const timezone = lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1);
+    expect(timezone[1]).toBe('TZID:Europe/London');
+    expect(timezone.join('\n')).toContain([
+      'BEGIN:STANDARD',
+      'DTSTART:20261025T020000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0000',
+      'END:STANDARD'
+    ].join('\n'));
+    expect(timezone.join('\n')).toContain([
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20260329T010000',
+      'TZOFFSETFROM:+0000',
+      'TZOFFSETTO:+0100',
+      'END:DAYLIGHT'
+    ].join('\n'));
+    expect(lines.indexOf('END:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+  });
+
+  test('a timezone without daylight saving has one fixed observance', () => {
+    const lines = contentLines(buildCalendar({ name: 'Feed', timezone: 'Asia/Kolkata', events: [event] }));
+
+    expect(lines.filter(line => line.startsWith('TZOFFSETTO:'))).toEqual(['TZOFFSETTO:+0530']);
+    expect(getUtcOffset('Asia/Kolkata', Date.UTC(2026, 6, 1))).toBe(330);
+  });
+
+  test('a calendar without events has no VTIMEZONE', () => {
+    expect(buildCalendar({ name: 'Feed', timezone: 'UTC' })).not.toContain('VTIMEZONE');
+  });
+});
+
+describe('GET /api/feeds/timetable/:token.ics', () => {
+  let app;
+  let teacher;
+
+  beforeAll(async () => {
+    app = await startApp();
+    teacher = apiClient(app, await login(app, 'teacher1'));
+  }, 60000);
+
+  test('every TZID in the feed has a matching VTIMEZONE', async () => {
+    db.updateSettings({ timezone: 'America/New_York' });
+    const created = await teacher.post('/api/feeds/timetable').expect(201);
+
+    const response = await request(app).get(new URL(created.body.data.url).pathname);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/calendar');
+    const lines = contentLines(response.text);
+    const tzids = new Set(lines.flatMap(line => line.match(/;TZID=([^:;]+)/)?.[1] || []));
+    const timezones = lines.filter(line => line.startsWith('TZID:')).map(line => line.slice('TZID:'.length));
+    expect([...tzids]).toEqual(['America/New_York']);
+    expect(timezones).toEqual(['America/New_York']);
+    expect(lines).toEqual(expect.arrayContaining(['TZOFFSETFROM:-0400', 'TZOFFSETTO:-0500']));
+  });
+
+  test('a revoked feed URL stops working', async () => {
+    const created = await teacher.post('/api/feeds/timetable').expect(201);
+    await teacher.delete('/api/feeds/timetable').expect(200);
+
+    const response = await request(app).get(new URL(created.body.data.url).pathname);
+
+    expect(response.status).toBe(404);
+  });
+});
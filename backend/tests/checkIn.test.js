@@ -0,0 +1,96 @@
+// backend/tests/checkIn.test.js - QR Code Self Check-In
+const { startApp, schoolDay } = require('./helpers');
+const checkInService = require('../services/checkInService');
+const db = require('../utils/database');
+
+const SECOND = 1000;
+
+describe('checkInService.checkIn', () => {
+  let teacher;
+  let students;
+  let mondays;
+
+  beforeAll(async () => {
+    await startApp();
+    teacher = db.findUserById(2);
+
+    // Accounts for the first five students of 10A; student1 is John Smith
+    students = [db.findUser({ username: 'student1' })];
+    for (const studentId of [2, 3, 4, 5]) {
+      students.push(db.createUserRecord({
+        username: `student-${studentId}`,
+        password: 'unused',
+        name: `Student ${studentId}`,
+        email: `student-${studentId}@student.edu`,
+        role: 'student',
+        studentIds: [studentId]
+      }));
+    }
+
+    // Recent Mondays on which 10A has its 09:00 Mathematics period (schedule 1)
+    const schedule = db.findScheduleById(1);
+    mondays = [...Array(12).keys()]
+      .map(weeksBack => schoolDay(weeksBack, 1))
+      .filter(date => db.getTimetableCycle().occursOn(schedule, date) &&
+        db.getAcademicCalendar().getDay(date, schedule.classId).isSchoolDay);
+  }, 60000);
+
+  // A session opened at 09:10 on the `index`th of those Mondays
+  const openPeriod = (index) => {
+    const openedAt = new Date(`${mondays[index]}T09:10:00Z`);
+    const { session } = checkInService.openSession(1, teacher, openedAt);
+    const at = (seconds) => new Date(openedAt.getTime() + seconds * SECOND);
+    return { session, at };
+  };
+
+  const rejection = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return { statusCode: error.statusCode, code: error.code };
+    }
+    return null;
+  };
+
+  test('a token is refused once it has been replaced for longer than the grace period', () => {
+    const { session, at } = openPeriod(0);
+    const { token } = checkInService.getCurrentToken(session, at(0));
+
+    const late = rejection(() => checkInService.checkIn(token, students[0], {}, at(16)));
+    const { checkIn } = checkInService.checkIn(token, students[0], {}, at(14));
+
+    expect(late).toEqual({ statusCode: 410, code: 'TOKEN_EXPIRED' });
+    expect(checkIn).toMatchObject({ studentId: 1, recordId: expect.any(Number) });
+  });
+
+  test('a forwarded token admits no more than three students', () => {
+    const { session, at } = openPeriod(1);
+    const { token } = checkInService.getCurrentToken(session, at(1));
+
+    for (const student of students.slice(0, 3)) {
+      checkInService.checkIn(token, student, {}, at(2));
+    }
+    const forwarded = rejection(() => checkInService.checkIn(token, students[3], {}, at(3)));
+    const { token: current } = checkInService.getCurrentToken(session, at(11));
+    checkInService.checkIn(current, students[3], {}, at(11));
+
+    expect(forwarded).toEqual({ statusCode: 409, code: 'TOKEN_REPLAYED' });
+    expect([...session.checkIns.keys()]).toEqual([1, 2, 3, 4]);
+    const record = db.getAttendanceRecord(1, 1, mondays[1]);
+    expect(record.studentStatuses).toMatchObject({
+      1: { status: 'present' }, 4: { status: 'present' }, 5: { status: 'absent' }
+    });
+  });
+
+  test('a student who checked in cannot check in again, and does not use up the token', () => {
+    const { session, at } = openPeriod(2);
+    const { token } = checkInService.getCurrentToken(session, at(0));
+
+    checkInService.checkIn(token, students[0], {}, at(1));
+    const repeats = [1, 2, 3].map(() => rejection(() => checkInService.checkIn(token, students[0], {}, at(2))));
+    checkInService.checkIn(token, students[1], {}, at(3));
+
+    expect(repeats).toEqual(Array(3).fill({ statusCode: 409, code: 'ALREADY_CHECKED_IN' }));
+    expect(session.checkIns.size).toBe(2);
+  });
+});
@@ -0,0 +1,58 @@
+// backend/tests/guardian.test.js - Guardian Portal
+const { startApp, login, apiClient } = require('./helpers');
+const db = require('../utils/database');
+
+describe('/api/guardian', () => {
+  let admin;
+  let teacher;
+  let guardian;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+    teacher = apiClient(app, await login(app, 'teacher1'));
+    guardian = apiClient(app, await login(app, 'parent1'));
+  }, 60000);
+
+  // parent1 is linked to John Smith (student 1, 10A)
+  test('a guardian sees their linked students only', async () => {
+    const children = await guardian.get('/api/guardian/children');
+    const own = await guardian.get('/api/guardian/children/1/attendance');
+    const other = await guardian.get('/api/guardian/children/2/attendance');
+    const otherSchedule = await guardian.get('/api/guardian/children/2/schedule');
+
+    expect(children.status).toBe(200);
+    expect(children.body.data).toEqual([expect.objectContaining({ id: 1, name: 'John Smith', className: '10A' })]);
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(404);
+    expect(other.body.code).toBe('STUDENT_NOT_FOUND');
+    expect(otherSchedule.status).toBe(404);
+    expect(otherSchedule.body.code).toBe('STUDENT_NOT_FOUND');
+  });
+
+  test('guardians cannot use staff routes, and staff cannot use the portal', async () => {
+    const classes = await guardian.get('/api/classes');
+    const attendance = await guardian.get('/api/attendance/student/1/history');
+    const portal = await teacher.get('/api/guardian/children');
+
+    expect(classes.status).toBe(403);
+    expect(classes.body).toMatchObject({ code: 'ROLE_NOT_ALLOWED', userRole: 'guardian' });
+    expect(attendance.status).toBe(403);
+    expect(attendance.body.code).toBe('ROLE_NOT_ALLOWED');
+    expect(portal.status).toBe(403);
+    expect(portal.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+
+  test('a changed link applies to the guardian\'s current session', async () => {
+    const { id } = db.findUser({ username: 'parent1' });
+    await admin.put(`/api/auth/users/${id}`).send({ studentIds: [8] }).expect(200);
+
+    const unlinked = await guardian.get('/api/guardian/children/1/attendance');
+    const linked = await guardian.get('/api/guardian/children/8/attendance');
+    const children = await guardian.get('/api/guardian/children');
+
+    expect(unlinked.status).toBe(404);
+    expect(linked.status).toBe(200);
+    expect(children.body.data.map(child => child.id)).toEqual([8]);
+  });
+});
@@ -0,0 +1,57 @@
+// backend/tests/helpers.js - Shared Setup for the API Tests
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+
+// Sample accounts from utils/sampleData.js
+const PASSWORDS = {
+  admin: 'admin123',
+  teacher1: 'teacher123',
+  teacher2: 'teacher123',
+  teacher3: 'teacher123',
+  parent1: 'parent123',
+  student1: 'student123'
+};
+
+/**
+ * Seed the storage adapter selected by DB_TYPE and return the Express app.
+ * Jest gives every test file its own module registry, so each file starts
+ * from fresh sample data.
+ */
+const startApp = async () => {
+  const { app } = require('../server');
+  await require('../utils/database').initializeDatabase();
+  return app;
+};
+
+const login = async (app, username) => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ username, password: PASSWORDS[username] });
+  return response.body.token;
+};
+
+// Requests that carry a user's token: client.get('/api/classes')
+const apiClient = (app, token) => {
+  const send = (method) => (url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  return {
+    get: send('get'),
+    post: send('post'),
+    put: send('put'),
+    delete: send('delete')
+  };
+};
+
+// The last given weekday (Friday by default) before today, `weeksBack` weeks earlier (YYYY-MM-DD, UTC)
+const schoolDay = (weeksBack = 0, weekday = 5) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - 1 - ((date.getUTCDay() - weekday + 6) % 7) - weeksBack * 7);
+  return date.toISOString().slice(0, 10);
+};
+
+module.exports = {
+  startApp,
+  login,
+  apiClient,
+  schoolDay
+};
@@ -0,0 +1,79 @@
+// backend/tests/imports.test.js - Roster Imports with Preview and Confirmation
+const { startApp, login, apiClient } = require('./helpers');
+const db = require('../utils/database');
+
+// 11A (class 3) starts with Alexander Harris (ST24014); John Smith (ST24001) is in 10A
+const ROSTER = [
+  'Student Number,Full Name,DOB,Locker',
+  'ST24014,Alexander Harris,2008-12-11,12',
+  'ST30001,Nora Quinn,2008-02-01,13'
+];
+
+describe('roster imports', () => {
+  let admin;
+  let teacher;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+    teacher = apiClient(app, await login(app, 'teacher1'));
+  }, 60000);
+
+  const upload = (lines) => admin.post('/api/classes/3/students/import')
+    .attach('file', Buffer.from(lines.join('\n')), 'roster.csv');
+
+  const roster = () => db.findClassById(3).students.filter(student => student.isActive);
+
+  test('a preview reports every row and nothing is written until it is confirmed', async () => {
+    const before = roster().length;
+
+    const preview = await upload([...ROSTER, 'ST24001,John Smith,2009-05-15,14']);
+    const { importId } = preview.body.data;
+    const refused = await admin.post(`/api/imports/${importId}/confirm`);
+
+    expect(preview.status).toBe(200);
+    expect(preview.body.data).toMatchObject({
+      canConfirm: false,
+      summary: { totalRows: 3, create: 1, update: 1, unchanged: 0, errors: 1 },
+      columns: { mapped: { 'Student Number': 'studentId', 'Full Name': 'name', DOB: 'dateOfBirth' }, ignored: ['Locker'] }
+    });
+    expect(preview.body.data.rows.map(row => [row.row, row.action])).toEqual([[2, 'update'], [3, 'create'], [4, 'error']]);
+    expect(preview.body.data.rows[2].errors[0].message).toContain('transfer them instead');
+    expect(refused.status).toBe(422);
+    expect(refused.body.code).toBe('IMPORT_HAS_ERRORS');
+    expect(roster()).toHaveLength(before);
+  });
+
+  test('a confirmed import writes its rows, and only its uploader can confirm it', async () => {
+    const before = roster().length;
+    const { importId } = (await upload(ROSTER)).body.data;
+
+    const otherUser = await teacher.post(`/api/imports/${importId}/confirm`);
+    const confirmed = await admin.post(`/api/imports/${importId}/confirm`);
+    const again = await admin.post(`/api/imports/${importId}/confirm`);
+
+    expect(otherUser.status).toBe(404);
+    expect(otherUser.body.code).toBe('IMPORT_NOT_FOUND');
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.data).toMatchObject({
+      created: [{ row: 3, key: 'ST30001' }],
+      updated: [{ row: 2, key: 'ST24014', changes: ['dateOfBirth'] }]
+    });
+    expect(again.status).toBe(404);
+    expect(roster()).toHaveLength(before + 1);
+    expect(db.findStudent({ studentId: 'ST24014' })).toMatchObject({ dateOfBirth: '2008-12-11' });
+  });
+
+  test('a preview the data has moved past must be reviewed again', async () => {
+    const file = ['Student Number,Full Name', 'ST30002,Owen Park'];
+    const { importId } = (await upload(file)).body.data;
+    const { importId: laterImportId } = (await upload(file)).body.data;
+    await admin.post(`/api/imports/${laterImportId}/confirm`).expect(200);
+
+    const stale = await admin.post(`/api/imports/${importId}/confirm`);
+
+    expect(stale.status).toBe(409);
+    expect(stale.body.code).toBe('IMPORT_STALE');
+    expect(roster().filter(student => student.studentId === 'ST30002')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,52 @@
+// backend/tests/mailService.test.js - Outgoing Email Transports
+const ENV_KEYS = ['NODE_ENV', 'MAIL_TRANSPORT', 'SMTP_HOST', 'MAIL_FROM'];
+
+describe('mailService', () => {
+  const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+  // A mail service that has not picked its transport yet
+  const freshMailService = (env) => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    Object.assign(process.env, { MAIL_FROM: 'school@example.com' }, env);
+    let mailService;
+    jest.isolateModules(() => {
+      mailService = require('../services/mailService');
+    });
+    return mailService;
+  };
+
+  const message = { to: 'robert.smith@example.com', subject: 'Reset your password', text: 'Hello' };
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    jest.restoreAllMocks();
+  });
+
+  test('production without SMTP_HOST or MAIL_TRANSPORT refuses to start and to send', async () => {
+    const mailService = freshMailService({ NODE_ENV: 'production' });
+
+    expect(() => mailService.checkConfiguration()).toThrow('No mail transport in production');
+    await expect(mailService.send(message)).rejects.toThrow('No mail transport in production');
+    expect(mailService.outbox).toEqual([]);
+  });
+
+  test('production starts with an SMTP server or an explicit transport', () => {
+    expect(() => freshMailService({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' }).checkConfiguration()).not.toThrow();
+    expect(() => freshMailService({ NODE_ENV: 'production', MAIL_TRANSPORT: 'file' }).checkConfiguration()).not.toThrow();
+  });
+
+  test('messages kept in memory are not reported as sent', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const mailService = freshMailService({ NODE_ENV: 'development' });
+
+    await mailService.send(message);
+
+    expect(mailService.transportName).toBe('stream');
+    expect(mailService.outbox).toEqual([expect.objectContaining({ to: message.to, subject: message.subject })]);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('not delivered'));
+    expect(log).not.toHaveBeenCalledWith(expect.stringContaining('Email sent'));
+  });
+});
@@ -0,0 +1,91 @@
+// backend/tests/migrations.test.js - Versioned Schema Migrations
+const Database = require('better-sqlite3');
+const { loadMigrations, migrateUp, migrateDown, getMigrationStatus } = require('../utils/migrationRunner');
+
+const tableNames = (db) => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+  .all()
+  .map(row => row.name)
+  .sort();
+
+const columnNames = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(info => info.name);
+
+describe('migration runner', () => {
+  const migrations = loadMigrations();
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+  });
+
+  afterEach(() => db.close());
+
+  test('migration files are numbered without gaps', () => {
+    expect(migrations.map(migration => migration.version))
+      .toEqual(Array.from({ length: migrations.length }, (_, index) => index + 1));
+  });
+
+  test('up applies every pending migration once, in order', () => {
+    expect(migrateUp(db).map(migration => migration.version)).toEqual(migrations.map(migration => migration.version));
+    expect(migrateUp(db)).toEqual([]);
+
+    expect(getMigrationStatus(db).every(migration => migration.status === 'applied')).toBe(true);
+    expect(tableNames(db)).toEqual(expect.arrayContaining(['users', 'classes', 'subjects', 'attendance', 'audit_log', 'sync_mutations']));
+    expect(columnNames(db, 'attendance')).toContain('version');
+    expect(columnNames(db, 'users')).toContain('version');
+  });
+
+  test('up stops at the requested version', () => {
+    expect(migrateUp(db, { to: 5 }).map(migration => migration.version)).toEqual([1, 2, 3, 4, 5]);
+    expect(getMigrationStatus(db).filter(migration => migration.status === 'pending')).toHaveLength(migrations.length - 5);
+  });
+
+  test('down reverts the latest migrations and up re-applies them', () => {
+    migrateUp(db);
+    const reverted = migrations.filter(migration => migration.version > 16).map(migration => migration.version);
+
+    expect(migrateDown(db, { to: 16 }).map(migration => migration.version)).toEqual([...reverted].reverse());
+    expect(tableNames(db)).not.toContain('sync_mutations');
+    expect(columnNames(db, 'attendance')).not.toContain('version');
+    expect(columnNames(db, 'classes')).not.toContain('version');
+    expect(getMigrationStatus(db).slice(-reverted.length).every(migration => migration.status === 'pending')).toBe(true);
+
+    expect(migrateUp(db).map(migration => migration.version)).toEqual(reverted);
+    expect(columnNames(db, 'classes')).toContain('version');
+  });
+
+  test('down keeps the rows of tables it changes', () => {
+    const now = new Date().toISOString();
+    migrateUp(db);
+    db.prepare("INSERT INTO subjects (name, code, created_at, updated_at) VALUES ('Art', 'ART', ?, ?)").run(now, now);
+
+    migrateDown(db, { to: 17 });
+    expect(db.prepare('SELECT name, code FROM subjects').all()).toEqual([{ name: 'Art', code: 'ART' }]);
+
+    migrateUp(db);
+    expect(db.prepare('SELECT code, version FROM subjects').all()).toEqual([{ code: 'ART', version: 1 }]);
+  });
+
+  test('principals of existing schools are granted new permissions', () => {
+    const principalPermissions = () => JSON.parse(db.prepare("SELECT permissions FROM roles WHERE name = 'principal'").get().permissions);
+    const now = new Date().toISOString();
+    migrateUp(db, { to: 18 });
+    db.prepare("INSERT INTO roles (name, label, permissions, is_system, is_restricted, created_at, updated_at) VALUES ('principal', 'Principal', '[]', 1, 0, ?, ?)")
+      .run(now, now);
+
+    migrateUp(db);
+    expect(principalPermissions()).toEqual(['settings:manage']);
+
+    migrateDown(db, { steps: 1 });
+    expect(principalPermissions()).toEqual([]);
+  });
+
+  test('every migration can be reverted', () => {
+    migrateUp(db);
+
+    expect(migrateDown(db, { to: 0 })).toHaveLength(migrations.length);
+    expect(tableNames(db)).toEqual(['migrations']);
+
+    expect(migrateUp(db)).toHaveLength(migrations.length);
+  });
+});
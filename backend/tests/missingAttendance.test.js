@@ -0,0 +1,49 @@
+// backend/tests/missingAttendance.test.js - Missing Attendance Detection
+const { startApp, schoolDay } = require('./helpers');
+const missingAttendanceService = require('../services/missingAttendanceService');
+const db = require('../utils/database');
+
+describe('missingAttendanceService.findMissing', () => {
+  // A Monday after the sample timetable was created; its periods are
+  // 08:00 11A History (schedule 10, teacher3 id 4), 09:00 10A Mathematics
+  // (schedule 1, teacher1 id 2) and 11:00 10B Chemistry (schedule 6, teacher2 id 3)
+  const monday = new Date(Date.parse(schoolDay(0, 1)) + 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const range = { startDate: monday, endDate: monday };
+  const at = (time) => new Date(`${monday}T${time}:00Z`);
+
+  // scheduleIds of the missing periods by teacher
+  const missingAt = (time) => Object.fromEntries(
+    missingAttendanceService.findMissing(range, at(time))
+      .map(teacher => [teacher.teacherId, teacher.periods.map(period => period.scheduleId)])
+  );
+
+  beforeAll(async () => {
+    await startApp();
+  }, 60000);
+
+  test('a period is missing once its submission deadline has passed', () => {
+    expect(missingAt('08:10')).toEqual({});
+    expect(missingAt('10:00')).toEqual({ 4: [10], 2: [1] });
+    expect(missingAt('12:00')).toEqual({ 4: [10], 2: [1], 3: [6] });
+  });
+
+  test('submitted periods, days off and covered periods are accounted for', () => {
+    db.addAttendanceRecord({ classId: 1, subjectId: 1, date: monday, absentStudents: [], teacherId: 2, submittedBy: 2 });
+    db.createCalendarEvent({ name: '11A Museum Visit', type: 'non-instructional', startDate: monday, classIds: [3] });
+    const substitution = db.createSubstitution({
+      originalTeacherId: 3, substituteTeacherId: 2, scheduleIds: [6], startDate: monday, endDate: monday, createdBy: 1
+    });
+
+    const missing = missingAttendanceService.findMissing(range, at('12:00'));
+
+    expect(missing).toEqual([expect.objectContaining({ teacherId: 2, missingCount: 1 })]);
+    expect(missing[0].periods[0]).toMatchObject({
+      scheduleId: 6,
+      date: monday,
+      className: '10B',
+      deadline: '11:15',
+      substitutionId: substitution.id,
+      substituteFor: 3
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// backend/tests/recordVersion.test.js - Record Versions, ETags and If-Match
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+const { isStaleVersion, toETag } = require('../utils/recordVersion');
+
+// The parts of an Express request isStaleVersion reads
+const fakeRequest = ({ ifMatch, body = {} } = {}) => ({
+  get: (header) => (header === 'If-Match' ? ifMatch : undefined),
+  body
+});
+
+describe('isStaleVersion', () => {
+  const record = { id: 1, version: 2 };
+
+  test('an If-Match naming the current version is fresh', () => {
+    expect(isStaleVersion(fakeRequest({ ifMatch: '"2"' }), record)).toBe(false);
+    expect(isStaleVersion(fakeRequest({ ifMatch: 'W/"2"' }), record)).toBe(false);
+    expect(isStaleVersion(fakeRequest({ ifMatch: '"1", "2"' }), record)).toBe(false);
+    expect(isStaleVersion(fakeRequest({ ifMatch: '*' }), record)).toBe(false);
+  });
+
+  test('an If-Match naming an older version is stale', () => {
+    expect(isStaleVersion(fakeRequest({ ifMatch: '"1"' }), record)).toBe(true);
+  });
+
+  test('without If-Match or a body version the change is unconditional', () => {
+    expect(isStaleVersion(fakeRequest(), record)).toBe(false);
+  });
+
+  test('body versions are compared as numbers', () => {
+    expect(isStaleVersion(fakeRequest({ body: { version: 2 } }), record)).toBe(false);
+    expect(isStaleVersion(fakeRequest({ body: { version: '2' } }), record)).toBe(false);
+    expect(isStaleVersion(fakeRequest({ body: { version: '1' } }), record)).toBe(true);
+    expect(isStaleVersion(fakeRequest({ body: { version: 'abc' } }), record)).toBe(true);
+  });
+
+  test('records saved before versions existed are version 1', () => {
+    expect(isStaleVersion(fakeRequest({ ifMatch: '"1"' }), { id: 1 })).toBe(false);
+    expect(toETag({ id: 1 })).toBe('"1"');
+  });
+});
+
+describe('attendance ETags', () => {
+  const date = schoolDay(0, 1);
+  let teacher;
+  let record;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    teacher = apiClient(app, await login(app, 'teacher1'));
+
+    const response = await teacher.post('/api/attendance')
+      .send({ classId: 1, subjectId: 1, date, absentStudents: [] })
+      .expect(201);
+    record = response.body.data;
+  }, 60000);
+
+  test('reads of a single record carry its version as the ETag', async () => {
+    const list = await teacher.get(`/api/attendance?classId=1&subjectId=1&date=${date}`);
+    const byClass = await teacher.get(`/api/attendance/1/${date}?subjectId=1`);
+
+    expect(list.headers.etag).toBe(`"${record.version}"`);
+    expect(byClass.headers.etag).toBe(`"${record.version}"`);
+  });
+
+  test('lists of several records have no ETag', async () => {
+    const response = await teacher.get('/api/attendance?classId=1');
+
+    expect(response.body.data.length).toBeGreaterThan(1);
+    expect(response.headers.etag).toBeUndefined();
+  });
+
+  test('the ETag from a read can be sent back in If-Match', async () => {
+    const read = await teacher.get(`/api/attendance?classId=1&subjectId=1&date=${date}`);
+
+    const update = await teacher.put(`/api/attendance/${record.id}`)
+      .set('If-Match', read.headers.etag)
+      .send({ absentStudents: [2] });
+
+    expect(update.status).toBe(200);
+    expect(update.headers.etag).toBe(`"${record.version + 1}"`);
+  });
+
+  test('an outdated If-Match or string body version is rejected with the current copy', async () => {
+    const byHeader = await teacher.put(`/api/attendance/${record.id}`)
+      .set('If-Match', `"${record.version}"`)
+      .send({ absentStudents: [] });
+    const byBody = await teacher.put(`/api/attendance/${record.id}`)
+      .send({ absentStudents: [], version: String(record.version) });
+
+    expect(byHeader.status).toBe(409);
+    expect(byHeader.body.code).toBe('VERSION_CONFLICT');
+    expect(byHeader.body.currentVersion).toBe(record.version + 1);
+    expect(byBody.status).toBe(409);
+  });
+
+  test('a string body version naming the current version is accepted', async () => {
+    const response = await teacher.put(`/api/attendance/${record.id}`)
+      .send({ absentStudents: [], version: String(record.version + 1) });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.version).toBe(record.version + 2);
+  });
+});
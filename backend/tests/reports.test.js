@@ -0,0 +1,53 @@
+// backend/tests/reports.test.js - Attendance Report Preview and HTML Report
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+const db = require('../utils/database');
+
+describe('attendance reports', () => {
+  let admin;
+  const monday = schoolDay(6, 1);
+  const wednesday = schoolDay(6, 3);
+  const range = { classId: 1, subjectId: 1, startDate: monday, endDate: wednesday };
+
+  beforeAll(async () => {
+    const app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+
+    // Class 1 has subject 1 at 09:00 on Monday and 11:00 on Wednesday (15 minutes grace)
+    db.addAttendanceRecord({
+      classId: 1, subjectId: 1, date: monday, absentStudents: [], teacherId: 2, submittedBy: 2,
+      submittedAt: `${monday}T09:05:00.000Z`
+    });
+    db.addAttendanceRecord({
+      classId: 1, subjectId: 1, date: wednesday, absentStudents: [], teacherId: 2, submittedBy: 2,
+      submittedAt: `${wednesday}T14:00:00.000Z`
+    });
+
+    // Correcting the on-time record days later does not make it late
+    await admin.post('/api/attendance')
+      .send({ classId: 1, subjectId: 1, date: monday, absentStudents: [2] })
+      .expect(201);
+  }, 60000);
+
+  test('the preview counts late submissions by when each record was first submitted', async () => {
+    const response = await admin.post('/api/reports/preview').send(range);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.recordCount).toBe(2);
+    expect(response.body.data.statistics.lateSubmissions).toBe(1);
+  });
+
+  test('the HTML report states how many records were submitted late', async () => {
+    const response = await admin.post('/api/reports/generate').send({ ...range, format: 'html' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/html/);
+    expect(response.text).toContain('with 2 attendance records (1 submitted late)');
+  });
+
+  test('report templates are listed', async () => {
+    const response = await admin.get('/api/reports/templates');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBeGreaterThan(0);
+  });
+});
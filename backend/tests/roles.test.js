@@ -0,0 +1,86 @@
+// backend/tests/roles.test.js - Roles and Permission Checks
+const request = require('supertest');
+const { startApp, login, apiClient } = require('./helpers');
+const db = require('../utils/database');
+const { PERMISSIONS } = require('../utils/permissions');
+
+describe('/api/roles', () => {
+  let app;
+  let admin;
+  let teacher;
+
+  beforeAll(async () => {
+    app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+    teacher = apiClient(app, await login(app, 'teacher1'));
+  }, 60000);
+
+  test('the principal role cannot lose roles:manage', async () => {
+    const permissions = db.findRoleByName('principal').permissions.filter(permission => permission !== 'roles:manage');
+
+    const response = await admin.put('/api/roles/principal').send({ permissions });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('PROTECTED_PERMISSION');
+    expect(db.findRoleByName('principal').permissions).toContain('roles:manage');
+  });
+
+  test('a custom role needs a valid name and known permissions, and a name of its own', async () => {
+    const invalid = await admin.post('/api/roles').send({ name: 'Office Clerk', label: 'Office Clerk', permissions: ['schedule:fly'] });
+    const taken = await admin.post('/api/roles').send({ name: 'teacher', label: 'Teacher', permissions: [] });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toEqual([
+      'Name must be 2-30 lowercase letters, digits or dashes, starting with a letter',
+      'Unknown permissions: schedule:fly'
+    ]);
+    expect(taken.status).toBe(409);
+    expect(taken.body.code).toBe('ROLE_EXISTS');
+  });
+
+  test('users of a custom role get exactly its permissions, and grant changes apply at once', async () => {
+    const created = await admin.post('/api/roles').send({
+      name: 'timetabler',
+      label: 'Timetabler',
+      permissions: ['schedule:view', 'schedule:view']
+    });
+    await db.createUser({ username: 'timetabler1', password: 'Timetable123!', name: 'Tim Tabler', email: 'tim@virtualacademy.edu', role: 'timetabler' });
+    const signedIn = await request(app).post('/api/auth/login').send({ username: 'timetabler1', password: 'Timetable123!' });
+    const timetabler = apiClient(app, signedIn.body.token);
+    const entry = { teacherId: 2, classId: 3, subjectId: 1, dayOfWeek: 'Saturday', startTime: '09:00', endTime: '09:50' };
+
+    const view = await timetabler.get('/api/schedule');
+    const refused = await timetabler.post('/api/schedule').send(entry);
+    await admin.put('/api/roles/timetabler').send({ permissions: ['schedule:view', 'schedule:manage'] }).expect(200);
+    const allowed = await timetabler.post('/api/schedule').send(entry);
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ permissions: ['schedule:view'], isSystem: false, userCount: 0 });
+    expect(view.status).toBe(200);
+    expect(refused.status).toBe(403);
+    expect(refused.body).toMatchObject({
+      code: 'INSUFFICIENT_PERMISSIONS',
+      userRole: 'timetabler',
+      requiredPermissions: ['schedule:manage']
+    });
+    expect(allowed.status).toBe(201);
+  });
+
+  test('roles without roles:manage cannot change roles', async () => {
+    const response = await teacher.put('/api/roles/teacher').send({ permissions: Object.keys(PERMISSIONS) });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+    expect(db.findRoleByName('teacher').permissions).not.toContain('roles:manage');
+  });
+
+  test('built-in roles and roles still assigned to users cannot be deleted', async () => {
+    const builtIn = await admin.delete('/api/roles/teacher');
+    const inUse = await admin.delete('/api/roles/timetabler');
+
+    expect(builtIn.status).toBe(400);
+    expect(builtIn.body.code).toBe('SYSTEM_ROLE');
+    expect(inUse.status).toBe(409);
+    expect(inUse.body).toMatchObject({ code: 'ROLE_IN_USE', userCount: 1 });
+  });
+});
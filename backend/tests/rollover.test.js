@@ -0,0 +1,75 @@
+// backend/tests/rollover.test.js - Academic Year Rollover and Grade Promotion
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+const db = require('../utils/database');
+
+describe('academic year rollover', () => {
+  let admin;
+  let teacher;
+  let retained;
+  let leaving;
+  let promoted;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+    teacher = apiClient(app, await login(app, 'teacher1'));
+
+    [retained, leaving, promoted] = db.findClassById(1).students.filter(student => student.isActive);
+  }, 60000);
+
+  test('the preview reports what would happen without changing anything', async () => {
+    const response = await admin.post('/api/academic-years/rollover/preview')
+      .send({ retainedStudentIds: [retained.id], leavingStudentIds: [leaving.id] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ fromYear: '2024-2025', toYear: '2025-2026', canConfirm: true });
+    expect(response.body.data.summary).toMatchObject({ classesArchived: 3, retained: 1, leaving: 1 });
+    expect(response.body.data.classes.map(cls => cls.name).sort()).toEqual(['10A', '11A', '11B', '12A']);
+    expect(db.getSettings().academicYear).toBe('2024-2025');
+  });
+
+  test('a preview with errors cannot be confirmed', async () => {
+    const preview = await admin.post('/api/academic-years/rollover/preview')
+      .send({ toYear: '2023-2024', retainedStudentIds: [retained.id], leavingStudentIds: [retained.id] });
+    const rollover = await admin.post('/api/academic-years/rollover')
+      .send({ retainedStudentIds: [999999] });
+
+    expect(preview.body.data.canConfirm).toBe(false);
+    expect(preview.body.data.errors).toHaveLength(2);
+    expect(rollover.status).toBe(422);
+    expect(rollover.body.code).toBe('ROLLOVER_HAS_ERRORS');
+  });
+
+  test('only users with academic-years:manage may roll over', async () => {
+    const response = await teacher.post('/api/academic-years/rollover').send({});
+
+    expect(response.status).toBe(403);
+  });
+
+  test('the rollover archives the year and moves students into next-year classes', async () => {
+    const response = await admin.post('/api/academic-years/rollover')
+      .send({ retainedStudentIds: [retained.id], leavingStudentIds: [leaving.id] });
+
+    expect(response.status).toBe(200);
+    expect(db.getSettings().academicYear).toBe('2025-2026');
+
+    const nextYear = db.getAllClasses({ academicYear: '2025-2026' });
+    const classOf = (student) => nextYear.find(cls => cls.students.some(s => s.id === student.id && s.isActive));
+    expect(classOf(promoted).name).toBe('11A');
+    expect(classOf(retained).name).toBe('10A');
+    expect(classOf(leaving)).toBeUndefined();
+    expect(db.findClassById(1).archivedAt).toBeTruthy();
+  });
+
+  test('archived classes are read-only and their year can still be reported on', async () => {
+    const submit = await admin.post('/api/attendance')
+      .send({ classId: 1, subjectId: 1, date: schoolDay(0), absentStudents: [] });
+    const year = await admin.get('/api/academic-years/2024-2025');
+
+    expect(submit.status).toBe(409);
+    expect(submit.body.code).toBe('CLASS_ARCHIVED');
+    expect(year.status).toBe(200);
+    expect(year.body.data.status).toBe('archived');
+    expect(year.body.data.statistics.totalRecords).toBeGreaterThan(0);
+  });
+});
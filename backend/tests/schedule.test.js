@@ -0,0 +1,78 @@
+// backend/tests/schedule.test.js - Timetable Conflicts
+const { startApp, login, apiClient } = require('./helpers');
+const db = require('../utils/database');
+
+// Codes of the conflicts in a 409 SCHEDULE_CONFLICT response
+const conflictCodes = (response) => response.body.conflicts.map(conflict => conflict.code);
+
+describe('/api/schedule', () => {
+  let admin;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+  }, 60000);
+
+  // 10A has Mathematics with teacher1 (id 2) in Room 101 on Mondays 09:00-09:50
+  const entry = (fields) => ({ dayOfWeek: 'Monday', startTime: '09:30', endTime: '10:20', ...fields });
+
+  test.each([
+    ['TEACHER_DOUBLE_BOOKED', { teacherId: 2, classId: 3, subjectId: 1, room: 'Room 201' }],
+    ['CLASS_OVERLAP', { teacherId: 3, classId: 1, subjectId: 3, room: 'Room 201' }],
+    ['ROOM_CLASH', { teacherId: 4, classId: 2, subjectId: 5, room: ' room 101 ' }]
+  ])('an entry that clashes with the timetable is refused with %s', async (code, fields) => {
+    const response = await admin.post('/api/schedule').send(entry(fields));
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('SCHEDULE_CONFLICT');
+    expect(conflictCodes(response)).toEqual([code]);
+    expect(response.body.conflicts[0].schedule).toMatchObject({ id: 1, className: '10A', subjectName: expect.any(String) });
+  });
+
+  test('a teacher who does not teach the subject is refused with TEACHER_NOT_ASSIGNED', async () => {
+    const response = await admin.post('/api/schedule').send(entry({ teacherId: 3, classId: 3, subjectId: 1, dayOfWeek: 'Friday', startTime: '14:00', endTime: '14:50' }));
+
+    expect(response.status).toBe(409);
+    expect(conflictCodes(response)).toEqual(['TEACHER_NOT_ASSIGNED']);
+    expect(response.body.conflicts[0]).toMatchObject({ subjectId: 1, assignedTeachers: [2] });
+  });
+
+  test('a change that clashes leaves the entry as it was', async () => {
+    const response = await admin.put('/api/schedule/4').send({ classId: 1, dayOfWeek: 'Monday' });
+
+    expect(response.status).toBe(409);
+    expect(conflictCodes(response)).toEqual(['TEACHER_DOUBLE_BOOKED', 'CLASS_OVERLAP', 'ROOM_CLASH']);
+    expect(db.findScheduleById(4)).toMatchObject({ classId: 2, dayOfWeek: 'Thursday' });
+  });
+
+  test('the conflict check reports clashes without saving', async () => {
+    const before = db.getAllSchedules().length;
+
+    const response = await admin.post('/api/schedule/conflicts').send(entry({ teacherId: 2, classId: 3, subjectId: 1, room: 'Room 201' }));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.hasConflicts).toBe(true);
+    expect(response.body.data.conflicts.map(conflict => conflict.code)).toEqual(['TEACHER_DOUBLE_BOOKED']);
+    expect(db.getAllSchedules()).toHaveLength(before);
+  });
+
+  test('any role that may take attendance for its own periods can teach, other roles cannot', async () => {
+    await admin.post('/api/roles').send({
+      name: 'cover-teacher',
+      label: 'Cover Teacher',
+      permissions: ['attendance:submit:own', 'schedule:view']
+    }).expect(201);
+    const cover = db.createUserRecord({ username: 'cover1', password: 'unused', name: 'Cover Teacher', email: 'cover1@virtualacademy.edu', role: 'cover-teacher' });
+    const guardian = db.findUser({ username: 'parent1' });
+    const check = (teacherId) => admin.post('/api/schedule/conflicts')
+      .send(entry({ teacherId, classId: 3, subjectId: 5, dayOfWeek: 'Saturday' }));
+
+    const coverResponse = await check(cover.id);
+    const guardianResponse = await check(guardian.id);
+
+    expect(coverResponse.status).toBe(200);
+    expect(coverResponse.body.data.conflicts.map(conflict => conflict.code)).toEqual(['TEACHER_NOT_ASSIGNED']);
+    expect(guardianResponse.status).toBe(404);
+    expect(guardianResponse.body.code).toBe('TEACHER_NOT_FOUND');
+  });
+});
@@ -0,0 +1,90 @@
+// backend/tests/securityAudit.test.js - Account Security Events in the Audit Log
+const request = require('supertest');
+const { startApp, login, apiClient } = require('./helpers');
+const { generateCode } = require('../utils/totp');
+const mailService = require('../services/mailService');
+const db = require('../utils/database');
+
+// Current code of an authenticator app set up with `secret`
+const currentCode = (secret) => generateCode(secret, Math.floor(Date.now() / 30000));
+
+const securityEvents = (userId) => db.getAuditEntries({ entityType: 'user', entityId: userId })
+  .map(entry => entry.action);
+
+describe('account security events', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startApp();
+  }, 60000);
+
+  test('reusing a rotated refresh token is logged against the account', async () => {
+    const login = await request(app).post('/api/auth/login').send({ username: 'teacher2', password: 'teacher123' });
+    const { refreshToken, user } = login.body;
+
+    await request(app).post('/api/auth/refresh-token').send({ refreshToken }).expect(200);
+    const reuse = await request(app).post('/api/auth/refresh-token').send({ refreshToken });
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(securityEvents(user.id)).toEqual(['refresh-token-reuse']);
+    expect(db.getAuditEntries({ entityType: 'user', entityId: user.id })[0]).toMatchObject({ actorId: null, actorIp: expect.any(String) });
+  });
+
+  test('two-factor enrollment, lockout and an administrator reset are logged with who did them', async () => {
+    const teacher = apiClient(app, await login(app, 'teacher3'));
+    const admin = apiClient(app, await login(app, 'admin'));
+    const { id } = db.findUser({ username: 'teacher3' });
+
+    const { secret } = (await teacher.post('/api/auth/2fa/setup')).body;
+    await teacher.post('/api/auth/2fa/enable').send({ code: currentCode(secret) }).expect(200);
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await teacher.post('/api/auth/2fa/recovery-codes').send({ code: '000000' }).expect(401);
+    }
+    const locked = await teacher.post('/api/auth/2fa/recovery-codes').send({ code: currentCode(secret) });
+    await admin.delete(`/api/auth/users/${id}/2fa`).expect(200);
+
+    expect(locked.status).toBe(429);
+    const entries = db.getAuditEntries({ entityType: 'user', entityId: id });
+    expect(entries.map(entry => [entry.action, entry.actorId])).toEqual([
+      ['two-factor-enabled', id],
+      ['two-factor-locked', id],
+      ['two-factor-disabled', 1]
+    ]);
+    expect(entries[1].afterState).toMatchObject({ failedAttempts: 5, lockedUntil: expect.any(String) });
+  });
+
+  test('password resets, throttled requests and undelivered reset emails are logged', async () => {
+    const { id } = db.findUser({ username: 'parent1' });
+    const send = jest.spyOn(mailService, 'send');
+    // The reset email goes out after the response
+    const forgot = async () => {
+      const sent = send.mock.calls.length;
+      await request(app).post('/api/auth/forgot-password').send({ username: 'parent1' }).expect(200);
+      if (send.mock.calls.length > sent) {
+        await send.mock.results[sent].value.catch(() => {});
+      }
+    };
+    const transport = mailService.transport;
+    const transportName = mailService.transportName;
+
+    mailService.setTransport({ sendMail: () => Promise.reject(new Error('SMTP unavailable')) });
+    await forgot();
+    mailService.setTransport(transport, transportName);
+
+    await forgot();
+    await forgot();
+    const token = mailService.outbox[mailService.outbox.length - 1].text.match(/reset-password\/(\w+)/)[1];
+    await forgot();
+    await request(app).post(`/api/auth/reset-password/${token}`)
+      .send({ password: 'NewParent123!', confirmPassword: 'NewParent123!' })
+      .expect(200);
+
+    send.mockRestore();
+
+    const entries = db.getAuditEntries({ entityType: 'user', entityId: id });
+    expect(entries.map(entry => entry.action)).toEqual(['reset-email-failed', 'reset-rate-limited', 'password-reset']);
+    expect(entries[0].afterState).toEqual({ error: 'SMTP unavailable' });
+    expect(entries.every(entry => entry.actorIp)).toBe(true);
+  });
+});
@@ -0,0 +1,38 @@
+// backend/tests/sessions.test.js - Logging Out Every Device
+const { startApp, login, apiClient } = require('./helpers');
+
+describe('POST /api/auth/logout-all', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startApp();
+  }, 60000);
+
+  afterEach(() => jest.useRealTimers());
+
+  // Only the clock is frozen; timers keep running so requests complete
+  const freezeClock = (now) => jest.useFakeTimers({
+    now,
+    doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+  });
+
+  test('revokes tokens issued in the same second, including the caller\'s own', async () => {
+    const now = Date.UTC(2026, 9, 19, 8, 0, 0, 500);
+    freezeClock(now);
+    const token = await login(app, 'teacher1');
+    const other = apiClient(app, await login(app, 'teacher1'));
+    const teacher = apiClient(app, token);
+
+    await teacher.post('/api/auth/logout-all').expect(200);
+
+    const own = await teacher.get('/api/auth/me');
+    const otherDevice = await other.get('/api/auth/me');
+    expect(own.status).toBe(401);
+    expect(own.body.code).toBe('TOKEN_REVOKED');
+    expect(otherDevice.status).toBe(401);
+
+    jest.setSystemTime(now + 1);
+    const again = apiClient(app, await login(app, 'teacher1'));
+    await again.get('/api/auth/me').expect(200);
+  });
+});
@@ -0,0 +1,89 @@
+// backend/tests/settings.test.js - School Attendance Settings
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+const db = require('../utils/database');
+
+describe('/api/settings', () => {
+  let admin;
+  let teacher;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+    teacher = apiClient(app, await login(app, 'teacher1'));
+  }, 60000);
+
+  test('staff can read the attendance settings', async () => {
+    const response = await teacher.get('/api/settings');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({
+      attendanceRules: { attendedStatuses: ['present', 'late', 'on-duty'], excludedStatuses: ['excused'] },
+      attendanceLockHours: 48,
+      timezone: 'UTC',
+      attendanceDeadline: '10:00',
+      lateSubmissionGraceMinutes: 15
+    });
+  });
+
+  test('only users with settings:manage may change them', async () => {
+    const response = await teacher.put('/api/settings').send({ attendanceLockHours: 0 });
+
+    expect(response.status).toBe(403);
+    expect(db.getSettings().attendanceLockHours).toBe(48);
+  });
+
+  test('invalid settings are rejected with every error and nothing is saved', async () => {
+    const response = await admin.put('/api/settings').send({
+      attendanceRules: { attendedStatuses: ['present', 'asleep'] },
+      attendanceLockHours: -1,
+      timezone: 'Mars/Olympus_Mons',
+      attendanceDeadline: '25:00'
+    });
+    const overlap = await admin.put('/api/settings').send({
+      attendanceRules: { attendedStatuses: ['present', 'excused'] }
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.map(error => error.field)).toEqual([
+      'attendanceRules.attendedStatuses',
+      'attendanceLockHours',
+      'timezone',
+      'attendanceDeadline'
+    ]);
+    expect(overlap.status).toBe(400);
+    expect(overlap.body.details[0].message).toContain('excused');
+    expect(db.getSettings()).toMatchObject({ attendanceLockHours: 48, timezone: 'UTC' });
+  });
+
+  test('changes are saved and the fields left out keep their value', async () => {
+    const response = await admin.put('/api/settings').send({
+      attendanceRules: { excludedStatuses: ['excused', 'on-duty'], attendedStatuses: ['present', 'late'] },
+      attendanceLockHours: 24,
+      timezone: 'Europe/London'
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      attendanceRules: { attendedStatuses: ['present', 'late'], excludedStatuses: ['excused', 'on-duty'] },
+      attendanceLockHours: 24,
+      timezone: 'Europe/London',
+      attendanceDeadline: '10:00'
+    });
+    expect(db.getSettings()).toMatchObject({ attendanceLockHours: 24, timezone: 'Europe/London' });
+  });
+
+  test('the lock window applies to records from then on', async () => {
+    const submittedAt = new Date(Date.now() - 30 * 60 * 60 * 1000).toISOString();
+    const record = db.addAttendanceRecord({
+      classId: 1, subjectId: 1, date: schoolDay(10), absentStudents: [], teacherId: 2, submittedBy: 2, submittedAt
+    });
+
+    const locked = await teacher.put(`/api/attendance/${record.id}`).send({ absentStudents: [2] });
+    await admin.put('/api/settings').send({ attendanceLockHours: 0 }).expect(200);
+    const unlocked = await teacher.put(`/api/attendance/${record.id}`).send({ absentStudents: [2] });
+
+    expect(locked.status).toBe(403);
+    expect(locked.body.code).toBe('RECORD_LOCKED');
+    expect(unlocked.status).toBe(200);
+  });
+});
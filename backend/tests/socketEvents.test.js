@@ -0,0 +1,84 @@
+// backend/tests/socketEvents.test.js - Real-time Event Envelopes and Resync
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+const socketService = require('../services/socketService');
+const db = require('../utils/database');
+
+// Enough of a Socket.IO socket for handleConnection(): rooms, emitted messages and handlers
+const connect = (user) => {
+  const socket = {
+    id: `socket-${user.id}`,
+    user,
+    rooms: new Set(),
+    emitted: [],
+    handlers: {},
+    join(room) { this.rooms.add(room); },
+    leave(room) { this.rooms.delete(room); },
+    emit(type, payload) { this.emitted.push([type, payload]); },
+    on(type, handler) { this.handlers[type] = handler; }
+  };
+  socket.rooms.add(socket.id);
+  socketService.handleConnection(socket);
+  return socket;
+};
+
+// Send a request the way a client does and return the acknowledgement
+const ask = (socket, type, payload) => new Promise(resolve => socket.handlers[type](payload, resolve));
+
+describe('socket events', () => {
+  let teacher;
+  let teacherSocket;
+  let otherTeacherSocket;
+  let session;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    teacher = apiClient(app, await login(app, 'teacher1'));
+
+    // teacher1 teaches 10A and 10B, teacher2 teaches 10B and 11A
+    teacherSocket = connect(db.findUser({ username: 'teacher1' }));
+    otherTeacherSocket = connect(db.findUser({ username: 'teacher2' }));
+    session = teacherSocket.emitted.find(([type]) => type === 'session')[1];
+  }, 60000);
+
+  test('a connection joins the rooms of the classes the user teaches', () => {
+    expect(session).toMatchObject({ serverId: socketService.serverId, lastEventId: expect.any(Number) });
+    expect(session.rooms).toEqual(expect.arrayContaining(['user_2', 'role_teacher', 'class_1', 'class_2']));
+    expect(session.rooms).not.toContain('school');
+  });
+
+  test('a reconnecting client gets the events of its rooms it missed, in envelopes', async () => {
+    await teacher.post('/api/attendance')
+      .send({ classId: 1, subjectId: 1, date: schoolDay(3, 1), absentStudents: [2] })
+      .expect(201);
+
+    const resync = await ask(teacherSocket, 'resync', { serverId: session.serverId, lastEventId: session.lastEventId });
+    const otherResync = await ask(otherTeacherSocket, 'resync', { serverId: session.serverId, lastEventId: session.lastEventId });
+
+    expect(resync.fullResync).toBe(false);
+    expect(resync.events).toEqual([{
+      eventId: socketService.lastEventId,
+      type: 'attendanceSubmitted',
+      timestamp: expect.any(String),
+      data: expect.objectContaining({ classId: 1, subjectId: 1, date: schoolDay(3, 1) })
+    }]);
+    expect(resync.lastEventId).toBe(socketService.lastEventId);
+    expect(otherResync.events.map(event => event.type)).not.toContain('attendanceSubmitted');
+  });
+
+  test('a client from before a restart, or too far behind, is told to refetch everything', async () => {
+    const restarted = await ask(teacherSocket, 'resync', { serverId: 'previous-server', lastEventId: session.lastEventId });
+    const ahead = await ask(teacherSocket, 'resync', { serverId: session.serverId, lastEventId: socketService.lastEventId + 5 });
+
+    expect(restarted).toMatchObject({ fullResync: true, serverId: socketService.serverId, events: [] });
+    expect(ahead).toMatchObject({ fullResync: true, events: [] });
+  });
+
+  test('teachers can only join the rooms of their own classes', async () => {
+    const own = await ask(teacherSocket, 'joinRoom', { classId: 2 });
+    const other = await ask(teacherSocket, 'joinRoom', { classId: 3 });
+
+    expect(own).toEqual({ success: true, room: 'class_2' });
+    expect(other).toMatchObject({ success: false, code: 'ACCESS_DENIED' });
+    expect(teacherSocket.rooms.has('class_3')).toBe(false);
+  });
+});
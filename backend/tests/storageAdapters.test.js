@@ -0,0 +1,131 @@
+// backend/tests/storageAdapters.test.js - In-Memory and SQLite Storage Adapter Parity
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { schoolDay } = require('./helpers');
+
+const SQLITE_PATH = path.join(os.tmpdir(), `vrc-adapters-${process.pid}.sqlite`);
+process.env.SQLITE_PATH = SQLITE_PATH;
+
+const memory = require('../utils/database');
+const sqlite = require('../utils/sqliteDatabase');
+
+const ADAPTERS = [['memory', memory], ['sqlite', sqlite]];
+
+// Fields each adapter stamps with its own clock (and the hashes that cover them)
+const CLOCK_FIELDS = ['createdAt', 'updatedAt', 'lastLogin', 'timestamp', 'hash', 'previousHash'];
+
+// Storage may drop null fields
+const comparable = (value) => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value, (key, field) => (
+  field === null || CLOCK_FIELDS.includes(key) ? undefined : field
+))));
+
+// Run the same calls against both adapters; SQLite rows may carry extra schema defaults
+const expectSame = (operation) => {
+  const [fromMemory, fromSqlite] = ADAPTERS.map(([, adapter]) => comparable(operation(adapter)));
+  if (fromMemory && typeof fromMemory === 'object') {
+    expect(fromSqlite).toMatchObject(fromMemory);
+  } else {
+    expect(fromSqlite).toEqual(fromMemory);
+  }
+  return fromMemory;
+};
+
+const context = { actorId: 2, ip: '127.0.0.1' };
+
+describe('storage adapters', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await memory.initializeDatabase();
+    sqlite.connect();
+    sqlite.importDatabase(memory.exportDatabase());
+  }, 60000);
+
+  afterAll(() => {
+    sqlite.close();
+    ['', '-wal', '-shm'].forEach(suffix => fs.rmSync(`${SQLITE_PATH}${suffix}`, { force: true }));
+    jest.restoreAllMocks();
+  });
+
+  test('export the same functions', () => {
+    const adapterOnly = ['TABLE_SCHEMAS', 'connect', 'close'];
+    expect(Object.keys(sqlite).filter(name => !adapterOnly.includes(name)).sort())
+      .toEqual(Object.keys(memory).sort());
+  });
+
+  test('hold the same data after an import', () => {
+    expectSame(adapter => adapter.getAllClasses());
+    expectSame(adapter => adapter.getAllSubjects());
+    expectSame(adapter => adapter.getAllSchedules());
+    expectSame(adapter => adapter.getAttendanceRecords());
+    expectSame(adapter => adapter.getSettings());
+  });
+
+  test('create, replace, update and delete attendance alike', () => {
+    const date = schoolDay(8, 2);
+    const submission = { classId: 1, subjectId: 2, date, teacherId: 2, submittedBy: 2, notes: '' };
+
+    const created = expectSame(adapter => adapter.addAttendanceRecord({
+      ...submission,
+      absentStudents: [2],
+      submittedAt: `${date}T10:05:00.000Z`
+    }, context));
+    expect(created).toMatchObject({ version: 1, absentStudents: [2], isLateSubmission: false });
+
+    const replaced = expectSame(adapter => adapter.addAttendanceRecord({
+      ...submission,
+      absentStudents: [],
+      studentStatuses: { 2: { status: 'late', reason: 'bus' } }
+    }, context));
+    expect(replaced).toMatchObject({ id: created.id, version: 2, submittedAt: created.submittedAt, isLateSubmission: false });
+
+    const updated = expectSame(adapter => adapter.updateAttendanceRecord(created.id, { notes: 'Checked' }, context));
+    expect(updated).toMatchObject({ version: 3, notes: 'Checked' });
+    expect(updated.editHistory).toHaveLength(2);
+
+    expectSame(adapter => adapter.getAttendanceRecords({ classId: 1, date }));
+    expectSame(adapter => adapter.getAttendanceStatistics({ classId: 1 }));
+    expectSame(adapter => adapter.getStudentAttendanceHistory(2, { classId: 1 }));
+    expectSame(adapter => adapter.getAuditEntries({ entityType: 'attendance', entityId: created.id }));
+
+    expectSame(adapter => adapter.deleteAttendanceRecord(created.id, context));
+    expectSame(adapter => adapter.getAttendanceRecord(1, 2, date));
+  });
+
+  test('version users, classes and subjects alike', () => {
+    const user = expectSame(adapter => adapter.createUserRecord({
+      username: 'parity', password: 'hash', name: 'Parity Check', email: 'parity@school.edu', role: 'teacher'
+    }));
+    expect(user.version).toBe(1);
+
+    expect(expectSame(adapter => adapter.updateUser(user.id, { name: 'Parity Checked' })).version).toBe(2);
+    expect(expectSame(adapter => adapter.updateUserLoginInfo(user.id)).version).toBe(2);
+    expect(expectSame(adapter => adapter.updateClass(1, { room: 'Room 201' })).version).toBe(2);
+    expect(expectSame(adapter => adapter.updateSubject(1, { description: 'Numbers' })).version).toBe(2);
+  });
+
+  test('record offline sync mutations alike', () => {
+    expectSame(adapter => adapter.createSyncMutation({ userId: 2, clientId: 'parity-1', recordId: 1, version: 1 }));
+    expectSame(adapter => adapter.findSyncMutation(2, 'parity-1'));
+    expectSame(adapter => adapter.findSyncMutation(3, 'parity-1'));
+  });
+
+  test('log account events alike', () => {
+    const event = { entityType: 'user', entityId: 2, action: 'refresh-token-reuse', before: null, after: { familyId: 'parity' } };
+
+    expect(expectSame(adapter => adapter.addAuditEntry(event, context))).toMatchObject({ action: 'refresh-token-reuse', actorIp: '127.0.0.1' });
+    expectSame(adapter => adapter.getAuditEntries({ entityType: 'user', entityId: 2 }));
+  });
+
+  test('roll back a failed transaction alike', () => {
+    const date = schoolDay(9, 2);
+
+    expectSame(adapter => {
+      expect(() => adapter.runInTransaction(() => {
+        adapter.addAttendanceRecord({ classId: 1, subjectId: 2, date, absentStudents: [], teacherId: 2, submittedBy: 2 }, context);
+        throw new Error('rollback');
+      })).toThrow('rollback');
+      return adapter.getAttendanceRecords({ date });
+    });
+  });
+});
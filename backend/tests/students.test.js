@@ -0,0 +1,65 @@
+// backend/tests/students.test.js - Student Transfers and Re-Enrollment
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+const db = require('../utils/database');
+
+describe('/api/students', () => {
+  let admin;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+  }, 60000);
+
+  const rosterIds = (classId) => db.findClassById(classId).students
+    .filter(student => student.isActive)
+    .map(student => student.id);
+
+  // Emma Johnson (student 2) starts in 10A (class 1)
+  test('a transfer keeps the student and their attendance history, and moves them between rosters', async () => {
+    const date = schoolDay(0);
+    const historyBefore = (await admin.get('/api/attendance/student/2/history')).body.data;
+
+    const transfer = await admin.post('/api/students/2/transfer').send({ classId: 2, date, notes: 'Timetable change' });
+    const enrollments = await admin.get('/api/students/2/enrollments');
+    const historyAfter = (await admin.get('/api/attendance/student/2/history')).body.data;
+
+    expect(transfer.status).toBe(200);
+    expect(transfer.body.data.student).toMatchObject({ id: 2, classId: 2, className: '10B', isEnrolled: true });
+    expect(enrollments.body.data).toEqual([
+      expect.objectContaining({ classId: 1, endDate: date, endReason: 'transfer' }),
+      expect.objectContaining({ classId: 2, startDate: date, endDate: null, reason: 'transfer' })
+    ]);
+    expect(rosterIds(1)).not.toContain(2);
+    expect(rosterIds(2)).toContain(2);
+    expect(historyBefore.length).toBeGreaterThan(0);
+    expect(historyAfter).toEqual(historyBefore);
+  });
+
+  test('a transfer to the same class is refused', async () => {
+    const response = await admin.post('/api/students/2/transfer').send({ classId: 2 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('SAME_CLASS');
+  });
+
+  // Michael Brown (student 3) leaves 10A and comes back
+  test('a withdrawn student can only be re-enrolled from the day they left', async () => {
+    const leftOn = schoolDay(1);
+    await admin.post('/api/students/3/withdraw').send({ date: leftOn, reason: 'withdrawal' }).expect(200);
+
+    const transfer = await admin.post('/api/students/3/transfer').send({ classId: 2 });
+    const tooEarly = await admin.post('/api/students/3/enroll').send({ classId: 1, date: schoolDay(2) });
+    const enrolled = await admin.post('/api/students/3/enroll').send({ classId: 1, date: schoolDay(0) });
+    const again = await admin.post('/api/students/3/enroll').send({ classId: 1 });
+
+    expect(transfer.status).toBe(409);
+    expect(transfer.body.code).toBe('NOT_ENROLLED');
+    expect(tooEarly.status).toBe(400);
+    expect(tooEarly.body.details).toEqual([`Date cannot be before ${leftOn}`]);
+    expect(enrolled.status).toBe(201);
+    expect(enrolled.body.data.enrollment).toMatchObject({ classId: 1, startDate: schoolDay(0), reason: 're-enrollment' });
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('ALREADY_ENROLLED');
+    expect(rosterIds(1)).toContain(3);
+  });
+});
@@ -0,0 +1,49 @@
+// backend/tests/substitutions.test.js - Substitute Teachers
+const { startApp, login, apiClient, schoolDay } = require('./helpers');
+
+describe('/api/substitutions', () => {
+  let admin;
+  let substitute;
+
+  beforeAll(async () => {
+    const app = await startApp();
+    admin = apiClient(app, await login(app, 'admin'));
+    substitute = apiClient(app, await login(app, 'teacher2'));
+  }, 60000);
+
+  // teacher1 (id 2) teaches 10A Mathematics on Mondays 09:00-09:50 (schedule 1); teacher2 is id 3
+  const monday = schoolDay(0, 1);
+  const attendance = (date) => ({ classId: 1, subjectId: 1, date, absentStudents: [] });
+
+  test('a substitute takes attendance for the periods they cover, on the covered dates only', async () => {
+    const before = await substitute.post('/api/attendance').send(attendance(monday));
+
+    const created = await admin.post('/api/substitutions').send({
+      originalTeacherId: 2,
+      substituteTeacherId: 3,
+      scheduleIds: [1],
+      startDate: monday,
+      reason: 'Conference'
+    });
+    const covered = await substitute.post('/api/attendance').send(attendance(monday));
+    const otherWeek = await substitute.post('/api/attendance').send(attendance(schoolDay(1, 1)));
+
+    expect(before.status).toBe(403);
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ scheduleIds: [1], startDate: monday, endDate: monday });
+    expect(covered.status).toBe(201);
+    expect(covered.body.data).toMatchObject({ teacherId: 3, substituteFor: 2, substitutionId: created.body.data.id });
+    expect(otherWeek.status).toBe(403);
+  });
+
+  test('a period that is already covered cannot be given to a second substitute', async () => {
+    const response = await admin.post('/api/substitutions').send({
+      originalTeacherId: 2,
+      substituteTeacherId: 4,
+      startDate: monday
+    });
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('SUBSTITUTION_CONFLICT');
+  });
+});
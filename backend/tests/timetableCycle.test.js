@@ -0,0 +1,93 @@
+// backend/tests/timetableCycle.test.js - Academic Calendar and Rotating Timetable Cycles
+const { createAcademicCalendar } = require('../utils/academicCalendar');
+const { createTimetableCycle, validateScheduleCycle } = require('../utils/timetableCycle');
+
+// Autumn term from Monday 7 September 2026, spring term from Monday 4 January 2027
+const EVENTS = [
+  { name: 'Autumn Term', type: 'term', startDate: '2026-09-07', endDate: '2026-12-18', classIds: [] },
+  { name: 'Spring Term', type: 'term', startDate: '2027-01-04', endDate: '2027-03-26', classIds: [] },
+  { name: 'Founders\' Day', type: 'holiday', startDate: '2026-09-16', classIds: [] },
+  { name: 'Make-up Saturday', type: 'make-up-day', startDate: '2026-09-19', classIds: [] },
+  { name: '10A Field Trip', type: 'non-instructional', startDate: '2026-09-24', classIds: [1] }
+];
+
+const calendar = createAcademicCalendar(EVENTS);
+
+const cycleFor = (timetableCycle) => createTimetableCycle({ timetableCycle }, calendar);
+
+describe('createAcademicCalendar', () => {
+  test('holidays, weekends and dates outside the terms are not school days', () => {
+    expect(calendar.getDay('2026-09-15')).toMatchObject({ dayOfWeek: 'Tuesday', isSchoolDay: true, reason: null });
+    expect(calendar.getDay('2026-09-16')).toMatchObject({ isSchoolDay: false, reason: 'Founders\' Day' });
+    expect(calendar.getDay('2026-09-12')).toMatchObject({ dayOfWeek: 'Saturday', isSchoolDay: false, reason: 'Weekend' });
+    expect(calendar.getDay('2026-12-28')).toMatchObject({ dayOfWeek: 'Monday', isSchoolDay: false, reason: 'Outside term' });
+  });
+
+  test('a make-up day is a school day on a weekend', () => {
+    expect(calendar.getDay('2026-09-19')).toMatchObject({ dayOfWeek: 'Saturday', isSchoolDay: true });
+  });
+
+  test('events for some classes only close the school for those classes', () => {
+    expect(calendar.isSchoolDay('2026-09-24', 1)).toBe(false);
+    expect(calendar.isSchoolDay('2026-09-24', 2)).toBe(true);
+    expect(calendar.isSchoolDay('2026-09-24')).toBe(true);
+  });
+
+  test('school days are counted with both ends included', () => {
+    // Monday to Monday: the holiday and Sunday drop out, the make-up Saturday counts
+    expect(calendar.countSchoolDays('2026-09-14', '2026-09-21')).toBe(6);
+    expect(calendar.countSchoolDays('2026-09-21', '2026-09-25', 1)).toBe(4);
+  });
+});
+
+describe('createTimetableCycle', () => {
+  test('in a weekly timetable every entry happens on its weekday', () => {
+    const { getPosition, occursOn } = cycleFor(undefined);
+
+    expect(getPosition('2026-09-14')).toEqual({ date: '2026-09-14', dayOfWeek: 'Monday', cycleWeek: null, cycleDay: null });
+    expect(occursOn({ dayOfWeek: 'Monday' }, '2026-09-14')).toBe(true);
+    expect(occursOn({ dayOfWeek: 'Monday' }, '2026-09-15')).toBe(false);
+  });
+
+  test('A/B weeks alternate from the week the cycle starts in', () => {
+    const { getPosition, occursOn } = cycleFor({ type: 'weeks', length: 2, startDate: '2026-09-09', restartEachTerm: false });
+    const weekB = { dayOfWeek: 'Monday', cycleWeek: 2 };
+    const everyWeek = { dayOfWeek: 'Monday' };
+
+    expect(['2026-09-07', '2026-09-09', '2026-09-14', '2026-09-21'].map(date => getPosition(date).cycleWeek)).toEqual([null, 1, 2, 1]);
+    expect(occursOn(weekB, '2026-09-14')).toBe(true);
+    expect(occursOn(weekB, '2026-09-21')).toBe(false);
+    expect(occursOn(everyWeek, '2026-09-21')).toBe(true);
+  });
+
+  test('with restartEachTerm every term begins in week A', () => {
+    const continuing = cycleFor({ type: 'weeks', length: 2, startDate: '2026-09-07', restartEachTerm: false });
+    const restarting = cycleFor({ type: 'weeks', length: 2, startDate: '2026-09-07', restartEachTerm: true });
+
+    // 17 weeks after the autumn term started
+    expect(continuing.getPosition('2027-01-04').cycleWeek).toBe(2);
+    expect(restarting.getPosition('2027-01-04').cycleWeek).toBe(1);
+    expect(restarting.getPosition('2027-01-11').cycleWeek).toBe(2);
+  });
+
+  test('day-N cycles count school days only and skip holidays', () => {
+    const { getPosition, occursOn } = cycleFor({ type: 'days', length: 3, startDate: '2026-09-14', restartEachTerm: false });
+    const dates = ['2026-09-14', '2026-09-15', '2026-09-16', '2026-09-17', '2026-09-18', '2026-09-19', '2026-09-20', '2026-09-21'];
+
+    expect(dates.map(date => getPosition(date).cycleDay)).toEqual([1, 2, null, 3, 1, 2, null, 3]);
+    expect(occursOn({ cycleDay: 3 }, '2026-09-17')).toBe(true);
+    expect(occursOn({ cycleDay: 3 }, '2026-09-16')).toBe(false);
+    expect(occursOn({ dayOfWeek: 'Wednesday' }, '2026-09-23')).toBe(true);
+  });
+
+  test('entries must use the day fields of the cycle in range', () => {
+    const days = { type: 'days', length: 6 };
+    const weeks = { type: 'weeks', length: 2 };
+
+    expect(validateScheduleCycle({ cycleDay: 7 }, days).map(error => error.field)).toEqual(['cycleDay']);
+    expect(validateScheduleCycle({ cycleDay: 2, dayOfWeek: 'Monday' }, days).map(error => error.field)).toEqual(['dayOfWeek']);
+    expect(validateScheduleCycle({ dayOfWeek: 'Monday', cycleWeek: 3 }, weeks).map(error => error.field)).toEqual(['cycleWeek']);
+    expect(validateScheduleCycle({ cycleDay: 1 }, weeks).map(error => error.field)).toEqual(['cycleDay']);
+    expect(validateScheduleCycle({ dayOfWeek: 'Monday', cycleWeek: 2 }, weeks)).toEqual([]);
+  });
+});
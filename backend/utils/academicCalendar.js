@@ -0,0 +1,130 @@
+// backend/utils/academicCalendar.js - Academic Calendar (terms, holidays, school days)
+const { getDayOfWeek } = require('./lateSubmission');
+
+/**
+ * Calendar event types:
+ *   term              - instructional period; once any term exists, dates outside all terms are not school days
+ *   holiday           - no classes
+ *   non-instructional - no classes (staff training, school events, ...)
+ *   exam              - school day used for exams
+ *   early-dismissal   - school day ending at `dismissalTime`
+ *   make-up-day       - school day on a date that is normally off (e.g. a Saturday)
+ * Events with `classIds` only apply to those classes; an empty list means the whole school.
+ */
+const CALENDAR_EVENT_TYPES = ['term', 'holiday', 'non-instructional', 'exam', 'early-dismissal', 'make-up-day'];
+const NON_INSTRUCTIONAL_TYPES = ['holiday', 'non-instructional'];
+
+const DEFAULT_SCHOOL_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+const isValidDate = (dateString) => {
+  return typeof dateString === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(dateString) &&
+    !isNaN(new Date(dateString));
+};
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+/**
+ * Validate calendar event data; with `partial` only the given fields are checked
+ * (`existing` supplies the rest when checking an update)
+ */
+const validateCalendarEvent = (data, { partial = false, existing = {} } = {}) => {
+  const errors = [];
+  const event = { ...existing, ...data };
+  const has = (field) => !partial || data[field] !== undefined;
+
+  if (has('name') && (!event.name || typeof event.name !== 'string' || !event.name.trim())) {
+    errors.push('Event name is required');
+  }
+  if (has('type') && !CALENDAR_EVENT_TYPES.includes(event.type)) {
+    errors.push(`Event type must be one of: ${CALENDAR_EVENT_TYPES.join(', ')}`);
+  }
+  if (has('startDate') && !isValidDate(event.startDate)) {
+    errors.push('Valid start date is required (YYYY-MM-DD)');
+  }
+  if (event.endDate !== undefined && event.endDate !== null && !isValidDate(event.endDate)) {
+    errors.push('End date must be a valid date (YYYY-MM-DD)');
+  }
+  if (isValidDate(event.startDate) && isValidDate(event.endDate) && event.endDate < event.startDate) {
+    errors.push('End date cannot be before start date');
+  }
+  if (event.classIds !== undefined && (!Array.isArray(event.classIds) || !event.classIds.every(id => Number.isInteger(id)))) {
+    errors.push('Class IDs must be an array of integers');
+  }
+  if (event.type === 'early-dismissal' && !/^([01]\d|2[0-3]):[0-5]\d$/.test(event.dismissalTime || '')) {
+    errors.push('Early dismissal events require a dismissal time (HH:MM)');
+  }
+  if (event.type === 'term' && event.classIds?.length > 0) {
+    errors.push('Terms apply to the whole school and cannot be limited to classes');
+  }
+
+  return errors;
+};
+
+// Whether an event covers a date for a class (school-wide events only when no class is given)
+const eventApplies = (event, date, classId) => {
+  if (date < event.startDate || date > (event.endDate || event.startDate)) return false;
+  if (!event.classIds || event.classIds.length === 0) return true;
+  return classId !== undefined && classId !== null && event.classIds.includes(parseInt(classId));
+};
+
+/**
+ * Build day lookups over a set of calendar events and the school settings.
+ * getDay() returns { date, dayOfWeek, isSchoolDay, reason, events }.
+ */
+const createAcademicCalendar = (events = [], settings = {}) => {
+  const schoolDays = (settings.schoolDays || DEFAULT_SCHOOL_DAYS).map(day => day.toLowerCase());
+  const terms = events.filter(event => event.type === 'term');
+
+  const getDay = (date, classId) => {
+    const dayOfWeek = getDayOfWeek(date);
+    const dayEvents = events.filter(event => event.type !== 'term' && eventApplies(event, date, classId));
+    const closure = dayEvents.find(event => NON_INSTRUCTIONAL_TYPES.includes(event.type));
+
+    let reason = null;
+    if (closure) {
+      reason = closure.name;
+    } else if (!dayEvents.some(event => event.type === 'make-up-day')) {
+      if (!schoolDays.includes(dayOfWeek.toLowerCase())) {
+        reason = 'Weekend';
+      } else if (terms.length > 0 && !terms.some(term => eventApplies(term, date))) {
+        reason = 'Outside term';
+      }
+    }
+
+    return {
+      date,
+      dayOfWeek,
+      isSchoolDay: reason === null,
+      reason,
+      events: dayEvents
+    };
+  };
+
+  const isSchoolDay = (date, classId) => getDay(date, classId).isSchoolDay;
+
+  const getTerms = () => [...terms];
+
+  // Number of school days between two dates (inclusive)
+  const countSchoolDays = (startDate, endDate, classId) => {
+    let count = 0;
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      if (isSchoolDay(date, classId)) count++;
+    }
+    return count;
+  };
+
+  return {
+    getDay,
+    isSchoolDay,
+    countSchoolDays,
+    getTerms
+  };
+};
+
+module.exports = {
+  CALENDAR_EVENT_TYPES,
+  DEFAULT_SCHOOL_DAYS,
+  validateCalendarEvent,
+  createAcademicCalendar
+};
@@ -0,0 +1,66 @@
+// backend/utils/academicYears.js - Academic Years and Archived Classes
+
+/**
+ * settings.academicYear is the open year; new classes belong to it. Closing
+ * a year (see services/rolloverService.js) archives its classes: they keep
+ * isActive = false and get an archivedAt timestamp, which sets them apart
+ * from deleted classes. Archived classes, their rosters and their attendance
+ * stay readable for reports but can no longer be changed.
+ */
+
+// Highest grade taught; its students graduate when the year is closed
+const FINAL_GRADE = 12;
+
+const isValidAcademicYear = (year) => {
+  if (typeof year !== 'string' || !/^\d{4}-\d{4}$/.test(year)) return false;
+
+  const [startYear, endYear] = year.split('-').map(Number);
+  return endYear === startYear + 1;
+};
+
+// '2024-2025' -> '2025-2026'
+const getNextAcademicYear = (year) => {
+  const startYear = parseInt(year.split('-')[0]) + 1;
+  return `${startYear}-${startYear + 1}`;
+};
+
+const isArchivedClass = (classData) => Boolean(classData?.archivedAt);
+
+/**
+ * Students counted on a class roster: the active ones or, for an archived
+ * class, the ones still enrolled when it was archived
+ */
+const getRosterStudents = (classData) => {
+  if (!isArchivedClass(classData)) return classData.students.filter(s => s.isActive);
+
+  const archivedOn = classData.archivedAt.split('T')[0];
+  return classData.students.filter(s => s.isActive || s.leftDate >= archivedOn);
+};
+
+// Response body for attempts to change an archived class or its attendance
+const classArchivedError = (classData) => ({
+  error: `${classData.name} (${classData.academicYear}) is archived and read-only`,
+  code: 'CLASS_ARCHIVED'
+});
+
+/**
+ * Name of the class a grade moves up to: a leading grade number is bumped
+ * ('10A' -> '11A'), other names get the grade and section ('Grade 11 A').
+ */
+const getPromotedClassName = (classData) => {
+  const grade = String(classData.grade);
+  if (classData.name.startsWith(grade)) {
+    return `${classData.grade + 1}${classData.name.slice(grade.length)}`;
+  }
+  return `Grade ${classData.grade + 1} ${classData.section || 'A'}`;
+};
+
+module.exports = {
+  FINAL_GRADE,
+  isValidAcademicYear,
+  getNextAcademicYear,
+  isArchivedClass,
+  getRosterStudents,
+  classArchivedError,
+  getPromotedClassName
+};
@@ -0,0 +1,155 @@
+// backend/utils/attendanceAnalytics.js - Attendance Statistics Shared by Storage Adapters
+const Attendance = require('../models/Attendance');
+const { getAttendanceRules, getRecordStatuses, summarizeRecord, summarizeStatuses } = require('./attendanceStatus');
+
+const createSummary = (extra = {}) => ({
+  ...extra,
+  totalRecords: 0,
+  totalPresent: 0,
+  totalAbsent: 0,
+  totalExcluded: 0,
+  lateSubmissions: 0,
+  statusCounts: Attendance.STATUSES.reduce((counts, status) => ({ ...counts, [status]: 0 }), {})
+});
+
+// totalPresent/totalAbsent count attended/missed students per the attendance rules
+const addToSummary = (summary, recordSummary, record) => {
+  summary.totalRecords++;
+  if (record.isLateSubmission) summary.lateSubmissions++;
+  summary.totalPresent += recordSummary.attended;
+  summary.totalAbsent += recordSummary.missed;
+  summary.totalExcluded += recordSummary.excluded;
+
+  Object.entries(recordSummary.statusCounts).forEach(([status, count]) => {
+    summary.statusCounts[status] = (summary.statusCounts[status] || 0) + count;
+  });
+};
+
+/**
+ * Build the analytics functions on top of a storage adapter's lookups
+ * (getAttendanceRecords, findClassById, findSubjectById, getSettings,
+ * getAcademicCalendar)
+ */
+const createAttendanceAnalytics = ({ getAttendanceRecords, findClassById, findSubjectById, getSettings, getAcademicCalendar }) => {
+  /**
+   * Records taken on days that are not school days for their class
+   * (holidays, weekends, outside term) are left out of every rate
+   */
+  const getAttendanceStatistics = (filters = {}) => {
+    const calendar = getAcademicCalendar();
+    const records = getAttendanceRecords(filters);
+    const rules = getAttendanceRules(getSettings());
+    const stats = {
+      ...createSummary(),
+      totalStudents: 0,
+      attendanceRate: 0,
+      nonSchoolDayRecords: 0,
+      schoolDays: filters.dateRange
+        ? calendar.countSchoolDays(filters.dateRange.start, filters.dateRange.end, filters.classId)
+        : null,
+      classSummary: {},
+      subjectSummary: {},
+      dailySummary: {}
+    };
+
+    records.forEach(record => {
+      if (!calendar.isSchoolDay(record.date, record.classId)) {
+        stats.nonSchoolDayRecords++;
+        return;
+      }
+
+      const recordSummary = summarizeRecord(record, rules);
+
+      stats.totalStudents += record.totalStudents;
+      addToSummary(stats, recordSummary, record);
+
+      // Class summary
+      if (!stats.classSummary[record.classId]) {
+        const classInfo = findClassById(record.classId);
+        stats.classSummary[record.classId] = createSummary({ className: classInfo?.name });
+      }
+      addToSummary(stats.classSummary[record.classId], recordSummary, record);
+
+      // Subject summary
+      if (!stats.subjectSummary[record.subjectId]) {
+        const subjectInfo = findSubjectById(record.subjectId);
+        stats.subjectSummary[record.subjectId] = createSummary({ subjectName: subjectInfo?.name });
+      }
+      addToSummary(stats.subjectSummary[record.subjectId], recordSummary, record);
+
+      // Daily summary
+      if (!stats.dailySummary[record.date]) {
+        stats.dailySummary[record.date] = createSummary();
+      }
+      addToSummary(stats.dailySummary[record.date], recordSummary, record);
+    });
+
+    // Calculate attendance rate (excluded statuses are left out of the denominator)
+    const countable = stats.totalPresent + stats.totalAbsent;
+    if (countable > 0) {
+      stats.attendanceRate = ((stats.totalPresent / countable) * 100).toFixed(2);
+    }
+
+    return stats;
+  };
+
+  const getStudentAttendanceHistory = (studentId, filters = {}) => {
+    const calendar = getAcademicCalendar();
+    const records = getAttendanceRecords(filters);
+    const rules = getAttendanceRules(getSettings());
+    const studentHistory = [];
+
+    records.forEach(record => {
+      const entry = getRecordStatuses(record)[parseInt(studentId)];
+
+      if (entry) {
+        const classInfo = findClassById(record.classId);
+        const subjectInfo = findSubjectById(record.subjectId);
+
+        studentHistory.push({
+          date: record.date,
+          classId: record.classId,
+          className: classInfo?.name,
+          subjectId: record.subjectId,
+          subjectName: subjectInfo?.name,
+          status: entry.status,
+          reason: entry.reason || null,
+          attended: rules.attendedStatuses.includes(entry.status),
+          isSchoolDay: calendar.isSchoolDay(record.date, record.classId),
+          submittedAt: record.submittedAt
+        });
+      }
+    });
+
+    return studentHistory.sort((a, b) => new Date(b.date) - new Date(a.date));
+  };
+
+  /**
+   * Summary over a student's history entries, using the same rules as the
+   * statistics (entries on non-school days are not counted)
+   */
+  const summarizeStudentHistory = (history) => {
+    const rules = getAttendanceRules(getSettings());
+    const counted = history.filter(entry => entry.isSchoolDay !== false);
+    const summary = summarizeStatuses(counted.map(entry => entry.status), rules);
+
+    return {
+      totalClasses: counted.length,
+      present: summary.attended,
+      absent: summary.missed,
+      excluded: summary.excluded,
+      statusCounts: summary.statusCounts,
+      attendanceRate: Math.round(summary.attendanceRate)
+    };
+  };
+
+  return {
+    getAttendanceStatistics,
+    getStudentAttendanceHistory,
+    summarizeStudentHistory
+  };
+};
+
+module.exports = {
+  createAttendanceAnalytics
+};
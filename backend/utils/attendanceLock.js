@@ -0,0 +1,35 @@
+// backend/utils/attendanceLock.js - Attendance Edit Lock Window
+const { hasPermission } = require('../middleware/auth');
+
+/**
+ * Lock state of an attendance record under the school's lock policy.
+ * Records become read-only for teachers `attendanceLockHours` after
+ * submission (0 or unset disables locking).
+ * Returns { locked, lockedAt }.
+ */
+const getAttendanceLock = (record, settings = {}, now = new Date()) => {
+  const lockHours = Number(settings.attendanceLockHours);
+  if (!lockHours || lockHours <= 0 || !record.submittedAt) {
+    return { locked: false, lockedAt: null };
+  }
+
+  const lockedAt = new Date(new Date(record.submittedAt).getTime() + lockHours * 60 * 60 * 1000);
+
+  return {
+    locked: now >= lockedAt,
+    lockedAt: lockedAt.toISOString()
+  };
+};
+
+/**
+ * Whether a user must go through a correction request to change a record
+ * (users with attendance:override-lock may always edit directly)
+ */
+const requiresCorrectionRequest = (user, record, settings) => {
+  return !hasPermission(user, 'attendance:override-lock') && getAttendanceLock(record, settings).locked;
+};
+
+module.exports = {
+  getAttendanceLock,
+  requiresCorrectionRequest
+};
@@ -0,0 +1,192 @@
+// backend/utils/attendanceStatus.js - Per-Student Attendance Statuses and Rate Rules
+const Attendance = require('../models/Attendance');
+
+const { STATUSES, REASON_CODES } = Attendance;
+
+// Which statuses count as attended, and which are left out of rates entirely
+const DEFAULT_ATTENDANCE_RULES = {
+  attendedStatuses: ['present', 'late', 'on-duty'],
+  excludedStatuses: ['excused']
+};
+
+/**
+ * Resolve the attendance rules from school settings, falling back to the defaults
+ */
+const getAttendanceRules = (settings = {}) => ({
+  ...DEFAULT_ATTENDANCE_RULES,
+  ...settings.attendanceRules
+});
+
+/**
+ * Check attendance rules set by the school: both lists hold known statuses
+ * and no status is both attended and excluded.
+ * Returns a list of { field, message } errors.
+ */
+const validateAttendanceRules = (rules) => {
+  const errors = [];
+
+  ['attendedStatuses', 'excludedStatuses'].forEach(field => {
+    const statuses = rules[field];
+    if (!Array.isArray(statuses) || statuses.some(status => !STATUSES.includes(status))) {
+      errors.push({ field: `attendanceRules.${field}`, message: `Statuses must be a list of: ${STATUSES.join(', ')}` });
+    }
+  });
+
+  if (errors.length === 0) {
+    const overlap = rules.attendedStatuses.filter(status => rules.excludedStatuses.includes(status));
+    if (overlap.length > 0) {
+      errors.push({ field: 'attendanceRules', message: `Statuses cannot be both attended and excluded: ${overlap.join(', ')}` });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate submitted statuses against a class roster and build the full
+ * status map. Accepts `studentStatuses` ({ [studentId]: status } or
+ * { [studentId]: { status, reason } }) and/or the legacy `absentStudents`
+ * array; students not mentioned are present.
+ * Returns { studentStatuses, errors, invalidIds }.
+ */
+const normalizeStudentStatuses = (activeStudentIds, { studentStatuses, absentStudents } = {}) => {
+  const errors = [];
+  const invalidIds = [];
+  const normalized = {};
+
+  activeStudentIds.forEach(id => {
+    normalized[id] = { status: 'present' };
+  });
+
+  if (absentStudents !== undefined) {
+    if (!Array.isArray(absentStudents)) {
+      errors.push('Absent students must be an array');
+    } else {
+      absentStudents.forEach(rawId => {
+        const id = parseInt(rawId);
+        if (!activeStudentIds.includes(id)) {
+          invalidIds.push(rawId);
+        } else {
+          normalized[id] = { status: 'absent' };
+        }
+      });
+    }
+  }
+
+  if (studentStatuses !== undefined) {
+    if (!studentStatuses || typeof studentStatuses !== 'object' || Array.isArray(studentStatuses)) {
+      errors.push('Student statuses must be an object keyed by student ID');
+    } else {
+      for (const [rawId, entry] of Object.entries(studentStatuses)) {
+        const id = parseInt(rawId);
+        const { status, reason } = typeof entry === 'string' ? { status: entry } : (entry || {});
+
+        if (!activeStudentIds.includes(id)) {
+          invalidIds.push(rawId);
+        } else if (!STATUSES.includes(status)) {
+          errors.push(`Invalid status "${status}" for student ${rawId} (allowed: ${STATUSES.join(', ')})`);
+        } else if (reason && !REASON_CODES.includes(reason)) {
+          errors.push(`Invalid reason "${reason}" for student ${rawId} (allowed: ${REASON_CODES.join(', ')})`);
+        } else {
+          normalized[id] = reason ? { status, reason } : { status };
+        }
+      }
+    }
+  }
+
+  return { studentStatuses: normalized, errors, invalidIds };
+};
+
+/**
+ * Status map for a stored record; records written before per-student
+ * statuses existed only carry present/absent lists
+ */
+const getRecordStatuses = (record) => {
+  if (record.studentStatuses) return record.studentStatuses;
+
+  const statuses = {};
+  (record.presentStudents || []).forEach(id => {
+    statuses[id] = { status: 'present' };
+  });
+  (record.absentStudents || []).forEach(id => {
+    statuses[id] = { status: 'absent' };
+  });
+  return statuses;
+};
+
+/**
+ * Build the stored attendance fields for a class: the status map plus the
+ * derived presentStudents/absentStudents lists (attended vs. not attended)
+ * kept for clients that only understand present/absent
+ */
+const buildAttendanceFields = (classInfo, { studentStatuses, absentStudents = [] }, rules) => {
+  const activeStudentIds = classInfo
+    ? classInfo.students.filter(s => s.isActive).map(s => s.id)
+    : [];
+
+  const statuses = studentStatuses ||
+    normalizeStudentStatuses(activeStudentIds, { absentStudents }).studentStatuses;
+
+  const presentStudents = [];
+  const notAttended = [];
+  Object.entries(statuses).forEach(([id, { status }]) => {
+    (rules.attendedStatuses.includes(status) ? presentStudents : notAttended).push(parseInt(id));
+  });
+
+  return {
+    studentStatuses: statuses,
+    presentStudents,
+    absentStudents: notAttended,
+    totalStudents: activeStudentIds.length
+  };
+};
+
+/**
+ * Count statuses and apply the attendance rules.
+ * Excluded statuses (e.g. excused) count towards neither attended nor missed.
+ */
+const summarizeStatuses = (statuses, rules) => {
+  const statusCounts = STATUSES.reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+  let attended = 0;
+  let missed = 0;
+  let excluded = 0;
+
+  statuses.forEach(status => {
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+
+    if (rules.excludedStatuses.includes(status)) {
+      excluded++;
+    } else if (rules.attendedStatuses.includes(status)) {
+      attended++;
+    } else {
+      missed++;
+    }
+  });
+
+  return {
+    statusCounts,
+    attended,
+    missed,
+    excluded,
+    attendanceRate: attended + missed > 0 ? (attended / (attended + missed)) * 100 : 0
+  };
+};
+
+/**
+ * Summary for a single record (used when formatting API responses)
+ */
+const summarizeRecord = (record, rules) => {
+  const statuses = Object.values(getRecordStatuses(record)).map(entry => entry.status);
+  return summarizeStatuses(statuses, rules);
+};
+
+module.exports = {
+  DEFAULT_ATTENDANCE_RULES,
+  getAttendanceRules,
+  validateAttendanceRules,
+  normalizeStudentStatuses,
+  getRecordStatuses,
+  buildAttendanceFields,
+  summarizeStatuses,
+  summarizeRecord
+};
@@ -0,0 +1,127 @@
+// backend/utils/auditLog.js - Hash-Chained Audit Log Entries
+const crypto = require('crypto');
+
+// Hash of the (virtual) entry before the first one in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields that change on every write and carry no audit value
+const IGNORED_FIELDS = ['updatedAt', 'editHistory'];
+
+// JSON with sorted object keys, so equal values always hash the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const HASHED_FIELDS = ['entityType', 'entityId', 'action', 'actorId', 'actorIp', 'timestamp', 'beforeState', 'afterState', 'changes', 'previousHash'];
+
+/**
+ * Hash an entry's content together with the previous entry's hash
+ */
+const computeAuditHash = (entry) => {
+  // Missing and null hash the same (storage adapters may drop null fields)
+  const content = HASHED_FIELDS.reduce((fields, field) => ({ ...fields, [field]: entry[field] ?? null }), {});
+
+  return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+};
+
+// Snapshot of a record as stored in the audit log
+const toAuditState = (record) => {
+  if (!record) return null;
+
+  const state = { ...record };
+  IGNORED_FIELDS.forEach(field => delete state[field]);
+  return JSON.parse(JSON.stringify(state));
+};
+
+/**
+ * Field-level differences between two record states: { field: { old, new } }
+ */
+const diffStates = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+
+    if (canonicalize(oldValue) !== canonicalize(newValue)) {
+      changes[field] = { old: oldValue ?? null, new: newValue ?? null };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Build the next audit entry for a change, chained to the latest entry.
+ * `context` carries the actor ({ actorId, ip }) from the request.
+ */
+const createAuditEntry = ({ entityType, entityId, action, before, after }, context = {}, previousEntry = null) => {
+  const beforeState = toAuditState(before);
+  const afterState = toAuditState(after);
+
+  const entry = {
+    entityType,
+    entityId: parseInt(entityId),
+    action,
+    actorId: context.actorId ?? null,
+    actorIp: context.ip ?? null,
+    timestamp: new Date().toISOString(),
+    beforeState,
+    afterState,
+    changes: diffStates(beforeState, afterState),
+    previousHash: previousEntry ? previousEntry.hash : GENESIS_HASH
+  };
+
+  return { ...entry, hash: computeAuditHash(entry) };
+};
+
+/**
+ * Summary of an update entry in the record's own editHistory
+ * (same shape as Attendance#recordEdit)
+ */
+const toEditHistoryEntry = (entry) => ({
+  userId: entry.actorId,
+  timestamp: entry.timestamp,
+  changes: entry.changes
+});
+
+/**
+ * Walk the chain in order and report the first entry whose hash or link
+ * does not match. Returns { valid, checked, headHash, brokenAt, reason }.
+ */
+const verifyAuditChain = (entries) => {
+  let previousHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+
+    if (entry.previousHash !== previousHash) {
+      return { valid: false, checked: i, headHash: previousHash, brokenAt: entry.id, reason: 'Chain link does not match previous entry' };
+    }
+    if (computeAuditHash(entry) !== entry.hash) {
+      return { valid: false, checked: i, headHash: previousHash, brokenAt: entry.id, reason: 'Entry content does not match its hash' };
+    }
+
+    previousHash = entry.hash;
+  }
+
+  return { valid: true, checked: entries.length, headHash: previousHash, brokenAt: null, reason: null };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  createAuditEntry,
+  diffStates,
+  toEditHistoryEntry,
+  verifyAuditChain
+};
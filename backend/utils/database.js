@@ -1,30 +1,54 @@
 // backend/utils/database.js - Database Setup & Management
 const bcrypt = require('bcryptjs');
+const { getActiveConfig } = require('../config/database');
+const { DEFAULT_SETTINGS, createSampleData } = require('./sampleData');
+const { createAttendanceAnalytics } = require('./attendanceAnalytics');
+const { getAttendanceRules, buildAttendanceFields } = require('./attendanceStatus');
+const { createAuditEntry, toEditHistoryEntry } = require('./auditLog');
+const { getSubmissionLateness } = require('./lateSubmission');
+const { createAcademicCalendar } = require('./academicCalendar');
+const { createTimetableCycle } = require('./timetableCycle');
+const { USER_VERSIONED_FIELDS, getVersion, nextVersion } = require('./recordVersion');
+const { createDefaultRoles } = require('./permissions');
+const { getToday, isCurrentEnrollment, buildRoster, fromEmbeddedStudents } = require('./enrollments');
 
-// In-memory database (replace with MongoDB/PostgreSQL in production)
+// In-memory database (set DB_TYPE=sqlite for persistent storage)
 let database = {
+  roles: [],
   users: [],
   classes: [],
+  students: [],
+  enrollments: [],
   subjects: [],
   schedules: [],
   attendance: [],
-  settings: {
-    schoolName: 'Virtual Academy',
-    academicYear: '2024-2025',
-    currentSemester: '1st Semester',
-    attendanceDeadline: '10:00', // Time after which attendance is marked late
-    timezone: 'UTC'
-  }
+  auditLog: [],
+  correctionRequests: [],
+  calendarEvents: [],
+  substitutions: [],
+  syncMutations: [],
+  refreshTokens: [],
+  revokedTokens: [],
+  settings: { ...DEFAULT_SETTINGS }
 };
 
 // Counter for generating unique IDs
-let counters = {
+const counters = {
+  roles: 0,
   users: 0,
   classes: 0,
   subjects: 0,
   schedules: 0,
   attendance: 0,
-  students: 0
+  auditLog: 0,
+  correctionRequests: 0,
+  calendarEvents: 0,
+  substitutions: 0,
+  syncMutations: 0,
+  refreshTokens: 0,
+  revokedTokens: 0,
+  students: 0,
+  enrollments: 0
 };
 
 // Initialize database with sample data
@@ -32,257 +56,15 @@ async function initializeDatabase() {
   try {
     console.log('🔄 Initializing VirtualRollCall database...');
     
-    // Reset database
-    database = {
-      users: [],
-      classes: [],
-      subjects: [],
-      schedules: [],
-      attendance: [],
-      settings: {
-        schoolName: 'Virtual Academy',
-        academicYear: '2024-2025',
-        currentSemester: '1st Semester',
-        attendanceDeadline: '10:00',
-        timezone: 'UTC'
-      }
-    };
-
-    // Reset counters
-    counters = {
-      users: 0,
-      classes: 0,
-      subjects: 0,
-      schedules: 0,
-      attendance: 0,
-      students: 0
-    };
-    
-    // Create default subjects
-    const defaultSubjects = [
-      { name: 'Mathematics', code: 'MATH', description: 'Advanced Mathematics' },
-      { name: 'Physics', code: 'PHYS', description: 'Classical and Modern Physics' },
-      { name: 'Chemistry', code: 'CHEM', description: 'Organic and Inorganic Chemistry' },
-      { name: 'English', code: 'ENG', description: 'English Language and Literature' },
-      { name: 'History', code: 'HIST', description: 'World History and Civilization' },
-      { name: 'Biology', code: 'BIO', description: 'Life Sciences and Biology' },
-      { name: 'Geography', code: 'GEO', description: 'Physical and Human Geography' },
-      { name: 'Computer Science', code: 'CS', description: 'Programming and Computer Science' }
-    ];
-
-    for (const subject of defaultSubjects) {
-      database.subjects.push({
-        id: ++counters.subjects,
-        ...subject,
-        isActive: true,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      });
-    }
-    
-    // Create default users with hashed passwords
-    const defaultUsers = [
-      {
-        username: 'admin',
-        password: await bcrypt.hash('admin123', 12),
-        role: 'principal',
-        name: 'Dr. Sarah Johnson',
-        email: 'principal@virtualacademy.edu',
-        phone: '+1-555-0101',
-        isActive: true
-      },
-      {
-        username: 'teacher1',
-        password: await bcrypt.hash('teacher123', 12),
-        role: 'teacher',
-        name: 'Ms. Emily Rodriguez',
-        email: 'erodriguez@virtualacademy.edu',
-        phone: '+1-555-0102',
-        subjects: [1, 2], // Math and Physics
-        isActive: true
-      },
-      {
-        username: 'teacher2',
-        password: await bcrypt.hash('teacher123', 12),
-        role: 'teacher',
-        name: 'Mr. David Chen',
-        email: 'dchen@virtualacademy.edu',
-        phone: '+1-555-0103',
-        subjects: [3, 4], // Chemistry and English
-        isActive: true
-      },
-      {
-        username: 'teacher3',
-        password: await bcrypt.hash('teacher123', 12),
-        role: 'teacher',
-        name: 'Dr. Maria Garcia',
-        email: 'mgarcia@virtualacademy.edu',
-        phone: '+1-555-0104',
-        subjects: [5, 6, 7], // History, Biology, Geography
-        isActive: true
-      }
-    ];
-
-    for (const user of defaultUsers) {
-      database.users.push({
-        id: ++counters.users,
-        ...user,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        lastLogin: null,
-        loginCount: 0
-      });
-    }
-    
-    // Sample classes with students
-    const defaultClasses = [
-      {
-        name: '10A',
-        grade: 10,
-        section: 'A',
-        classTeacher: 2, // Ms. Rodriguez
-        academicYear: '2024-2025',
-        maxStudents: 35,
-        students: [
-          { name: 'John Smith', studentId: 'ST24001', email: 'john.smith@student.edu', dateOfBirth: '2009-05-15', parentContact: '+1-555-1001' },
-          { name: 'Emma Johnson', studentId: 'ST24002', email: 'emma.johnson@student.edu', dateOfBirth: '2009-03-22', parentContact: '+1-555-1002' },
-          { name: 'Michael Brown', studentId: 'ST24003', email: 'michael.brown@student.edu', dateOfBirth: '2009-07-08', parentContact: '+1-555-1003' },
-          { name: 'Sophia Davis', studentId: 'ST24004', email: 'sophia.davis@student.edu', dateOfBirth: '2009-01-30', parentContact: '+1-555-1004' },
-          { name: 'William Wilson', studentId: 'ST24005', email: 'william.wilson@student.edu', dateOfBirth: '2009-04-12', parentContact: '+1-555-1005' },
-          { name: 'Olivia Miller', studentId: 'ST24006', email: 'olivia.miller@student.edu', dateOfBirth: '2009-06-25', parentContact: '+1-555-1006' },
-          { name: 'James Garcia', studentId: 'ST24007', email: 'james.garcia@student.edu', dateOfBirth: '2009-08-18', parentContact: '+1-555-1007' }
-        ]
-      },
-      {
-        name: '10B',
-        grade: 10,
-        section: 'B',
-        classTeacher: 3, // Mr. Chen
-        academicYear: '2024-2025',
-        maxStudents: 35,
-        students: [
-          { name: 'Charlotte Martinez', studentId: 'ST24008', email: 'charlotte.martinez@student.edu', dateOfBirth: '2009-02-14', parentContact: '+1-555-1008' },
-          { name: 'Benjamin Anderson', studentId: 'ST24009', email: 'benjamin.anderson@student.edu', dateOfBirth: '2009-09-07', parentContact: '+1-555-1009' },
-          { name: 'Amelia Taylor', studentId: 'ST24010', email: 'amelia.taylor@student.edu', dateOfBirth: '2009-11-03', parentContact: '+1-555-1010' },
-          { name: 'Lucas Thomas', studentId: 'ST24011', email: 'lucas.thomas@student.edu', dateOfBirth: '2009-05-28', parentContact: '+1-555-1011' },
-          { name: 'Harper Jackson', studentId: 'ST24012', email: 'harper.jackson@student.edu', dateOfBirth: '2009-03-16', parentContact: '+1-555-1012' },
-          { name: 'Ethan White', studentId: 'ST24013', email: 'ethan.white@student.edu', dateOfBirth: '2009-07-21', parentContact: '+1-555-1013' }
-        ]
-      },
-      {
-        name: '11A',
-        grade: 11,
-        section: 'A',
-        classTeacher: 4, // Dr. Garcia
-        academicYear: '2024-2025',
-        maxStudents: 35,
-        students: [
-          { name: 'Alexander Harris', studentId: 'ST24014', email: 'alexander.harris@student.edu', dateOfBirth: '2008-12-10', parentContact: '+1-555-1014' },
-          { name: 'Mia Clark', studentId: 'ST24015', email: 'mia.clark@student.edu', dateOfBirth: '2008-10-05', parentContact: '+1-555-1015' },
-          { name: 'Daniel Lewis', studentId: 'ST24016', email: 'daniel.lewis@student.edu', dateOfBirth: '2008-08-19', parentContact: '+1-555-1016' },
-          { name: 'Abigail Robinson', studentId: 'ST24017', email: 'abigail.robinson@student.edu', dateOfBirth: '2008-04-27', parentContact: '+1-555-1017' },
-          { name: 'Matthew Walker', studentId: 'ST24018', email: 'matthew.walker@student.edu', dateOfBirth: '2008-06-11', parentContact: '+1-555-1018' }
-        ]
-      }
-    ];
-    
-    for (const classData of defaultClasses) {
-      const students = classData.students.map(student => ({
-        id: ++counters.students,
-        ...student,
-        isActive: true,
-        enrolledDate: new Date().toISOString()
-      }));
-
-      database.classes.push({
-        id: ++counters.classes,
-        ...classData,
-        students,
-        isActive: true,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      });
-    }
-    
-    // Sample schedules
-    const defaultSchedules = [
-      // Teacher 2 (Ms. Rodriguez) - Math & Physics for 10A
-      { teacherId: 2, classId: 1, subjectId: 1, dayOfWeek: 'Monday', startTime: '09:00', endTime: '09:50', room: 'Room 101' },
-      { teacherId: 2, classId: 1, subjectId: 2, dayOfWeek: 'Tuesday', startTime: '10:00', endTime: '10:50', room: 'Physics Lab' },
-      { teacherId: 2, classId: 1, subjectId: 1, dayOfWeek: 'Wednesday', startTime: '11:00', endTime: '11:50', room: 'Room 101' },
-      { teacherId: 2, classId: 2, subjectId: 1, dayOfWeek: 'Thursday', startTime: '09:00', endTime: '09:50', room: 'Room 101' },
-      { teacherId: 2, classId: 2, subjectId: 2, dayOfWeek: 'Friday', startTime: '10:00', endTime: '10:50', room: 'Physics Lab' },
-      
-      // Teacher 3 (Mr. Chen) - Chemistry & English
-      { teacherId: 3, classId: 2, subjectId: 3, dayOfWeek: 'Monday', startTime: '11:00', endTime: '11:50', room: 'Chemistry Lab' },
-      { teacherId: 3, classId: 2, subjectId: 4, dayOfWeek: 'Tuesday', startTime: '09:00', endTime: '09:50', room: 'Room 102' },
-      { teacherId: 3, classId: 3, subjectId: 4, dayOfWeek: 'Wednesday', startTime: '10:00', endTime: '10:50', room: 'Room 102' },
-      { teacherId: 3, classId: 3, subjectId: 3, dayOfWeek: 'Thursday', startTime: '11:00', endTime: '11:50', room: 'Chemistry Lab' },
-      
-      // Teacher 4 (Dr. Garcia) - History, Biology, Geography
-      { teacherId: 4, classId: 3, subjectId: 5, dayOfWeek: 'Monday', startTime: '08:00', endTime: '08:50', room: 'Room 103' },
-      { teacherId: 4, classId: 3, subjectId: 6, dayOfWeek: 'Tuesday', startTime: '11:00', endTime: '11:50', room: 'Biology Lab' },
-      { teacherId: 4, classId: 1, subjectId: 7, dayOfWeek: 'Friday', startTime: '09:00', endTime: '09:50', room: 'Room 103' }
-    ];
-    
-    for (const schedule of defaultSchedules) {
-      database.schedules.push({
-        id: ++counters.schedules,
-        ...schedule,
-        isActive: true,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      });
-    }
-
-    // Create some sample attendance records for demonstration
-    const sampleDates = [
-      '2024-11-01',
-      '2024-11-02',
-      '2024-11-03',
-      '2024-11-04',
-      '2024-11-05'
-    ];
-
-    for (const date of sampleDates) {
-      // Random attendance for each class
-      for (let classId = 1; classId <= 3; classId++) {
-        const classData = database.classes.find(c => c.id === classId);
-        const absentStudents = [];
-        
-        // Randomly mark 1-2 students absent
-        const numAbsent = Math.random() > 0.7 ? Math.floor(Math.random() * 2) + 1 : 0;
-        for (let i = 0; i < numAbsent; i++) {
-          const randomStudent = classData.students[Math.floor(Math.random() * classData.students.length)];
-          if (!absentStudents.includes(randomStudent.id)) {
-            absentStudents.push(randomStudent.id);
-          }
-        }
-
-        database.attendance.push({
-          id: ++counters.attendance,
-          teacherId: classData.classTeacher,
-          classId: classId,
-          subjectId: 1, // Math for demo
-          date: date,
-          absentStudents: absentStudents,
-          presentStudents: classData.students.filter(s => !absentStudents.includes(s.id)).map(s => s.id),
-          totalStudents: classData.students.length,
-          submittedAt: new Date(`${date}T09:30:00`).toISOString(),
-          submittedBy: classData.classTeacher,
-          notes: numAbsent > 0 ? 'Regular attendance check' : 'Full attendance today',
-          createdAt: new Date(`${date}T09:30:00`).toISOString(),
-          updatedAt: new Date(`${date}T09:30:00`).toISOString()
-        });
-      }
-    }
+    // Reset database and counters to the demo dataset
+    importDatabase(await createSampleData());
     
     console.log('✅ Database initialized successfully');
     console.log(`📊 Created ${database.users.length} users`);
     console.log(`🏫 Created ${database.classes.length} classes`);
     console.log(`📚 Loaded ${database.subjects.length} subjects`);
     console.log(`📅 Created ${database.schedules.length} schedule entries`);
-    console.log(`👥 Enrolled ${database.classes.reduce((sum, c) => sum + c.students.length, 0)} students total`);
+    console.log(`👥 Enrolled ${database.enrollments.filter(isCurrentEnrollment).length} students total`);
     console.log(`📋 Generated ${database.attendance.length} sample attendance records`);
     
     return database;
@@ -295,6 +77,19 @@ async function initializeDatabase() {
 // Database access functions
 const getDatabase = () => database;
 
+// Run `operation` (synchronous) all-or-nothing: if it throws, every change it made is undone
+const runInTransaction = (operation) => {
+  const snapshot = JSON.parse(JSON.stringify({ database, counters }));
+  
+  try {
+    return operation();
+  } catch (error) {
+    database = snapshot.database;
+    Object.assign(counters, snapshot.counters);
+    throw error;
+  }
+};
+
 // User operations
 const findUser = (criteria) => {
   return database.users.find(user => {
@@ -310,11 +105,19 @@ const findUser = (criteria) => {
 const findUserById = (id) => database.users.find(user => user.id === parseInt(id));
 
 const createUser = async (userData) => {
+  return createUserRecord({
+    ...userData,
+    password: await bcrypt.hash(userData.password, 12)
+  });
+};
+
+// Store a user whose password is already hashed
+const createUserRecord = (userData) => {
   const user = {
     id: ++counters.users,
     ...userData,
-    password: await bcrypt.hash(userData.password, 12),
     isActive: true,
+    version: 1,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     lastLogin: null,
@@ -332,6 +135,7 @@ const updateUser = (id, updateData) => {
   database.users[userIndex] = {
     ...database.users[userIndex],
     ...updateData,
+    version: nextVersion(database.users[userIndex], updateData, USER_VERSIONED_FIELDS),
     updatedAt: new Date().toISOString()
   };
   
@@ -357,8 +161,13 @@ const findClass = (criteria) => {
 
 const findClassById = (id) => database.classes.find(cls => cls.id === parseInt(id));
 
+// With an academicYear filter, archived classes of that year are included
 const getAllClasses = (filters = {}) => {
-  let classes = database.classes.filter(cls => cls.isActive);
+  let classes = database.classes.filter(cls => cls.isActive || (filters.academicYear && cls.archivedAt));
+  
+  if (filters.academicYear) {
+    classes = classes.filter(cls => cls.academicYear === filters.academicYear);
+  }
   
   if (filters.grade) {
     classes = classes.filter(cls => cls.grade === parseInt(filters.grade));
@@ -371,17 +180,20 @@ const getAllClasses = (filters = {}) => {
   return classes;
 };
 
+// Students given with the class are added to the registry and enrolled
 const createClass = (classData) => {
   const newClass = {
     id: ++counters.classes,
     ...classData,
-    students: classData.students || [],
+    students: [],
     isActive: true,
+    version: 1,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
   
   database.classes.push(newClass);
+  (classData.students || []).forEach(student => addStudentToClass(newClass.id, student));
   return newClass;
 };
 
@@ -392,6 +204,7 @@ const updateClass = (id, updateData) => {
   database.classes[classIndex] = {
     ...database.classes[classIndex],
     ...updateData,
+    version: nextVersion(database.classes[classIndex], updateData),
     updatedAt: new Date().toISOString()
   };
   
@@ -407,48 +220,177 @@ const deleteClass = (id) => {
   return true;
 };
 
-// Student operations
-const addStudentToClass = (classId, studentData) => {
-  const classIndex = database.classes.findIndex(cls => cls.id === parseInt(classId));
-  if (classIndex === -1) return null;
+// Make a class read-only at the end of its academic year
+const archiveClass = (id) => {
+  const classData = findClassById(id);
+  if (!classData) return null;
+  
+  classData.isActive = false;
+  classData.archivedAt = new Date().toISOString();
+  classData.updatedAt = classData.archivedAt;
+  return classData;
+};
+
+// Years that have classes (archived or not), plus the open year, oldest first
+const getAcademicYears = () => {
+  const years = database.classes
+    .filter(cls => cls.isActive || cls.archivedAt)
+    .map(cls => cls.academicYear);
+  
+  return [...new Set([...years, database.settings.academicYear])].sort();
+};
+
+// Student operations (registry students, enrolled in classes; see utils/enrollments.js)
+const findRegistryStudent = (id) => database.students.find(student => student.id === parseInt(id));
+
+const getCurrentEnrollment = (studentId) => {
+  return database.enrollments.find(e => e.studentId === parseInt(studentId) && isCurrentEnrollment(e));
+};
+
+// Rebuild the stored rosters (classes[].students) of the given classes
+const refreshRosters = (classIds) => {
+  database.classes
+    .filter(cls => classIds.includes(cls.id))
+    .forEach(cls => {
+      cls.students = buildRoster(cls.id, database.enrollments, findRegistryStudent);
+    });
+};
+
+// Registry student with their current class (classId/className are null when not enrolled)
+const toStudentView = (student) => {
+  const enrollment = getCurrentEnrollment(student.id);
+  const classData = enrollment && findClassById(enrollment.classId);
+  
+  return {
+    ...student,
+    isEnrolled: Boolean(enrollment),
+    classId: classData?.id || null,
+    className: classData?.name || null,
+    enrolledDate: enrollment?.startDate || null
+  };
+};
+
+const findStudent = (criteria) => {
+  return database.students.find(student => {
+    return Object.keys(criteria).every(key => student[key] === criteria[key]);
+  });
+};
+
+const findStudentById = (studentId) => {
+  const student = findRegistryStudent(studentId);
+  return student ? toStudentView(student) : null;
+};
+
+const getAllStudents = (filters = {}) => {
+  let students = database.students.map(toStudentView);
+  
+  if (filters.classId) {
+    students = students.filter(student => student.classId === parseInt(filters.classId));
+  }
+  
+  if (filters.enrolled !== undefined) {
+    students = students.filter(student => student.isEnrolled === filters.enrolled);
+  }
+  
+  return students;
+};
+
+// Create a registry student and enroll them; returns their roster entry
+const addStudentToClass = (classId, studentData, { date = getToday(), createdBy = null } = {}) => {
+  const classData = findClassById(classId);
+  if (!classData) return null;
   
   const student = {
     id: ++counters.students,
     ...studentData,
-    isActive: true,
-    enrolledDate: new Date().toISOString()
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
   };
+  database.students.push(student);
   
-  database.classes[classIndex].students.push(student);
-  database.classes[classIndex].updatedAt = new Date().toISOString();
-  
-  return student;
+  enrollStudent(student.id, classData.id, { date, reason: 'admission', createdBy });
+  return classData.students.find(s => s.id === student.id);
 };
 
-const removeStudentFromClass = (classId, studentId) => {
-  const classIndex = database.classes.findIndex(cls => cls.id === parseInt(classId));
-  if (classIndex === -1) return false;
+// Start an enrollment (the student must not have a current one)
+const enrollStudent = (studentId, classId, { date = getToday(), reason, notes, createdBy = null }) => {
+  const enrollment = {
+    id: ++counters.enrollments,
+    studentId: parseInt(studentId),
+    classId: parseInt(classId),
+    startDate: date,
+    endDate: null,
+    reason,
+    notes,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
   
-  const studentIndex = database.classes[classIndex].students.findIndex(
-    student => student.id === parseInt(studentId)
-  );
+  database.enrollments.push(enrollment);
+  refreshRosters([enrollment.classId]);
+  findClassById(classId).updatedAt = new Date().toISOString();
   
-  if (studentIndex === -1) return false;
+  return enrollment;
+};
+
+// End a student's current enrollment; returns it, or null when they are not enrolled
+const endEnrollment = (studentId, { date = getToday(), reason, notes, endedBy = null }) => {
+  const enrollment = getCurrentEnrollment(studentId);
+  if (!enrollment) return null;
+  
+  Object.assign(enrollment, {
+    endDate: date,
+    endReason: reason,
+    endNotes: notes,
+    endedBy,
+    updatedAt: new Date().toISOString()
+  });
+  refreshRosters([enrollment.classId]);
+  findClassById(enrollment.classId).updatedAt = new Date().toISOString();
   
-  database.classes[classIndex].students[studentIndex].isActive = false;
-  database.classes[classIndex].updatedAt = new Date().toISOString();
+  return enrollment;
+};
+
+const removeStudentFromClass = (classId, studentId, { date, reason = 'withdrawal', notes, endedBy } = {}) => {
+  const enrollment = getCurrentEnrollment(studentId);
+  if (!enrollment || enrollment.classId !== parseInt(classId)) return false;
   
+  endEnrollment(studentId, { date, reason, notes, endedBy });
   return true;
 };
 
-const findStudentById = (studentId) => {
-  for (const cls of database.classes) {
-    const student = cls.students.find(s => s.id === parseInt(studentId) && s.isActive);
-    if (student) {
-      return { ...student, classId: cls.id, className: cls.name };
-    }
-  }
-  return null;
+// Move a student to another class on `date`; returns the new enrollment
+const transferStudent = (studentId, toClassId, { date = getToday(), notes, createdBy = null } = {}) => {
+  if (!endEnrollment(studentId, { date, reason: 'transfer', endedBy: createdBy })) return null;
+  return enrollStudent(studentId, toClassId, { date, reason: 'transfer', notes, createdBy });
+};
+
+// Every enrollment of a student, oldest first, with the class it was in
+const getStudentEnrollments = (studentId) => {
+  return database.enrollments
+    .filter(enrollment => enrollment.studentId === parseInt(studentId))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.id - b.id)
+    .map(enrollment => {
+      const classData = findClassById(enrollment.classId);
+      return {
+        ...enrollment,
+        className: classData?.name,
+        grade: classData?.grade,
+        academicYear: classData?.academicYear,
+        isCurrent: isCurrentEnrollment(enrollment)
+      };
+    });
+};
+
+const updateStudent = (studentId, updateData) => {
+  const student = findRegistryStudent(studentId);
+  if (!student) return null;
+  
+  Object.assign(student, updateData, { updatedAt: new Date().toISOString() });
+  refreshRosters(database.enrollments.filter(e => e.studentId === student.id).map(e => e.classId));
+  
+  return student;
 };
 
 // Subject operations
@@ -471,6 +413,7 @@ const createSubject = (subjectData) => {
     id: ++counters.subjects,
     ...subjectData,
     isActive: true,
+    version: 1,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
@@ -486,6 +429,7 @@ const updateSubject = (id, updateData) => {
   database.subjects[subjectIndex] = {
     ...database.subjects[subjectIndex],
     ...updateData,
+    version: nextVersion(database.subjects[subjectIndex], updateData),
     updatedAt: new Date().toISOString()
   };
   
@@ -513,12 +457,22 @@ const getAllSchedules = (filters = {}) => {
     schedules = schedules.filter(schedule => schedule.classId === parseInt(filters.classId));
   }
   
+  if (filters.subjectId) {
+    schedules = schedules.filter(schedule => schedule.subjectId === parseInt(filters.subjectId));
+  }
+  
   if (filters.dayOfWeek) {
     schedules = schedules.filter(schedule => 
-      schedule.dayOfWeek.toLowerCase() === filters.dayOfWeek.toLowerCase()
+      schedule.dayOfWeek?.toLowerCase() === filters.dayOfWeek.toLowerCase()
     );
   }
   
+  // Periods that happen on a date, following the timetable cycle
+  if (filters.date) {
+    const { occursOn } = getTimetableCycle();
+    schedules = schedules.filter(schedule => occursOn(schedule, filters.date));
+  }
+  
   return schedules;
 };
 
@@ -527,6 +481,9 @@ const findScheduleById = (id) => database.schedules.find(schedule => schedule.id
 const createSchedule = (scheduleData) => {
   const schedule = {
     id: ++counters.schedules,
+    dayOfWeek: null,
+    cycleWeek: null,
+    cycleDay: null,
     ...scheduleData,
     isActive: true,
     createdAt: new Date().toISOString(),
@@ -566,10 +523,15 @@ const getTeacherSchedule = (teacherId, filters = {}) => {
   
   if (filters.dayOfWeek) {
     schedules = schedules.filter(schedule => 
-      schedule.dayOfWeek.toLowerCase() === filters.dayOfWeek.toLowerCase()
+      schedule.dayOfWeek?.toLowerCase() === filters.dayOfWeek.toLowerCase()
     );
   }
   
+  if (filters.date) {
+    const { occursOn } = getTimetableCycle();
+    schedules = schedules.filter(schedule => occursOn(schedule, filters.date));
+  }
+  
   // Enrich with class and subject information
   return schedules.map(schedule => {
     const classInfo = findClassById(schedule.classId);
@@ -586,8 +548,77 @@ const getTeacherSchedule = (teacherId, filters = {}) => {
   });
 };
 
+// Substitution operations (a substitute covering another teacher's periods over a date range)
+const getSubstitutions = (filters = {}) => {
+  let substitutions = database.substitutions;
+
+  if (!filters.includeCancelled) {
+    substitutions = substitutions.filter(substitution => !substitution.cancelledAt);
+  }
+
+  // Substitutions the teacher is on either side of
+  if (filters.teacherId) {
+    const teacherId = parseInt(filters.teacherId);
+    substitutions = substitutions.filter(substitution =>
+      substitution.originalTeacherId === teacherId || substitution.substituteTeacherId === teacherId
+    );
+  }
+
+  if (filters.originalTeacherId) {
+    substitutions = substitutions.filter(substitution => substitution.originalTeacherId === parseInt(filters.originalTeacherId));
+  }
+
+  if (filters.substituteTeacherId) {
+    substitutions = substitutions.filter(substitution => substitution.substituteTeacherId === parseInt(filters.substituteTeacherId));
+  }
+
+  if (filters.date) {
+    substitutions = substitutions.filter(substitution =>
+      substitution.startDate <= filters.date && substitution.endDate >= filters.date
+    );
+  }
+
+  // Substitutions overlapping the range
+  if (filters.dateRange) {
+    const { start, end } = filters.dateRange;
+    substitutions = substitutions.filter(substitution => substitution.startDate <= end && substitution.endDate >= start);
+  }
+
+  return [...substitutions].sort((a, b) => a.startDate.localeCompare(b.startDate) || a.id - b.id);
+};
+
+const findSubstitutionById = (id) => database.substitutions.find(substitution => substitution.id === parseInt(id));
+
+const createSubstitution = (substitutionData) => {
+  const substitution = {
+    id: ++counters.substitutions,
+    ...substitutionData,
+    cancelledAt: null,
+    cancelledBy: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  database.substitutions.push(substitution);
+  return substitution;
+};
+
+const updateSubstitution = (id, updateData) => {
+  const substitutionIndex = database.substitutions.findIndex(substitution => substitution.id === parseInt(id));
+  if (substitutionIndex === -1) return null;
+
+  database.substitutions[substitutionIndex] = {
+    ...database.substitutions[substitutionIndex],
+    ...updateData,
+    updatedAt: new Date().toISOString()
+  };
+
+  return database.substitutions[substitutionIndex];
+};
+
 // Attendance operations
-const addAttendanceRecord = (attendanceData) => {
+// (auditContext = { actorId, ip } of the user making the change)
+const addAttendanceRecord = (attendanceData, auditContext = {}) => {
   // Check if attendance already exists for this class, subject, and date
   const existingIndex = database.attendance.findIndex(record => 
     record.classId === attendanceData.classId &&
@@ -596,21 +627,36 @@ const addAttendanceRecord = (attendanceData) => {
   );
 
   const classInfo = findClassById(attendanceData.classId);
-  const totalStudents = classInfo ? classInfo.students.filter(s => s.isActive).length : 0;
-  const presentStudents = classInfo ? 
-    classInfo.students
-      .filter(s => s.isActive && !attendanceData.absentStudents.includes(s.id))
-      .map(s => s.id) : [];
+  const attendanceFields = buildAttendanceFields(classInfo, attendanceData, getAttendanceRules(database.settings));
 
+  const existing = existingIndex !== -1 ? database.attendance[existingIndex] : null;
   const record = {
-    id: existingIndex !== -1 ? database.attendance[existingIndex].id : ++counters.attendance,
+    id: existing ? existing.id : ++counters.attendance,
     ...attendanceData,
-    presentStudents,
-    totalStudents,
-    submittedAt: new Date().toISOString(),
-    createdAt: existingIndex !== -1 ? database.attendance[existingIndex].createdAt : new Date().toISOString(),
+    ...attendanceFields,
+    // Replacing a record keeps its first submission time, which the lock and lateness go by
+    submittedAt: existing?.submittedAt || attendanceData.submittedAt || new Date().toISOString(),
+    version: existing ? getVersion(existing) + 1 : 1,
+    createdAt: existing ? existing.createdAt : new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
+  record.isLateSubmission = getSubmissionLateness(
+    record,
+    getAllSchedules({ classId: record.classId }),
+    database.settings,
+    getTimetableCycle().occursOn
+  ).isLate;
+
+  const auditEntry = appendAuditEntry({
+    entityType: 'attendance',
+    entityId: record.id,
+    action: existing ? 'update' : 'create',
+    before: existing,
+    after: record
+  }, auditContext);
+  record.editHistory = existing
+    ? [...(existing.editHistory || []), toEditHistoryEntry(auditEntry)]
+    : [];
 
   if (existingIndex !== -1) {
     // Update existing record
@@ -647,6 +693,10 @@ const getAttendanceRecords = (filters = {}) => {
     records = records.filter(record => record.date >= start && record.date <= end);
   }
   
+  if (filters.academicYear) {
+    records = records.filter(record => findClassById(record.classId)?.academicYear === filters.academicYear);
+  }
+  
   if (filters.studentId) {
     records = records.filter(record => 
       record.absentStudents.includes(parseInt(filters.studentId)) ||
@@ -654,6 +704,10 @@ const getAttendanceRecords = (filters = {}) => {
     );
   }
   
+  if (filters.isLateSubmission !== undefined) {
+    records = records.filter(record => !!record.isLateSubmission === filters.isLateSubmission);
+  }
+  
   return records;
 };
 
@@ -665,132 +719,351 @@ const getAttendanceRecord = (classId, subjectId, date) => {
   );
 };
 
-const updateAttendanceRecord = (id, updateData) => {
+const updateAttendanceRecord = (id, updateData, auditContext = {}) => {
   const recordIndex = database.attendance.findIndex(record => record.id === parseInt(id));
   if (recordIndex === -1) return null;
   
-  const classInfo = findClassById(updateData.classId || database.attendance[recordIndex].classId);
-  const totalStudents = classInfo ? classInfo.students.filter(s => s.isActive).length : 0;
-  const absentStudents = updateData.absentStudents || database.attendance[recordIndex].absentStudents;
-  const presentStudents = classInfo ? 
-    classInfo.students
-      .filter(s => s.isActive && !absentStudents.includes(s.id))
-      .map(s => s.id) : [];
+  const existing = database.attendance[recordIndex];
+  const classInfo = findClassById(updateData.classId || existing.classId);
+  const attendanceFields = buildAttendanceFields(classInfo, {
+    // A legacy absentStudents update replaces the stored statuses
+    studentStatuses: updateData.studentStatuses || (updateData.absentStudents ? undefined : existing.studentStatuses),
+    absentStudents: updateData.absentStudents || existing.absentStudents
+  }, getAttendanceRules(database.settings));
 
-  database.attendance[recordIndex] = {
-    ...database.attendance[recordIndex],
+  const record = {
+    ...existing,
     ...updateData,
-    presentStudents,
-    totalStudents,
+    ...attendanceFields,
+    version: getVersion(existing) + 1,
     updatedAt: new Date().toISOString()
   };
-  
+
+  const auditEntry = appendAuditEntry({
+    entityType: 'attendance',
+    entityId: record.id,
+    action: 'update',
+    before: existing,
+    after: record
+  }, auditContext);
+  record.editHistory = [...(existing.editHistory || []), toEditHistoryEntry(auditEntry)];
+
+  database.attendance[recordIndex] = record;
   return database.attendance[recordIndex];
 };
 
-const deleteAttendanceRecord = (id) => {
+const deleteAttendanceRecord = (id, auditContext = {}) => {
   const recordIndex = database.attendance.findIndex(record => record.id === parseInt(id));
   if (recordIndex === -1) return false;
   
+  appendAuditEntry({
+    entityType: 'attendance',
+    entityId: database.attendance[recordIndex].id,
+    action: 'delete',
+    before: database.attendance[recordIndex],
+    after: null
+  }, auditContext);
+
   database.attendance.splice(recordIndex, 1);
   return true;
 };
 
-// Analytics and reporting functions
-const getAttendanceStatistics = (filters = {}) => {
-  const records = getAttendanceRecords(filters);
-  const stats = {
-    totalRecords: records.length,
-    totalStudents: 0,
-    totalPresent: 0,
-    totalAbsent: 0,
-    attendanceRate: 0,
-    classSummary: {},
-    subjectSummary: {},
-    dailySummary: {}
+// Offline sync operations
+const findSyncMutation = (userId, clientId) => {
+  return database.syncMutations.find(mutation =>
+    mutation.userId === parseInt(userId) && mutation.clientId === clientId
+  ) || null;
+};
+
+const createSyncMutation = (mutationData) => {
+  const mutation = {
+    id: ++counters.syncMutations,
+    ...mutationData,
+    createdAt: new Date().toISOString()
   };
-  
-  records.forEach(record => {
-    stats.totalStudents += record.totalStudents;
-    stats.totalPresent += record.presentStudents.length;
-    stats.totalAbsent += record.absentStudents.length;
-    
-    // Class summary
-    if (!stats.classSummary[record.classId]) {
-      const classInfo = findClassById(record.classId);
-      stats.classSummary[record.classId] = {
-        className: classInfo?.name,
-        totalRecords: 0,
-        totalPresent: 0,
-        totalAbsent: 0
-      };
-    }
-    stats.classSummary[record.classId].totalRecords++;
-    stats.classSummary[record.classId].totalPresent += record.presentStudents.length;
-    stats.classSummary[record.classId].totalAbsent += record.absentStudents.length;
-    
-    // Subject summary
-    if (!stats.subjectSummary[record.subjectId]) {
-      const subjectInfo = findSubjectById(record.subjectId);
-      stats.subjectSummary[record.subjectId] = {
-        subjectName: subjectInfo?.name,
-        totalRecords: 0,
-        totalPresent: 0,
-        totalAbsent: 0
-      };
-    }
-    stats.subjectSummary[record.subjectId].totalRecords++;
-    stats.subjectSummary[record.subjectId].totalPresent += record.presentStudents.length;
-    stats.subjectSummary[record.subjectId].totalAbsent += record.absentStudents.length;
-    
-    // Daily summary
-    if (!stats.dailySummary[record.date]) {
-      stats.dailySummary[record.date] = {
-        totalRecords: 0,
-        totalPresent: 0,
-        totalAbsent: 0
-      };
-    }
-    stats.dailySummary[record.date].totalRecords++;
-    stats.dailySummary[record.date].totalPresent += record.presentStudents.length;
-    stats.dailySummary[record.date].totalAbsent += record.absentStudents.length;
-  });
-  
-  // Calculate attendance rate
-  if (stats.totalStudents > 0) {
-    stats.attendanceRate = ((stats.totalPresent / stats.totalStudents) * 100).toFixed(2);
+
+  database.syncMutations.push(mutation);
+  return mutation;
+};
+
+// Audit log operations (append-only, hash-chained)
+const appendAuditEntry = (change, auditContext) => {
+  const previousEntry = database.auditLog[database.auditLog.length - 1] || null;
+  const entry = {
+    id: ++counters.auditLog,
+    ...createAuditEntry(change, auditContext, previousEntry)
+  };
+
+  database.auditLog.push(entry);
+  return entry;
+};
+
+// Log an event that is not a change to a stored record (e.g. security events on an account)
+const addAuditEntry = (change, auditContext) => appendAuditEntry(change, auditContext);
+
+const getAuditEntries = (filters = {}) => {
+  let entries = database.auditLog;
+
+  if (filters.entityType) {
+    entries = entries.filter(entry => entry.entityType === filters.entityType);
   }
-  
-  return stats;
+
+  if (filters.entityId) {
+    entries = entries.filter(entry => entry.entityId === parseInt(filters.entityId));
+  }
+
+  return entries;
 };
 
-const getStudentAttendanceHistory = (studentId, filters = {}) => {
-  const records = getAttendanceRecords(filters);
-  const studentHistory = [];
-  
-  records.forEach(record => {
-    const isPresent = record.presentStudents.includes(parseInt(studentId));
-    const isAbsent = record.absentStudents.includes(parseInt(studentId));
-    
-    if (isPresent || isAbsent) {
-      const classInfo = findClassById(record.classId);
-      const subjectInfo = findSubjectById(record.subjectId);
-      
-      studentHistory.push({
-        date: record.date,
-        classId: record.classId,
-        className: classInfo?.name,
-        subjectId: record.subjectId,
-        subjectName: subjectInfo?.name,
-        status: isPresent ? 'present' : 'absent',
-        submittedAt: record.submittedAt
-      });
-    }
+// Correction request operations (changes to locked attendance records)
+const createCorrectionRequest = (requestData) => {
+  const request = {
+    id: ++counters.correctionRequests,
+    ...requestData,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  database.correctionRequests.push(request);
+  return request;
+};
+
+const findCorrectionRequestById = (id) => {
+  return database.correctionRequests.find(request => request.id === parseInt(id));
+};
+
+const getCorrectionRequests = (filters = {}) => {
+  let requests = database.correctionRequests;
+
+  if (filters.status) {
+    requests = requests.filter(request => request.status === filters.status);
+  }
+
+  if (filters.requestedBy) {
+    requests = requests.filter(request => request.requestedBy === parseInt(filters.requestedBy));
+  }
+
+  if (filters.attendanceId) {
+    requests = requests.filter(request => request.attendanceId === parseInt(filters.attendanceId));
+  }
+
+  return requests;
+};
+
+const updateCorrectionRequest = (id, updateData) => {
+  const requestIndex = database.correctionRequests.findIndex(request => request.id === parseInt(id));
+  if (requestIndex === -1) return null;
+
+  database.correctionRequests[requestIndex] = {
+    ...database.correctionRequests[requestIndex],
+    ...updateData,
+    updatedAt: new Date().toISOString()
+  };
+
+  return database.correctionRequests[requestIndex];
+};
+
+// Academic calendar operations
+const getCalendarEvents = (filters = {}) => {
+  let events = database.calendarEvents;
+
+  if (filters.type) {
+    events = events.filter(event => event.type === filters.type);
+  }
+
+  if (filters.classId) {
+    events = events.filter(event =>
+      event.classIds.length === 0 || event.classIds.includes(parseInt(filters.classId))
+    );
+  }
+
+  // Events overlapping the range
+  if (filters.dateRange) {
+    const { start, end } = filters.dateRange;
+    events = events.filter(event => event.startDate <= end && (event.endDate || event.startDate) >= start);
+  }
+
+  return [...events].sort((a, b) => a.startDate.localeCompare(b.startDate));
+};
+
+const findCalendarEventById = (id) => database.calendarEvents.find(event => event.id === parseInt(id));
+
+const createCalendarEvent = (eventData) => {
+  const event = {
+    id: ++counters.calendarEvents,
+    classIds: [],
+    ...eventData,
+    endDate: eventData.endDate || eventData.startDate,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  database.calendarEvents.push(event);
+  return event;
+};
+
+const updateCalendarEvent = (id, updateData) => {
+  const eventIndex = database.calendarEvents.findIndex(event => event.id === parseInt(id));
+  if (eventIndex === -1) return null;
+
+  database.calendarEvents[eventIndex] = {
+    ...database.calendarEvents[eventIndex],
+    ...updateData,
+    updatedAt: new Date().toISOString()
+  };
+
+  return database.calendarEvents[eventIndex];
+};
+
+const deleteCalendarEvent = (id) => {
+  const eventIndex = database.calendarEvents.findIndex(event => event.id === parseInt(id));
+  if (eventIndex === -1) return false;
+
+  database.calendarEvents.splice(eventIndex, 1);
+  return true;
+};
+
+// School-day lookups over the current calendar and settings
+const getAcademicCalendar = () => createAcademicCalendar(database.calendarEvents, database.settings);
+
+// Which timetable entries happen on a date (weekly, A/B weeks or day-N cycles)
+const getTimetableCycle = () => createTimetableCycle(database.settings, getAcademicCalendar());
+
+// Role operations (users reference roles by name)
+const getAllRoles = () => [...database.roles];
+
+const findRoleByName = (name) => database.roles.find(role => role.name === name);
+
+const createRole = (roleData) => {
+  const role = {
+    id: ++counters.roles,
+    permissions: [],
+    isSystem: false,
+    isRestricted: false,
+    ...roleData,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  database.roles.push(role);
+  return role;
+};
+
+const updateRole = (name, updateData) => {
+  const roleIndex = database.roles.findIndex(role => role.name === name);
+  if (roleIndex === -1) return null;
+
+  database.roles[roleIndex] = {
+    ...database.roles[roleIndex],
+    ...updateData,
+    updatedAt: new Date().toISOString()
+  };
+
+  return database.roles[roleIndex];
+};
+
+const deleteRole = (name) => {
+  const roleIndex = database.roles.findIndex(role => role.name === name);
+  if (roleIndex === -1) return false;
+
+  database.roles.splice(roleIndex, 1);
+  return true;
+};
+
+// Session operations (refresh tokens and revoked access tokens)
+const createRefreshToken = (tokenData) => {
+  const token = {
+    id: ++counters.refreshTokens,
+    ...tokenData,
+    createdAt: new Date().toISOString()
+  };
+
+  database.refreshTokens.push(token);
+  return token;
+};
+
+const findRefreshTokenByHash = (tokenHash) => {
+  return database.refreshTokens.find(token => token.tokenHash === tokenHash);
+};
+
+const getRefreshTokens = (filters = {}) => {
+  let tokens = database.refreshTokens;
+
+  if (filters.userId) {
+    tokens = tokens.filter(token => token.userId === parseInt(filters.userId));
+  }
+
+  if (filters.familyId) {
+    tokens = tokens.filter(token => token.familyId === filters.familyId);
+  }
+
+  if (filters.active) {
+    const now = new Date().toISOString();
+    tokens = tokens.filter(token => !token.revokedAt && token.expiresAt > now);
+  }
+
+  return tokens;
+};
+
+const updateRefreshToken = (id, updateData) => {
+  const tokenIndex = database.refreshTokens.findIndex(token => token.id === parseInt(id));
+  if (tokenIndex === -1) return null;
+
+  database.refreshTokens[tokenIndex] = {
+    ...database.refreshTokens[tokenIndex],
+    ...updateData
+  };
+
+  return database.refreshTokens[tokenIndex];
+};
+
+// Revoke every unrevoked refresh token of a user or token family; returns how many
+const revokeRefreshTokens = (filters, reason) => {
+  const revokedAt = new Date().toISOString();
+  const tokens = getRefreshTokens(filters).filter(token => !token.revokedAt);
+
+  tokens.forEach(token => {
+    token.revokedAt = revokedAt;
+    token.revokedReason = reason;
   });
-  
-  return studentHistory.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  return tokens.length;
+};
+
+const addRevokedToken = (tokenData) => {
+  const token = {
+    id: ++counters.revokedTokens,
+    ...tokenData,
+    revokedAt: new Date().toISOString()
+  };
+
+  database.revokedTokens.push(token);
+  return token;
+};
+
+const isTokenRevoked = (jti) => database.revokedTokens.some(token => token.jti === jti);
+
+// Drop refresh and revoked tokens that have expired anyway
+const purgeExpiredTokens = () => {
+  const now = new Date().toISOString();
+  database.refreshTokens = database.refreshTokens.filter(token => token.expiresAt > now);
+  database.revokedTokens = database.revokedTokens.filter(token => token.expiresAt > now);
 };
 
+// Analytics and reporting functions
+const {
+  getAttendanceStatistics,
+  getStudentAttendanceHistory,
+  summarizeStudentHistory
+} = createAttendanceAnalytics({
+  getAttendanceRecords,
+  findClassById,
+  findSubjectById,
+  getSettings: () => getSettings(),
+  getAcademicCalendar
+});
+
 // Settings operations
 const getSettings = () => database.settings;
 
@@ -814,24 +1087,47 @@ const importDatabase = (importData) => {
   }
   
   database = {
+    roles: importData.roles || createDefaultRoles(), // Backups from before roles were stored
     users: importData.users || [],
     classes: importData.classes || [],
+    students: importData.students || [],
+    enrollments: importData.enrollments || [],
     subjects: importData.subjects || [],
     schedules: importData.schedules || [],
     attendance: importData.attendance || [],
+    auditLog: importData.auditLog || [],
+    correctionRequests: importData.correctionRequests || [],
+    calendarEvents: importData.calendarEvents || [],
+    substitutions: importData.substitutions || [],
+    syncMutations: importData.syncMutations || [],
+    refreshTokens: importData.refreshTokens || [],
+    revokedTokens: importData.revokedTokens || [],
     settings: importData.settings || database.settings
   };
   
+  // Backups from before the student registry embed students in their classes
+  if (!importData.enrollments) {
+    Object.assign(database, fromEmbeddedStudents(database.classes));
+  }
+  
   // Update counters
+  counters.roles = Math.max(...database.roles.map(r => r.id), 0);
   counters.users = Math.max(...database.users.map(u => u.id), 0);
   counters.classes = Math.max(...database.classes.map(c => c.id), 0);
   counters.subjects = Math.max(...database.subjects.map(s => s.id), 0);
   counters.schedules = Math.max(...database.schedules.map(s => s.id), 0);
   counters.attendance = Math.max(...database.attendance.map(a => a.id), 0);
-  counters.students = Math.max(
-    ...database.classes.flatMap(c => c.students.map(s => s.id)), 0
-  );
-  
+  counters.auditLog = Math.max(...database.auditLog.map(e => e.id), 0);
+  counters.correctionRequests = Math.max(...database.correctionRequests.map(r => r.id), 0);
+  counters.calendarEvents = Math.max(...database.calendarEvents.map(e => e.id), 0);
+  counters.substitutions = Math.max(...database.substitutions.map(s => s.id), 0);
+  counters.syncMutations = Math.max(...database.syncMutations.map(m => m.id), 0);
+  counters.refreshTokens = Math.max(...database.refreshTokens.map(t => t.id), 0);
+  counters.revokedTokens = Math.max(...database.revokedTokens.map(t => t.id), 0);
+  counters.students = Math.max(...database.students.map(s => s.id), 0);
+  counters.enrollments = Math.max(...database.enrollments.map(e => e.id), 0);
+  
+  refreshRosters(database.classes.map(c => c.id));
   return database;
 };
 
@@ -840,12 +1136,13 @@ const searchStudents = (query) => {
   const results = [];
   const searchTerm = query.toLowerCase();
   
+  // Only students currently enrolled in a class
   database.classes.forEach(cls => {
     cls.students.forEach(student => {
       if (student.isActive && 
           (student.name.toLowerCase().includes(searchTerm) ||
            student.studentId.toLowerCase().includes(searchTerm) ||
-           student.email.toLowerCase().includes(searchTerm))) {
+           student.email?.toLowerCase().includes(searchTerm))) {
         results.push({
           ...student,
           classId: cls.id,
@@ -869,14 +1166,23 @@ const searchClasses = (query) => {
   );
 };
 
-module.exports = {
+const inMemoryDatabase = {
   initializeDatabase,
   getDatabase,
+  runInTransaction,
+  
+  // Role operations
+  getAllRoles,
+  findRoleByName,
+  createRole,
+  updateRole,
+  deleteRole,
   
   // User operations
   findUser,
   findUserById,
   createUser,
+  createUserRecord,
   updateUser,
   updateUserLoginInfo,
   
@@ -887,11 +1193,20 @@ module.exports = {
   createClass,
   updateClass,
   deleteClass,
+  archiveClass,
+  getAcademicYears,
   
   // Student operations
+  findStudent,
+  findStudentById,
+  getAllStudents,
   addStudentToClass,
   removeStudentFromClass,
-  findStudentById,
+  updateStudent,
+  enrollStudent,
+  endEnrollment,
+  transferStudent,
+  getStudentEnrollments,
   
   // Subject operations
   getAllSubjects,
@@ -908,6 +1223,12 @@ module.exports = {
   deleteSchedule,
   getTeacherSchedule,
   
+  // Substitution operations
+  getSubstitutions,
+  findSubstitutionById,
+  createSubstitution,
+  updateSubstitution,
+  
   // Attendance operations
   addAttendanceRecord,
   getAttendanceRecords,
@@ -915,9 +1236,43 @@ module.exports = {
   updateAttendanceRecord,
   deleteAttendanceRecord,
   
+  // Offline sync
+  findSyncMutation,
+  createSyncMutation,
+  
+  // Audit log
+  addAuditEntry,
+  getAuditEntries,
+  
+  // Correction requests
+  createCorrectionRequest,
+  findCorrectionRequestById,
+  getCorrectionRequests,
+  updateCorrectionRequest,
+  
+  // Academic calendar
+  getCalendarEvents,
+  findCalendarEventById,
+  createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  getAcademicCalendar,
+  getTimetableCycle,
+  
+  // Sessions
+  createRefreshToken,
+  findRefreshTokenByHash,
+  getRefreshTokens,
+  updateRefreshToken,
+  revokeRefreshTokens,
+  addRevokedToken,
+  isTokenRevoked,
+  purgeExpiredTokens,
+  
   // Analytics
   getAttendanceStatistics,
   getStudentAttendanceHistory,
+  summarizeStudentHistory,
   
   // Settings
   getSettings,
@@ -930,4 +1285,9 @@ module.exports = {
   // Search
   searchStudents,
   searchClasses
-};
\ No newline at end of file
+};
+
+// Export the storage adapter selected by config/database.js (DB_TYPE)
+module.exports = getActiveConfig().type === 'sqlite'
+  ? require('./sqliteDatabase')
+  : inMemoryDatabase;
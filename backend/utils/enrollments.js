@@ -0,0 +1,154 @@
+// backend/utils/enrollments.js - Student Registry and Class Enrollments
+
+/**
+ * Students live in a registry with stable IDs. An enrollment places a student
+ * in a class from `startDate` up to `endDate` (exclusive; null while current),
+ * and a student has at most one current enrollment. Transfers end one
+ * enrollment and start the next on the same date, so the student keeps their
+ * ID (and attendance history) across classes and academic years.
+ *
+ * Class rosters (classes[].students) are derived from the enrollments: every
+ * student ever enrolled in the class appears once, from their latest
+ * enrollment there, and is active while that enrollment is current.
+ *
+ * Start reasons:
+ *   admission     - new student
+ *   transfer      - moved here from another class
+ *   re-enrollment - returning after a withdrawal
+ *   promotion     - moved up at the start of an academic year
+ *   retention     - repeating their grade in the new academic year
+ * End reasons:
+ *   transfer, withdrawal, promotion, retention, graduation
+ */
+const START_REASONS = ['admission', 'transfer', 're-enrollment', 'promotion', 'retention'];
+const END_REASONS = ['transfer', 'withdrawal', 'promotion', 'retention', 'graduation'];
+
+const MAX_NOTES_LENGTH = 500;
+
+const isValidDate = (dateString) => {
+  return typeof dateString === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(dateString) &&
+    !isNaN(new Date(dateString));
+};
+
+const getToday = () => new Date().toISOString().split('T')[0];
+
+const isCurrentEnrollment = (enrollment) => !enrollment.endDate;
+
+/**
+ * Validate the date, reason and notes of an enrollment change.
+ * `reasons` lists the allowed reasons; `after` is the earliest allowed date
+ * (the start of the enrollment being ended, or the end of the previous one).
+ */
+const validateEnrollmentChange = ({ date, reason, notes }, { reasons, after = null, today = getToday() }) => {
+  const errors = [];
+
+  if (date !== undefined && !isValidDate(date)) {
+    errors.push('Date must be a valid date (YYYY-MM-DD)');
+  } else if (date > today) {
+    errors.push('Date cannot be in the future');
+  } else if (after && (date || today) < after) {
+    errors.push(`Date cannot be before ${after}`);
+  }
+  if (reason !== undefined && !reasons.includes(reason)) {
+    errors.push(`Reason must be one of: ${reasons.join(', ')}`);
+  }
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+    errors.push(`Notes must be text of at most ${MAX_NOTES_LENGTH} characters`);
+  }
+
+  return errors;
+};
+
+// Registry fields (the rest of a roster entry comes from the enrollment)
+const pickStudentFields = (student) => ({
+  id: student.id,
+  studentId: student.studentId,
+  name: student.name,
+  email: student.email,
+  dateOfBirth: student.dateOfBirth,
+  parentContact: student.parentContact
+});
+
+const toRosterEntry = (student, enrollment) => ({
+  ...pickStudentFields(student),
+  isActive: isCurrentEnrollment(enrollment),
+  enrolledDate: enrollment.startDate,
+  ...(enrollment.endDate && { leftDate: enrollment.endDate }),
+  enrollmentId: enrollment.id
+});
+
+/**
+ * Roster of a class from its enrollments; getStudent(id) looks up registry
+ * students. Ordered by enrollment, so re-enrolled students move to the end.
+ */
+const buildRoster = (classId, enrollments, getStudent) => {
+  const latest = new Map();
+  enrollments
+    .filter(enrollment => enrollment.classId === classId)
+    .forEach(enrollment => {
+      const previous = latest.get(enrollment.studentId);
+      if (!previous || enrollment.id > previous.id) {
+        latest.set(enrollment.studentId, enrollment);
+      }
+    });
+
+  return [...latest.values()]
+    .sort((a, b) => a.id - b.id)
+    .map(enrollment => {
+      const student = getStudent(enrollment.studentId);
+      return student ? toRosterEntry(student, enrollment) : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Convert classes that embed their students (data from before the registry)
+ * into registry students and enrollments, keeping the student IDs that
+ * attendance records refer to. Removed students get an enrollment ending
+ * on the class's last update, the closest record of when they left.
+ */
+const fromEmbeddedStudents = (classes, now = new Date().toISOString()) => {
+  const students = [];
+  const enrollments = [];
+
+  for (const cls of classes) {
+    for (const embedded of cls.students || []) {
+      const startDate = (embedded.enrolledDate || cls.createdAt || now).split('T')[0];
+      const leftDate = (cls.updatedAt || now).split('T')[0];
+      const removed = embedded.isActive === false;
+
+      if (!students.some(student => student.id === embedded.id)) {
+        students.push({
+          ...pickStudentFields(embedded),
+          createdAt: embedded.enrolledDate || now,
+          updatedAt: now
+        });
+      }
+
+      enrollments.push({
+        id: enrollments.length + 1,
+        studentId: embedded.id,
+        classId: cls.id,
+        startDate,
+        endDate: removed ? (leftDate > startDate ? leftDate : startDate) : null,
+        reason: 'admission',
+        endReason: removed ? 'withdrawal' : null,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+  }
+
+  return { students, enrollments };
+};
+
+module.exports = {
+  START_REASONS,
+  END_REASONS,
+  getToday,
+  isCurrentEnrollment,
+  validateEnrollmentChange,
+  buildRoster,
+  fromEmbeddedStudents
+};
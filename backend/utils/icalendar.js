@@ -0,0 +1,196 @@
+// backend/utils/icalendar.js - iCalendar (RFC 5545) Feed Writer
+
+const PRODUCT_ID = '-//VirtualRollCall//Timetable//EN';
+
+// Content lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+// TEXT values escape backslashes, separators and newlines
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Split a content line into 75-octet chunks, continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+
+  for (const character of line) {
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(chunk + character) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += character;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+// YYYY-MM-DD and HH:MM to a local DATE-TIME (20240902T090000)
+const formatDateTime = (date, time) => `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+// ISO timestamp to a UTC DATE-TIME (20240902T090000Z)
+const formatTimestamp = (timestamp) => new Date(timestamp).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const offsetFormatters = new Map();
+
+// Minutes `timezone` is ahead of UTC at an instant (ms since the epoch)
+const getUtcOffset = (timezone, time) => {
+  if (!offsetFormatters.has(timezone)) {
+    offsetFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = offsetFormatters.get(timezone).formatToParts(new Date(time)).reduce((values, part) => ({ ...values, [part.type]: Number(part.value) }), {});
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - Math.floor(time / 1000) * 1000) / MINUTE_MS);
+};
+
+// UTC offset in minutes as a UTC-OFFSET value (+0100, -0430)
+const formatOffset = (minutes) => {
+  const absolute = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+};
+
+// Instants between `start` and `end` (ms) at which the timezone's UTC offset changes
+const findOffsetChanges = (timezone, start, end) => {
+  const changes = [];
+  let previous = getUtcOffset(timezone, start);
+
+  for (let day = start + DAY_MS; day <= end; day += DAY_MS) {
+    const offset = getUtcOffset(timezone, day);
+    if (offset === previous) continue;
+
+    // The change is within the last day: narrow it down to the minute
+    let before = day - DAY_MS;
+    let after = day;
+    while (after - before > MINUTE_MS) {
+      const middle = before + Math.floor((after - before) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (getUtcOffset(timezone, middle) === previous) before = middle;
+      else after = middle;
+    }
+
+    changes.push({ at: after, from: previous, to: offset });
+    previous = offset;
+  }
+
+  return changes;
+};
+
+/**
+ * Lines of the VTIMEZONE that TZID=`timezone` refers to (RFC 5545 3.6.5),
+ * with every offset change in the years from `firstDate` to `lastDate`
+ */
+const buildTimezone = (timezone, firstDate, lastDate) => {
+  const start = Date.UTC(Number(firstDate.slice(0, 4)), 0, 1);
+  const end = Date.UTC(Number(lastDate.slice(0, 4)) + 1, 0, 1);
+  const initialOffset = getUtcOffset(timezone, start);
+  const changes = findOffsetChanges(timezone, start, end);
+
+  // Local wall-clock time (in the offset before it) of an instant
+  const localTime = (time, offset) => formatTimestamp(time + offset * MINUTE_MS).slice(0, -1);
+  const observance = ({ at, from, to }, type = to > from ? 'DAYLIGHT' : 'STANDARD') => {
+    return [
+      `BEGIN:${type}`,
+      `DTSTART:${localTime(at, from)}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${type}`
+    ];
+  };
+
+  // The offset in effect before the first change is daylight time when that change turns the clocks back
+  const initialType = changes.length > 0 && changes[0].to < initialOffset ? 'DAYLIGHT' : 'STANDARD';
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timezone}`,
+    ...observance({ at: start, from: initialOffset, to: initialOffset }, initialType),
+    ...changes.flatMap(change => observance(change)),
+    'END:VTIMEZONE'
+  ];
+};
+
+/**
+ * Lines of one VEVENT. Events have { uid, date, startTime, endTime,
+ * summary, location, description, rrule, exdates, rdates, lastModified };
+ * times are local to `timezone` and exdates/rdates are dates with the
+ * event's start time.
+ */
+const buildEvent = (event, { timezone, stamp }) => {
+  const tzid = `TZID=${timezone}`;
+  const atStart = (date) => formatDateTime(date, event.startTime);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;${tzid}:${atStart(event.date)}`
+  ];
+
+  if (event.endTime) lines.push(`DTEND;${tzid}:${formatDateTime(event.date, event.endTime)}`);
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  if (event.exdates?.length > 0) lines.push(`EXDATE;${tzid}:${event.exdates.map(atStart).join(',')}`);
+  if (event.rdates?.length > 0) lines.push(`RDATE;${tzid}:${event.rdates.map(atStart).join(',')}`);
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatTimestamp(event.lastModified)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * A complete VCALENDAR document (CRLF line endings, folded lines) that
+ * calendar clients can subscribe to. Event times refer to a VTIMEZONE
+ * for `timezone`, so weekly rules keep their local time across DST changes.
+ */
+const buildCalendar = ({ name, timezone = 'UTC', refreshMinutes = 60, events = [] }, now = new Date()) => {
+  const stamp = formatTimestamp(now);
+  const eventDates = events.flatMap(event => [event.date, ...(event.exdates || []), ...(event.rdates || [])]).sort();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+    `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+    ...(events.length > 0 ? buildTimezone(timezone, eventDates[0], eventDates[eventDates.length - 1]) : []),
+    ...events.flatMap(event => buildEvent(event, { timezone, stamp })),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatTimestamp,
+  getUtcOffset,
+  buildTimezone,
+  buildCalendar
+};
@@ -0,0 +1,140 @@
+// backend/utils/importFile.js - Read CSV/XLSX Uploads into Rows
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const { AppError } = require('../middleware/errorHandler');
+
+const FILE_TYPES = {
+  csv: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+};
+
+// Header cells are compared without case, spaces, dashes or underscores
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_\-.]/g, '');
+
+// File type from the extension, or from the MIME type when the name has none
+const getFileType = ({ originalname = '', mimetype = '' }) => {
+  if (originalname.includes('.')) {
+    const extension = originalname.split('.').pop().toLowerCase();
+    return FILE_TYPES[extension] ? extension : null;
+  }
+  return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].includes(mimetype)) || null;
+};
+
+const parseCsv = (buffer) => new Promise((resolve, reject) => {
+  const rows = [];
+  let headers = [];
+
+  Readable.from([buffer])
+    .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+    .on('headers', (names) => { headers = names; })
+    .on('data', (row) => rows.push(row))
+    .on('error', reject)
+    .on('end', () => resolve({ headers, rows }));
+});
+
+const cellValue = (cell) => {
+  if (cell.value instanceof Date) return cell.value.toISOString().split('T')[0];
+  return cell.text;
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], rows: [] };
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column - 1] = String(cell.text).trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    headers.forEach((header, index) => {
+      if (header) values[header] = cellValue(row.getCell(index + 1));
+    });
+    rows.push(values);
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * Parse an uploaded file (multer memory storage) into
+ * { headers, rows: [{ rowNumber, values: { header: text } }] }.
+ * Row numbers are spreadsheet rows (the header is row 1); blank rows are dropped.
+ */
+const parseImportFile = async (file) => {
+  if (!file || !file.buffer) {
+    throw new AppError('Upload a CSV or XLSX file in the "file" field', 400, 'FILE_REQUIRED');
+  }
+
+  const type = getFileType(file);
+  if (!type) {
+    throw new AppError('Only CSV and XLSX files can be imported', 400, 'UNSUPPORTED_FILE_TYPE');
+  }
+
+  let parsed;
+  try {
+    parsed = type === 'xlsx' ? await parseXlsx(file.buffer) : await parseCsv(file.buffer);
+  } catch (error) {
+    throw new AppError(`Could not read the ${type.toUpperCase()} file: ${error.message}`, 400, 'INVALID_IMPORT_FILE');
+  }
+
+  const rows = parsed.rows
+    .map((values, index) => ({ rowNumber: index + 2, values }))
+    .filter(({ values }) => Object.values(values).some(value => String(value ?? '').trim() !== ''));
+
+  return { type, headers: parsed.headers, rows };
+};
+
+/**
+ * Decide which field each column fills. `fields` maps field names to the
+ * header aliases recognised by default; `mapping` ({ header: field }, from
+ * the request) overrides them, and mapping a header to null skips it.
+ */
+const mapColumns = (headers, fields, mapping = {}) => {
+  const aliases = new Map();
+  for (const [field, names] of Object.entries(fields)) {
+    [field, ...names].forEach(name => aliases.set(normalizeHeader(name), field));
+  }
+
+  const columns = {};
+  const ignored = [];
+
+  for (const header of headers) {
+    const field = Object.prototype.hasOwnProperty.call(mapping, header)
+      ? mapping[header]
+      : aliases.get(normalizeHeader(header));
+
+    if (field && Object.prototype.hasOwnProperty.call(fields, field)) {
+      columns[header] = field;
+    } else {
+      ignored.push(header);
+    }
+  }
+
+  return { columns, ignored };
+};
+
+// Turn a parsed row into { field: value } using the column map
+const applyColumns = (values, columns) => {
+  const data = {};
+  for (const [header, field] of Object.entries(columns)) {
+    const value = String(values[header] ?? '').trim();
+    if (value !== '') data[field] = value;
+  }
+  return data;
+};
+
+module.exports = {
+  parseImportFile,
+  mapColumns,
+  applyColumns,
+  getFileType
+};
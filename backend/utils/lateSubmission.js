@@ -0,0 +1,114 @@
+// backend/utils/lateSubmission.js - Late Attendance Submission Detection
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const formatMinutes = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) and wall-clock time (HH:MM) of a timestamp
+ * in the school's timezone; unknown timezones fall back to UTC
+ */
+const getLocalDateTime = (timestamp, timezone = 'UTC') => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  } catch {
+    return getLocalDateTime(timestamp, 'UTC');
+  }
+
+  const parts = formatter.formatToParts(new Date(timestamp))
+    .reduce((values, part) => ({ ...values, [part.type]: part.value }), {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+/**
+ * Day name ('Monday', ...) of a YYYY-MM-DD date
+ */
+const getDayOfWeek = (date) => DAYS_OF_WEEK[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Entries happen on their weekday unless a timetable cycle says otherwise
+const isOnWeekday = (schedule, date) => Boolean(schedule.dayOfWeek) &&
+  schedule.dayOfWeek.toLowerCase() === getDayOfWeek(date).toLowerCase();
+
+/**
+ * The scheduled period a record was taken for: the class/subject's
+ * earliest period on that date, or null when it is not on the timetable.
+ * `occursOn(schedule, date)` resolves rotating timetables (see
+ * utils/timetableCycle.js).
+ */
+const findScheduledPeriod = (schedules, { classId, subjectId, date }, occursOn = isOnWeekday) => {
+  return schedules
+    .filter(schedule =>
+      schedule.classId === classId &&
+      schedule.subjectId === subjectId &&
+      occursOn(schedule, date)
+    )
+    .sort((a, b) => a.startTime.localeCompare(b.startTime))[0] || null;
+};
+
+/**
+ * Deadline (HH:MM, school time) for submitting a record: the period's start
+ * plus the grace window, or the school-wide attendanceDeadline for
+ * unscheduled periods
+ */
+const getSubmissionDeadline = (period, settings = {}) => {
+  if (period) {
+    const graceMinutes = Number(settings.lateSubmissionGraceMinutes) || 0;
+    return formatMinutes(toMinutes(period.startTime) + graceMinutes);
+  }
+
+  return settings.attendanceDeadline || null;
+};
+
+/**
+ * How late a record was submitted relative to its deadline.
+ * Returns { isLate, minutesLate, deadline, periodId }.
+ */
+const getSubmissionLateness = (record, schedules, settings = {}, occursOn = isOnWeekday) => {
+  const period = findScheduledPeriod(schedules, record, occursOn);
+  const deadline = getSubmissionDeadline(period, settings);
+
+  if (!deadline || !record.submittedAt) {
+    return { isLate: false, minutesLate: 0, deadline, periodId: period ? period.id : null };
+  }
+
+  const submitted = getLocalDateTime(record.submittedAt, settings.timezone);
+  const daysAfter = Math.round((Date.parse(submitted.date) - Date.parse(record.date)) / (24 * 60 * 60 * 1000));
+  const minutesLate = daysAfter * 24 * 60 + toMinutes(submitted.time) - toMinutes(deadline);
+
+  return {
+    isLate: minutesLate > 0,
+    minutesLate: Math.max(minutesLate, 0),
+    deadline,
+    periodId: period ? period.id : null
+  };
+};
+
+module.exports = {
+  getLocalDateTime,
+  getDayOfWeek,
+  findScheduledPeriod,
+  getSubmissionDeadline,
+  getSubmissionLateness
+};
@@ -0,0 +1,214 @@
+// backend/utils/migrationRunner.js - Versioned Schema Migrations
+const fs = require('fs');
+const path = require('path');
+const { databaseConfig } = require('../config/database');
+
+// Migration files are named <version>_<name>.js, e.g. 001_initial_schema.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const getMigrationsDirectory = () => path.resolve(__dirname, '..', databaseConfig.migrations.directory);
+
+const getMigrationsTable = () => databaseConfig.migrations.tableName;
+
+/**
+ * Schema helpers passed to every migration's up()/down()
+ */
+const createSchemaHelpers = (db) => {
+  const hasTable = (tableName) => {
+    return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(tableName));
+  };
+
+  const hasColumn = (tableName, column) => {
+    return db.prepare(`PRAGMA table_info(${tableName})`).all().some(info => info.name === column);
+  };
+
+  // Model schemas quote string defaults with "", which SQLite reads as identifiers
+  const toColumnDefinition = (definition) => definition.replace(/DEFAULT "([^"]*)"/, "DEFAULT '$1'");
+
+  const createIndexes = (indexes = []) => {
+    for (const indexSql of indexes) {
+      db.exec(indexSql.replace(/^CREATE (UNIQUE )?INDEX /i, 'CREATE $1INDEX IF NOT EXISTS '));
+    }
+  };
+
+  // Create a table from a getSchema()-style definition
+  const createTable = (schema) => {
+    const definitions = Object.entries(schema.columns)
+      .map(([column, definition]) => `${column} ${toColumnDefinition(definition)}`)
+      .concat(schema.foreignKeys || []);
+
+    db.exec(`CREATE TABLE IF NOT EXISTS ${schema.tableName} (${definitions.join(', ')})`);
+    createIndexes(schema.indexes);
+  };
+
+  const dropTable = (tableName) => {
+    db.exec(`DROP TABLE IF EXISTS ${tableName}`);
+  };
+
+  // Column helpers are idempotent: a fresh database already gets the
+  // current model columns from the initial schema migration
+  const addColumn = (tableName, column, definition) => {
+    if (!hasColumn(tableName, column)) {
+      db.exec(`ALTER TABLE ${tableName} ADD COLUMN ${column} ${toColumnDefinition(definition)}`);
+    }
+  };
+
+  const dropColumn = (tableName, column) => {
+    if (hasColumn(tableName, column)) {
+      db.exec(`ALTER TABLE ${tableName} DROP COLUMN ${column}`);
+    }
+  };
+
+  const dropIndex = (indexName) => {
+    db.exec(`DROP INDEX IF EXISTS ${indexName}`);
+  };
+
+  return {
+    hasTable,
+    hasColumn,
+    createTable,
+    dropTable,
+    addColumn,
+    dropColumn,
+    createIndexes,
+    dropIndex
+  };
+};
+
+/**
+ * Load migration definitions from the migrations directory, sorted by version
+ */
+const loadMigrations = () => {
+  const directory = getMigrationsDirectory();
+  if (!fs.existsSync(directory)) return [];
+
+  const migrations = fs.readdirSync(directory)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(directory, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down() functions`);
+      }
+
+      return {
+        version: parseInt(match[1]),
+        name: match[2],
+        file,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+    }
+  });
+
+  return migrations;
+};
+
+const ensureMigrationsTable = (db) => {
+  db.exec(`CREATE TABLE IF NOT EXISTS ${getMigrationsTable()} (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at DATETIME NOT NULL
+  )`);
+};
+
+const getAppliedMigrations = (db) => {
+  ensureMigrationsTable(db);
+  return db.prepare(`SELECT version, name, applied_at FROM ${getMigrationsTable()} ORDER BY version`)
+    .all()
+    .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+};
+
+/**
+ * Apply pending migrations in order, each in its own transaction.
+ * Stops after `to` when given. Returns the migrations that were applied.
+ */
+const migrateUp = (db, { to } = {}) => {
+  const applied = new Set(getAppliedMigrations(db).map(m => m.version));
+  const helpers = createSchemaHelpers(db);
+  const pending = loadMigrations()
+    .filter(m => !applied.has(m.version))
+    .filter(m => to === undefined || m.version <= to);
+
+  const record = db.prepare(`INSERT INTO ${getMigrationsTable()} (version, name, applied_at) VALUES (?, ?, ?)`);
+
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db, helpers);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+};
+
+/**
+ * Revert the most recently applied migrations. Reverts `steps` migrations
+ * (default 1), or every migration newer than `to` when given.
+ * Returns the migrations that were reverted.
+ */
+const migrateDown = (db, { steps = 1, to } = {}) => {
+  const available = new Map(loadMigrations().map(m => [m.version, m]));
+  const helpers = createSchemaHelpers(db);
+  const appliedDesc = getAppliedMigrations(db).reverse();
+
+  const toRevert = to === undefined
+    ? appliedDesc.slice(0, steps)
+    : appliedDesc.filter(m => m.version > to);
+
+  const remove = db.prepare(`DELETE FROM ${getMigrationsTable()} WHERE version = ?`);
+
+  for (const { version, name } of toRevert) {
+    const migration = available.get(version);
+    if (!migration) {
+      throw new Error(`Cannot revert migration ${version}_${name}: file not found in ${getMigrationsDirectory()}`);
+    }
+
+    db.transaction(() => {
+      migration.down(db, helpers);
+      remove.run(version);
+    })();
+  }
+
+  return toRevert.map(({ version, name }) => ({ version, name }));
+};
+
+/**
+ * List every known migration with its status (applied, pending, or missing
+ * when the database records a migration whose file no longer exists)
+ */
+const getMigrationStatus = (db) => {
+  const applied = new Map(getAppliedMigrations(db).map(m => [m.version, m]));
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map(m => m.version));
+
+  const status = migrations.map(({ version, name }) => ({
+    version,
+    name,
+    status: applied.has(version) ? 'applied' : 'pending',
+    appliedAt: applied.get(version)?.appliedAt || null
+  }));
+
+  for (const [version, migration] of applied) {
+    if (!known.has(version)) {
+      status.push({ version, name: migration.name, status: 'missing', appliedAt: migration.appliedAt });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+};
+
+module.exports = {
+  loadMigrations,
+  getAppliedMigrations,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus
+};
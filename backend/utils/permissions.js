@@ -0,0 +1,130 @@
+// backend/utils/permissions.js - Permission Catalog and Default Roles
+
+/**
+ * Every permission a role can grant. `:own` permissions cover the user's own
+ * classes and records, `:any` permissions cover the whole school.
+ */
+const PERMISSIONS = {
+  'attendance:submit:own': 'Take attendance for classes on their own schedule',
+  'attendance:submit:any': 'Take attendance for any class',
+  'attendance:view:own': 'View attendance of their own classes',
+  'attendance:view:any': 'View attendance of every class',
+  'attendance:edit:own': 'Edit attendance records they submitted',
+  'attendance:edit:any': 'Edit any attendance record',
+  'attendance:delete:own': 'Delete attendance records they submitted',
+  'attendance:delete:any': 'Delete any attendance record',
+  'attendance:override-lock': 'Change locked records without a correction request',
+  'attendance:override-calendar': 'Take attendance on non-school days',
+  'attendance:audit': 'View the audit trail of attendance records',
+  'attendance:remind': 'Send missing-attendance reminders',
+  'corrections:review': 'Approve or reject correction requests',
+  'classes:view:own': 'View the classes they teach',
+  'classes:view:any': 'View every class and its roster',
+  'classes:manage': 'Create, edit and delete classes and rosters',
+  'academic-years:manage': 'Close the academic year and promote students to the next',
+  'subjects:view': 'View subjects',
+  'subjects:manage': 'Create, edit and delete subjects',
+  'schedule:view': 'View the timetable',
+  'schedule:manage': 'Create, edit and delete timetable entries',
+  'substitutions:manage': 'Assign substitute teachers to absent teachers\' periods',
+  'calendar:view': 'View the academic calendar',
+  'calendar:manage': 'Edit the academic calendar',
+  'reports:view': 'View attendance reports',
+  'reports:export': 'Export reports (PDF, Excel, CSV)',
+  'reports:manage': 'School-wide analytics and report templates',
+  'users:manage': 'Create, edit and deactivate user accounts',
+  'roles:manage': 'Edit roles and their permissions',
+  'settings:manage': 'Change attendance rules, the edit lock window and the school timezone',
+  'guardian:portal': 'Use the guardian portal for linked students',
+  'checkin:self': 'Check themselves in by scanning a class check-in QR code'
+};
+
+// Permissions of the restricted roles, which staff roles do not get
+const PORTAL_PERMISSIONS = ['guardian:portal', 'checkin:self'];
+
+const STAFF_PERMISSIONS = Object.keys(PERMISSIONS).filter(permission => !PORTAL_PERMISSIONS.includes(permission));
+
+/**
+ * Roles created with a new database. System roles cannot be deleted;
+ * restricted roles can only reach endpoints that accept them (see
+ * authenticateUser in middleware/auth.js).
+ */
+const DEFAULT_ROLES = [
+  {
+    name: 'principal',
+    label: 'Principal',
+    description: 'Full access to the school',
+    permissions: STAFF_PERMISSIONS,
+    isSystem: true,
+    isRestricted: false
+  },
+  {
+    name: 'teacher',
+    label: 'Teacher',
+    description: 'Takes attendance for their own classes',
+    permissions: [
+      'attendance:submit:own',
+      'attendance:view:own',
+      'attendance:edit:own',
+      'attendance:delete:own',
+      'classes:view:own',
+      'subjects:view',
+      'schedule:view',
+      'calendar:view',
+      'reports:view',
+      'reports:export'
+    ],
+    isSystem: true,
+    isRestricted: false
+  },
+  {
+    name: 'guardian',
+    label: 'Guardian',
+    description: 'Read-only access to linked students',
+    permissions: ['guardian:portal'],
+    isSystem: true,
+    isRestricted: true
+  },
+  {
+    name: 'student',
+    label: 'Student',
+    description: 'Checks in to their own classes',
+    permissions: ['checkin:self'],
+    isSystem: true,
+    isRestricted: true
+  }
+];
+
+// Permissions every principal keeps, so the school cannot lock itself out of role management
+const PROTECTED_GRANTS = {
+  principal: ['roles:manage']
+};
+
+// Role records for DEFAULT_ROLES, in the shape the storage adapters keep them
+const createDefaultRoles = (now = new Date().toISOString()) => DEFAULT_ROLES.map((role, index) => ({
+  id: index + 1,
+  ...role,
+  permissions: [...role.permissions],
+  createdAt: now,
+  updatedAt: now
+}));
+
+// Guardian and student accounts are linked to registry students (`studentIds`)
+const linksStudents = (role) => role === 'guardian' || role === 'student';
+
+const isValidRoleName = (name) => typeof name === 'string' && /^[a-z][a-z0-9-]{1,29}$/.test(name);
+
+// Entries of a permission list that are not in the catalog
+const findUnknownPermissions = (permissions) => {
+  return permissions.filter(permission => !Object.prototype.hasOwnProperty.call(PERMISSIONS, permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  PROTECTED_GRANTS,
+  createDefaultRoles,
+  linksStudents,
+  isValidRoleName,
+  findUnknownPermissions
+};
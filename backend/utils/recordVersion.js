@@ -0,0 +1,66 @@
+// backend/utils/recordVersion.js - Record Versions, ETags and If-Match (optimistic concurrency)
+
+// Fields whose changes give a user a new version; logins, sessions, two-factor,
+// password reset and feed bookkeeping change the account without one
+const USER_VERSIONED_FIELDS = ['username', 'name', 'email', 'phone', 'role', 'subjects', 'studentIds', 'isActive'];
+
+// Records saved before versions existed are version 1
+const getVersion = (record) => record?.version || 1;
+
+/**
+ * Version of a record after `updateData` is applied. With `fields`, only
+ * changes to those fields count.
+ */
+const nextVersion = (record, updateData, fields = null) => {
+  const changed = !fields || Object.keys(updateData).some(field => fields.includes(field));
+  return changed ? getVersion(record) + 1 : getVersion(record);
+};
+
+const toETag = (record) => `"${getVersion(record)}"`;
+
+const setETag = (res, record) => res.set('ETag', toETag(record));
+
+// A list holding a single record (e.g. one class, subject and date) is tagged with its version
+const setListETag = (res, records) => {
+  if (records.length === 1) setETag(res, records[0]);
+};
+
+/**
+ * Whether a change was based on an older copy of the record. The client
+ * names the copy it edited with If-Match (an ETag from an earlier response;
+ * `*` matches any) or a `version` field in the body; without either the
+ * change is applied unconditionally.
+ */
+const isStaleVersion = (req, record) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    if (ifMatch.trim() === '*') return false;
+
+    // Proxies that compress responses turn ETags into weak ones
+    const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    return !tags.includes(toETag(record));
+  }
+
+  // Versions from form posts arrive as strings
+  const version = req.body?.version;
+  return version !== undefined && Number(version) !== getVersion(record);
+};
+
+// Response body for a change based on an outdated copy; `current` is the server's copy
+const versionConflictError = (record, current) => ({
+  error: 'This record was changed by someone else since you loaded it; review the current version and try again',
+  code: 'VERSION_CONFLICT',
+  currentVersion: getVersion(record),
+  current
+});
+
+module.exports = {
+  USER_VERSIONED_FIELDS,
+  getVersion,
+  nextVersion,
+  toETag,
+  setETag,
+  setListETag,
+  isStaleVersion,
+  versionConflictError
+};
@@ -0,0 +1,334 @@
+// backend/utils/sampleData.js - Default settings and demo seed data
+const bcrypt = require('bcryptjs');
+const { DEFAULT_ATTENDANCE_RULES } = require('./attendanceStatus');
+const { DEFAULT_SCHOOL_DAYS } = require('./academicCalendar');
+const { DEFAULT_TIMETABLE_CYCLE } = require('./timetableCycle');
+const { createDefaultRoles } = require('./permissions');
+const { buildRoster } = require('./enrollments');
+
+// Default school settings
+const DEFAULT_SETTINGS = {
+  schoolName: 'Virtual Academy',
+  academicYear: '2024-2025',
+  currentSemester: '1st Semester',
+  attendanceDeadline: '10:00', // Late-submission cutoff for periods not on the timetable
+  lateSubmissionGraceMinutes: 15, // Minutes after a period starts before its attendance is late
+  timezone: 'UTC',
+  schoolDays: DEFAULT_SCHOOL_DAYS, // Weekdays with classes (see the academic calendar for exceptions)
+  timetableCycle: DEFAULT_TIMETABLE_CYCLE, // Weekly, A/B weeks or day-N timetable (see utils/timetableCycle.js)
+  attendanceRules: DEFAULT_ATTENDANCE_RULES, // Which statuses count as attended
+  attendanceLockHours: 48, // Teachers need a correction request after this (0 = never lock)
+  twoFactorRequiredRoles: [] // Roles that must use two-factor login, e.g. ['principal']
+};
+
+// First day of the sample school year; sample students are enrolled from then
+const SAMPLE_ENROLLMENT_DATE = '2024-09-02';
+
+/**
+ * Build the demo dataset (roles, subjects, users, classes, students, schedules, calendar, attendance)
+ * with sequential IDs, in the same shape the storage adapters keep records.
+ */
+async function createSampleData() {
+  const now = new Date().toISOString();
+  const data = {
+    roles: createDefaultRoles(now),
+    users: [],
+    classes: [],
+    students: [],
+    enrollments: [],
+    subjects: [],
+    schedules: [],
+    attendance: [],
+    auditLog: [],
+    correctionRequests: [],
+    calendarEvents: [],
+    settings: { ...DEFAULT_SETTINGS }
+  };
+
+  // Create default subjects
+  const defaultSubjects = [
+    { name: 'Mathematics', code: 'MATH', description: 'Advanced Mathematics' },
+    { name: 'Physics', code: 'PHYS', description: 'Classical and Modern Physics' },
+    { name: 'Chemistry', code: 'CHEM', description: 'Organic and Inorganic Chemistry' },
+    { name: 'English', code: 'ENG', description: 'English Language and Literature' },
+    { name: 'History', code: 'HIST', description: 'World History and Civilization' },
+    { name: 'Biology', code: 'BIO', description: 'Life Sciences and Biology' },
+    { name: 'Geography', code: 'GEO', description: 'Physical and Human Geography' },
+    { name: 'Computer Science', code: 'CS', description: 'Programming and Computer Science' }
+  ];
+
+  for (const subject of defaultSubjects) {
+    data.subjects.push({
+      id: data.subjects.length + 1,
+      ...subject,
+      isActive: true,
+      version: 1,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Create default users with hashed passwords
+  const defaultUsers = [
+    {
+      username: 'admin',
+      password: await bcrypt.hash('admin123', 12),
+      role: 'principal',
+      name: 'Dr. Sarah Johnson',
+      email: 'principal@virtualacademy.edu',
+      phone: '+1-555-0101',
+      isActive: true
+    },
+    {
+      username: 'teacher1',
+      password: await bcrypt.hash('teacher123', 12),
+      role: 'teacher',
+      name: 'Ms. Emily Rodriguez',
+      email: 'erodriguez@virtualacademy.edu',
+      phone: '+1-555-0102',
+      subjects: [1, 2], // Math and Physics
+      isActive: true
+    },
+    {
+      username: 'teacher2',
+      password: await bcrypt.hash('teacher123', 12),
+      role: 'teacher',
+      name: 'Mr. David Chen',
+      email: 'dchen@virtualacademy.edu',
+      phone: '+1-555-0103',
+      subjects: [3, 4], // Chemistry and English
+      isActive: true
+    },
+    {
+      username: 'teacher3',
+      password: await bcrypt.hash('teacher123', 12),
+      role: 'teacher',
+      name: 'Dr. Maria Garcia',
+      email: 'mgarcia@virtualacademy.edu',
+      phone: '+1-555-0104',
+      subjects: [5, 6, 7], // History, Biology, Geography
+      isActive: true
+    },
+    {
+      username: 'parent1',
+      password: await bcrypt.hash('parent123', 12),
+      role: 'guardian',
+      name: 'Mr. Robert Smith',
+      email: 'robert.smith@example.com',
+      phone: '+1-555-1001',
+      studentIds: [1], // John Smith (10A)
+      isActive: true
+    },
+    {
+      username: 'student1',
+      password: await bcrypt.hash('student123', 12),
+      role: 'student',
+      name: 'John Smith',
+      email: 'john.smith@student.edu',
+      phone: null,
+      studentIds: [1], // Their own registry entry (10A)
+      isActive: true
+    }
+  ];
+
+  for (const user of defaultUsers) {
+    data.users.push({
+      id: data.users.length + 1,
+      ...user,
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+      lastLogin: null,
+      loginCount: 0
+    });
+  }
+
+  // Subjects list the teachers who teach them; timetable entries are checked against it
+  for (const subject of data.subjects) {
+    subject.teachers = data.users
+      .filter(user => user.subjects?.includes(subject.id))
+      .map(user => user.id);
+  }
+
+  // Sample classes with students
+  const defaultClasses = [
+    {
+      name: '10A',
+      grade: 10,
+      section: 'A',
+      classTeacher: 2, // Ms. Rodriguez
+      academicYear: '2024-2025',
+      maxStudents: 35,
+      students: [
+        { name: 'John Smith', studentId: 'ST24001', email: 'john.smith@student.edu', dateOfBirth: '2009-05-15', parentContact: '+1-555-1001' },
+        { name: 'Emma Johnson', studentId: 'ST24002', email: 'emma.johnson@student.edu', dateOfBirth: '2009-03-22', parentContact: '+1-555-1002' },
+        { name: 'Michael Brown', studentId: 'ST24003', email: 'michael.brown@student.edu', dateOfBirth: '2009-07-08', parentContact: '+1-555-1003' },
+        { name: 'Sophia Davis', studentId: 'ST24004', email: 'sophia.davis@student.edu', dateOfBirth: '2009-01-30', parentContact: '+1-555-1004' },
+        { name: 'William Wilson', studentId: 'ST24005', email: 'william.wilson@student.edu', dateOfBirth: '2009-04-12', parentContact: '+1-555-1005' },
+        { name: 'Olivia Miller', studentId: 'ST24006', email: 'olivia.miller@student.edu', dateOfBirth: '2009-06-25', parentContact: '+1-555-1006' },
+        { name: 'James Garcia', studentId: 'ST24007', email: 'james.garcia@student.edu', dateOfBirth: '2009-08-18', parentContact: '+1-555-1007' }
+      ]
+    },
+    {
+      name: '10B',
+      grade: 10,
+      section: 'B',
+      classTeacher: 3, // Mr. Chen
+      academicYear: '2024-2025',
+      maxStudents: 35,
+      students: [
+        { name: 'Charlotte Martinez', studentId: 'ST24008', email: 'charlotte.martinez@student.edu', dateOfBirth: '2009-02-14', parentContact: '+1-555-1008' },
+        { name: 'Benjamin Anderson', studentId: 'ST24009', email: 'benjamin.anderson@student.edu', dateOfBirth: '2009-09-07', parentContact: '+1-555-1009' },
+        { name: 'Amelia Taylor', studentId: 'ST24010', email: 'amelia.taylor@student.edu', dateOfBirth: '2009-11-03', parentContact: '+1-555-1010' },
+        { name: 'Lucas Thomas', studentId: 'ST24011', email: 'lucas.thomas@student.edu', dateOfBirth: '2009-05-28', parentContact: '+1-555-1011' },
+        { name: 'Harper Jackson', studentId: 'ST24012', email: 'harper.jackson@student.edu', dateOfBirth: '2009-03-16', parentContact: '+1-555-1012' },
+        { name: 'Ethan White', studentId: 'ST24013', email: 'ethan.white@student.edu', dateOfBirth: '2009-07-21', parentContact: '+1-555-1013' }
+      ]
+    },
+    {
+      name: '11A',
+      grade: 11,
+      section: 'A',
+      classTeacher: 4, // Dr. Garcia
+      academicYear: '2024-2025',
+      maxStudents: 35,
+      students: [
+        { name: 'Alexander Harris', studentId: 'ST24014', email: 'alexander.harris@student.edu', dateOfBirth: '2008-12-10', parentContact: '+1-555-1014' },
+        { name: 'Mia Clark', studentId: 'ST24015', email: 'mia.clark@student.edu', dateOfBirth: '2008-10-05', parentContact: '+1-555-1015' },
+        { name: 'Daniel Lewis', studentId: 'ST24016', email: 'daniel.lewis@student.edu', dateOfBirth: '2008-08-19', parentContact: '+1-555-1016' },
+        { name: 'Abigail Robinson', studentId: 'ST24017', email: 'abigail.robinson@student.edu', dateOfBirth: '2008-04-27', parentContact: '+1-555-1017' },
+        { name: 'Matthew Walker', studentId: 'ST24018', email: 'matthew.walker@student.edu', dateOfBirth: '2008-06-11', parentContact: '+1-555-1018' }
+      ]
+    }
+  ];
+
+  // Students go into the registry and are enrolled from the start of the school year
+  for (const classData of defaultClasses) {
+    const classId = data.classes.length + 1;
+
+    for (const student of classData.students) {
+      const id = data.students.length + 1;
+      data.students.push({ id, ...student, createdAt: now, updatedAt: now });
+      data.enrollments.push({
+        id: data.enrollments.length + 1,
+        studentId: id,
+        classId,
+        startDate: SAMPLE_ENROLLMENT_DATE,
+        endDate: null,
+        reason: 'admission',
+        createdBy: 1,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+
+    data.classes.push({
+      id: classId,
+      ...classData,
+      students: buildRoster(classId, data.enrollments, id => data.students.find(s => s.id === id)),
+      isActive: true,
+      version: 1,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Sample schedules
+  const defaultSchedules = [
+    // Teacher 2 (Ms. Rodriguez) - Math & Physics for 10A
+    { teacherId: 2, classId: 1, subjectId: 1, dayOfWeek: 'Monday', startTime: '09:00', endTime: '09:50', room: 'Room 101' },
+    { teacherId: 2, classId: 1, subjectId: 2, dayOfWeek: 'Tuesday', startTime: '10:00', endTime: '10:50', room: 'Physics Lab' },
+    { teacherId: 2, classId: 1, subjectId: 1, dayOfWeek: 'Wednesday', startTime: '11:00', endTime: '11:50', room: 'Room 101' },
+    { teacherId: 2, classId: 2, subjectId: 1, dayOfWeek: 'Thursday', startTime: '09:00', endTime: '09:50', room: 'Room 101' },
+    { teacherId: 2, classId: 2, subjectId: 2, dayOfWeek: 'Friday', startTime: '10:00', endTime: '10:50', room: 'Physics Lab' },
+
+    // Teacher 3 (Mr. Chen) - Chemistry & English
+    { teacherId: 3, classId: 2, subjectId: 3, dayOfWeek: 'Monday', startTime: '11:00', endTime: '11:50', room: 'Chemistry Lab' },
+    { teacherId: 3, classId: 2, subjectId: 4, dayOfWeek: 'Tuesday', startTime: '09:00', endTime: '09:50', room: 'Room 102' },
+    { teacherId: 3, classId: 3, subjectId: 4, dayOfWeek: 'Wednesday', startTime: '10:00', endTime: '10:50', room: 'Room 102' },
+    { teacherId: 3, classId: 3, subjectId: 3, dayOfWeek: 'Thursday', startTime: '11:00', endTime: '11:50', room: 'Chemistry Lab' },
+
+    // Teacher 4 (Dr. Garcia) - History, Biology, Geography
+    { teacherId: 4, classId: 3, subjectId: 5, dayOfWeek: 'Monday', startTime: '08:00', endTime: '08:50', room: 'Room 103' },
+    { teacherId: 4, classId: 3, subjectId: 6, dayOfWeek: 'Tuesday', startTime: '11:00', endTime: '11:50', room: 'Biology Lab' },
+    { teacherId: 4, classId: 1, subjectId: 7, dayOfWeek: 'Friday', startTime: '09:00', endTime: '09:50', room: 'Room 103' }
+  ];
+
+  for (const schedule of defaultSchedules) {
+    data.schedules.push({
+      id: data.schedules.length + 1,
+      ...schedule,
+      isActive: true,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Sample holidays for the academic year
+  const sampleHolidays = [
+    { type: 'holiday', name: 'Thanksgiving Break', startDate: '2024-11-28', endDate: '2024-11-29' },
+    { type: 'holiday', name: 'Winter Break', startDate: '2024-12-23', endDate: '2025-01-03' },
+    { type: 'holiday', name: 'Spring Break', startDate: '2025-03-24', endDate: '2025-03-28' }
+  ];
+
+  for (const holiday of sampleHolidays) {
+    data.calendarEvents.push({
+      id: data.calendarEvents.length + 1,
+      ...holiday,
+      classIds: [],
+      createdBy: 1,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Create some sample attendance records for demonstration (school days only)
+  const sampleDates = [
+    '2024-11-01',
+    '2024-11-04',
+    '2024-11-05',
+    '2024-11-06',
+    '2024-11-07'
+  ];
+
+  for (const date of sampleDates) {
+    // Random attendance for each class
+    for (let classId = 1; classId <= 3; classId++) {
+      const classData = data.classes.find(c => c.id === classId);
+      const absentStudents = [];
+
+      // Randomly mark 1-2 students absent
+      const numAbsent = Math.random() > 0.7 ? Math.floor(Math.random() * 2) + 1 : 0;
+      for (let i = 0; i < numAbsent; i++) {
+        const randomStudent = classData.students[Math.floor(Math.random() * classData.students.length)];
+        if (!absentStudents.includes(randomStudent.id)) {
+          absentStudents.push(randomStudent.id);
+        }
+      }
+
+      data.attendance.push({
+        id: data.attendance.length + 1,
+        teacherId: classData.classTeacher,
+        classId: classId,
+        subjectId: 1, // Math for demo
+        date: date,
+        absentStudents: absentStudents,
+        presentStudents: classData.students.filter(s => !absentStudents.includes(s.id)).map(s => s.id),
+        totalStudents: classData.students.length,
+        submittedAt: new Date(`${date}T09:30:00`).toISOString(),
+        submittedBy: classData.classTeacher,
+        notes: numAbsent > 0 ? 'Regular attendance check' : 'Full attendance today',
+        version: 1,
+        createdAt: new Date(`${date}T09:30:00`).toISOString(),
+        updatedAt: new Date(`${date}T09:30:00`).toISOString()
+      });
+    }
+  }
+
+  return data;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  createSampleData
+};
@@ -0,0 +1,1779 @@
+// backend/utils/sqliteDatabase.js - Persistent SQLite Storage Adapter
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const Database = require('better-sqlite3');
+const Attendance = require('../models/Attendance');
+const Class = require('../models/Class');
+const Subject = require('../models/Subject');
+const { databaseConfig } = require('../config/database');
+const { DEFAULT_SETTINGS, createSampleData } = require('./sampleData');
+const { createAttendanceAnalytics } = require('./attendanceAnalytics');
+const { getAttendanceRules, buildAttendanceFields } = require('./attendanceStatus');
+const { createAuditEntry, toEditHistoryEntry } = require('./auditLog');
+const { getSubmissionLateness } = require('./lateSubmission');
+const { createAcademicCalendar } = require('./academicCalendar');
+const { createTimetableCycle } = require('./timetableCycle');
+const { USER_VERSIONED_FIELDS, nextVersion } = require('./recordVersion');
+const { DEFAULT_ROLES, createDefaultRoles } = require('./permissions');
+const { migrateUp } = require('./migrationRunner');
+const { getToday, isCurrentEnrollment, buildRoster, fromEmbeddedStudents } = require('./enrollments');
+
+/**
+ * Table definitions for collections that have no model schema
+ * (same shape as the models' getSchema())
+ */
+const USER_SCHEMA = {
+  tableName: 'users',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    username: 'VARCHAR(50) NOT NULL UNIQUE',
+    password: 'VARCHAR(255) NOT NULL',
+    role: 'VARCHAR(20) NOT NULL',
+    name: 'VARCHAR(100) NOT NULL',
+    email: 'VARCHAR(255) NOT NULL',
+    phone: 'VARCHAR(30)',
+    subjects: 'TEXT', // JSON array
+    student_ids: 'TEXT', // JSON array (guardians: linked students)
+    is_active: 'BOOLEAN DEFAULT 1',
+    version: 'INTEGER NOT NULL DEFAULT 1', // Incremented when an editable field changes (ETag / If-Match)
+    last_login: 'DATETIME',
+    login_count: 'INTEGER DEFAULT 0',
+    last_activity: 'DATETIME',
+    last_ip: 'VARCHAR(45)',
+    password_changed_at: 'DATETIME',
+    deactivated_at: 'DATETIME',
+    deactivated_by: 'INTEGER',
+    sessions_revoked_at: 'DATETIME', // Access tokens issued before this are rejected
+    two_factor_enabled: 'BOOLEAN DEFAULT 0',
+    two_factor_secret: 'VARCHAR(64)', // Base32 TOTP secret
+    two_factor_pending_secret: 'VARCHAR(64)', // Secret awaiting its first code (enrollment)
+    two_factor_recovery_codes: 'TEXT', // JSON array of SHA-256 hashes
+    two_factor_last_step: 'INTEGER', // Time step of the last accepted code (no replays)
+    two_factor_failed_attempts: 'INTEGER DEFAULT 0',
+    two_factor_locked_until: 'DATETIME',
+    two_factor_enabled_at: 'DATETIME',
+    password_reset_token_hash: 'VARCHAR(64)', // SHA-256 of the emailed reset token
+    password_reset_expires_at: 'DATETIME',
+    password_reset_requests: 'TEXT', // JSON array of recent request times (rate limit)
+    calendar_feed_token_hash: 'VARCHAR(64)', // SHA-256 of the timetable feed URL token
+    calendar_feed_created_at: 'DATETIME',
+    created_at: 'DATETIME NOT NULL',
+    updated_at: 'DATETIME NOT NULL'
+  },
+  indexes: [
+    'CREATE INDEX idx_users_email ON users(email)',
+    'CREATE INDEX idx_users_role ON users(role)'
+  ]
+};
+
+const SCHEDULE_SCHEMA = {
+  tableName: 'schedules',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    teacher_id: 'INTEGER NOT NULL',
+    class_id: 'INTEGER NOT NULL',
+    subject_id: 'INTEGER NOT NULL',
+    day_of_week: 'VARCHAR(10)', // Empty for entries on a cycle day
+    cycle_week: 'INTEGER', // Week of an A/B (weeks) cycle; empty = every week
+    cycle_day: 'INTEGER', // Day of a day-N (days) cycle
+    start_time: 'VARCHAR(5) NOT NULL',
+    end_time: 'VARCHAR(5)',
+    room: 'VARCHAR(50)',
+    is_active: 'BOOLEAN DEFAULT 1',
+    created_at: 'DATETIME NOT NULL',
+    updated_at: 'DATETIME NOT NULL'
+  },
+  indexes: [
+    'CREATE INDEX idx_schedules_teacher ON schedules(teacher_id)',
+    'CREATE INDEX idx_schedules_class ON schedules(class_id)',
+    'CREATE INDEX idx_schedules_day ON schedules(day_of_week)'
+  ],
+  foreignKeys: [
+    'FOREIGN KEY (teacher_id) REFERENCES users(id)',
+    'FOREIGN KEY (class_id) REFERENCES classes(id)',
+    'FOREIGN KEY (subject_id) REFERENCES subjects(id)'
+  ]
+};
+
+const SETTINGS_SCHEMA = {
+  tableName: 'settings',
+  columns: {
+    key: 'VARCHAR(50) PRIMARY KEY',
+    value: 'TEXT' // JSON value
+  }
+};
+
+// Append-only, hash-chained change log (see utils/auditLog.js)
+const AUDIT_LOG_SCHEMA = {
+  tableName: 'audit_log',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    entity_type: 'VARCHAR(30) NOT NULL',
+    entity_id: 'INTEGER NOT NULL',
+    action: 'VARCHAR(20) NOT NULL',
+    actor_id: 'INTEGER',
+    actor_ip: 'VARCHAR(45)',
+    timestamp: 'DATETIME NOT NULL',
+    before_state: 'TEXT', // JSON object
+    after_state: 'TEXT', // JSON object
+    changes: 'TEXT NOT NULL', // JSON object
+    previous_hash: 'CHAR(64) NOT NULL',
+    hash: 'CHAR(64) NOT NULL UNIQUE'
+  },
+  indexes: [
+    'CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id)'
+  ]
+};
+
+// Teacher requests to change locked attendance records, reviewed by a principal
+const CORRECTION_REQUEST_SCHEMA = {
+  tableName: 'correction_requests',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    attendance_id: 'INTEGER NOT NULL', // No foreign key: approved deletions remove the record
+    type: "VARCHAR(10) NOT NULL DEFAULT 'update'", // update, delete
+    changes: 'TEXT', // JSON object (proposed update)
+    reason: 'TEXT NOT NULL',
+    status: "VARCHAR(20) NOT NULL DEFAULT 'pending'", // pending, approved, rejected
+    requested_by: 'INTEGER NOT NULL',
+    reviewed_by: 'INTEGER',
+    reviewed_at: 'DATETIME',
+    review_note: 'TEXT',
+    created_at: 'DATETIME NOT NULL',
+    updated_at: 'DATETIME NOT NULL'
+  },
+  indexes: [
+    'CREATE INDEX idx_correction_requests_attendance ON correction_requests(attendance_id)',
+    'CREATE INDEX idx_correction_requests_status ON correction_requests(status)'
+  ],
+  foreignKeys: [
+    'FOREIGN KEY (requested_by) REFERENCES users(id)',
+    'FOREIGN KEY (reviewed_by) REFERENCES users(id)'
+  ]
+};
+
+// Academic calendar: terms, holidays and other special days (see utils/academicCalendar.js)
+const CALENDAR_EVENT_SCHEMA = {
+  tableName: 'calendar_events',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    type: 'VARCHAR(30) NOT NULL',
+    name: 'VARCHAR(100) NOT NULL',
+    start_date: 'DATE NOT NULL',
+    end_date: 'DATE NOT NULL',
+    class_ids: 'TEXT', // JSON array (empty = whole school)
+    dismissal_time: 'VARCHAR(5)',
+    notes: 'TEXT',
+    created_by: 'INTEGER',
+    created_at: 'DATETIME NOT NULL',
+    updated_at: 'DATETIME NOT NULL'
+  },
+  indexes: [
+    'CREATE INDEX idx_calendar_events_dates ON calendar_events(start_date, end_date)',
+    'CREATE INDEX idx_calendar_events_type ON calendar_events(type)'
+  ],
+  foreignKeys: [
+    'FOREIGN KEY (created_by) REFERENCES users(id)'
+  ]
+};
+
+// Refresh tokens (stored hashed); rotation keeps every token of a login in one family
+const REFRESH_TOKEN_SCHEMA = {
+  tableName: 'refresh_tokens',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    user_id: 'INTEGER NOT NULL',
+    token_hash: 'CHAR(64) NOT NULL UNIQUE',
+    family_id: 'VARCHAR(36) NOT NULL',
+    remember_me: 'BOOLEAN DEFAULT 0',
+    expires_at: 'DATETIME NOT NULL',
+    replaced_by: 'INTEGER',
+    revoked_at: 'DATETIME',
+    revoked_reason: 'VARCHAR(30)',
+    user_agent: 'VARCHAR(255)',
+    ip: 'VARCHAR(45)',
+    last_used_at: 'DATETIME',
+    created_at: 'DATETIME NOT NULL'
+  },
+  indexes: [
+    'CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id)',
+    'CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id)'
+  ],
+  foreignKeys: [
+    'FOREIGN KEY (user_id) REFERENCES users(id)'
+  ]
+};
+
+// Access tokens revoked before they expire (logout), kept until their expiry
+const REVOKED_TOKEN_SCHEMA = {
+  tableName: 'revoked_tokens',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    jti: 'VARCHAR(36) NOT NULL UNIQUE',
+    user_id: 'INTEGER',
+    reason: 'VARCHAR(30)',
+    expires_at: 'DATETIME NOT NULL',
+    revoked_at: 'DATETIME NOT NULL'
+  },
+  indexes: [
+    'CREATE INDEX idx_revoked_tokens_expires ON revoked_tokens(expires_at)'
+  ]
+};
+
+// Roles and the permissions they grant (see utils/permissions.js); users.role holds the name
+const ROLE_SCHEMA = {
+  tableName: 'roles',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    name: 'VARCHAR(30) NOT NULL UNIQUE',
+    label: 'VARCHAR(50) NOT NULL',
+    description: 'VARCHAR(255)',
+    permissions: 'TEXT NOT NULL', // JSON array
+    is_system: 'BOOLEAN DEFAULT 0',
+    is_restricted: 'BOOLEAN DEFAULT 0',
+    created_at: 'DATETIME NOT NULL',
+    updated_at: 'DATETIME NOT NULL'
+  }
+};
+
+// Student registry; class rosters come from the enrollments (see utils/enrollments.js)
+const STUDENT_SCHEMA = {
+  tableName: 'students',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    student_id: 'VARCHAR(50) NOT NULL', // School-issued student number
+    name: 'VARCHAR(100) NOT NULL',
+    email: 'VARCHAR(255)',
+    date_of_birth: 'DATE',
+    parent_contact: 'VARCHAR(30)',
+    created_at: 'DATETIME NOT NULL',
+    updated_at: 'DATETIME NOT NULL'
+  },
+  indexes: [
+    'CREATE INDEX idx_students_student_id ON students(student_id)'
+  ]
+};
+
+// A student's membership of a class from start_date up to end_date (exclusive; NULL while current)
+const ENROLLMENT_SCHEMA = {
+  tableName: 'enrollments',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    student_id: 'INTEGER NOT NULL',
+    class_id: 'INTEGER NOT NULL',
+    start_date: 'DATE NOT NULL',
+    end_date: 'DATE',
+    reason: 'VARCHAR(20) NOT NULL',
+    end_reason: 'VARCHAR(20)',
+    notes: 'TEXT',
+    end_notes: 'TEXT',
+    created_by: 'INTEGER',
+    ended_by: 'INTEGER',
+    created_at: 'DATETIME NOT NULL',
+    updated_at: 'DATETIME NOT NULL'
+  },
+  indexes: [
+    'CREATE INDEX idx_enrollments_student ON enrollments(student_id)',
+    'CREATE INDEX idx_enrollments_class ON enrollments(class_id)'
+  ],
+  foreignKeys: [
+    'FOREIGN KEY (student_id) REFERENCES students(id)',
+    'FOREIGN KEY (class_id) REFERENCES classes(id)'
+  ]
+};
+
+// A substitute covering some of another teacher's timetable periods from start_date to end_date (inclusive)
+const SUBSTITUTION_SCHEMA = {
+  tableName: 'substitutions',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    original_teacher_id: 'INTEGER NOT NULL',
+    substitute_teacher_id: 'INTEGER NOT NULL',
+    schedule_ids: 'TEXT NOT NULL', // JSON array of the covered schedule entries
+    start_date: 'DATE NOT NULL',
+    end_date: 'DATE NOT NULL',
+    reason: 'VARCHAR(100)',
+    notes: 'TEXT',
+    created_by: 'INTEGER',
+    cancelled_at: 'DATETIME',
+    cancelled_by: 'INTEGER',
+    created_at: 'DATETIME NOT NULL',
+    updated_at: 'DATETIME NOT NULL'
+  },
+  indexes: [
+    'CREATE INDEX idx_substitutions_original ON substitutions(original_teacher_id)',
+    'CREATE INDEX idx_substitutions_substitute ON substitutions(substitute_teacher_id)',
+    'CREATE INDEX idx_substitutions_dates ON substitutions(start_date, end_date)'
+  ],
+  foreignKeys: [
+    'FOREIGN KEY (original_teacher_id) REFERENCES users(id)',
+    'FOREIGN KEY (substitute_teacher_id) REFERENCES users(id)'
+  ]
+};
+
+// Offline attendance changes already applied, so a client retrying a sync gets the same outcome
+const SYNC_MUTATION_SCHEMA = {
+  tableName: 'sync_mutations',
+  columns: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    user_id: 'INTEGER NOT NULL',
+    client_id: 'VARCHAR(64) NOT NULL', // Chosen by the client when the change was made
+    record_id: 'INTEGER NOT NULL',
+    version: 'INTEGER NOT NULL', // Record version the change produced
+    created_at: 'DATETIME NOT NULL'
+  },
+  indexes: [
+    'CREATE UNIQUE INDEX idx_sync_mutations_client ON sync_mutations(user_id, client_id)'
+  ],
+  foreignKeys: [
+    'FOREIGN KEY (user_id) REFERENCES users(id)'
+  ]
+};
+
+// Tables in creation order (foreign keys only point at earlier tables)
+const TABLE_SCHEMAS = [
+  USER_SCHEMA,
+  Subject.getSchema(),
+  Class.getSchema(),
+  STUDENT_SCHEMA,
+  ENROLLMENT_SCHEMA,
+  SCHEDULE_SCHEMA,
+  Attendance.getSchema(),
+  SETTINGS_SCHEMA,
+  AUDIT_LOG_SCHEMA,
+  CORRECTION_REQUEST_SCHEMA,
+  CALENDAR_EVENT_SCHEMA,
+  REFRESH_TOKEN_SCHEMA,
+  REVOKED_TOKEN_SCHEMA,
+  ROLE_SCHEMA,
+  SUBSTITUTION_SCHEMA,
+  SYNC_MUTATION_SCHEMA
+];
+
+// Export/import collection names for each table (settings are handled separately)
+const COLLECTIONS = {
+  users: 'users',
+  subjects: 'subjects',
+  classes: 'classes',
+  students: 'students',
+  enrollments: 'enrollments',
+  schedules: 'schedules',
+  attendance: 'attendance',
+  audit_log: 'auditLog',
+  correction_requests: 'correctionRequests',
+  calendar_events: 'calendarEvents',
+  refresh_tokens: 'refreshTokens',
+  revoked_tokens: 'revokedTokens',
+  roles: 'roles',
+  substitutions: 'substitutions',
+  sync_mutations: 'syncMutations'
+};
+
+// Columns stored as JSON text
+const JSON_COLUMNS = {
+  users: ['subjects', 'student_ids', 'two_factor_recovery_codes', 'password_reset_requests'],
+  subjects: ['prerequisites', 'teachers', 'grade_range', 'resources', 'metadata'],
+  classes: ['subjects', 'schedule', 'metadata'],
+  attendance: ['absent_students', 'present_students', 'student_statuses', 'edit_history'],
+  audit_log: ['before_state', 'after_state', 'changes'],
+  correction_requests: ['changes'],
+  calendar_events: ['class_ids'],
+  roles: ['permissions'],
+  substitutions: ['schedule_ids']
+};
+
+// Record fields whose name does not follow the snake_case -> camelCase rule
+const FIELD_ALIASES = {
+  users: { last_ip: 'lastIP' }
+};
+
+let db = null;
+
+/**
+ * Column/field mapping helpers
+ */
+const toCamelCase = (column) => column.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+const getSchema = (tableName) => TABLE_SCHEMAS.find(schema => schema.tableName === tableName);
+
+const getFieldName = (tableName, column) => FIELD_ALIASES[tableName]?.[column] || toCamelCase(column);
+
+const getColumnName = (tableName, field) => {
+  const column = Object.keys(getSchema(tableName).columns)
+    .find(col => getFieldName(tableName, col) === field);
+
+  if (!column) {
+    throw new Error(`Unknown field "${field}" for table ${tableName}`);
+  }
+  return column;
+};
+
+const isBooleanColumn = (tableName, column) => /^BOOLEAN/i.test(getSchema(tableName).columns[column]);
+
+const isJsonColumn = (tableName, column) => (JSON_COLUMNS[tableName] || []).includes(column);
+
+const toDatabaseValue = (tableName, column, value) => {
+  if (value === undefined || value === null) return null;
+  if (isJsonColumn(tableName, column)) return JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+};
+
+// Convert a table row into the record shape used by the rest of the app
+const fromRow = (tableName, row) => {
+  if (!row) return undefined;
+
+  // Unset columns are left off the record, as they are in the in-memory store
+  const record = {};
+  for (const column of Object.keys(getSchema(tableName).columns)) {
+    let value = row[column];
+    if (value === null || value === undefined) continue;
+
+    if (isJsonColumn(tableName, column)) {
+      value = JSON.parse(value);
+    } else if (isBooleanColumn(tableName, column)) {
+      value = Boolean(value);
+    }
+
+    record[getFieldName(tableName, column)] = value;
+  }
+  return record;
+};
+
+// Convert a record into { column: value } pairs, skipping fields the table does not store
+const toRow = (tableName, record) => {
+  const row = {};
+  for (const column of Object.keys(getSchema(tableName).columns)) {
+    const value = record[getFieldName(tableName, column)];
+    if (value !== undefined) {
+      row[column] = toDatabaseValue(tableName, column, value);
+    }
+  }
+  return row;
+};
+
+/**
+ * Connection management
+ */
+// Open the database file; pending migrations run unless disabled
+const connect = ({ migrate = databaseConfig.migrations.autoRun } = {}) => {
+  if (db) return db;
+
+  const { filename, options } = databaseConfig.sqlite;
+  fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+
+  db = new Database(filename, {
+    verbose: options.verbose ? console.log : undefined
+  });
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  if (migrate) {
+    const applied = migrateUp(db);
+    applied.forEach(({ version, name }) => console.log(`🔧 Applied migration ${String(version).padStart(3, '0')}_${name}`));
+  }
+  return db;
+};
+
+const close = () => {
+  if (db) {
+    db.close();
+    db = null;
+  }
+};
+
+/**
+ * Generic row operations
+ */
+const selectRows = (tableName, where = [], params = []) => {
+  const clause = where.length > 0 ? ` WHERE ${where.join(' AND ')}` : '';
+  return connect()
+    .prepare(`SELECT * FROM ${tableName}${clause} ORDER BY id`)
+    .all(...params)
+    .map(row => fromRow(tableName, row));
+};
+
+const selectById = (tableName, id) => {
+  const row = connect().prepare(`SELECT * FROM ${tableName} WHERE id = ?`).get(parseInt(id));
+  return fromRow(tableName, row);
+};
+
+const insertRecord = (tableName, record) => {
+  const row = toRow(tableName, record);
+  const columns = Object.keys(row);
+  const placeholders = columns.map(() => '?').join(', ');
+
+  const result = connect()
+    .prepare(`INSERT INTO ${tableName} (${columns.join(', ')}) VALUES (${placeholders})`)
+    .run(...Object.values(row));
+
+  return Number(result.lastInsertRowid);
+};
+
+const updateRecord = (tableName, id, record) => {
+  const row = toRow(tableName, record);
+  delete row.id;
+  const assignments = Object.keys(row).map(column => `${column} = ?`).join(', ');
+
+  connect()
+    .prepare(`UPDATE ${tableName} SET ${assignments} WHERE id = ?`)
+    .run(...Object.values(row), parseInt(id));
+
+  return selectById(tableName, id);
+};
+
+// Build WHERE conditions for an equality match on record fields
+const buildCriteria = (tableName, criteria) => {
+  const where = [];
+  const params = [];
+
+  for (const [field, value] of Object.entries(criteria)) {
+    const column = getColumnName(tableName, field);
+    where.push(`${column} = ?`);
+    params.push(toDatabaseValue(tableName, column, value));
+  }
+
+  return { where, params };
+};
+
+/**
+ * Initialize database: create tables and seed an empty database with sample data
+ */
+async function initializeDatabase() {
+  try {
+    console.log('🔄 Initializing VirtualRollCall SQLite database...');
+
+    const connection = connect();
+    const { count } = connection.prepare('SELECT COUNT(*) AS count FROM users').get();
+
+    if (count === 0 && databaseConfig.sqlite.autoSeed) {
+      importDatabase(await createSampleData());
+      console.log('🌱 Empty database seeded with sample data');
+    } else {
+      // Fill in settings keys and built-in roles introduced since the database was created
+      updateSettings({ ...DEFAULT_SETTINGS, ...getSettings() });
+      DEFAULT_ROLES
+        .filter(role => !findRoleByName(role.name))
+        .forEach(role => createRole(role));
+    }
+
+    const database = getDatabase();
+    console.log(`✅ SQLite database ready: ${databaseConfig.sqlite.filename}`);
+    console.log(`📊 ${database.users.length} users, ${database.classes.length} classes, ${database.attendance.length} attendance records`);
+
+    return database;
+  } catch (error) {
+    console.error('❌ Database initialization failed:', error);
+    throw error;
+  }
+}
+
+// Snapshot of every table in the in-memory database shape
+const getDatabase = () => ({
+  users: selectRows('users'),
+  classes: withRosters(selectRows('classes')),
+  students: selectRows('students'),
+  enrollments: selectRows('enrollments'),
+  subjects: selectRows('subjects'),
+  schedules: selectRows('schedules'),
+  attendance: selectRows('attendance'),
+  auditLog: selectRows('audit_log'),
+  correctionRequests: selectRows('correction_requests'),
+  calendarEvents: selectRows('calendar_events'),
+  refreshTokens: selectRows('refresh_tokens'),
+  revokedTokens: selectRows('revoked_tokens'),
+  roles: selectRows('roles'),
+  substitutions: selectRows('substitutions'),
+  syncMutations: selectRows('sync_mutations'),
+  settings: getSettings()
+});
+
+// Run `operation` (synchronous) all-or-nothing: if it throws, every change it made is rolled back
+const runInTransaction = (operation) => connect().transaction(operation)();
+
+// User operations
+const findUser = (criteria) => {
+  const where = [];
+  const params = [];
+
+  for (const [field, value] of Object.entries(criteria)) {
+    const column = getColumnName('users', field);
+    if (field === 'username') {
+      where.push(`LOWER(${column}) = LOWER(?)`);
+      params.push(value);
+    } else {
+      where.push(`${column} = ?`);
+      params.push(toDatabaseValue('users', column, value));
+    }
+  }
+
+  return selectRows('users', where, params)[0];
+};
+
+const findUserById = (id) => selectById('users', id);
+
+const createUser = async (userData) => {
+  return createUserRecord({
+    ...userData,
+    password: await bcrypt.hash(userData.password, 12)
+  });
+};
+
+// Store a user whose password is already hashed
+const createUserRecord = (userData) => {
+  const id = insertRecord('users', {
+    ...userData,
+    isActive: true,
+    version: 1,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    lastLogin: null,
+    loginCount: 0
+  });
+
+  return findUserById(id);
+};
+
+const updateUser = (id, updateData) => {
+  const user = findUserById(id);
+  if (!user) return null;
+
+  return updateRecord('users', id, {
+    ...user,
+    ...updateData,
+    version: nextVersion(user, updateData, USER_VERSIONED_FIELDS),
+    updatedAt: new Date().toISOString()
+  });
+};
+
+const updateUserLoginInfo = (id) => {
+  const user = findUserById(id);
+  if (!user) return null;
+
+  return updateRecord('users', id, {
+    lastLogin: new Date().toISOString(),
+    loginCount: (user.loginCount || 0) + 1
+  });
+};
+
+// Class operations
+// Attach each class's roster (students), built from its enrollments
+const withRosters = (classes) => {
+  if (classes.length === 0) return classes;
+
+  const placeholders = classes.map(() => '?').join(', ');
+  const classIds = classes.map(cls => cls.id);
+  const enrollments = selectRows('enrollments', [`class_id IN (${placeholders})`], classIds);
+  const students = new Map(
+    selectRows('students', [`id IN (SELECT student_id FROM enrollments WHERE class_id IN (${placeholders}))`], classIds)
+      .map(student => [student.id, student])
+  );
+
+  return classes.map(cls => ({
+    ...cls,
+    students: buildRoster(cls.id, enrollments, id => students.get(id))
+  }));
+};
+
+const findClass = (criteria) => {
+  const { where, params } = buildCriteria('classes', criteria);
+  return withRosters(selectRows('classes', where, params).slice(0, 1))[0];
+};
+
+const findClassById = (id) => {
+  const classData = selectById('classes', id);
+  return classData && withRosters([classData])[0];
+};
+
+// With an academicYear filter, archived classes of that year are included
+const getAllClasses = (filters = {}) => {
+  const where = [filters.academicYear ? '(is_active = 1 OR archived_at IS NOT NULL)' : 'is_active = 1'];
+  const params = [];
+
+  if (filters.academicYear) {
+    where.push('academic_year = ?');
+    params.push(filters.academicYear);
+  }
+
+  if (filters.grade) {
+    where.push('grade = ?');
+    params.push(parseInt(filters.grade));
+  }
+
+  if (filters.teacherId) {
+    where.push('class_teacher = ?');
+    params.push(parseInt(filters.teacherId));
+  }
+
+  return withRosters(selectRows('classes', where, params));
+};
+
+// Students given with the class are added to the registry and enrolled
+const createClass = (classData) => {
+  return connect().transaction(() => {
+    const id = insertRecord('classes', {
+      ...classData,
+      isActive: true,
+      version: 1,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    (classData.students || []).forEach(student => addStudentToClass(id, student));
+    return findClassById(id);
+  })();
+};
+
+const updateClass = (id, updateData) => {
+  const classData = findClassById(id);
+  if (!classData) return null;
+
+  updateRecord('classes', id, {
+    ...classData,
+    ...updateData,
+    version: nextVersion(classData, updateData),
+    updatedAt: new Date().toISOString()
+  });
+  return findClassById(id);
+};
+
+const deleteClass = (id) => {
+  if (!findClassById(id)) return false;
+
+  updateRecord('classes', id, {
+    isActive: false,
+    updatedAt: new Date().toISOString()
+  });
+  return true;
+};
+
+// Make a class read-only at the end of its academic year
+const archiveClass = (id) => {
+  if (!selectById('classes', id)) return null;
+
+  const archivedAt = new Date().toISOString();
+  updateRecord('classes', id, { isActive: false, archivedAt, updatedAt: archivedAt });
+  return findClassById(id);
+};
+
+// Years that have classes (archived or not), plus the open year, oldest first
+const getAcademicYears = () => {
+  const years = connect()
+    .prepare('SELECT DISTINCT academic_year FROM classes WHERE is_active = 1 OR archived_at IS NOT NULL')
+    .all()
+    .map(row => row.academic_year);
+
+  return [...new Set([...years, getSettings().academicYear])].sort();
+};
+
+// Student operations (registry students, enrolled in classes; see utils/enrollments.js)
+const getCurrentEnrollment = (studentId) => {
+  return selectRows('enrollments', ['student_id = ?', 'end_date IS NULL'], [parseInt(studentId)])[0];
+};
+
+const touchClass = (classId) => {
+  updateRecord('classes', classId, { updatedAt: new Date().toISOString() });
+};
+
+// Registry student with their current class (classId/className are null when not enrolled)
+const toStudentView = (student) => {
+  const enrollment = getCurrentEnrollment(student.id);
+  const classData = enrollment && selectById('classes', enrollment.classId);
+
+  return {
+    ...student,
+    isEnrolled: Boolean(enrollment),
+    classId: classData?.id || null,
+    className: classData?.name || null,
+    enrolledDate: enrollment?.startDate || null
+  };
+};
+
+const findStudent = (criteria) => {
+  const { where, params } = buildCriteria('students', criteria);
+  return selectRows('students', where, params)[0];
+};
+
+const findStudentById = (studentId) => {
+  const student = selectById('students', studentId);
+  return student ? toStudentView(student) : null;
+};
+
+const getAllStudents = (filters = {}) => {
+  let students = selectRows('students').map(toStudentView);
+
+  if (filters.classId) {
+    students = students.filter(student => student.classId === parseInt(filters.classId));
+  }
+
+  if (filters.enrolled !== undefined) {
+    students = students.filter(student => student.isEnrolled === filters.enrolled);
+  }
+
+  return students;
+};
+
+// Create a registry student and enroll them; returns their roster entry
+const addStudentToClass = (classId, studentData, { date = getToday(), createdBy = null } = {}) => {
+  return connect().transaction(() => {
+    if (!selectById('classes', classId)) return null;
+
+    const id = insertRecord('students', {
+      ...studentData,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    enrollStudent(id, classId, { date, reason: 'admission', createdBy });
+    return findClassById(classId).students.find(s => s.id === id);
+  })();
+};
+
+// Start an enrollment (the student must not have a current one)
+const enrollStudent = (studentId, classId, { date = getToday(), reason, notes, createdBy = null }) => {
+  return connect().transaction(() => {
+    const id = insertRecord('enrollments', {
+      studentId: parseInt(studentId),
+      classId: parseInt(classId),
+      startDate: date,
+      reason,
+      notes,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    touchClass(classId);
+    return selectById('enrollments', id);
+  })();
+};
+
+// End a student's current enrollment; returns it, or null when they are not enrolled
+const endEnrollment = (studentId, { date = getToday(), reason, notes, endedBy = null }) => {
+  return connect().transaction(() => {
+    const enrollment = getCurrentEnrollment(studentId);
+    if (!enrollment) return null;
+
+    const ended = updateRecord('enrollments', enrollment.id, {
+      endDate: date,
+      endReason: reason,
+      endNotes: notes,
+      endedBy,
+      updatedAt: new Date().toISOString()
+    });
+
+    touchClass(enrollment.classId);
+    return ended;
+  })();
+};
+
+const removeStudentFromClass = (classId, studentId, { date, reason = 'withdrawal', notes, endedBy } = {}) => {
+  const enrollment = getCurrentEnrollment(studentId);
+  if (!enrollment || enrollment.classId !== parseInt(classId)) return false;
+
+  endEnrollment(studentId, { date, reason, notes, endedBy });
+  return true;
+};
+
+// Move a student to another class on `date`; returns the new enrollment
+const transferStudent = (studentId, toClassId, { date = getToday(), notes, createdBy = null } = {}) => {
+  return connect().transaction(() => {
+    if (!endEnrollment(studentId, { date, reason: 'transfer', endedBy: createdBy })) return null;
+    return enrollStudent(studentId, toClassId, { date, reason: 'transfer', notes, createdBy });
+  })();
+};
+
+// Every enrollment of a student, oldest first, with the class it was in
+const getStudentEnrollments = (studentId) => {
+  return selectRows('enrollments', ['student_id = ?'], [parseInt(studentId)])
+    .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.id - b.id)
+    .map(enrollment => {
+      const classData = selectById('classes', enrollment.classId);
+      return {
+        ...enrollment,
+        className: classData?.name,
+        grade: classData?.grade,
+        academicYear: classData?.academicYear,
+        isCurrent: isCurrentEnrollment(enrollment)
+      };
+    });
+};
+
+const updateStudent = (studentId, updateData) => {
+  if (!selectById('students', studentId)) return null;
+
+  return updateRecord('students', studentId, {
+    ...updateData,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// Subject operations
+const getAllSubjects = (filters = {}) => {
+  const where = ['is_active = 1'];
+  const params = [];
+
+  if (filters.code) {
+    where.push('LOWER(code) LIKE ?');
+    params.push(`%${filters.code.toLowerCase()}%`);
+  }
+
+  return selectRows('subjects', where, params);
+};
+
+const findSubjectById = (id) => selectById('subjects', id);
+
+const createSubject = (subjectData) => {
+  const id = insertRecord('subjects', {
+    ...subjectData,
+    isActive: true,
+    version: 1,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  return findSubjectById(id);
+};
+
+const updateSubject = (id, updateData) => {
+  const subject = findSubjectById(id);
+  if (!subject) return null;
+
+  return updateRecord('subjects', id, {
+    ...subject,
+    ...updateData,
+    version: nextVersion(subject, updateData),
+    updatedAt: new Date().toISOString()
+  });
+};
+
+const deleteSubject = (id) => {
+  if (!findSubjectById(id)) return false;
+
+  updateRecord('subjects', id, {
+    isActive: false,
+    updatedAt: new Date().toISOString()
+  });
+  return true;
+};
+
+// Schedule operations
+const getAllSchedules = (filters = {}) => {
+  const where = ['is_active = 1'];
+  const params = [];
+
+  if (filters.teacherId) {
+    where.push('teacher_id = ?');
+    params.push(parseInt(filters.teacherId));
+  }
+
+  if (filters.classId) {
+    where.push('class_id = ?');
+    params.push(parseInt(filters.classId));
+  }
+
+  if (filters.subjectId) {
+    where.push('subject_id = ?');
+    params.push(parseInt(filters.subjectId));
+  }
+
+  if (filters.dayOfWeek) {
+    where.push('LOWER(day_of_week) = LOWER(?)');
+    params.push(filters.dayOfWeek);
+  }
+
+  const schedules = selectRows('schedules', where, params);
+
+  // Periods that happen on a date, following the timetable cycle
+  if (filters.date) {
+    const { occursOn } = getTimetableCycle();
+    return schedules.filter(schedule => occursOn(schedule, filters.date));
+  }
+
+  return schedules;
+};
+
+const findScheduleById = (id) => selectById('schedules', id);
+
+const createSchedule = (scheduleData) => {
+  const id = insertRecord('schedules', {
+    ...scheduleData,
+    isActive: true,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  return findScheduleById(id);
+};
+
+const updateSchedule = (id, updateData) => {
+  const schedule = findScheduleById(id);
+  if (!schedule) return null;
+
+  return updateRecord('schedules', id, {
+    ...schedule,
+    ...updateData,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+const deleteSchedule = (id) => {
+  if (!findScheduleById(id)) return false;
+
+  updateRecord('schedules', id, {
+    isActive: false,
+    updatedAt: new Date().toISOString()
+  });
+  return true;
+};
+
+const getTeacherSchedule = (teacherId, filters = {}) => {
+  const schedules = getAllSchedules({ teacherId, dayOfWeek: filters.dayOfWeek, date: filters.date });
+
+  // Enrich with class and subject information
+  return schedules.map(schedule => {
+    const classInfo = findClassById(schedule.classId);
+    const subjectInfo = findSubjectById(schedule.subjectId);
+
+    return {
+      ...schedule,
+      className: classInfo?.name,
+      classGrade: classInfo?.grade,
+      subjectName: subjectInfo?.name,
+      subjectCode: subjectInfo?.code,
+      students: classInfo?.students || []
+    };
+  });
+};
+
+// Substitution operations (a substitute covering another teacher's periods over a date range)
+const getSubstitutions = (filters = {}) => {
+  const where = [];
+  const params = [];
+
+  if (!filters.includeCancelled) {
+    where.push('cancelled_at IS NULL');
+  }
+
+  // Substitutions the teacher is on either side of
+  if (filters.teacherId) {
+    where.push('(original_teacher_id = ? OR substitute_teacher_id = ?)');
+    params.push(parseInt(filters.teacherId), parseInt(filters.teacherId));
+  }
+
+  if (filters.originalTeacherId) {
+    where.push('original_teacher_id = ?');
+    params.push(parseInt(filters.originalTeacherId));
+  }
+
+  if (filters.substituteTeacherId) {
+    where.push('substitute_teacher_id = ?');
+    params.push(parseInt(filters.substituteTeacherId));
+  }
+
+  if (filters.date) {
+    where.push('start_date <= ? AND end_date >= ?');
+    params.push(filters.date, filters.date);
+  }
+
+  // Substitutions overlapping the range
+  if (filters.dateRange) {
+    where.push('start_date <= ? AND end_date >= ?');
+    params.push(filters.dateRange.end, filters.dateRange.start);
+  }
+
+  return selectRows('substitutions', where, params)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.id - b.id);
+};
+
+const findSubstitutionById = (id) => selectById('substitutions', id);
+
+const createSubstitution = (substitutionData) => {
+  const id = insertRecord('substitutions', {
+    ...substitutionData,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  return findSubstitutionById(id);
+};
+
+const updateSubstitution = (id, updateData) => {
+  if (!findSubstitutionById(id)) return null;
+
+  return updateRecord('substitutions', id, {
+    ...updateData,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// Attendance operations
+// (auditContext = { actorId, ip } of the user making the change)
+const addAttendanceRecord = (attendanceData, auditContext = {}) => {
+  return connect().transaction(() => {
+    const existing = getAttendanceRecord(
+      attendanceData.classId,
+      attendanceData.subjectId,
+      attendanceData.date
+    );
+
+    const classInfo = findClassById(attendanceData.classId);
+    const settings = getSettings();
+    const record = {
+      ...attendanceData,
+      ...buildAttendanceFields(classInfo, attendanceData, getAttendanceRules(settings)),
+      // Replacing a record keeps its first submission time, which the lock and lateness go by
+      submittedAt: existing?.submittedAt || attendanceData.submittedAt || new Date().toISOString(),
+      version: existing ? existing.version + 1 : 1,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    record.isLateSubmission = getSubmissionLateness(
+      record,
+      getAllSchedules({ classId: record.classId }),
+      settings,
+      getTimetableCycle().occursOn
+    ).isLate;
+
+    if (existing) {
+      // Update existing record
+      return auditAttendanceUpdate(existing, updateRecord('attendance', existing.id, record), auditContext);
+    }
+
+    // Create new record
+    const created = selectById('attendance', insertRecord('attendance', { ...record, editHistory: [] }));
+    appendAuditEntry({
+      entityType: 'attendance',
+      entityId: created.id,
+      action: 'create',
+      before: null,
+      after: created
+    }, auditContext);
+
+    return created;
+  })();
+};
+
+const getAttendanceRecords = (filters = {}) => {
+  const where = [];
+  const params = [];
+
+  if (filters.classId) {
+    where.push('class_id = ?');
+    params.push(parseInt(filters.classId));
+  }
+
+  if (filters.teacherId) {
+    where.push('teacher_id = ?');
+    params.push(parseInt(filters.teacherId));
+  }
+
+  if (filters.subjectId) {
+    where.push('subject_id = ?');
+    params.push(parseInt(filters.subjectId));
+  }
+
+  if (filters.date) {
+    where.push('date = ?');
+    params.push(filters.date);
+  }
+
+  if (filters.dateRange) {
+    where.push('date >= ? AND date <= ?');
+    params.push(filters.dateRange.start, filters.dateRange.end);
+  }
+
+  if (filters.academicYear) {
+    where.push('class_id IN (SELECT id FROM classes WHERE academic_year = ?)');
+    params.push(filters.academicYear);
+  }
+
+  if (filters.isLateSubmission !== undefined) {
+    where.push('COALESCE(is_late_submission, 0) = ?');
+    params.push(filters.isLateSubmission ? 1 : 0);
+  }
+
+  let records = selectRows('attendance', where, params);
+
+  if (filters.studentId) {
+    records = records.filter(record =>
+      record.absentStudents.includes(parseInt(filters.studentId)) ||
+      record.presentStudents.includes(parseInt(filters.studentId))
+    );
+  }
+
+  return records;
+};
+
+const getAttendanceRecord = (classId, subjectId, date) => {
+  return selectRows(
+    'attendance',
+    ['class_id = ?', 'subject_id = ?', 'date = ?'],
+    [parseInt(classId), parseInt(subjectId), date]
+  )[0];
+};
+
+const updateAttendanceRecord = (id, updateData, auditContext = {}) => {
+  return connect().transaction(() => {
+    const existing = selectById('attendance', id);
+    if (!existing) return null;
+
+    const classInfo = findClassById(updateData.classId || existing.classId);
+    const attendanceFields = buildAttendanceFields(classInfo, {
+      // A legacy absentStudents update replaces the stored statuses
+      studentStatuses: updateData.studentStatuses || (updateData.absentStudents ? undefined : existing.studentStatuses),
+      absentStudents: updateData.absentStudents || existing.absentStudents
+    }, getAttendanceRules(getSettings()));
+
+    const updated = updateRecord('attendance', id, {
+      ...existing,
+      ...updateData,
+      ...attendanceFields,
+      version: existing.version + 1,
+      updatedAt: new Date().toISOString()
+    });
+
+    return auditAttendanceUpdate(existing, updated, auditContext);
+  })();
+};
+
+const deleteAttendanceRecord = (id, auditContext = {}) => {
+  return connect().transaction(() => {
+    const existing = selectById('attendance', id);
+    if (!existing) return false;
+
+    connect().prepare('DELETE FROM attendance WHERE id = ?').run(existing.id);
+    appendAuditEntry({
+      entityType: 'attendance',
+      entityId: existing.id,
+      action: 'delete',
+      before: existing,
+      after: null
+    }, auditContext);
+
+    return true;
+  })();
+};
+
+// Offline sync operations
+const findSyncMutation = (userId, clientId) => {
+  return selectRows('sync_mutations', ['user_id = ?', 'client_id = ?'], [parseInt(userId), clientId])[0] || null;
+};
+
+const createSyncMutation = (mutationData) => {
+  const id = insertRecord('sync_mutations', {
+    ...mutationData,
+    createdAt: new Date().toISOString()
+  });
+  return selectById('sync_mutations', id);
+};
+
+// Audit log operations (append-only, hash-chained)
+// Callers run inside a transaction so the chain head cannot move underneath them
+const appendAuditEntry = (change, auditContext) => {
+  const previousEntry = fromRow('audit_log', connect().prepare('SELECT * FROM audit_log ORDER BY id DESC LIMIT 1').get());
+  const entry = createAuditEntry(change, auditContext, previousEntry || null);
+
+  return { id: insertRecord('audit_log', entry), ...entry };
+};
+
+// Log an event that is not a change to a stored record (e.g. security events on an account)
+const addAuditEntry = (change, auditContext) => {
+  return connect().transaction(() => appendAuditEntry(change, auditContext))();
+};
+
+// Log an attendance update and add it to the record's own editHistory
+const auditAttendanceUpdate = (before, after, auditContext) => {
+  const auditEntry = appendAuditEntry({
+    entityType: 'attendance',
+    entityId: before.id,
+    action: 'update',
+    before,
+    after
+  }, auditContext);
+
+  return updateRecord('attendance', before.id, {
+    editHistory: [...(before.editHistory || []), toEditHistoryEntry(auditEntry)]
+  });
+};
+
+const getAuditEntries = (filters = {}) => {
+  const where = [];
+  const params = [];
+
+  if (filters.entityType) {
+    where.push('entity_type = ?');
+    params.push(filters.entityType);
+  }
+
+  if (filters.entityId) {
+    where.push('entity_id = ?');
+    params.push(parseInt(filters.entityId));
+  }
+
+  return selectRows('audit_log', where, params);
+};
+
+// Correction request operations (changes to locked attendance records)
+const createCorrectionRequest = (requestData) => {
+  const id = insertRecord('correction_requests', {
+    ...requestData,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  return findCorrectionRequestById(id);
+};
+
+const findCorrectionRequestById = (id) => selectById('correction_requests', id);
+
+const getCorrectionRequests = (filters = {}) => {
+  const where = [];
+  const params = [];
+
+  if (filters.status) {
+    where.push('status = ?');
+    params.push(filters.status);
+  }
+
+  if (filters.requestedBy) {
+    where.push('requested_by = ?');
+    params.push(parseInt(filters.requestedBy));
+  }
+
+  if (filters.attendanceId) {
+    where.push('attendance_id = ?');
+    params.push(parseInt(filters.attendanceId));
+  }
+
+  return selectRows('correction_requests', where, params);
+};
+
+const updateCorrectionRequest = (id, updateData) => {
+  if (!findCorrectionRequestById(id)) return null;
+
+  return updateRecord('correction_requests', id, {
+    ...updateData,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// Academic calendar operations
+const getCalendarEvents = (filters = {}) => {
+  const where = [];
+  const params = [];
+
+  if (filters.type) {
+    where.push('type = ?');
+    params.push(filters.type);
+  }
+
+  // Events overlapping the range
+  if (filters.dateRange) {
+    where.push('start_date <= ? AND end_date >= ?');
+    params.push(filters.dateRange.end, filters.dateRange.start);
+  }
+
+  let events = selectRows('calendar_events', where, params);
+
+  if (filters.classId) {
+    events = events.filter(event =>
+      event.classIds.length === 0 || event.classIds.includes(parseInt(filters.classId))
+    );
+  }
+
+  return events.sort((a, b) => a.startDate.localeCompare(b.startDate));
+};
+
+const findCalendarEventById = (id) => selectById('calendar_events', id);
+
+const createCalendarEvent = (eventData) => {
+  const id = insertRecord('calendar_events', {
+    classIds: [],
+    ...eventData,
+    endDate: eventData.endDate || eventData.startDate,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  return findCalendarEventById(id);
+};
+
+const updateCalendarEvent = (id, updateData) => {
+  if (!findCalendarEventById(id)) return null;
+
+  return updateRecord('calendar_events', id, {
+    ...updateData,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+const deleteCalendarEvent = (id) => {
+  const result = connect().prepare('DELETE FROM calendar_events WHERE id = ?').run(parseInt(id));
+  return result.changes > 0;
+};
+
+// School-day lookups over the current calendar and settings
+const getAcademicCalendar = () => createAcademicCalendar(selectRows('calendar_events'), getSettings());
+
+// Which timetable entries happen on a date (weekly, A/B weeks or day-N cycles)
+const getTimetableCycle = () => createTimetableCycle(getSettings(), getAcademicCalendar());
+
+// Role operations (users reference roles by name)
+const getAllRoles = () => selectRows('roles');
+
+const findRoleByName = (name) => selectRows('roles', ['name = ?'], [name])[0];
+
+const createRole = (roleData) => {
+  const id = insertRecord('roles', {
+    permissions: [],
+    isSystem: false,
+    isRestricted: false,
+    ...roleData,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  return selectById('roles', id);
+};
+
+const updateRole = (name, updateData) => {
+  const role = findRoleByName(name);
+  if (!role) return null;
+
+  return updateRecord('roles', role.id, {
+    ...updateData,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+const deleteRole = (name) => {
+  const result = connect().prepare('DELETE FROM roles WHERE name = ?').run(name);
+  return result.changes > 0;
+};
+
+// Session operations (refresh tokens and revoked access tokens)
+const createRefreshToken = (tokenData) => {
+  const id = insertRecord('refresh_tokens', {
+    ...tokenData,
+    createdAt: new Date().toISOString()
+  });
+
+  return selectById('refresh_tokens', id);
+};
+
+const findRefreshTokenByHash = (tokenHash) => {
+  return selectRows('refresh_tokens', ['token_hash = ?'], [tokenHash])[0];
+};
+
+const getRefreshTokens = (filters = {}) => {
+  const where = [];
+  const params = [];
+
+  if (filters.userId) {
+    where.push('user_id = ?');
+    params.push(parseInt(filters.userId));
+  }
+
+  if (filters.familyId) {
+    where.push('family_id = ?');
+    params.push(filters.familyId);
+  }
+
+  if (filters.active) {
+    where.push('revoked_at IS NULL AND expires_at > ?');
+    params.push(new Date().toISOString());
+  }
+
+  return selectRows('refresh_tokens', where, params);
+};
+
+const updateRefreshToken = (id, updateData) => {
+  if (!selectById('refresh_tokens', id)) return null;
+
+  return updateRecord('refresh_tokens', id, updateData);
+};
+
+// Revoke every unrevoked refresh token of a user or token family; returns how many
+const revokeRefreshTokens = (filters, reason) => {
+  const where = ['revoked_at IS NULL'];
+  const params = [];
+
+  if (filters.userId) {
+    where.push('user_id = ?');
+    params.push(parseInt(filters.userId));
+  }
+
+  if (filters.familyId) {
+    where.push('family_id = ?');
+    params.push(filters.familyId);
+  }
+
+  const result = connect()
+    .prepare(`UPDATE refresh_tokens SET revoked_at = ?, revoked_reason = ? WHERE ${where.join(' AND ')}`)
+    .run(new Date().toISOString(), reason, ...params);
+
+  return result.changes;
+};
+
+const addRevokedToken = (tokenData) => {
+  const id = insertRecord('revoked_tokens', {
+    ...tokenData,
+    revokedAt: new Date().toISOString()
+  });
+
+  return selectById('revoked_tokens', id);
+};
+
+const isTokenRevoked = (jti) => {
+  return Boolean(connect().prepare('SELECT 1 FROM revoked_tokens WHERE jti = ?').get(jti));
+};
+
+// Drop refresh and revoked tokens that have expired anyway
+const purgeExpiredTokens = () => {
+  const now = new Date().toISOString();
+  const connection = connect();
+  connection.prepare('DELETE FROM refresh_tokens WHERE expires_at <= ?').run(now);
+  connection.prepare('DELETE FROM revoked_tokens WHERE expires_at <= ?').run(now);
+};
+
+// Analytics and reporting functions
+const {
+  getAttendanceStatistics,
+  getStudentAttendanceHistory,
+  summarizeStudentHistory
+} = createAttendanceAnalytics({
+  getAttendanceRecords,
+  findClassById,
+  findSubjectById,
+  getSettings: () => getSettings(),
+  getAcademicCalendar
+});
+
+// Settings operations
+const getSettings = () => {
+  const rows = connect().prepare('SELECT key, value FROM settings').all();
+  return rows.reduce((settings, row) => {
+    settings[row.key] = JSON.parse(row.value);
+    return settings;
+  }, {});
+};
+
+const updateSettings = (newSettings) => {
+  const connection = connect();
+  const upsert = connection.prepare(
+    'INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+  );
+
+  connection.transaction(() => {
+    for (const [key, value] of Object.entries(newSettings)) {
+      upsert.run(key, JSON.stringify(value));
+    }
+  })();
+
+  return getSettings();
+};
+
+// Backup and restore functions
+const exportDatabase = () => {
+  return {
+    ...getDatabase(),
+    exportedAt: new Date().toISOString(),
+    version: '1.0.0'
+  };
+};
+
+const importDatabase = (importData) => {
+  if (!importData || typeof importData !== 'object') {
+    throw new Error('Invalid import data');
+  }
+
+  const connection = connect();
+
+  connection.transaction(() => {
+    // Clear in reverse creation order so foreign keys stay satisfied
+    for (const schema of [...TABLE_SCHEMAS].reverse()) {
+      connection.exec(`DELETE FROM ${schema.tableName}`);
+    }
+
+    // Backups from before roles were stored get the built-in roles, and
+    // backups from before the student registry embed students in their classes
+    const data = {
+      ...importData,
+      ...(!importData.roles && { roles: createDefaultRoles() }),
+      ...(!importData.enrollments && fromEmbeddedStudents(importData.classes || []))
+    };
+
+    for (const [tableName, collection] of Object.entries(COLLECTIONS)) {
+      for (const record of data[collection] || []) {
+        insertRecord(tableName, record);
+      }
+    }
+
+    updateSettings(importData.settings || DEFAULT_SETTINGS);
+  })();
+
+  return getDatabase();
+};
+
+// Search functions
+const searchStudents = (query) => {
+  const results = [];
+  const searchTerm = query.toLowerCase();
+
+  // Only students currently enrolled in a class
+  withRosters(selectRows('classes')).forEach(cls => {
+    cls.students.forEach(student => {
+      if (student.isActive &&
+          (student.name.toLowerCase().includes(searchTerm) ||
+           student.studentId.toLowerCase().includes(searchTerm) ||
+           student.email?.toLowerCase().includes(searchTerm))) {
+        results.push({
+          ...student,
+          classId: cls.id,
+          className: cls.name,
+          grade: cls.grade
+        });
+      }
+    });
+  });
+
+  return results;
+};
+
+const searchClasses = (query) => {
+  const searchTerm = query.toLowerCase();
+  return getAllClasses().filter(cls =>
+    cls.name.toLowerCase().includes(searchTerm) ||
+    cls.grade.toString().includes(searchTerm) ||
+    cls.section.toLowerCase().includes(searchTerm)
+  );
+};
+
+module.exports = {
+  initializeDatabase,
+  getDatabase,
+  runInTransaction,
+  TABLE_SCHEMAS,
+
+  // Connection
+  connect,
+  close,
+
+  // Role operations
+  getAllRoles,
+  findRoleByName,
+  createRole,
+  updateRole,
+  deleteRole,
+
+  // User operations
+  findUser,
+  findUserById,
+  createUser,
+  createUserRecord,
+  updateUser,
+  updateUserLoginInfo,
+
+  // Class operations
+  findClass,
+  findClassById,
+  getAllClasses,
+  createClass,
+  updateClass,
+  deleteClass,
+  archiveClass,
+  getAcademicYears,
+
+  // Student operations
+  findStudent,
+  findStudentById,
+  getAllStudents,
+  addStudentToClass,
+  removeStudentFromClass,
+  updateStudent,
+  enrollStudent,
+  endEnrollment,
+  transferStudent,
+  getStudentEnrollments,
+
+  // Subject operations
+  getAllSubjects,
+  findSubjectById,
+  createSubject,
+  updateSubject,
+  deleteSubject,
+
+  // Schedule operations
+  getAllSchedules,
+  findScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getTeacherSchedule,
+
+  // Substitution operations
+  getSubstitutions,
+  findSubstitutionById,
+  createSubstitution,
+  updateSubstitution,
+
+  // Attendance operations
+  addAttendanceRecord,
+  getAttendanceRecords,
+  getAttendanceRecord,
+  updateAttendanceRecord,
+  deleteAttendanceRecord,
+
+  // Offline sync
+  findSyncMutation,
+  createSyncMutation,
+
+  // Audit log
+  addAuditEntry,
+  getAuditEntries,
+
+  // Correction requests
+  createCorrectionRequest,
+  findCorrectionRequestById,
+  getCorrectionRequests,
+  updateCorrectionRequest,
+
+  // Academic calendar
+  getCalendarEvents,
+  findCalendarEventById,
+  createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  getAcademicCalendar,
+  getTimetableCycle,
+
+  // Sessions
+  createRefreshToken,
+  findRefreshTokenByHash,
+  getRefreshTokens,
+  updateRefreshToken,
+  revokeRefreshTokens,
+  addRevokedToken,
+  isTokenRevoked,
+  purgeExpiredTokens,
+
+  // Analytics
+  getAttendanceStatistics,
+  getStudentAttendanceHistory,
+  summarizeStudentHistory,
+
+  // Settings
+  getSettings,
+  updateSettings,
+
+  // Backup/Restore
+  exportDatabase,
+  importDatabase,
+
+  // Search
+  searchStudents,
+  searchClasses
+};
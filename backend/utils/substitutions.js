@@ -0,0 +1,55 @@
+// backend/utils/substitutions.js - Substitute Cover for Timetable Periods
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates between two dates (inclusive)
+const getRangeDates = (startDate, endDate) => {
+  const dates = [];
+  for (let time = Date.parse(startDate); time <= Date.parse(endDate); time += DAY_MS) {
+    dates.push(new Date(time).toISOString().split('T')[0]);
+  }
+  return dates;
+};
+
+const isActiveOn = (substitution, date) => {
+  return !substitution.cancelledAt && substitution.startDate <= date && substitution.endDate >= date;
+};
+
+/**
+ * Whether the substitution covers the schedule entry on that date (a date
+ * the entry happens on). `occursOn(schedule, date)` comes from the timetable
+ * cycle (see utils/timetableCycle.js).
+ */
+const coversPeriod = (substitution, schedule, date, occursOn) => {
+  return isActiveOn(substitution, date) &&
+    substitution.scheduleIds.includes(schedule.id) &&
+    occursOn(schedule, date);
+};
+
+// The substitution covering a schedule entry on a date, if any
+const findSubstitutionForPeriod = (substitutions, schedule, date, occursOn) => {
+  return substitutions.find(substitution => coversPeriod(substitution, schedule, date, occursOn)) || null;
+};
+
+/**
+ * The cover that lets a substitute take attendance for a class and subject
+ * on a date: { substitution, schedule } or null. `substitutions` are the
+ * substitute's, `schedules` the timetable entries of the class.
+ */
+const findCover = (substitutions, schedules, { classId, subjectId, date }, occursOn) => {
+  for (const schedule of schedules) {
+    if (schedule.classId !== classId || schedule.subjectId !== subjectId) continue;
+
+    const substitution = findSubstitutionForPeriod(substitutions, schedule, date, occursOn);
+    if (substitution) return { substitution, schedule };
+  }
+  return null;
+};
+
+module.exports = {
+  getRangeDates,
+  isActiveOn,
+  coversPeriod,
+  findSubstitutionForPeriod,
+  findCover
+};
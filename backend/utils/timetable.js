@@ -0,0 +1,97 @@
+// backend/utils/timetable.js - Timetable Entries and Conflict Detection
+const { describeScheduleDay } = require('./timetableCycle');
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Entries stored without an end time only occupy their start
+const getTimeRange = (schedule) => {
+  const start = toMinutes(schedule.startTime);
+  return { start, end: schedule.endTime ? toMinutes(schedule.endTime) : start };
+};
+
+// Whether two entries can happen on the same date; a cycle day can fall on any weekday
+const canShareDay = (a, b) => {
+  if (a.cycleDay && b.cycleDay) return a.cycleDay === b.cycleDay;
+  if (a.cycleDay || b.cycleDay) return true;
+
+  return a.dayOfWeek.toLowerCase() === b.dayOfWeek.toLowerCase() &&
+    (!a.cycleWeek || !b.cycleWeek || a.cycleWeek === b.cycleWeek);
+};
+
+// Two entries overlap when they can share a day and their times intersect (back-to-back periods do not)
+const overlaps = (a, b) => {
+  if (!canShareDay(a, b)) return false;
+
+  const first = getTimeRange(a);
+  const second = getTimeRange(b);
+  return first.start === second.start || (first.start < second.end && second.start < first.end);
+};
+
+const isSameRoom = (a, b) => {
+  return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+};
+
+// Weekdays first, then cycle days in order
+const getDayRank = (schedule) => {
+  return schedule.cycleDay ? DAYS_OF_WEEK.length + schedule.cycleDay : DAYS_OF_WEEK.indexOf(schedule.dayOfWeek);
+};
+
+// Order entries through the week (or cycle), then by cycle week and start time
+const compareSchedules = (a, b) => {
+  return getDayRank(a) - getDayRank(b) ||
+    (a.cycleWeek || 0) - (b.cycleWeek || 0) ||
+    toMinutes(a.startTime) - toMinutes(b.startTime);
+};
+
+/**
+ * Everything that stops `entry` from going on the timetable. `schedules` are
+ * the active entries (the entry itself is skipped when it has an id) and
+ * `subject` the entry's subject. Each conflict has a code, a message and,
+ * for clashes, the entry it clashes with:
+ *   TEACHER_NOT_ASSIGNED  - the teacher is not in the subject's `teachers`
+ *   TEACHER_DOUBLE_BOOKED - the teacher already teaches at that time
+ *   CLASS_OVERLAP         - the class already has a lesson at that time
+ *   ROOM_CLASH            - the room is already in use at that time
+ */
+const findScheduleConflicts = (entry, schedules, subject) => {
+  const conflicts = [];
+
+  if (subject && !(subject.teachers || []).includes(entry.teacherId)) {
+    conflicts.push({
+      code: 'TEACHER_NOT_ASSIGNED',
+      message: `The teacher is not assigned to ${subject.name}`,
+      subjectId: subject.id,
+      assignedTeachers: subject.teachers || []
+    });
+  }
+
+  for (const other of schedules) {
+    if ((entry.id && other.id === entry.id) || !overlaps(entry, other)) continue;
+
+    const period = `${describeScheduleDay(other)} ${other.startTime}${other.endTime ? `-${other.endTime}` : ''}`;
+
+    if (other.teacherId === entry.teacherId) {
+      conflicts.push({ code: 'TEACHER_DOUBLE_BOOKED', message: `The teacher already teaches on ${period}`, schedule: other });
+    }
+    if (other.classId === entry.classId) {
+      conflicts.push({ code: 'CLASS_OVERLAP', message: `The class already has a lesson on ${period}`, schedule: other });
+    }
+    if (isSameRoom(other.room, entry.room)) {
+      conflicts.push({ code: 'ROOM_CLASH', message: `${other.room} is already in use on ${period}`, schedule: other });
+    }
+  }
+
+  return conflicts;
+};
+
+module.exports = {
+  DAYS_OF_WEEK,
+  overlaps,
+  compareSchedules,
+  findScheduleConflicts
+};
@@ -0,0 +1,166 @@
+// backend/utils/timetableCycle.js - Rotating Timetable Cycles (A/B weeks, day-N schedules)
+const { getDayOfWeek } = require('./lateSubmission');
+
+/**
+ * Cycle types (settings.timetableCycle):
+ *   weekly - every week is the same; entries happen on their `dayOfWeek`
+ *   weeks  - `length` weeks take turns (A/B weeks for 2); an entry with a
+ *            `cycleWeek` only happens in that week of the rotation
+ *   days   - school days are numbered 1..`length` in turn (a six-day cycle);
+ *            an entry with a `cycleDay` happens on that day whatever the
+ *            weekday, and days off do not advance the count
+ * The cycle counts from `startDate` (weeks from its Monday); with
+ * `restartEachTerm` it starts over on the first day of every term of the
+ * academic calendar. Entries without cycle fields happen every week on
+ * their weekday, so a school can keep a weekly timetable next to a cycle.
+ */
+const TIMETABLE_CYCLE_TYPES = ['weekly', 'weeks', 'days'];
+const MAX_CYCLE_LENGTH = 20;
+
+const DEFAULT_TIMETABLE_CYCLE = {
+  type: 'weekly',
+  length: 1,
+  startDate: null,
+  restartEachTerm: false
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidDate = (date) => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(Date.parse(date));
+
+// Monday on or before a date
+const getWeekStart = (date) => {
+  const time = Date.parse(date);
+  const daysSinceMonday = (new Date(time).getUTCDay() + 6) % 7;
+  return time - daysSinceMonday * DAY_MS;
+};
+
+const getCycleSettings = (settings = {}) => ({ ...DEFAULT_TIMETABLE_CYCLE, ...settings.timetableCycle });
+
+/**
+ * Validate a cycle definition; returns a list of { field, message } errors
+ */
+const validateTimetableCycle = (cycle) => {
+  const errors = [];
+
+  if (!TIMETABLE_CYCLE_TYPES.includes(cycle.type)) {
+    errors.push({ field: 'type', message: `Cycle type must be one of: ${TIMETABLE_CYCLE_TYPES.join(', ')}` });
+  } else if (cycle.type !== 'weekly') {
+    if (!Number.isInteger(cycle.length) || cycle.length < 2 || cycle.length > MAX_CYCLE_LENGTH) {
+      errors.push({ field: 'length', message: `Cycle length must be between 2 and ${MAX_CYCLE_LENGTH}` });
+    }
+    if (!isValidDate(cycle.startDate)) {
+      errors.push({ field: 'startDate', message: 'Valid cycle start date is required (YYYY-MM-DD)' });
+    }
+  }
+
+  if (typeof cycle.restartEachTerm !== 'boolean') {
+    errors.push({ field: 'restartEachTerm', message: 'Restart each term must be true or false' });
+  }
+
+  return errors;
+};
+
+/**
+ * Check a timetable entry's day against the cycle: a weekday, optionally
+ * with a `cycleWeek` in a weeks cycle, or a `cycleDay` in a days cycle.
+ * Returns a list of { field, message } errors.
+ */
+const validateScheduleCycle = (entry, cycle) => {
+  const errors = [];
+  const hasWeek = entry.cycleWeek !== undefined && entry.cycleWeek !== null;
+  const hasDay = entry.cycleDay !== undefined && entry.cycleDay !== null;
+  const inRange = (value) => Number.isInteger(value) && value >= 1 && value <= cycle.length;
+
+  if (hasDay) {
+    if (cycle.type !== 'days') {
+      errors.push({ field: 'cycleDay', message: 'Cycle days are only used with a days cycle' });
+    } else if (!inRange(entry.cycleDay)) {
+      errors.push({ field: 'cycleDay', message: `Cycle day must be between 1 and ${cycle.length}` });
+    }
+    if (entry.dayOfWeek) {
+      errors.push({ field: 'dayOfWeek', message: 'An entry is either on a day of the week or on a cycle day, not both' });
+    }
+  } else if (!entry.dayOfWeek) {
+    errors.push({ field: 'dayOfWeek', message: cycle.type === 'days' ? 'Day of week or cycle day is required' : 'Day of week is required' });
+  }
+
+  if (hasWeek) {
+    if (cycle.type !== 'weeks') {
+      errors.push({ field: 'cycleWeek', message: 'Cycle weeks are only used with a weeks cycle' });
+    } else if (!inRange(entry.cycleWeek)) {
+      errors.push({ field: 'cycleWeek', message: `Cycle week must be between 1 and ${cycle.length}` });
+    }
+  }
+
+  return errors;
+};
+
+// Human-readable day of an entry, e.g. "Monday", "Monday (week 2)" or "Day 3"
+const describeScheduleDay = (schedule) => {
+  if (schedule.cycleDay) return `Day ${schedule.cycleDay}`;
+  return schedule.cycleWeek ? `${schedule.dayOfWeek} (week ${schedule.cycleWeek})` : schedule.dayOfWeek;
+};
+
+/**
+ * Resolve dates against the school's cycle. `calendar` is an academic
+ * calendar (see createAcademicCalendar) used for terms and school days.
+ * getPosition() returns { date, dayOfWeek, cycleWeek, cycleDay }, with null
+ * cycle fields when the cycle does not apply (before it starts, days off);
+ * occursOn() tells whether a timetable entry happens on a date.
+ */
+const createTimetableCycle = (settings = {}, calendar) => {
+  const cycle = getCycleSettings(settings);
+  const terms = calendar.getTerms();
+  const positions = new Map();
+
+  // The day the cycle last (re)started on or before a date
+  const getAnchor = (date) => {
+    if (!cycle.startDate || date < cycle.startDate) return null;
+    if (!cycle.restartEachTerm) return cycle.startDate;
+
+    const term = terms.find(event => event.startDate <= date && (event.endDate || event.startDate) >= date);
+    return term && term.startDate > cycle.startDate ? term.startDate : cycle.startDate;
+  };
+
+  const getPosition = (date) => {
+    if (positions.has(date)) return positions.get(date);
+
+    const position = { date, dayOfWeek: getDayOfWeek(date), cycleWeek: null, cycleDay: null };
+    const anchor = cycle.type === 'weekly' ? null : getAnchor(date);
+
+    if (anchor && cycle.type === 'weeks') {
+      const weeks = Math.round((getWeekStart(date) - getWeekStart(anchor)) / (7 * DAY_MS));
+      position.cycleWeek = weeks % cycle.length + 1;
+    } else if (anchor && cycle.type === 'days' && calendar.isSchoolDay(date)) {
+      position.cycleDay = (calendar.countSchoolDays(anchor, date) - 1) % cycle.length + 1;
+    }
+
+    positions.set(date, position);
+    return position;
+  };
+
+  const occursOn = (schedule, date) => {
+    const position = getPosition(date);
+
+    if (schedule.cycleDay) return position.cycleDay === schedule.cycleDay;
+    if (!schedule.dayOfWeek || schedule.dayOfWeek.toLowerCase() !== position.dayOfWeek.toLowerCase()) return false;
+    return !schedule.cycleWeek || position.cycleWeek === schedule.cycleWeek;
+  };
+
+  return {
+    cycle,
+    getPosition,
+    occursOn
+  };
+};
+
+module.exports = {
+  TIMETABLE_CYCLE_TYPES,
+  DEFAULT_TIMETABLE_CYCLE,
+  getCycleSettings,
+  validateTimetableCycle,
+  validateScheduleCycle,
+  describeScheduleDay,
+  createTimetableCycle
+};
@@ -0,0 +1,217 @@
+// frontend/src/components/teacher/AttendanceForm.jsx - Take Attendance for One Class Period (works offline)
+import { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import { attendanceApi, classesApi } from '../../services/api';
+import useApi, { useOfflineQueue } from '../../hooks/useApi';
+
+const STATUS_OPTIONS = [
+  { value: 'present', label: 'Present' },
+  { value: 'absent', label: 'Absent' },
+  { value: 'late', label: 'Late' },
+  { value: 'excused', label: 'Excused' },
+  { value: 'on-duty', label: 'On duty' }
+];
+
+// Status per student: the record's, the one still queued on this device, or present
+const initialStatuses = (students, record, queued) => {
+  const saved = queued?.payload.studentStatuses || record?.studentStatuses || {};
+
+  return Object.fromEntries(students.map(student => {
+    const entry = saved[student.id];
+    return [student.id, (typeof entry === 'string' ? entry : entry?.status) || 'present'];
+  }));
+};
+
+/**
+ * Roll call for a class, subject and date. Submissions go through the
+ * offline queue: without a connection they are kept on the device and sent
+ * when it returns. If someone else changed the record in the meantime the
+ * teacher chooses which copy to keep.
+ */
+const AttendanceForm = ({ classId, subjectId, date, onSubmitted }) => {
+  const classRequest = useApi(() => classesApi.get(classId), [classId]);
+  const recordRequest = useApi(() => attendanceApi.find({ classId, subjectId, date }), [classId, subjectId, date]);
+  const [record, setRecord] = useState(null);
+  const [statuses, setStatuses] = useState({});
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const queue = useOfflineQueue((results) => {
+    const result = results.find(r => r.status === 'applied' && r.record &&
+      r.record.classId === classId && r.record.subjectId === subjectId && r.record.date === date);
+    if (result) {
+      setRecord(result.record);
+      onSubmitted?.(result.record);
+    }
+  });
+  const queued = queue.entries.find(entry => entry.key === `${classId}:${subjectId}:${date}`);
+
+  const students = (classRequest.data?.students || []).filter(student => student.isActive);
+
+  // The form is filled in once the data loads; later queue changes must not overwrite the teacher's edits
+  const loadedRef = useRef({ students, queued });
+  loadedRef.current = { students, queued };
+
+  useEffect(() => {
+    if (classRequest.loading || recordRequest.loading) return;
+
+    const { students: roster, queued: waiting } = loadedRef.current;
+    setRecord(recordRequest.data);
+    setStatuses(initialStatuses(roster, recordRequest.data, waiting));
+    setNotes(waiting?.payload.notes ?? recordRequest.data?.notes ?? '');
+  }, [classRequest.loading, recordRequest.loading, recordRequest.data]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+
+    try {
+      await queue.submit({
+        classId,
+        subjectId,
+        date,
+        studentStatuses: Object.fromEntries(
+          Object.entries(statuses).map(([studentId, status]) => [studentId, { status }])
+        ),
+        notes
+      }, record?.version ?? null);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (classRequest.loading || recordRequest.loading) {
+    return <CircularProgress />;
+  }
+
+  if (classRequest.error || !classRequest.data) {
+    return (
+      <Alert severity="error">
+        {classRequest.error?.offline
+          ? 'This class has not been opened on this device yet; connect to load its roster.'
+          : classRequest.error?.message || 'Class not found'}
+      </Alert>
+    );
+  }
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} noValidate>
+      <Typography variant="h6" gutterBottom>
+        {classRequest.data.name} - {date}
+      </Typography>
+
+      {!queue.online && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          You are offline. Attendance is saved on this device and sent when the connection returns.
+        </Alert>
+      )}
+
+      {classRequest.fromCache && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Showing the roster saved on this device.
+        </Alert>
+      )}
+
+      {queued?.status === 'pending' && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Waiting to send this attendance to the server.
+        </Alert>
+      )}
+
+      {queued?.status === 'conflict' && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 2 }}
+          action={
+            <>
+              <Button color="inherit" size="small" onClick={() => queue.resolveConflict(queued.clientId, 'mine')}>
+                Keep mine
+              </Button>
+              <Button
+                color="inherit"
+                size="small"
+                onClick={() => {
+                  queue.resolveConflict(queued.clientId, 'server');
+                  setRecord(queued.server);
+                  setStatuses(initialStatuses(students, queued.server, null));
+                  setNotes(queued.server?.notes || '');
+                }}
+              >
+                Use server copy
+              </Button>
+            </>
+          }
+        >
+          {queued.server
+            ? `This attendance was changed on the server (${queued.server.presentCount} present, ${queued.server.absentCount} absent) while you were offline.`
+            : 'This attendance was deleted on the server while you were offline.'}
+        </Alert>
+      )}
+
+      {queued?.status === 'rejected' && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => queue.discard(queued.clientId)}>
+          {queued.error}
+        </Alert>
+      )}
+
+      {queue.lastError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {queue.lastError}
+        </Alert>
+      )}
+
+      <List dense>
+        {students.map(student => (
+          <ListItem
+            key={student.id}
+            divider
+            secondaryAction={
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={statuses[student.id] || 'present'}
+                onChange={(_, status) => status && setStatuses(previous => ({ ...previous, [student.id]: status }))}
+              >
+                {STATUS_OPTIONS.map(option => (
+                  <ToggleButton key={option.value} value={option.value}>
+                    {option.label}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            }
+          >
+            <ListItemText primary={student.name} secondary={student.studentId} />
+          </ListItem>
+        ))}
+      </List>
+
+      <TextField
+        label="Notes"
+        value={notes}
+        onChange={(event) => setNotes(event.target.value)}
+        fullWidth
+        multiline
+        minRows={2}
+        margin="normal"
+      />
+
+      <Button type="submit" variant="contained" disabled={submitting || students.length === 0}>
+        {queue.online ? 'Submit attendance' : 'Save offline'}
+      </Button>
+    </Box>
+  );
+};
+
+export default AttendanceForm;
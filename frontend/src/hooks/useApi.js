@@ -0,0 +1,104 @@
+// frontend/src/hooks/useApi.js - Load API Data and Follow the Offline Queue
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isNetworkError, offlineQueue } from '../services/api';
+
+/**
+ * Run an API request when the component mounts and whenever `deps` change.
+ *
+ *   const { data, loading, error, fromCache, refetch } = useApi(
+ *     () => classesApi.get(classId),
+ *     [classId]
+ *   );
+ *
+ * The request resolves to { data, fromCache } (see getCached in
+ * services/api); fromCache is true when the data is the last copy saved
+ * on this device because the server could not be reached.
+ */
+const useApi = (request, deps = []) => {
+  const [state, setState] = useState({ data: null, loading: true, error: null, fromCache: false });
+  const [reloads, setReloads] = useState(0);
+  const requestRef = useRef(request);
+  requestRef.current = request;
+
+  // `deps` is a new array every render; compare its values instead
+  const depsKey = JSON.stringify(deps);
+
+  useEffect(() => {
+    let cancelled = false;
+    setState(previous => ({ ...previous, loading: true, error: null }));
+
+    requestRef.current()
+      .then(({ data, fromCache = false }) => {
+        if (!cancelled) setState({ data, loading: false, error: null, fromCache });
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setState(previous => ({
+          ...previous,
+          loading: false,
+          error: {
+            message: error.response?.data?.error || error.message,
+            code: error.response?.data?.code,
+            offline: isNetworkError(error)
+          }
+        }));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [depsKey, reloads]);
+
+  const refetch = useCallback(() => setReloads(count => count + 1), []);
+
+  return { ...state, refetch };
+};
+
+/**
+ * Follow the offline attendance queue and the browser's connection.
+ *
+ *   const { online, entries, submit, resolveConflict } = useOfflineQueue();
+ *
+ * `onResults` is called with the server's answers after each sync.
+ */
+export const useOfflineQueue = (onResults) => {
+  const [entries, setEntries] = useState(offlineQueue.entries);
+  const [online, setOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const onResultsRef = useRef(onResults);
+  onResultsRef.current = onResults;
+
+  useEffect(() => {
+    const unsubscribe = offlineQueue.subscribe((nextEntries, results) => {
+      setEntries(nextEntries);
+      if (results.length > 0) onResultsRef.current?.(results);
+    });
+
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+
+    // Anything left from an earlier visit
+    offlineQueue.flush();
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  return {
+    online,
+    entries,
+    pendingCount: entries.filter(entry => entry.status === 'pending').length,
+    conflicts: entries.filter(entry => entry.status === 'conflict'),
+    lastError: offlineQueue.lastError,
+    submit: (payload, baseVersion) => offlineQueue.submit(payload, baseVersion),
+    flush: () => offlineQueue.flush(),
+    resolveConflict: (clientId, choice) => offlineQueue.resolveConflict(clientId, choice),
+    discard: (clientId) => offlineQueue.discard(clientId)
+  };
+};
+
+export default useApi;
@@ -0,0 +1,42 @@
+// frontend/src/hooks/useSocket.js - Subscribe Components to Real-time Events
+import { useEffect, useRef, useState } from 'react';
+import socketClient, { CONNECTION_EVENTS } from '../services/socket';
+
+/**
+ * Subscribe to socket events for the lifetime of a component.
+ *
+ *   const { connected } = useSocket({
+ *     attendanceSubmitted: (data) => ...,
+ *     resyncRequired: () => refetch()
+ *   });
+ *
+ * Handlers may change between renders without resubscribing.
+ */
+const useSocket = (handlers = {}) => {
+  const [connected, setConnected] = useState(socketClient.isConnected());
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const eventTypes = Object.keys(handlers).sort().join(',');
+
+  useEffect(() => {
+    const unsubscribers = eventTypes
+      .split(',')
+      .filter(Boolean)
+      .map(type => socketClient.on(type, (...args) => handlersRef.current[type]?.(...args)));
+
+    unsubscribers.push(
+      socketClient.on(CONNECTION_EVENTS.STATUS, ({ status }) => setConnected(status === 'connected'))
+    );
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [eventTypes]);
+
+  return {
+    connected,
+    joinClass: (classId) => socketClient.joinClass(classId),
+    leaveClass: (classId) => socketClient.leaveClass(classId)
+  };
+};
+
+export default useSocket;
@@ -0,0 +1,304 @@
+// frontend/src/services/api.js - REST Client and Offline Attendance Queue
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const TOKEN_KEY = 'token';
+const QUEUE_KEY = 'vrc.attendanceQueue';
+const CACHE_PREFIX = 'vrc.cache:';
+
+// Most changes the server accepts in one POST /attendance/sync
+const SYNC_BATCH_SIZE = 100;
+
+const api = axios.create({
+  baseURL: API_URL,
+  timeout: 15000
+});
+
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// No response at all: offline, server unreachable or timed out
+export const isNetworkError = (error) => Boolean(error?.isAxiosError && !error.response);
+
+const readStorage = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value === null ? fallback : JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Could not save ${key}:`, error);
+  }
+};
+
+/**
+ * GET that remembers its last response, so screens still load offline.
+ * Resolves to { data, fromCache, cachedAt }.
+ */
+const getCached = async (url, params) => {
+  const key = `${CACHE_PREFIX}${url}?${new URLSearchParams(params || {})}`;
+
+  try {
+    const response = await api.get(url, { params });
+    const entry = { data: response.data.data, cachedAt: new Date().toISOString() };
+    writeStorage(key, entry);
+    return { ...entry, fromCache: false };
+  } catch (error) {
+    const cached = readStorage(key, null);
+    if (isNetworkError(error) && cached) {
+      return { ...cached, fromCache: true };
+    }
+    throw error;
+  }
+};
+
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+export const classesApi = {
+  list: () => getCached('/classes'),
+  get: (classId) => getCached(`/classes/${classId}`)
+};
+
+export const attendanceApi = {
+  // The record of one class, subject and date (null when none was taken yet)
+  find: async ({ classId, subjectId, date }) => {
+    const result = await getCached('/attendance', { classId, subjectId, date });
+    return { ...result, data: result.data[0] || null };
+  },
+  list: (filters) => getCached('/attendance', filters),
+  sync: (mutations) => api.post('/attendance/sync', { mutations }).then(response => response.data.data)
+};
+
+const recordKey = ({ classId, subjectId, date }) => `${classId}:${subjectId}:${date}`;
+
+const newClientId = () => {
+  return crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+};
+
+// Version a queued entry's changes apply to: the server's copy once they conflicted with it
+const baseVersionOf = (entry) => {
+  return entry.status === 'conflict' ? entry.server?.version ?? null : entry.baseVersion;
+};
+
+/**
+ * Attendance submissions go through a queue kept in localStorage, so a
+ * teacher can take attendance without a connection. Each entry is
+ *   { clientId, key, payload, baseVersion, capturedAt, status, error, server }
+ * where baseVersion is the version of the record the teacher started from
+ * (null for a new record) and status is 'pending', 'conflict' (someone
+ * changed the record meanwhile; `server` holds their copy) or 'rejected'.
+ * Pending entries are sent to POST /attendance/sync when the browser comes
+ * back online; the server applies each clientId once, so resending after a
+ * lost response is safe.
+ */
+class OfflineQueue {
+  constructor() {
+    this.entries = readStorage(QUEUE_KEY, []);
+    this.listeners = new Set();
+    this.flushing = null;
+    this.lastError = null;
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.flush());
+    }
+  }
+
+  save() {
+    writeStorage(QUEUE_KEY, this.entries);
+  }
+
+  notify(results = []) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.entries, results);
+      } catch (error) {
+        console.error('Offline queue listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Listen for queue changes: listener(entries, results), where results are
+   * the server's answers from the sync that caused the change (if any).
+   * Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Queue a submission (same body as POST /attendance) and try to send it.
+   * A newer submission for the same class, subject and date replaces one
+   * still waiting; it keeps the older base version, which the server still has,
+   * unless the waiting one is in conflict: then it builds on the server's copy.
+   * Resolves to the sync result of this entry, or null while it is queued.
+   */
+  async submit(payload, baseVersion = null) {
+    const key = recordKey(payload);
+    const waiting = this.entries.find(entry => entry.key === key);
+    const entry = {
+      clientId: newClientId(),
+      key,
+      payload,
+      baseVersion: waiting ? baseVersionOf(waiting) : baseVersion,
+      capturedAt: new Date().toISOString(),
+      status: 'pending',
+      error: null,
+      server: null
+    };
+
+    this.entries = [...this.entries.filter(other => other.key !== key), entry];
+    this.save();
+    this.notify();
+
+    const results = await this.flush();
+    return results.find(result => result.clientId === entry.clientId) || null;
+  }
+
+  /**
+   * Send every pending entry. Concurrent calls share one run, which also
+   * sends entries queued while it was under way; stops at the first failed
+   * request and leaves the rest queued. Resolves to the results.
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.sendAll().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async sendAll() {
+    const results = [];
+    const attempted = new Set();
+
+    for (;;) {
+      const pending = this.entries.filter(entry => entry.status === 'pending' && !attempted.has(entry.clientId));
+      if (pending.length === 0) return results;
+
+      pending.forEach(entry => attempted.add(entry.clientId));
+      const { results: sent, complete } = await this.send(pending);
+      results.push(...sent);
+      if (!complete) return results;
+    }
+  }
+
+  // Send entries in batches; `complete` is false when a request failed or the browser is offline
+  async send(pending) {
+    const results = [];
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return { results, complete: false };
+    }
+
+    for (let start = 0; start < pending.length; start += SYNC_BATCH_SIZE) {
+      const batch = pending.slice(start, start + SYNC_BATCH_SIZE);
+
+      try {
+        const data = await attendanceApi.sync(batch.map(entry => ({
+          clientId: entry.clientId,
+          baseVersion: entry.baseVersion,
+          capturedAt: entry.capturedAt,
+          ...entry.payload
+        })));
+        this.lastError = null;
+        results.push(...data.results);
+        this.apply(data.results);
+      } catch (error) {
+        this.lastError = isNetworkError(error)
+          ? null
+          : error.response?.data?.error || error.message;
+        this.notify(results);
+        return { results, complete: false };
+      }
+    }
+
+    return { results, complete: true };
+  }
+
+  // Record what the server did with each entry
+  apply(results) {
+    const byClientId = new Map(results.map(result => [result.clientId, result]));
+
+    this.entries = this.entries.flatMap(entry => {
+      const result = byClientId.get(entry.clientId);
+      if (!result || entry.status !== 'pending') return [entry];
+      if (result.status === 'applied') return [];
+
+      return [{
+        ...entry,
+        status: result.status,
+        error: result.error,
+        code: result.code,
+        server: result.server || null
+      }];
+    });
+
+    this.save();
+    this.notify(results);
+  }
+
+  /**
+   * Settle a conflict: 'mine' sends the offline copy again on top of the
+   * server's version, 'server' drops it and keeps the server copy
+   */
+  resolveConflict(clientId, choice) {
+    const entry = this.entries.find(other => other.clientId === clientId && other.status === 'conflict');
+    if (!entry) return Promise.resolve([]);
+
+    if (choice === 'server') {
+      this.discard(clientId);
+      return Promise.resolve([]);
+    }
+
+    this.entries = this.entries.map(other => other === entry
+      ? {
+        ...entry,
+        clientId: newClientId(),
+        baseVersion: baseVersionOf(entry),
+        status: 'pending',
+        error: null,
+        code: null,
+        server: null
+      }
+      : other);
+    this.save();
+    this.notify();
+
+    return this.flush();
+  }
+
+  discard(clientId) {
+    this.entries = this.entries.filter(entry => entry.clientId !== clientId);
+    this.save();
+    this.notify();
+  }
+
+  // Submissions for a record still on this device
+  findEntry(record) {
+    return this.entries.find(entry => entry.key === recordKey(record)) || null;
+  }
+}
+
+export const offlineQueue = new OfflineQueue();
+
+export default api;
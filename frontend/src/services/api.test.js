@@ -0,0 +1,44 @@
+// frontend/src/services/api.test.js - Offline Attendance Queue
+import { attendanceApi, offlineQueue } from './api';
+
+// What POST /attendance/sync answers for changes it applies
+const applied = (mutations) => ({
+  results: mutations.map(mutation => ({ clientId: mutation.clientId, status: 'applied', version: 1 }))
+});
+
+describe('offlineQueue', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  test('a record submitted during a sync is sent when that sync finishes', async () => {
+    let finishFirstSync;
+    const sync = jest.spyOn(attendanceApi, 'sync')
+      .mockImplementationOnce(mutations => new Promise(resolve => {
+        finishFirstSync = () => resolve(applied(mutations));
+      }))
+      .mockImplementation(mutations => Promise.resolve(applied(mutations)));
+
+    const first = offlineQueue.submit({ classId: 1, subjectId: 1, date: '2026-10-16', absentStudents: [] });
+    const second = offlineQueue.submit({ classId: 1, subjectId: 2, date: '2026-10-16', absentStudents: [3] });
+    finishFirstSync();
+
+    expect(await first).toMatchObject({ status: 'applied' });
+    expect(await second).toMatchObject({ status: 'applied' });
+    expect(sync).toHaveBeenCalledTimes(2);
+    expect(sync.mock.calls[1][0]).toEqual([expect.objectContaining({ subjectId: 2, absentStudents: [3] })]);
+    expect(offlineQueue.entries).toEqual([]);
+  });
+
+  test('a failed sync leaves the entry queued without retrying it in the same run', async () => {
+    const sync = jest.spyOn(attendanceApi, 'sync').mockRejectedValue(new Error('Server error'));
+
+    const result = await offlineQueue.submit({ classId: 2, subjectId: 1, date: '2026-10-16', absentStudents: [] });
+
+    expect(result).toBeNull();
+    expect(sync).toHaveBeenCalledTimes(1);
+    expect(offlineQueue.entries).toEqual([expect.objectContaining({ status: 'pending' })]);
+    expect(offlineQueue.lastError).toBe('Server error');
+  });
+});
@@ -0,0 +1,196 @@
+// frontend/src/services/socket.js - Real-time Connection to the VirtualRollCall Server
+import { io } from 'socket.io-client';
+
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
+
+// Server events every listener may subscribe to
+export const SOCKET_EVENTS = {
+  ATTENDANCE_SUBMITTED: 'attendanceSubmitted',
+  ATTENDANCE_UPDATED: 'attendanceUpdated',
+  ATTENDANCE_DELETED: 'attendanceDeleted',
+  ATTENDANCE_REMINDER: 'attendanceReminder',
+  CHECK_IN_RECORDED: 'checkInRecorded',
+  CLASS_ROSTER_CHANGED: 'classRosterChanged',
+  REPORT_COMPLETED: 'reportCompleted',
+  SCHEDULE_CHANGED: 'scheduleChanged',
+  USER_ONLINE: 'userOnline',
+  USER_OFFLINE: 'userOffline'
+};
+
+// Local notifications (not sent by the server)
+export const CONNECTION_EVENTS = {
+  STATUS: 'connectionStatus', // { status: 'connected' | 'disconnected' | 'error', error? }
+  RESYNC_REQUIRED: 'resyncRequired' // missed events could not be replayed; refetch over the API
+};
+
+/**
+ * Keeps one authenticated socket open and makes sure listeners see every
+ * event exactly once, in order:
+ *  - each server event carries an increasing `eventId`
+ *  - after every (re)connect the client sends `resync` with the last event
+ *    it saw and replays what it missed
+ *  - if the server restarted or the gap is too old, `resyncRequired` fires
+ *    and the app should reload its data
+ */
+class SocketClient {
+  constructor() {
+    this.socket = null;
+    this.serverId = null;
+    this.lastEventId = null;
+    this.listeners = new Map(); // type -> Set of handlers
+    this.classRooms = new Set(); // rooms joined with joinClass(), rejoined on reconnect
+    this.resyncing = false;
+    this.pending = []; // live events received while a resync is in flight
+  }
+
+  connect(token) {
+    if (this.socket) this.disconnect();
+
+    this.socket = io(SOCKET_URL, {
+      auth: { token },
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 10000
+    });
+
+    this.socket.on('connect', () => {
+      this.notify(CONNECTION_EVENTS.STATUS, { status: 'connected' });
+      this.classRooms.forEach(classId => this.socket.emit('joinRoom', { classId }));
+    });
+
+    this.socket.on('session', (session) => this.resync(session));
+
+    this.socket.on('disconnect', (reason) => {
+      this.notify(CONNECTION_EVENTS.STATUS, { status: 'disconnected', reason });
+    });
+
+    this.socket.on('connect_error', (error) => {
+      this.notify(CONNECTION_EVENTS.STATUS, {
+        status: 'error',
+        error: error.message,
+        code: error.data?.code
+      });
+    });
+
+    Object.values(SOCKET_EVENTS).forEach(type => {
+      this.socket.on(type, (event) => this.receive(event));
+    });
+
+    return this;
+  }
+
+  disconnect() {
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.disconnect();
+      this.socket = null;
+    }
+    this.serverId = null;
+    this.lastEventId = null;
+    this.classRooms.clear();
+    this.pending = [];
+    this.resyncing = false;
+  }
+
+  /**
+   * Ask the server for everything after the last event we processed
+   */
+  resync(session) {
+    // First connection: start from the server's current position
+    if (this.lastEventId === null) {
+      this.serverId = session.serverId;
+      this.lastEventId = session.lastEventId;
+      return;
+    }
+
+    this.resyncing = true;
+    this.socket.emit('resync', { serverId: this.serverId, lastEventId: this.lastEventId }, (result) => {
+      this.resyncing = false;
+      this.serverId = result.serverId;
+
+      if (result.fullResync) {
+        this.lastEventId = result.lastEventId;
+        this.pending = this.pending.filter(event => event.eventId > result.lastEventId);
+        this.notify(CONNECTION_EVENTS.RESYNC_REQUIRED, { lastEventId: result.lastEventId });
+      } else {
+        result.events.forEach(event => this.dispatch(event));
+      }
+
+      const pending = this.pending.sort((a, b) => a.eventId - b.eventId);
+      this.pending = [];
+      pending.forEach(event => this.dispatch(event));
+    });
+  }
+
+  receive(event) {
+    if (this.resyncing) {
+      this.pending.push(event);
+    } else {
+      this.dispatch(event);
+    }
+  }
+
+  // Deliver an event once; anything at or before lastEventId was already seen
+  dispatch(event) {
+    if (this.lastEventId !== null && event.eventId <= this.lastEventId) return;
+
+    this.lastEventId = event.eventId;
+    this.notify(event.type, event.data, event);
+  }
+
+  notify(type, data, event) {
+    const handlers = this.listeners.get(type);
+    if (!handlers) return;
+
+    handlers.forEach(handler => {
+      try {
+        handler(data, event);
+      } catch (error) {
+        console.error(`Socket listener for ${type} failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to a server or connection event; returns an unsubscribe function
+   */
+  on(type, handler) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(handler);
+
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    this.listeners.get(type)?.delete(handler);
+  }
+
+  // Follow a class outside the ones the server joins automatically
+  joinClass(classId) {
+    this.classRooms.add(classId);
+
+    return new Promise((resolve) => {
+      if (!this.socket?.connected) return resolve({ success: false, code: 'NOT_CONNECTED' });
+
+      this.socket.emit('joinRoom', { classId }, (result) => {
+        if (!result.success) this.classRooms.delete(classId);
+        resolve(result);
+      });
+    });
+  }
+
+  leaveClass(classId) {
+    this.classRooms.delete(classId);
+    this.socket?.emit('leaveRoom', { classId });
+  }
+
+  isConnected() {
+    return Boolean(this.socket?.connected);
+  }
+}
+
+const socketClient = new SocketClient();
+
+export default socketClient;